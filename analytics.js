@@ -0,0 +1,117 @@
+// ============================================
+// ANALYTICS
+// Household trends built from monthly reports, plus per-chore latency from the tasks
+// themselves. Latency is the number of days from the start of a task's period (the 1st
+// for monthly chores) to the day it was completed in the household's timezone.
+// ============================================
+
+const { daysBetween } = require('./recurrence');
+const { localDate } = require('./timezone');
+
+const MAX_TREND_MONTHS = 24;
+
+// The `count` months ending with the one containing `date`, oldest first
+function trendMonths(date, count) {
+  const [year, month] = date.split('-').map(Number);
+  const months = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const index = year * 12 + (month - 1) - i;
+    months.push({ month: (index % 12) + 1, year: Math.floor(index / 12) });
+  }
+  return months;
+}
+
+function sameMonth(report, { month, year }) {
+  return report.month === month && report.year === year;
+}
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+/**
+ * Each member's completion rate month by month: null for a month with no report for them
+ * or nothing assigned.
+ * @returns {Object[]} { username, points: [{ month, year, assigned, completed, completion_percentage }] }
+ */
+function completionTrends(members, months, reports) {
+  return members.map(username => ({
+    username,
+    points: months.map(m => {
+      const report = reports.find(r => r.username === username && sameMonth(r, m));
+      if (!report) return { ...m, assigned: null, completed: null, completion_percentage: null };
+      return {
+        ...m,
+        assigned: report.assigned_tasks,
+        completed: report.completed_tasks,
+        completion_percentage: report.assigned_tasks > 0 ? Math.round(report.completion_percentage * 10) / 10 : null
+      };
+    })
+  }));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * How long each chore takes to get done, over its verified completions in `tasks`.
+ * @returns {Object[]} { chore_id, name, translations, completed, average_days, median_days, on_time_percentage }
+ */
+function choreLatency(tasks, timeZone) {
+  const byChore = new Map();
+  for (const task of tasks) {
+    if (task.status !== 'completed' || !task.completed_at) continue;
+    const key = task.chore_id || task.name;
+    if (!byChore.has(key)) byChore.set(key, { chore_id: task.chore_id || null, name: task.name, translations: task.translations || {}, days: [], on_time: 0 });
+    const entry = byChore.get(key);
+    const done = localDate(task.completed_at, timeZone);
+    entry.days.push(Math.max(0, daysBetween(task.period_start, done)));
+    if (done <= task.due_date) entry.on_time += 1;
+  }
+
+  return [...byChore.values()]
+    .map(entry => ({
+      chore_id: entry.chore_id,
+      name: entry.name,
+      translations: entry.translations,
+      completed: entry.days.length,
+      average_days: Math.round((entry.days.reduce((sum, d) => sum + d, 0) / entry.days.length) * 10) / 10,
+      median_days: median(entry.days),
+      on_time_percentage: percentage(entry.on_time, entry.days.length)
+    }))
+    .sort((a, b) => b.average_days - a.average_days || a.name.localeCompare(b.name));
+}
+
+/**
+ * The whole household month by month, and summed over every month.
+ * @returns {Object} { months: [...], total }
+ */
+function householdTotals(months, reports) {
+  const sum = rows => {
+    const totals = {
+      assigned: rows.reduce((n, r) => n + r.assigned_tasks, 0),
+      completed: rows.reduce((n, r) => n + r.completed_tasks, 0),
+      overdue: rows.reduce((n, r) => n + (r.overdue_tasks || 0), 0),
+      excused: rows.reduce((n, r) => n + (r.excused_tasks || 0), 0),
+      swapped: rows.reduce((n, r) => n + (r.swapped_in || 0), 0)
+    };
+    return { ...totals, completion_percentage: percentage(totals.completed, totals.assigned) };
+  };
+
+  return {
+    months: months.map(m => ({ ...m, ...sum(reports.filter(r => sameMonth(r, m))) })),
+    total: sum(reports.filter(r => months.some(m => sameMonth(r, m))))
+  };
+}
+
+module.exports = {
+  MAX_TREND_MONTHS,
+  trendMonths,
+  completionTrends,
+  choreLatency,
+  householdTotals
+};
@@ -0,0 +1,122 @@
+// ============================================
+// BACKUP & EXPORT
+// Snapshot validation, CSV formatting and the rotating on-disk backups written by the
+// nightly job. Photo files aren't part of snapshots; back up UPLOAD_DIR separately.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { LATEST_VERSION } = require('./migrations');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 7;
+const SNAPSHOT_FORMAT = 'roommate-task-manager';
+
+// Household records a snapshot carries, in the order a restore inserts them
+const SNAPSHOT_COLLECTIONS = [
+  'users', 'chores', 'tasks', 'swaps', 'away_periods', 'monthly_reports', 'expenses', 'payments', 'shopping_items'
+];
+// Added to snapshots later; exports from older versions don't have them
+const OPTIONAL_COLLECTIONS = ['expenses', 'payments', 'shopping_items'];
+
+const TASK_COLUMNS = [
+  'id', 'name', 'effort', 'assigned_to', 'period_start', 'period_end', 'due_date',
+  'status', 'completed_at', 'completed_by', 'verified_by', 'verified_at'
+];
+const REPORT_COLUMNS = [
+  'year', 'month', 'username', 'assigned_tasks', 'completed_tasks', 'awaiting_verification',
+  'completion_percentage', 'excused_tasks', 'overdue_tasks', 'carried_over_tasks', 'carried_over_completed',
+  'make_up_tasks', 'penalties', 'away_days', 'swapped_in', 'swapped_out',
+  'expenses_paid', 'expenses_share', 'payments_sent', 'payments_received', 'expense_balance', 'created_at'
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Checks a household snapshot's shape before anything is restored from it.
+ * Throws with the first problem found; checks against existing data happen in the restore.
+ */
+function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error('Not a Roommate Task Manager export');
+  }
+  if (!Number.isInteger(snapshot.schema_version) || snapshot.schema_version > LATEST_VERSION) {
+    throw new Error(`Snapshot schema version ${snapshot.schema_version} is not supported by this server`);
+  }
+  if (!snapshot.household || typeof snapshot.household !== 'object') {
+    throw new Error('Snapshot has no household');
+  }
+
+  const householdId = snapshot.household.id;
+  for (const key of SNAPSHOT_COLLECTIONS) {
+    if (snapshot[key] === undefined && OPTIONAL_COLLECTIONS.includes(key)) continue;
+    if (!Array.isArray(snapshot[key])) throw new Error(`Snapshot is missing ${key}`);
+    const ids = new Set();
+    for (const record of snapshot[key]) {
+      if (!record || typeof record !== 'object' || typeof record.id !== 'number') {
+        throw new Error(`Every record in ${key} needs a numeric id`);
+      }
+      if (ids.has(record.id)) throw new Error(`Duplicate id ${record.id} in ${key}`);
+      if (record.household_id !== householdId) {
+        throw new Error(`${key} record ${record.id} belongs to a different household`);
+      }
+      ids.add(record.id);
+    }
+  }
+
+  const usernames = new Set();
+  for (const user of snapshot.users) {
+    if (typeof user.username !== 'string') throw new Error(`User ${user.id} needs a username`);
+    if (usernames.has(user.username)) throw new Error(`Duplicate username ${user.username}`);
+    usernames.add(user.username);
+  }
+
+  const choreIds = new Set(snapshot.chores.map(c => c.id));
+  for (const task of snapshot.tasks) {
+    if (typeof task.name !== 'string' || typeof task.due_date !== 'string' || typeof task.assigned_to !== 'string') {
+      throw new Error(`Task ${task.id} needs a name, due date and assignee`);
+    }
+    if (task.chore_id !== undefined && task.chore_id !== null && !choreIds.has(task.chore_id)) {
+      throw new Error(`Task ${task.id} refers to missing chore ${task.chore_id}`);
+    }
+  }
+  return snapshot;
+}
+
+// Writes a full-store snapshot and keeps only the newest BACKUP_KEEP files
+function writeBackup(snapshot, now = new Date()) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  const file = path.join(BACKUP_DIR, `backup-${stamp}.json`);
+  fs.writeFileSync(file, JSON.stringify(snapshot));
+
+  const backups = fs.readdirSync(BACKUP_DIR)
+    .filter(name => /^backup-.*\.json$/.test(name))
+    .sort();
+  for (const name of backups.slice(0, Math.max(backups.length - BACKUP_KEEP, 0))) {
+    fs.rmSync(path.join(BACKUP_DIR, name), { force: true });
+  }
+  return file;
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_COLLECTIONS,
+  TASK_COLUMNS,
+  REPORT_COLUMNS,
+  toCsv,
+  validateSnapshot,
+  writeBackup
+};
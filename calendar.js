@@ -0,0 +1,127 @@
+// ============================================
+// ICALENDAR FEED
+// Renders a member's tasks as an RFC 5545 calendar: an all-day VEVENT on each due date
+// for calendar apps, and a VTODO for apps with task lists. UIDs come from task ids, so
+// subscribed calendars update entries in place instead of duplicating them.
+// ============================================
+
+const { addDays } = require('./recurrence');
+
+const PRODUCT_ID = '-//Roommate Task Manager//Chores//EN';
+const UID_DOMAIN = 'roommate-task-manager';
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatDate(dateString) {
+  return dateString.replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Last time anything visible about the task changed
+function lastModified(task) {
+  const times = [task.completed_at, task.verified_at, task.rollover && task.rollover.at]
+    .concat((task.thread || []).map(entry => entry.at))
+    .concat((task.reassignments || []).map(r => r.at))
+    .filter(Boolean);
+  return times.length > 0 ? times.sort().pop() : `${task.period_start}T00:00:00.000Z`;
+}
+
+function taskComponents(task, householdName, stamp) {
+  const done = ['awaiting_verification', 'completed'].includes(task.status);
+  const missed = task.status === 'missed';
+  const sequence = (task.thread || []).length + (task.reassignments || []).length;
+  const modified = formatTimestamp(lastModified(task));
+  const description = [
+    `Household: ${householdName}`,
+    `Period: ${task.period_start} to ${task.period_end}`,
+    task.status === 'awaiting_verification' ? 'Done, waiting for a roommate to verify' : null,
+    task.status === 'completed' ? 'Done' : null,
+    missed ? 'Missed: not done by the end of its month' : null
+  ].filter(Boolean).join('\n');
+
+  const event = [
+    'BEGIN:VEVENT',
+    `UID:task-${task.id}-due@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${modified}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${formatDate(task.due_date)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(task.due_date, 1))}`,
+    `SUMMARY:${escapeText(`${done ? '✓ ' : missed ? '✗ ' : ''}${task.name}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ];
+
+  const todo = [
+    'BEGIN:VTODO',
+    `UID:task-${task.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${modified}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${formatDate(task.period_start)}`,
+    `DUE;VALUE=DATE:${formatDate(task.due_date)}`,
+    `SUMMARY:${escapeText(task.name)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `STATUS:${done ? 'COMPLETED' : missed ? 'CANCELLED' : 'NEEDS-ACTION'}`,
+    ...(done && task.completed_at ? [`COMPLETED:${formatTimestamp(task.completed_at)}`] : []),
+    ...(done ? ['PERCENT-COMPLETE:100'] : []),
+    'END:VTODO'
+  ];
+
+  return [...event, ...todo];
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.username - whose chores these are
+ * @param {string} options.householdName
+ * @param {Object[]} options.tasks - the member's tasks
+ * @returns {string} the calendar, CRLF line endings
+ */
+function buildCalendar({ username, householdName, tasks, now = new Date() }) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Chores · ${username}`)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H'
+  ];
+  for (const task of tasks) {
+    lines.push(...taskComponents(task, householdName, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar
+};
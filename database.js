@@ -1,199 +1,2725 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { withCollections, createStorage, createTransactor } = require('./storage');
+const { runMigrations } = require('./migrations');
+const { SNAPSHOT_FORMAT, SNAPSHOT_COLLECTIONS, validateSnapshot } = require('./backup');
+const { defaultEffort, taskEffort, isAway } = require('./rotation');
+const {
+  DEFAULT_REMINDER_RULES,
+  DEFAULT_QUIET_HOURS,
+  normalizeReminderRules,
+  normalizeQuietHours,
+  inQuietHours,
+  dueReminders,
+  dueMessage
+} = require('./reminders');
+const { availableChannels, validateChannels } = require('./notifier');
+const { generateSecret, normalizeWebhookUrl, normalizeEvents, nextAttemptAt } = require('./webhooks');
+const { validAmount, computeShares, computeBalances, settleUp, monthlyMoney } = require('./expenses');
+const { leaderboard } = require('./scoring');
+const { MAX_TREND_MONTHS, trendMonths, completionTrends, choreLatency, householdTotals } = require('./analytics');
+const {
+  DEFAULT_RECURRENCE,
+  addDays,
+  addMonths,
+  daysBetween,
+  overlapDays,
+  monthRange,
+  normalizeRecurrence
+} = require('./recurrence');
+const { DEFAULT_TIMEZONE, normalizeTimeZone, localTime, localDate } = require('./timezone');
+const { LANGUAGES, DEFAULT_LANGUAGE, DEFAULT_CHORE_TRANSLATIONS, translate, normalizeLanguage } = require('./i18n');
 
-const DB_FILE = path.join(__dirname, 'data.json');
+const DEFAULT_CHORES = ['Kitchen Cleaning', 'Bathroom Cleaning', 'Hall Sweeping', 'Trash Removal'];
+const ROLES = ['admin', 'member'];
+const MAX_EFFORT = 10;
+const RESET_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+// Completions nobody confirms or disputes within this many hours count as verified
+const DEFAULT_VERIFICATION_HOURS = 48;
+const MAX_VERIFICATION_HOURS = 14 * 24;
+// Calendar feeds leave out tasks due longer ago than this
+const CALENDAR_LOOKBACK_MONTHS = 3;
+// Inbox entries older than this are dropped when new reminders are recorded, except
+// reminders for tasks still pending
+const NOTIFICATION_RETENTION_DAYS = 90;
+const MAX_WEBHOOKS = 10;
+const DEFAULT_CURRENCY = 'INR';
+const MAX_CONSUMABLES = 10;
+const MAX_SHOPPING_ITEMS = 200;
+// What happens to tasks still pending when their month ends
+const ROLLOVER_POLICIES = ['none', 'carry_over', 'make_up', 'penalty'];
+const DEFAULT_ROLLOVER = { policy: 'carry_over', penalty_amount: 0 };
+const MAKE_UP_DAYS = 7;
+// Finished webhook deliveries older than this are dropped when new ones are queued
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
 
-// Initial state
-const initialState = {
-  users: [],
-  tasks: [],
-  monthly_reports: []
-};
+const storage = createStorage();
+const transaction = createTransactor(storage);
 
-// Helper to read DB
+// Snapshot of every collection for read-only queries; changes go through transaction()
 function readDB() {
-  if (!fs.existsSync(DB_FILE)) {
-    fs.writeFileSync(DB_FILE, JSON.stringify(initialState, null, 2));
-    return initialState;
+  return storage.load();
+}
+
+function nextId(items) {
+  return items.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+}
+
+// Thrown when the caller isn't allowed to act on a record; routes answer these with 403
+class PermissionError extends Error {}
+
+// ============================================
+// AUDIT LOG
+// Append-only: every mutation pushes an entry with its actor (null for scheduled jobs)
+// and snapshots of the record before and after. Entries are never edited or removed.
+// ============================================
+
+const SECRET_FIELDS = ['password_hash', 'reset_token_hash', 'calendar_token', 'secret'];
+
+function snapshot(record) {
+  if (!record) return null;
+  const copy = JSON.parse(JSON.stringify(record));
+  for (const field of SECRET_FIELDS) {
+    if (copy[field]) copy[field] = '[redacted]';
   }
-  return JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+  return copy;
 }
 
-// Helper to write DB
-function writeDB(data) {
-  fs.writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+// `before` must be taken with snapshot() ahead of the change; `after` is the live record
+function recordAudit(data, { householdId, actor, entity, action, before = null, after = null, reason = null }) {
+  const last = data.audit_log[data.audit_log.length - 1];
+  data.audit_log.push({
+    id: last ? last.id + 1 : 1,
+    household_id: householdId,
+    actor: actor || null,
+    entity,
+    entity_id: (after || before || {}).id || null,
+    action,
+    reason,
+    before: snapshot(before),
+    after: snapshot(after),
+    at: new Date().toISOString()
+  });
 }
 
-async function initializeDatabase() {
-  readDB(); // Ensure file exists
-  return true;
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    active: user.active,
+    pending_approval: Boolean(user.pending_approval),
+    household_id: user.household_id,
+    language: user.language || null
+  };
 }
 
-async function createDefaultUsers() {
-  const data = readDB();
-  if (data.users.length > 0) return;
+function normalizeUsername(username) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9_]{3,30}$/.test(name)) {
+    throw new Error('Username must be 3-30 letters, numbers or underscores');
+  }
+  return name;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 6) {
+    throw new Error('Password must be at least 6 characters');
+  }
+}
 
-  const defaultUsers = [
-    { id: 1, username: 'deepanshu', password: 'deep123' },
-    { id: 2, username: 'sonu', password: 'sonu123' },
-    { id: 3, username: 'sachin', password: 'sachin123' },
-    { id: 4, username: 'sintu', password: 'sintu123' }
-  ];
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
 
-  for (const user of defaultUsers) {
-    const salt = await bcrypt.genSalt(10);
-    user.password_hash = await bcrypt.hash(user.password, salt);
-    delete user.password;
-    data.users.push(user);
+// Reset tokens are only stored hashed; the plain token is shown once to the admin
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateInviteCode(data) {
+  let code;
+  do {
+    code = crypto.randomBytes(4).toString('hex').toUpperCase();
+  } while (data.households.some(h => h.invite_code === code));
+  return code;
+}
+
+function insertHousehold(data, name, timezone) {
+  const household = {
+    id: nextId(data.households),
+    name,
+    invite_code: generateInviteCode(data),
+    requires_approval: false,
+    verification_window_hours: DEFAULT_VERIFICATION_HOURS,
+    rollover: { ...DEFAULT_ROLLOVER },
+    timezone: timezone ? normalizeTimeZone(timezone) : DEFAULT_TIMEZONE,
+    created_at: new Date().toISOString()
+  };
+  data.households.push(household);
+  data.chores.push(...defaultChoresFor(data, household.id));
+  return household;
+}
+
+function defaultChoresFor(data, householdId) {
+  const firstId = nextId(data.chores);
+  return DEFAULT_CHORES.map((name, index) => ({
+    id: firstId + index,
+    household_id: householdId,
+    name,
+    translations: { ...DEFAULT_CHORE_TRANSLATIONS[name] },
+    effort: defaultEffort(name),
+    recurrence: { ...DEFAULT_RECURRENCE },
+    active: true
+  }));
+}
+
+// Users of a household for a given set of its tasks: current active members plus anyone
+// (removed or moved away) who still holds one of those tasks.
+function householdUsers(data, householdId, tasks) {
+  return data.users.filter(u =>
+    (u.household_id === householdId && u.active !== false) ||
+    tasks.some(t => t.assigned_to === u.username)
+  );
+}
+
+// Brings the configured store up to the latest schema version
+async function initializeDatabase() {
+  const applied = await transaction(data => runMigrations(data));
+  for (const migration of applied) {
+    console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  // Accounts that lost their password can't ask anyone if they run the household, so the
+  // operator gets a reset code for each one without a code still valid
+  const codes = await transaction(data => data.users
+    .filter(u => u.password_reset_required && !(u.reset_token_hash && new Date(u.reset_expires_at) > new Date()))
+    .map(user => {
+      const before = snapshot(user);
+      const token = crypto.randomBytes(16).toString('hex');
+      user.reset_token_hash = hashToken(token);
+      user.reset_expires_at = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+      recordAudit(data, { householdId: user.household_id, actor: null, entity: 'user', action: 'password_reset_issued', before, after: user });
+      return { username: user.username, token };
+    }));
+  for (const { username, token } of codes) {
+    console.log(`🔑 ${username} needs a new password; reset code ${token} (valid 24 hours)`);
   }
-  writeDB(data);
+  return true;
+}
+
+async function createDefaultChores() {
+  return transaction(data => {
+    const bare = data.households.filter(h => !data.chores.some(c => c.household_id === h.id));
+    if (bare.length === 0) return;
+
+    for (const household of bare) {
+      data.chores.push(...defaultChoresFor(data, household.id));
+    }
+  });
 }
 
 async function authenticateUser(username, password) {
   const data = readDB();
-  const user = data.users.find(u => u.username === username.toLowerCase());
+  const user = typeof username === 'string' && data.users.find(u => u.username === username.toLowerCase());
 
   if (!user) throw new Error('Invalid username or password');
+  if (user.password_reset_required) throw new Error('This account needs a new password; ask a household admin for a reset code');
 
   const match = await bcrypt.compare(password, user.password_hash);
   if (!match) throw new Error('Invalid username or password');
+  if (user.pending_approval) throw new Error('Your account is waiting for admin approval');
+  if (user.active === false) throw new Error('Invalid username or password');
+
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    household_id: user.household_id,
+    language: user.language || null
+  };
+}
+
+// Signing up with an invite code joins that household (pending approval if the household
+// requires it); without one, a new household is created with the user as its admin.
+async function registerUser({ username, password, inviteCode, householdName, timezone, language }) {
+  return transaction(async data => {
+    const name = normalizeUsername(username);
+    validatePassword(password);
+    if (data.users.some(u => u.username === name)) throw new Error('Username already taken');
+
+    let household;
+    let role = 'member';
+    if (inviteCode) {
+      const code = String(inviteCode).trim().toUpperCase();
+      household = data.households.find(h => h.invite_code === code);
+      if (!household) throw new Error('Invalid invite code');
+    } else {
+      const trimmed = String(householdName || '').trim();
+      if (!trimmed || trimmed.length > 50) throw new Error('Enter an invite code or a household name');
+      household = insertHousehold(data, trimmed, timezone);
+      role = 'admin';
+    }
+
+    const pending = role === 'member' && Boolean(household.requires_approval);
+    const user = {
+      id: nextId(data.users),
+      username: name,
+      password_hash: await hashPassword(password),
+      role,
+      active: !pending,
+      pending_approval: pending,
+      household_id: household.id,
+      language: language ? normalizeLanguage(language) : null,
+      created_at: new Date().toISOString()
+    };
+
+    data.users.push(user);
+    if (role === 'admin') {
+      recordAudit(data, { householdId: household.id, actor: name, entity: 'household', action: 'created', after: household });
+    }
+    recordAudit(data, { householdId: household.id, actor: name, entity: 'user', action: 'registered', after: user });
+    return { user: toPublicUser(user), household };
+  });
+}
+
+async function changePassword(userId, currentPassword, newPassword) {
+  return transaction(async data => {
+    const user = data.users.find(u => u.id === parseInt(userId));
+    if (!user) throw new Error('User not found');
+
+    const match = await bcrypt.compare(String(currentPassword || ''), user.password_hash);
+    if (!match) throw new Error('Current password is incorrect');
+    validatePassword(newPassword);
+
+    const before = snapshot(user);
+    user.password_hash = await hashPassword(newPassword);
+    user.reset_token_hash = null;
+    user.reset_expires_at = null;
+    recordAudit(data, { householdId: user.household_id, actor: user.username, entity: 'user', action: 'password_changed', before, after: user });
+    return true;
+  });
+}
+
+// A member's language for the app and the messages sent to them; null follows the browser
+async function updateUserLanguage(userId, language) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId));
+    if (!user) throw new Error('User not found');
+
+    user.language = language === null ? null : normalizeLanguage(language);
+    return toPublicUser(user);
+  });
+}
+
+async function createPasswordReset(householdId, userId, actor) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId) && u.household_id === householdId);
+    if (!user) return null;
+
+    const before = snapshot(user);
+    const token = crypto.randomBytes(16).toString('hex');
+    user.reset_token_hash = hashToken(token);
+    user.reset_expires_at = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+    recordAudit(data, { householdId, actor, entity: 'user', action: 'password_reset_issued', before, after: user });
+    return { token, expires_at: user.reset_expires_at };
+  });
+}
 
-  return { id: user.id, username: user.username };
+async function resetPasswordWithToken(token, newPassword) {
+  return transaction(async data => {
+    const tokenHash = hashToken(token);
+    const user = data.users.find(u => u.reset_token_hash && u.reset_token_hash === tokenHash);
+    if (!user || new Date(user.reset_expires_at) < new Date()) {
+      throw new Error('Reset code is invalid or has expired');
+    }
+    validatePassword(newPassword);
+
+    const before = snapshot(user);
+    user.password_hash = await hashPassword(newPassword);
+    user.password_reset_required = false;
+    user.reset_token_hash = null;
+    user.reset_expires_at = null;
+    recordAudit(data, { householdId: user.household_id, actor: user.username, entity: 'user', action: 'password_reset', before, after: user });
+    return toPublicUser(user);
+  });
 }
 
-async function getCurrentMonthTasks() {
-  const now = new Date();
-  const month = now.getMonth() + 1;
-  const year = now.getFullYear();
+async function getUserById(userId) {
   const data = readDB();
-  return data.tasks.filter(t => t.month === month && t.year === year);
+  const user = data.users.find(u => u.id === parseInt(userId));
+  return user ? toPublicUser(user) : null;
 }
 
-async function createMonthlyTasks(month, year, assignments) {
+// ============================================
+// CALENDAR FEED
+// Each member can have a secret token for subscribing to their chores as an .ics feed.
+// The token is the only credential, so regenerating it cuts off the old URL.
+// ============================================
+
+async function getCalendarToken(userId) {
   const data = readDB();
-  const newTasks = Object.entries(assignments).map(([name, roommate], index) => ({
-    id: Date.now() + index,
-    name,
-    assigned_to: roommate,
-    month,
-    year,
-    status: 'pending',
-    completed_at: null
+  const user = data.users.find(u => u.id === parseInt(userId));
+  return (user && user.calendar_token) || null;
+}
+
+async function regenerateCalendarToken(userId) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId));
+    if (!user) throw new Error('User not found');
+
+    const before = snapshot(user);
+    user.calendar_token = crypto.randomBytes(24).toString('hex');
+    recordAudit(data, {
+      householdId: user.household_id,
+      actor: user.username,
+      entity: 'user',
+      action: 'calendar_token_regenerated',
+      before,
+      after: user
+    });
+    return user.calendar_token;
+  });
+}
+
+async function getCalendarFeed(token) {
+  if (!token) return null;
+  const data = readDB();
+  const user = data.users.find(u => u.calendar_token && u.calendar_token === token && u.active !== false);
+  if (!user) return null;
+
+  const household = data.households.find(h => h.id === user.household_id);
+  const since = addMonths(localDate(new Date(), householdTimeZone(household)), -CALENDAR_LOOKBACK_MONTHS);
+  return {
+    username: user.username,
+    householdName: household ? household.name : '',
+    tasks: data.tasks
+      .filter(t =>
+        t.household_id === user.household_id &&
+        t.assigned_to === user.username &&
+        t.due_date >= since
+      )
+      .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id)
+  };
+}
+
+// ============================================
+// HOUSEHOLDS
+// ============================================
+
+async function getHouseholds() {
+  const data = readDB();
+  return data.households;
+}
+
+async function getHousehold(householdId) {
+  const data = readDB();
+  return data.households.find(h => h.id === householdId) || null;
+}
+
+function householdTimeZone(household) {
+  return (household && household.timezone) || DEFAULT_TIMEZONE;
+}
+
+// Today's date on the household's clock
+function householdToday(data, householdId, now = new Date()) {
+  return localDate(now, householdTimeZone(data.households.find(h => h.id === householdId)));
+}
+
+async function getHouseholdToday(householdId, now = new Date()) {
+  return householdToday(readDB(), householdId, now);
+}
+
+// Every household's wall clock at `now`, for jobs that run at local times
+async function getHouseholdClocks(now = new Date()) {
+  const data = readDB();
+  return data.households.map(h => ({
+    household_id: h.id,
+    timezone: householdTimeZone(h),
+    ...localTime(now, householdTimeZone(h))
   }));
+}
+
+// Moves a user out of their current household, refusing to strand it without an admin
+function detachFromHousehold(data, user) {
+  const remaining = data.users.filter(u =>
+    u.id !== user.id &&
+    u.household_id === user.household_id &&
+    u.active !== false
+  );
+  if (user.role === 'admin' && remaining.length > 0 && !remaining.some(u => u.role === 'admin')) {
+    throw new Error('Make another member admin before leaving your household');
+  }
+}
+
+async function createHousehold(userId, name, timezone) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId));
+    if (!user) throw new Error('User not found');
+
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > 50) throw new Error('Household name must be 1-50 characters');
+
+    detachFromHousehold(data, user);
+    const before = snapshot(user);
+    const household = insertHousehold(data, trimmed, timezone);
+    user.household_id = household.id;
+    user.role = 'admin';
+
+    recordAudit(data, { householdId: before.household_id, actor: user.username, entity: 'user', action: 'left', before, after: user });
+    recordAudit(data, { householdId: household.id, actor: user.username, entity: 'household', action: 'created', after: household });
+    return household;
+  });
+}
+
+async function joinHousehold(userId, inviteCode) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId));
+    if (!user) throw new Error('User not found');
+
+    const code = String(inviteCode || '').trim().toUpperCase();
+    const household = data.households.find(h => h.invite_code === code);
+    if (!household) throw new Error('Invalid invite code');
+    if (household.id === user.household_id) throw new Error('Already a member of this household');
+
+    detachFromHousehold(data, user);
+    const before = snapshot(user);
+    const pending = Boolean(household.requires_approval);
+    user.household_id = household.id;
+    user.role = 'member';
+    user.active = !pending;
+    user.pending_approval = pending;
+
+    recordAudit(data, { householdId: before.household_id, actor: user.username, entity: 'user', action: 'left', before, after: user });
+    recordAudit(data, { householdId: household.id, actor: user.username, entity: 'user', action: 'joined', before, after: user });
+    return household;
+  });
+}
+
+// Settings an admin can change, and that a `replace` restore brings back from a snapshot
+const HOUSEHOLD_SETTINGS = [
+  'name',
+  'requires_approval',
+  'verification_window_hours',
+  'reminder_rules',
+  'currency',
+  'rollover',
+  'timezone'
+];
+
+// Validates and applies the settings present in `changes`; throws before changing
+// anything if one is invalid
+function applyHouseholdSettings(household, changes) {
+  const next = { ...household };
+  if (changes.name !== undefined) {
+    const trimmed = String(changes.name || '').trim();
+    if (!trimmed || trimmed.length > 50) throw new Error('Household name must be 1-50 characters');
+    next.name = trimmed;
+  }
+  if (changes.requires_approval !== undefined) {
+    next.requires_approval = Boolean(changes.requires_approval);
+  }
+  if (changes.verification_window_hours !== undefined) {
+    const hours = Number(changes.verification_window_hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_VERIFICATION_HOURS) {
+      throw new Error(`Verification window must be 1-${MAX_VERIFICATION_HOURS} hours`);
+    }
+    next.verification_window_hours = hours;
+  }
+  if (changes.reminder_rules !== undefined) {
+    next.reminder_rules = normalizeReminderRules(changes.reminder_rules);
+  }
+  if (changes.currency !== undefined) {
+    const currency = String(changes.currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) throw new Error('Currency must be a three-letter code such as INR');
+    next.currency = currency;
+  }
+  if (changes.rollover !== undefined) {
+    next.rollover = normalizeRollover(changes.rollover);
+  }
+  if (changes.timezone !== undefined) {
+    next.timezone = normalizeTimeZone(changes.timezone);
+  }
+  Object.assign(household, next);
+}
+
+async function updateHousehold(householdId, changes, actor) {
+  return transaction(data => {
+    const household = data.households.find(h => h.id === householdId);
+    if (!household) return null;
+
+    const before = snapshot(household);
+    applyHouseholdSettings(household, changes);
+    recordAudit(data, { householdId, actor, entity: 'household', action: 'updated', before, after: household });
+    return household;
+  });
+}
+
+async function regenerateInviteCode(householdId, actor) {
+  return transaction(data => {
+    const household = data.households.find(h => h.id === householdId);
+    if (!household) return null;
 
-  data.tasks.push(...newTasks);
-  writeDB(data);
-  return newTasks;
+    const before = snapshot(household);
+    household.invite_code = generateInviteCode(data);
+    recordAudit(data, { householdId, actor, entity: 'household', action: 'invite_code_regenerated', before, after: household });
+    return household;
+  });
 }
 
-async function completeTask(taskId) {
+// ============================================
+// HOUSEHOLD MEMBERS
+// ============================================
+
+async function getMembers(householdId, includeInactive = false) {
   const data = readDB();
-  const task = data.tasks.find(t => t.id === parseInt(taskId));
-  if (task) {
-    task.status = 'completed';
-    task.completed_at = new Date().toISOString();
-    writeDB(data);
-    return true;
+  return data.users
+    .filter(u => u.household_id === householdId)
+    .filter(u => includeInactive || u.active !== false)
+    .map(toPublicUser);
+}
+
+async function addMember(householdId, username, password, role = 'member', actor = null) {
+  return transaction(async data => {
+    const name = normalizeUsername(username);
+    validatePassword(password);
+    if (!ROLES.includes(role)) throw new Error('Invalid role');
+    // Usernames stay reserved after removal so old tasks keep pointing at the right person
+    if (data.users.some(u => u.username === name)) throw new Error('Username already taken');
+
+    const user = {
+      id: nextId(data.users),
+      username: name,
+      password_hash: await hashPassword(password),
+      role,
+      active: true,
+      household_id: householdId
+    };
+
+    data.users.push(user);
+    recordAudit(data, { householdId, actor, entity: 'user', action: 'added', after: user });
+    return toPublicUser(user);
+  });
+}
+
+async function updateMember(householdId, userId, changes, actor) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId) && u.household_id === householdId);
+    if (!user) return null;
+
+    const before = snapshot(user);
+    if (changes.role !== undefined) {
+      if (!ROLES.includes(changes.role)) throw new Error('Invalid role');
+      user.role = changes.role;
+    }
+    // Activating a pending signup approves it; deactivating one rejects it
+    if (changes.active !== undefined) {
+      user.active = Boolean(changes.active);
+      user.pending_approval = false;
+      user.removed_at = user.active ? null : new Date().toISOString();
+    }
+
+    if (!data.users.some(u => u.household_id === householdId && u.role === 'admin' && u.active !== false)) {
+      throw new Error('Household needs at least one active admin');
+    }
+
+    recordAudit(data, { householdId, actor, entity: 'user', action: user.active ? 'updated' : 'removed', before, after: user });
+    return toPublicUser(user);
+  });
+}
+
+// Members are deactivated rather than deleted: their tasks and monthly reports
+// reference them by username/id and must stay intact.
+async function removeMember(householdId, userId, actor) {
+  return updateMember(householdId, userId, { active: false }, actor);
+}
+
+// ============================================
+// CHORE DEFINITIONS
+// ============================================
+
+async function getChores(householdId, includeInactive = false) {
+  const data = readDB();
+  return data.chores.filter(c =>
+    c.household_id === householdId &&
+    (includeInactive || c.active !== false)
+  );
+}
+
+function validateChoreName(data, householdId, name, exceptId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed.length > 50) throw new Error('Chore name must be 1-50 characters');
+  const clash = data.chores.find(c =>
+    c.household_id === householdId &&
+    c.id !== exceptId &&
+    c.active !== false &&
+    c.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (clash) throw new Error('A chore with that name already exists');
+  return trimmed;
+}
+
+function validateEffort(effort) {
+  const value = Number(effort);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_EFFORT) {
+    throw new Error(`Effort must be a whole number from 1 to ${MAX_EFFORT}`);
+  }
+  return value;
+}
+
+// Supplies a chore uses up, e.g. dish soap for kitchen cleaning; members can flag them
+// as running low from the chore's tasks
+function normalizeConsumables(consumables) {
+  if (!Array.isArray(consumables) || consumables.length > MAX_CONSUMABLES) {
+    throw new Error(`Consumables must be a list of at most ${MAX_CONSUMABLES} items`);
+  }
+  const seen = new Set();
+  const names = [];
+  for (const item of consumables) {
+    const name = String(item || '').trim();
+    if (!name || name.length > 50) throw new Error('Consumable names must be 1-50 characters');
+    if (seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    names.push(name);
+  }
+  return names;
+}
+
+// Names for the chore in languages other than English, e.g. { hi: 'रसोई की सफ़ाई' }; a
+// blank name drops that language
+function normalizeTranslations(translations) {
+  const languages = LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE);
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations) ||
+      Object.keys(translations).some(language => !languages.includes(language))) {
+    throw new Error('Translations must map a language to a chore name');
+  }
+  const names = {};
+  for (const [language, value] of Object.entries(translations)) {
+    const name = String(value || '').trim();
+    if (name.length > 50) throw new Error('Translated chore names must be 1-50 characters');
+    if (name) names[language] = name;
+  }
+  return names;
+}
+
+async function addChore(householdId, name, effort, recurrence, consumables, translations, actor) {
+  return transaction(data => {
+    const choreName = validateChoreName(data, householdId, name);
+    const chore = {
+      id: nextId(data.chores),
+      household_id: householdId,
+      name: choreName,
+      translations: translations === undefined ? {} : normalizeTranslations(translations),
+      effort: effort === undefined ? defaultEffort(choreName) : validateEffort(effort),
+      recurrence: normalizeRecurrence(recurrence),
+      consumables: consumables === undefined ? [] : normalizeConsumables(consumables),
+      active: true
+    };
+    data.chores.push(chore);
+    recordAudit(data, { householdId, actor, entity: 'chore', action: 'added', after: chore });
+    return chore;
+  });
+}
+
+// Renaming only affects future tasks; existing tasks keep the name (and translations) they
+// were created with.
+async function updateChore(householdId, choreId, changes, actor) {
+  return transaction(data => {
+    const chore = data.chores.find(c => c.id === parseInt(choreId) && c.household_id === householdId);
+    if (!chore) return null;
+
+    const before = snapshot(chore);
+    if (changes.active !== undefined) chore.active = Boolean(changes.active);
+    if (changes.name !== undefined) chore.name = validateChoreName(data, householdId, changes.name, chore.id);
+    if (changes.effort !== undefined) chore.effort = validateEffort(changes.effort);
+    if (changes.recurrence !== undefined) chore.recurrence = normalizeRecurrence(changes.recurrence);
+    if (changes.consumables !== undefined) chore.consumables = normalizeConsumables(changes.consumables);
+    if (changes.translations !== undefined) chore.translations = normalizeTranslations(changes.translations);
+
+    recordAudit(data, { householdId, actor, entity: 'chore', action: chore.active ? 'updated' : 'removed', before, after: chore });
+    return chore;
+  });
+}
+
+async function removeChore(householdId, choreId, actor) {
+  return updateChore(householdId, choreId, { active: false }, actor);
+}
+
+async function getRotationConfig(householdId) {
+  const data = readDB();
+  const allChores = data.chores.filter(c => c.household_id === householdId);
+  return {
+    members: data.users
+      .filter(u => u.household_id === householdId && u.active !== false)
+      .sort((a, b) => a.id - b.id)
+      .map(u => u.username),
+    chores: allChores.filter(c => c.active !== false),
+    allChores,
+    tasks: data.tasks.filter(t => t.household_id === householdId),
+    away: data.away_periods.filter(p => p.household_id === householdId)
+  };
+}
+
+// Task instances whose period contains `date` (default the household's today), plus
+// unfinished tasks carried over into its month
+async function getCurrentTasks(householdId, date = null) {
+  const data = readDB();
+  date = date || householdToday(data, householdId);
+  return data.tasks
+    .filter(t =>
+      t.household_id === householdId &&
+      ((t.period_start <= date && t.period_end >= date) || isCarriedInto(t, date))
+    )
+    .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id);
+}
+
+// `instances` come from the rotation engine: recurrence fields plus `assigned_to` and `reason`.
+// Instances another request created in the meantime are skipped.
+async function createTaskInstances(householdId, instances) {
+  return transaction(data => {
+    const firstId = nextId(data.tasks);
+    const missing = instances.filter(instance => !data.tasks.some(t =>
+      t.household_id === householdId &&
+      t.chore_id === instance.chore_id &&
+      t.period_start === instance.period_start &&
+      t.slot === instance.slot
+    ));
+    const newTasks = missing.map((instance, index) => {
+      const [year, month] = instance.due_date.split('-').map(Number);
+      return {
+        id: firstId + index,
+        household_id: householdId,
+        chore_id: instance.chore_id,
+        name: instance.name,
+        translations: instance.translations || {},
+        effort: instance.effort,
+        assigned_to: instance.assigned_to,
+        assignment_reason: instance.reason,
+        period_start: instance.period_start,
+        period_end: instance.period_end,
+        due_date: instance.due_date,
+        slot: instance.slot,
+        month,
+        year,
+        status: 'pending',
+        completed_at: null
+      };
+    });
+
+    data.tasks.push(...newTasks);
+    for (const task of newTasks) {
+      recordAudit(data, { householdId, actor: null, entity: 'task', action: 'created', after: task, reason: task.assignment_reason });
+    }
+    return newTasks;
+  });
+}
+
+// ============================================
+// COMPLETION & VERIFICATION
+// A completed task waits for another member to confirm or dispute it. Every step is
+// kept on the task's `thread` so a dispute and its back-and-forth stay visible.
+// ============================================
+
+function verificationWindowHours(household) {
+  return (household && household.verification_window_hours) || DEFAULT_VERIFICATION_HOURS;
+}
+
+function markVerified(task, username, action, reason = null) {
+  const now = new Date().toISOString();
+  task.status = 'completed';
+  task.verified_by = username;
+  task.verified_at = now;
+  task.thread = [...(task.thread || []), { username, action, reason, at: now }];
+}
+
+// Only the assignee completes a task; an admin can complete someone else's by passing
+// `override`, which is recorded in the audit log.
+async function completeTask(householdId, taskId, user, photos = [], { override = false } = {}) {
+  return transaction(data => {
+    const task = data.tasks.find(t => t.id === parseInt(taskId) && t.household_id === householdId);
+    if (!task) return null;
+
+    const overriding = task.assigned_to !== user.username;
+    if (overriding && user.role !== 'admin') {
+      throw new PermissionError(`Only ${task.assigned_to} can complete this task`);
+    }
+    if (overriding && !override) {
+      throw new PermissionError(`This is ${task.assigned_to}'s task; confirm the admin override to complete it`);
+    }
+    if (task.status === 'missed') throw new Error('This task was missed at the end of its month');
+    if (task.status !== 'pending') throw new Error('This task has already been marked done');
+
+    const before = snapshot(task);
+    markCompleted(data, task, user, new Date().toISOString(), { photos });
+    recordAudit(data, {
+      householdId,
+      actor: user.username,
+      entity: 'task',
+      action: 'completed',
+      before,
+      after: task,
+      reason: overriding ? 'Admin override' : null
+    });
+    return task;
+  });
+}
+
+// `entry` adds fields to the completion's thread entry
+function markCompleted(data, task, user, at, { photos = [], entry = {} } = {}) {
+  task.status = 'awaiting_verification';
+  task.completed_at = at;
+  task.completed_by = user.username;
+  task.photos = [...(task.photos || []), ...photos];
+  task.thread = [...(task.thread || []), { username: user.username, action: 'completed', reason: null, at, ...entry }];
+
+  // With nobody else in the household there is no one to ask
+  const verifiers = data.users.filter(u =>
+    u.household_id === task.household_id &&
+    u.active !== false &&
+    !u.pending_approval &&
+    u.username !== user.username &&
+    u.username !== task.assigned_to
+  );
+  if (verifiers.length === 0) markVerified(task, null, 'auto_confirmed', 'No other member to verify');
+}
+
+function findAwaitingTask(data, householdId, taskId, username) {
+  const task = data.tasks.find(t => t.id === parseInt(taskId) && t.household_id === householdId);
+  if (!task) return null;
+  if (task.status !== 'awaiting_verification') throw new Error('This task is not awaiting verification');
+  if (username === task.assigned_to || username === task.completed_by) {
+    throw new PermissionError('Someone else has to verify your own chore');
   }
-  return false;
+  return task;
+}
+
+async function confirmTask(householdId, taskId, username) {
+  return transaction(data => {
+    const task = findAwaitingTask(data, householdId, taskId, username);
+    if (!task) return null;
+
+    const before = snapshot(task);
+    markVerified(task, username, 'confirmed');
+    recordAudit(data, { householdId, actor: username, entity: 'task', action: 'confirmed', before, after: task });
+    return task;
+  });
+}
+
+function markPending(task, username, action, reason) {
+  task.status = 'pending';
+  task.completed_at = null;
+  task.completed_by = null;
+  task.synced_at = null;
+  task.verified_by = null;
+  task.verified_at = null;
+  task.thread = [...(task.thread || []), { username, action, reason, at: new Date().toISOString() }];
+}
+
+// A disputed task goes back to pending for the assignee to redo
+async function disputeTask(householdId, taskId, username, reason) {
+  const trimmed = String(reason || '').trim();
+  if (!trimmed || trimmed.length > 500) throw new Error('Give a reason for the dispute (up to 500 characters)');
+
+  return transaction(data => {
+    const task = findAwaitingTask(data, householdId, taskId, username);
+    if (!task) return null;
+
+    const before = snapshot(task);
+    markPending(task, username, 'disputed', trimmed);
+    recordAudit(data, { householdId, actor: username, entity: 'task', action: 'disputed', before, after: task, reason: trimmed });
+    return task;
+  });
+}
+
+// Undoes a completion made by mistake. The assignee or whoever marked it done can reopen
+// it; admins can reopen any task.
+async function reopenTask(householdId, taskId, user) {
+  return transaction(data => {
+    const task = data.tasks.find(t => t.id === parseInt(taskId) && t.household_id === householdId);
+    if (!task) return null;
+    if (task.status === 'pending') throw new Error('This task is not done yet');
+    if (task.status === 'missed') throw new Error('A missed task can\'t be reopened');
+
+    const involved = [task.assigned_to, task.completed_by].includes(user.username);
+    if (!involved && user.role !== 'admin') {
+      throw new PermissionError('Only the assignee or an admin can reopen this task');
+    }
+
+    const before = snapshot(task);
+    markPending(task, user.username, 'reopened', null);
+    recordAudit(data, { householdId, actor: user.username, entity: 'task', action: 'reopened', before, after: task });
+    return task;
+  });
+}
+
+// Confirms every completion whose household's verification window has run out
+async function autoConfirmTasks(now = new Date()) {
+  return transaction(data => {
+    const confirmed = [];
+    for (const task of data.tasks) {
+      if (task.status !== 'awaiting_verification') continue;
+      const household = data.households.find(h => h.id === task.household_id);
+      // Offline completions get a full window from when they reached the server
+      const deadline = new Date(task.synced_at || task.completed_at).getTime() + verificationWindowHours(household) * 60 * 60 * 1000;
+      if (deadline <= now.getTime()) {
+        const before = snapshot(task);
+        markVerified(task, null, 'auto_confirmed', 'Nobody disputed it in time');
+        recordAudit(data, { householdId: task.household_id, actor: null, entity: 'task', action: 'auto_confirmed', before, after: task });
+        confirmed.push(task);
+      }
+    }
+
+    return confirmed;
+  });
+}
+
+async function getTaskPhoto(householdId, taskId, photoId) {
+  const data = readDB();
+  const task = data.tasks.find(t => t.id === parseInt(taskId) && t.household_id === householdId);
+  return (task && (task.photos || []).find(p => p.id === photoId)) || null;
 }
 
-async function getAllUsersStatus() {
+async function getAllUsersStatus(householdId) {
   const data = readDB();
-  const now = new Date();
-  const month = now.getMonth() + 1;
-  const year = now.getFullYear();
+  const today = householdToday(data, householdId);
+  const currentTasks = await getCurrentTasks(householdId, today);
 
-  return data.users.map(user => {
-    const userTasks = data.tasks.filter(t =>
-      t.assigned_to === user.username &&
-      t.month === month &&
-      t.year === year
+  return householdUsers(data, householdId, currentTasks).map(user => {
+    const userTasks = currentTasks.filter(t => t.assigned_to === user.username);
+    const away = data.away_periods.find(p =>
+      p.household_id === householdId &&
+      p.username === user.username &&
+      p.start_date <= today &&
+      p.end_date >= today
     );
     return {
       username: user.username,
+      away_until: away ? away.end_date : null,
       pendingTasks: userTasks.filter(t => t.status === 'pending').length,
-      completedTasks: userTasks.filter(t => t.status === 'completed').length
+      awaitingTasks: userTasks.filter(t => t.status === 'awaiting_verification').length,
+      completedTasks: userTasks.filter(t => t.status === 'completed').length,
+      overdueTasks: userTasks.filter(t => t.status === 'pending' && t.due_date < today).length,
+      tasks: userTasks.map(t => ({
+        id: t.id,
+        name: t.name,
+        translations: t.translations || {},
+        status: t.status,
+        due_date: t.due_date,
+        completed_at: t.completed_at
+      }))
     };
   });
 }
 
-async function getTaskHistory(limit = 10) {
+// Recent Activity: what happened to the household's tasks, newest first, read from the
+// audit log. Scheduled task creation is left out as noise.
+async function getRecentActivity(householdId, limit = 10) {
   const data = readDB();
-  return data.tasks
-    .filter(t => t.status === 'completed')
-    .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at))
-    .slice(0, limit);
+  return data.audit_log
+    .filter(e => e.household_id === householdId && e.entity === 'task' && e.action !== 'created')
+    .slice(-limit)
+    .reverse()
+    .map(e => ({
+      id: e.id,
+      username: e.actor || 'system',
+      action: e.action.replace('_', '-'),
+      reason: e.reason,
+      task_id: e.entity_id,
+      task_name: e.after.name,
+      task_translations: e.after.translations || {},
+      due_date: e.after.due_date,
+      photos: e.action === 'completed' ? e.after.photos || [] : [],
+      timestamp: e.at
+    }));
 }
 
-async function generateAllMonthlyReports(month, year) {
+async function getAuditLog(householdId, { entity, entityId, limit = 100 } = {}) {
   const data = readDB();
-  const reports = data.users.map(user => {
-    const userTasks = data.tasks.filter(t =>
-      t.assigned_to === user.username &&
-      t.month === month &&
-      t.year === year
-    );
+  return data.audit_log
+    .filter(e =>
+      e.household_id === householdId &&
+      (!entity || e.entity === entity) &&
+      (!entityId || e.entity_id === parseInt(entityId))
+    )
+    .slice(-limit)
+    .reverse();
+}
 
-    const assignedCount = userTasks.length;
-    const completedCount = userTasks.filter(t => t.status === 'completed').length;
-    const completionRate = assignedCount > 0 ? (completedCount / assignedCount) * 100 : 100;
+// ============================================
+// OFFLINE SYNC
+// Completions made while the app had no connection arrive later in a batch. Each one
+// carries an id the app made up, so a batch sent twice applies once, the time it was
+// done, and who the task was assigned to when it was: a task reassigned, finished by
+// someone else or closed as missed in the meantime comes back as a conflict instead.
+// ============================================
 
-    const report = {
-      id: Date.now() + Math.random(),
-      user_id: user.id,
-      username: user.username,
-      month,
-      year,
-      assigned_tasks: assignedCount,
-      completed_tasks: completedCount,
-      completion_percentage: completionRate,
-      report_data: JSON.stringify({ tasks: userTasks }),
-      created_at: new Date().toISOString()
-    };
+const MAX_SYNC_BATCH = 50;
 
-    data.monthly_reports.push(report);
-    return report;
-  });
+function syncCompletion(data, householdId, user, item, now) {
+  const id = String((item && item.id) || '').slice(0, 64);
+  const task = data.tasks.find(t => t.id === parseInt(item && item.task_id) && t.household_id === householdId);
+  const result = (status, reason = null) => ({ id, task_id: task ? task.id : null, status, reason, task: task || null });
+
+  if (!id) return result('conflict', 'The completion has no id');
+  if (!task) return result('conflict', 'This task no longer exists');
+  if ((task.thread || []).some(entry => entry.sync_id === id)) return result('duplicate');
+  if (item.assigned_to && task.assigned_to !== item.assigned_to) {
+    return result('conflict', `It was reassigned to ${task.assigned_to} while you were offline`);
+  }
+  if (task.assigned_to !== user.username) return result('conflict', `Only ${task.assigned_to} can complete this task`);
+  if (task.status === 'missed') return result('conflict', 'It was closed as missed at the end of its month');
+  if (task.status !== 'pending') {
+    return result('conflict', `${task.completed_by || 'Someone'} already marked it done`);
+  }
 
-  writeDB(data);
-  return reports;
+  // The device's clock decides when it was done, as long as that isn't in the future
+  const doneAt = new Date(item.completed_at);
+  const at = Number.isNaN(doneAt.getTime()) || doneAt.toISOString() > now ? now : doneAt.toISOString();
+  const before = snapshot(task);
+  markCompleted(data, task, user, at, { entry: { sync_id: id } });
+  task.synced_at = now;
+  recordAudit(data, { householdId, actor: user.username, entity: 'task', action: 'completed', before, after: task, reason: 'Completed offline' });
+  return result('applied');
 }
 
-async function getMonthlyReport(userId, month, year) {
-  const data = readDB();
-  return data.monthly_reports.find(r =>
-    r.user_id === parseInt(userId) &&
-    r.month === month &&
-    r.year === year
+/**
+ * Applies completions queued offline, in order.
+ * @param {Object[]} completions { id, task_id, assigned_to, completed_at }
+ * @returns {Promise<Object[]>} one { id, task_id, status, reason, task } per completion, where
+ *   status is applied, duplicate (already applied) or conflict
+ */
+async function syncCompletions(householdId, user, completions) {
+  if (!Array.isArray(completions) || completions.length === 0 || completions.length > MAX_SYNC_BATCH) {
+    throw new Error(`Send 1-${MAX_SYNC_BATCH} completions to sync`);
+  }
+
+  return transaction(data => {
+    const now = new Date().toISOString();
+    return completions.map(item => syncCompletion(data, householdId, user, item, now));
+  });
+}
+
+// ============================================
+// CHORE SWAPS
+// ============================================
+
+function findOpenTask(data, householdId, taskId) {
+  return data.tasks.find(t =>
+    t.id === parseInt(taskId) &&
+    t.household_id === householdId &&
+    t.status === 'pending'
   );
 }
 
-async function getUserMonthlyReports(userId, limit = 12) {
+// Swaps involving `username`, newest first; pending ones are what needs a response
+async function getSwaps(householdId, username) {
   const data = readDB();
-  return data.monthly_reports
-    .filter(r => r.user_id === parseInt(userId))
-    .sort((a, b) => b.year - a.year || b.month - a.month)
-    .slice(0, limit);
+  return data.swaps
+    .filter(s => s.household_id === householdId && (s.from_user === username || s.to_user === username))
+    .sort((a, b) => b.id - a.id);
 }
 
-async function getAllMonthlyReports(month, year) {
-  const data = readDB();
-  return data.monthly_reports.filter(r => r.month === month && r.year === year);
+// Without `counterTaskId` the task is simply handed over to `toUser`
+async function proposeSwap(householdId, fromUser, { taskId, toUser, counterTaskId, note }) {
+  return transaction(data => {
+    const task = findOpenTask(data, householdId, taskId);
+    if (!task || task.assigned_to !== fromUser) throw new Error('You can only swap your own pending tasks');
+
+    const recipient = data.users.find(u =>
+      u.username === String(toUser || '').toLowerCase() &&
+      u.household_id === householdId &&
+      u.active !== false
+    );
+    if (!recipient || recipient.username === fromUser) throw new Error('Choose another member of your household');
+
+    let counterTask = null;
+    if (counterTaskId) {
+      counterTask = findOpenTask(data, householdId, counterTaskId);
+      if (!counterTask || counterTask.assigned_to !== recipient.username) {
+        throw new Error(`That task is not one of ${recipient.username}'s pending tasks`);
+      }
+    }
+
+    const duplicate = data.swaps.find(s => s.status === 'pending' && s.task_id === task.id);
+    if (duplicate) throw new Error('This task already has a pending swap request');
+
+    const swap = {
+      id: nextId(data.swaps),
+      household_id: householdId,
+      task_id: task.id,
+      task_name: task.name,
+      task_translations: task.translations || {},
+      counter_task_id: counterTask ? counterTask.id : null,
+      counter_task_name: counterTask ? counterTask.name : null,
+      counter_task_translations: counterTask ? counterTask.translations || {} : null,
+      from_user: fromUser,
+      to_user: recipient.username,
+      note: String(note || '').trim().slice(0, 200),
+      status: 'pending',
+      created_at: new Date().toISOString(),
+      responded_at: null
+    };
+
+    data.swaps.push(swap);
+    recordAudit(data, { householdId, actor: fromUser, entity: 'swap', action: 'proposed', after: swap });
+    return swap;
+  });
+}
+
+function reassign(data, task, toUser, swap) {
+  const before = snapshot(task);
+  task.reassignments = task.reassignments || [];
+  task.reassignments.push({ from: task.assigned_to, to: toUser, swap_id: swap.id, at: swap.responded_at });
+  task.assigned_to = toUser;
+  recordAudit(data, {
+    householdId: task.household_id,
+    actor: swap.to_user,
+    entity: 'task',
+    action: 'reassigned',
+    before,
+    after: task,
+    reason: `Swap with ${swap.from_user}`
+  });
+}
+
+// Only the recipient can accept or decline. Ownership is re-checked on acceptance in case
+// a task was completed or reassigned while the request was open.
+async function respondToSwap(householdId, swapId, username, accept) {
+  const swap = await transaction(data => {
+    const swap = data.swaps.find(s => s.id === parseInt(swapId) && s.household_id === householdId);
+    if (!swap || swap.to_user !== username) return null;
+    if (swap.status !== 'pending') throw new Error(`This swap was already ${swap.status}`);
+
+    const before = snapshot(swap);
+    swap.responded_at = new Date().toISOString();
+    if (!accept) {
+      swap.status = 'declined';
+      recordAudit(data, { householdId, actor: username, entity: 'swap', action: 'declined', before, after: swap });
+      return swap;
+    }
+
+    const task = findOpenTask(data, householdId, swap.task_id);
+    const counterTask = swap.counter_task_id ? findOpenTask(data, householdId, swap.counter_task_id) : null;
+    if (!task || task.assigned_to !== swap.from_user ||
+      (swap.counter_task_id && (!counterTask || counterTask.assigned_to !== swap.to_user))) {
+      // Saved as expired, then reported below
+      swap.status = 'expired';
+      recordAudit(data, { householdId, actor: username, entity: 'swap', action: 'expired', before, after: swap });
+      return swap;
+    }
+
+    swap.status = 'accepted';
+    recordAudit(data, { householdId, actor: username, entity: 'swap', action: 'accepted', before, after: swap });
+    reassign(data, task, swap.to_user, swap);
+    if (counterTask) reassign(data, counterTask, swap.from_user, swap);
+
+    return swap;
+  });
+
+  if (swap && swap.status === 'expired') {
+    throw new Error('The tasks in this swap have changed since it was proposed');
+  }
+  return swap;
+}
+
+async function cancelSwap(householdId, swapId, username) {
+  return transaction(data => {
+    const swap = data.swaps.find(s => s.id === parseInt(swapId) && s.household_id === householdId);
+    if (!swap || swap.from_user !== username) return null;
+    if (swap.status !== 'pending') throw new Error(`This swap was already ${swap.status}`);
+
+    const before = snapshot(swap);
+    swap.status = 'cancelled';
+    swap.responded_at = new Date().toISOString();
+    recordAudit(data, { householdId, actor: username, entity: 'swap', action: 'cancelled', before, after: swap });
+    return swap;
+  });
+}
+
+// ============================================
+// AWAY PERIODS
+// ============================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+async function getAwayPeriods(householdId) {
+  const data = readDB();
+  return data.away_periods
+    .filter(p => p.household_id === householdId)
+    .sort((a, b) => a.start_date.localeCompare(b.start_date));
+}
+
+async function addAwayPeriod(householdId, username, { start_date, end_date, note }, actor = username) {
+  return transaction(data => {
+    const member = data.users.find(u =>
+      u.username === String(username || '').toLowerCase() &&
+      u.household_id === householdId &&
+      u.active !== false
+    );
+    if (!member) throw new Error('Member not found');
+    if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '')) {
+      throw new Error('Start and end dates must be YYYY-MM-DD');
+    }
+    if (end_date < start_date) throw new Error('End date must not be before start date');
+    if (daysBetween(start_date, end_date) > 366) throw new Error('Away periods can be at most a year long');
+
+    const period = {
+      id: nextId(data.away_periods),
+      household_id: householdId,
+      username: member.username,
+      start_date,
+      end_date,
+      note: String(note || '').trim().slice(0, 200),
+      created_at: new Date().toISOString()
+    };
+
+    data.away_periods.push(period);
+    recordAudit(data, { householdId, actor, entity: 'away_period', action: 'added', after: period });
+    return period;
+  });
+}
+
+// Members remove their own periods; admins can remove anyone's
+async function removeAwayPeriod(householdId, periodId, user) {
+  return transaction(data => {
+    const index = data.away_periods.findIndex(p => p.id === parseInt(periodId) && p.household_id === householdId);
+    if (index === -1) return null;
+
+    const period = data.away_periods[index];
+    if (period.username !== user.username && user.role !== 'admin') {
+      throw new PermissionError('You can only remove your own away periods');
+    }
+
+    data.away_periods.splice(index, 1);
+    recordAudit(data, { householdId, actor: user.username, entity: 'away_period', action: 'removed', before: period });
+    return period;
+  });
+}
+
+// Moves pending tasks to new owners, e.g. around someone's absence.
+// `changes` are { task_id, assigned_to, reason }; `actor` is whoever triggered the move.
+async function reassignTasks(householdId, changes, actor = null) {
+  return transaction(data => {
+    const at = new Date().toISOString();
+    const moved = [];
+    for (const change of changes) {
+      const task = findOpenTask(data, householdId, change.task_id);
+      if (!task || task.assigned_to === change.assigned_to) continue;
+
+      const before = snapshot(task);
+      task.reassignments = task.reassignments || [];
+      task.reassignments.push({ from: task.assigned_to, to: change.assigned_to, reason: change.reason, at });
+      task.assigned_to = change.assigned_to;
+      task.assignment_reason = change.reason;
+      recordAudit(data, { householdId, actor, entity: 'task', action: 'reassigned', before, after: task, reason: change.reason });
+      moved.push(task);
+    }
+
+    return moved;
+  });
+}
+
+// ============================================
+// MONTH ROLLOVER
+// When a month ends, tasks from it still pending are handled under the household's
+// `rollover` policy: `carry_over` keeps them on the dashboard as overdue through the next
+// month, `make_up` closes them as missed and assigns a make-up chore due within a week,
+// and `penalty` closes them as missed with `penalty_amount` recorded against the member.
+// `none` leaves them where they are.
+// ============================================
+
+function normalizeRollover(rollover) {
+  if (!rollover || !ROLLOVER_POLICIES.includes(rollover.policy)) {
+    throw new Error(`Rollover policy must be one of ${ROLLOVER_POLICIES.join(', ')}`);
+  }
+  const penaltyAmount = rollover.policy === 'penalty' ? rollover.penalty_amount : 0;
+  if (rollover.policy === 'penalty' && !validAmount(penaltyAmount)) {
+    throw new Error('Penalty amount must be a positive whole number of the smallest currency unit');
+  }
+  return { policy: rollover.policy, penalty_amount: penaltyAmount };
+}
+
+function householdRollover(household) {
+  return (household && household.rollover) || DEFAULT_ROLLOVER;
+}
+
+function rolledInto(task, month, year) {
+  return Boolean(task.rollover && task.rollover.month === month && task.rollover.year === year);
+}
+
+// A carried-over task shows among the current tasks all through the month it was carried into
+function isCarriedInto(task, date) {
+  const [year, month] = date.split('-').map(Number);
+  return rolledInto(task, month, year) && task.rollover.policy === 'carry_over';
+}
+
+// A make-up task's name in each language, built from the missed task's
+function makeUpTranslations(task) {
+  const translations = {};
+  for (const language of LANGUAGES.filter(l => l !== DEFAULT_LANGUAGE)) {
+    const name = (task.translations || {})[language] || task.name;
+    translations[language] = translate(`Make-up: ${name}`, language);
+  }
+  return translations;
+}
+
+function monthKey(month, year) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+// Every month from `from` through `through` ('YYYY-MM'), oldest first
+function monthsThrough(from, through) {
+  const months = [];
+  let [year, month] = from.split('-').map(Number);
+  while (monthKey(month, year) <= through) {
+    months.push({ month, year });
+    [year, month] = month === 12 ? [year + 1, 1] : [year, month + 1];
+  }
+  return months;
+}
+
+/**
+ * Applies the household's rollover policy to the unfinished tasks of every month that has
+ * ended since the last rollover (`household.rolled_over_through`), and to tasks carried
+ * into those months that are still unfinished. After downtime, several months are handled
+ * in one go and their tasks roll into the current month. Safe to run any number of times:
+ * a month is only handled once. Tasks excused by an away period are left alone.
+ * @returns {Promise<Object[]>} the tasks changed, with any make-up tasks created
+ */
+async function rollOverTasks(householdId, date = null) {
+  return transaction(data => {
+    const household = data.households.find(h => h.id === householdId);
+    if (!household) return [];
+    date = date || householdToday(data, householdId);
+    const { policy, penalty_amount } = householdRollover(household);
+
+    const [year, month] = date.split('-').map(Number);
+    const { start, end } = monthRange(month, year);
+    const previousMonth = month === 1 ? 12 : month - 1;
+    const previousYear = month === 1 ? year - 1 : year;
+    const through = monthKey(previousMonth, previousYear);
+    // Households that never rolled over start with last month
+    const months = household.rolled_over_through
+      ? monthsThrough(household.rolled_over_through, through).slice(1)
+      : [{ month: previousMonth, year: previousYear }];
+    if (months.length === 0) return [];
+    // Months pass under `none` too, so switching policies later never reaches back
+    household.rolled_over_through = through;
+    if (policy === 'none') return [];
+
+    const ended = months.map(m => monthRange(m.month, m.year));
+    const away = data.away_periods.filter(p => p.household_id === householdId);
+    const chores = data.chores.filter(c => c.household_id === householdId);
+
+    const missed = data.tasks.filter(t =>
+      t.household_id === householdId &&
+      t.status === 'pending' &&
+      !rolledInto(t, month, year) &&
+      (ended.some(range => t.due_date >= range.start && t.due_date <= range.end) ||
+        months.some(m => rolledInto(t, m.month, m.year))) &&
+      !isAway(away, t.assigned_to, t)
+    );
+
+    const now = new Date().toISOString();
+    const changed = [];
+    for (const task of missed) {
+      const before = snapshot(task);
+      task.rollover = {
+        policy,
+        month,
+        year,
+        times: ((task.rollover && task.rollover.times) || 0) + 1,
+        at: now
+      };
+
+      if (policy === 'penalty') {
+        task.status = 'missed';
+        task.rollover.penalty_amount = penalty_amount;
+        task.rollover.currency = householdCurrency(data, householdId);
+      }
+
+      if (policy === 'make_up') {
+        task.status = 'missed';
+        const dueDate = addDays(date, MAKE_UP_DAYS) < end ? addDays(date, MAKE_UP_DAYS) : end;
+        const makeUp = {
+          id: nextId(data.tasks),
+          household_id: householdId,
+          chore_id: null,
+          make_up_for: task.id,
+          missed_on: task.make_up_for ? task.missed_on : task.due_date,
+          name: task.make_up_for ? task.name : `Make-up: ${task.name}`,
+          translations: task.make_up_for ? task.translations : makeUpTranslations(task),
+          effort: taskEffort(task, chores),
+          assigned_to: task.assigned_to,
+          assignment_reason: `Make-up for ${task.name}, missed on ${task.due_date}`,
+          period_start: start,
+          period_end: end,
+          due_date: dueDate,
+          slot: 0,
+          month,
+          year,
+          status: 'pending',
+          completed_at: null
+        };
+        data.tasks.push(makeUp);
+        task.rollover.make_up_task_id = makeUp.id;
+        recordAudit(data, { householdId, actor: null, entity: 'task', action: 'created', after: makeUp, reason: makeUp.assignment_reason });
+        changed.push(makeUp);
+      }
+
+      recordAudit(data, {
+        householdId,
+        actor: null,
+        entity: 'task',
+        action: 'rolled_over',
+        before,
+        after: task,
+        reason: `Unfinished at the end of the month (${policy.replace('_', ' ')})`
+      });
+      changed.push(task);
+    }
+    return changed;
+  });
+}
+
+// ============================================
+// MONTHLY REPORTS
+// ============================================
+
+// Reports are generated for every household (or just `householdIds`); each report is
+// tagged with its household. A month's report covers every task instance due within that
+// month. Generating a month again replaces each member's report in place, so re-runs
+// never leave duplicates.
+async function generateAllMonthlyReports(month, year, householdIds = null) {
+  return transaction(data => {
+    const reports = [];
+    for (const household of data.households) {
+      if (householdIds && !householdIds.includes(household.id)) continue;
+      for (const report of buildHouseholdReports(data, household.id, month, year)) {
+        const existing = data.monthly_reports.find(r =>
+          r.household_id === household.id &&
+          r.user_id === report.user_id &&
+          r.month === month &&
+          r.year === year
+        );
+
+        if (existing) {
+          const before = snapshot(existing);
+          Object.assign(existing, report, { id: existing.id, created_at: existing.created_at, updated_at: report.created_at });
+          recordAudit(data, { householdId: household.id, actor: null, entity: 'monthly_report', action: 'regenerated', before, after: existing });
+          reports.push(existing);
+        } else {
+          report.id = nextId(data.monthly_reports);
+          data.monthly_reports.push(report);
+          recordAudit(data, { householdId: household.id, actor: null, entity: 'monthly_report', action: 'generated', after: report });
+          reports.push(report);
+        }
+      }
+    }
+    return reports;
+  });
+}
+
+// Months that have ended on each household's clock, at most `limit` back, in which it had
+// tasks due but has no reports: the report job missed them. Oldest first, as
+// { household_id, month, year }.
+async function getMissingReports(now = new Date(), limit = 12) {
+  const data = readDB();
+  const missing = [];
+  for (const household of data.households) {
+    const { year, month } = localTime(now, householdTimeZone(household));
+    for (let back = limit; back >= 1; back--) {
+      const index = year * 12 + (month - 1) - back;
+      const target = { household_id: household.id, month: (index % 12) + 1, year: Math.floor(index / 12) };
+      const { start, end } = monthRange(target.month, target.year);
+      const unreported =
+        data.tasks.some(t => t.household_id === household.id && t.due_date >= start && t.due_date <= end) &&
+        !data.monthly_reports.some(r => r.household_id === household.id && r.month === target.month && r.year === target.year);
+      if (unreported) missing.push(target);
+    }
+  }
+  return missing.sort((a, b) => a.year - b.year || a.month - b.month || a.household_id - b.household_id);
+}
+
+// One report per member of the household for the month, as things stand now
+function buildHouseholdReports(data, householdId, month, year) {
+  const { start, end } = monthRange(month, year);
+  const monthTasks = data.tasks.filter(t =>
+    t.household_id === householdId &&
+    t.due_date >= start &&
+    t.due_date <= end
+  );
+
+  const away = data.away_periods.filter(p =>
+    p.household_id === householdId &&
+    p.start_date <= end &&
+    p.end_date >= start
+  );
+
+  const inMonth = r => r.household_id === householdId && r.date >= start && r.date <= end;
+  const money = {
+    currency: householdCurrency(data, householdId),
+    expenses: data.expenses.filter(inMonth),
+    payments: data.payments.filter(inMonth)
+  };
+  const rolledIn = data.tasks.filter(t => t.household_id === householdId && rolledInto(t, month, year));
+
+  return householdUsers(data, householdId, monthTasks).map(user => {
+    const userAway = away.filter(p => p.username === user.username);
+    return buildMonthlyReport(householdId, user, month, year, monthTasks, userAway, money, rolledIn);
+  });
+}
+
+// Unfinished tasks that fell in someone's away period are excused rather than counted
+// as missed, and the report records how many days of the month they were away. The
+// month's expenses and payments give the member's money figures next to their chores.
+// `rolledIn` are earlier tasks the rollover carried into this month or penalised in it.
+// The report gets its id when it's stored.
+function buildMonthlyReport(householdId, user, month, year, monthTasks, awayPeriods = [], money = {}, rolledIn = []) {
+  const { start, end } = monthRange(month, year);
+  const userTasks = monthTasks.filter(t => t.assigned_to === user.username);
+  const excused = userTasks.filter(t =>
+    t.status !== 'completed' &&
+    isAway(awayPeriods, user.username, t)
+  );
+
+  const awayDays = new Set();
+  for (const period of awayPeriods) {
+    const days = overlapDays(period.start_date, period.end_date, start, end);
+    const first = period.start_date > start ? period.start_date : start;
+    for (let i = 0; i < days; i++) awayDays.add(daysBetween(start, first) + i);
+  }
+
+  // Only verified completions count; ones still awaiting verification are reported separately
+  const assignedCount = userTasks.length - excused.length;
+  const completedCount = userTasks.filter(t => t.status === 'completed').length;
+  const awaitingCount = userTasks.filter(t => t.status === 'awaiting_verification').length;
+  const completionRate = assignedCount > 0 ? (completedCount / assignedCount) * 100 : 100;
+  // Tasks are counted for whoever owned them after swaps; these moved between members
+  const swappedIn = userTasks.filter(t =>
+    (t.reassignments || []).some(r => r.swap_id && r.to === user.username)
+  ).length;
+  const swappedOut = monthTasks.filter(t =>
+    t.assigned_to !== user.username &&
+    (t.reassignments || []).some(r => r.swap_id && r.from === user.username)
+  ).length;
+  const overdue = userTasks.filter(t => ['pending', 'missed'].includes(t.status) && !excused.includes(t));
+  const carried = rolledIn.filter(t => t.assigned_to === user.username && t.rollover.policy === 'carry_over');
+  const penalties = rolledIn.filter(t => t.assigned_to === user.username && t.rollover.policy === 'penalty');
+
+  return {
+    id: null,
+    household_id: householdId,
+    user_id: user.id,
+    username: user.username,
+    month,
+    year,
+    assigned_tasks: assignedCount,
+    completed_tasks: completedCount,
+    awaiting_verification: awaitingCount,
+    completion_percentage: completionRate,
+    swapped_in: swappedIn,
+    swapped_out: swappedOut,
+    excused_tasks: excused.length,
+    overdue_tasks: overdue.length,
+    carried_over_tasks: carried.length,
+    carried_over_completed: carried.filter(t => t.status === 'completed').length,
+    make_up_tasks: userTasks.filter(t => t.make_up_for).length,
+    penalties: penalties.reduce((sum, t) => sum + t.rollover.penalty_amount, 0),
+    away_days: awayDays.size,
+    absent: awayDays.size === daysBetween(start, end) + 1,
+    currency: money.currency || DEFAULT_CURRENCY,
+    ...monthlyMoney(user.username, money.expenses || [], money.payments || []),
+    report_data: JSON.stringify({
+      tasks: userTasks.map(t => ({ ...t, excused: excused.includes(t) })),
+      carried_over: carried,
+      away_periods: awayPeriods
+    }),
+    created_at: new Date().toISOString()
+  };
+}
+
+async function getMonthlyReport(householdId, userId, month, year) {
+  const data = readDB();
+  return data.monthly_reports.find(r =>
+    r.household_id === householdId &&
+    r.user_id === parseInt(userId) &&
+    r.month === month &&
+    r.year === year
+  );
+}
+
+async function getUserMonthlyReports(userId, limit = 12) {
+  const data = readDB();
+  return data.monthly_reports
+    .filter(r => r.user_id === parseInt(userId))
+    .sort((a, b) => b.year - a.year || b.month - a.month)
+    .slice(0, limit);
+}
+
+async function getAllMonthlyReports(householdId, month, year) {
+  const data = readDB();
+  return data.monthly_reports.filter(r =>
+    r.household_id === householdId &&
+    r.month === month &&
+    r.year === year
+  );
+}
+
+// ============================================
+// JOBS
+// The job runner's record of each scheduled job: when it last ran and succeeded, the
+// last period it completed, and its recent runs.
+// ============================================
+
+const JOB_RUNS_KEPT = 20;
+
+async function getJobStates() {
+  const data = readDB();
+  return data.jobs;
+}
+
+/**
+ * Records one run of job `name`.
+ * @param {Object} run { period, trigger, ok, started_at, finished_at, result, error }
+ * @returns {Promise<Object>} the job's updated state
+ */
+async function recordJobRun(name, run) {
+  return transaction(data => {
+    let job = data.jobs.find(j => j.name === name);
+    if (!job) {
+      job = {
+        id: nextId(data.jobs),
+        name,
+        last_run_at: null,
+        last_success_at: null,
+        last_period: null,
+        last_error: null,
+        runs: []
+      };
+      data.jobs.push(job);
+    }
+
+    job.last_run_at = run.finished_at;
+    if (run.ok) {
+      job.last_success_at = run.finished_at;
+      job.last_error = null;
+      if (run.period && (!job.last_period || run.period > job.last_period)) job.last_period = run.period;
+    } else {
+      job.last_error = run.error;
+    }
+    job.runs = [run, ...job.runs].slice(0, JOB_RUNS_KEPT);
+    return job;
+  });
+}
+
+// ============================================
+// ANALYTICS
+// ============================================
+
+/**
+ * Trends over the `months` months up to and including the one containing `date`. Months
+ * without stored reports (the current one, usually) are worked out on the fly; nothing
+ * is saved. Chore latency covers tasks due in the same window.
+ * @returns {Promise<Object>} { months, trends, chores, totals }
+ */
+async function getHouseholdAnalytics(householdId, { months = 6, date = null } = {}) {
+  const data = readDB();
+  const span = trendMonths(date || householdToday(data, householdId), Math.min(Math.max(months, 1), MAX_TREND_MONTHS));
+
+  const reports = [];
+  for (const { month, year } of span) {
+    const stored = data.monthly_reports.filter(r => r.household_id === householdId && r.month === month && r.year === year);
+    reports.push(...(stored.length > 0 ? stored : buildHouseholdReports(data, householdId, month, year)));
+  }
+
+  const first = monthRange(span[0].month, span[0].year).start;
+  const last = monthRange(span[span.length - 1].month, span[span.length - 1].year).end;
+  const tasks = data.tasks.filter(t => t.household_id === householdId && t.due_date >= first && t.due_date <= last);
+  const members = [...new Set([
+    ...householdUsers(data, householdId, []).map(u => u.username),
+    ...reports.map(r => r.username)
+  ])];
+
+  return {
+    months: span,
+    trends: completionTrends(members, span, reports),
+    chores: choreLatency(tasks, householdTimeZone(data.households.find(h => h.id === householdId))),
+    totals: householdTotals(span, reports)
+  };
+}
+
+// ============================================
+// LEADERBOARD
+// ============================================
+
+// All-time standings, or one month's (tasks due that month) when `month` and `year` are given
+async function getLeaderboard(householdId, { month, year } = {}) {
+  const data = readDB();
+  const allTasks = data.tasks.filter(t => t.household_id === householdId);
+  let tasks = allTasks;
+  if (month && year) {
+    const { start, end } = monthRange(month, year);
+    tasks = allTasks.filter(t => t.due_date >= start && t.due_date <= end);
+  }
+
+  const members = householdUsers(data, householdId, tasks).map(u => u.username);
+  return leaderboard(members, {
+    tasks,
+    allTasks,
+    reports: data.monthly_reports.filter(r => r.household_id === householdId),
+    chores: data.chores.filter(c => c.household_id === householdId),
+    timeZone: householdTimeZone(data.households.find(h => h.id === householdId))
+  });
+}
+
+// ============================================
+// EXPENSES
+// Shared bills and the payments members make to settle them. Splits are worked out
+// when an expense is recorded and stored as each member's share.
+// ============================================
+
+function householdCurrency(data, householdId) {
+  const household = data.households.find(h => h.id === householdId);
+  return (household && household.currency) || DEFAULT_CURRENCY;
+}
+
+function inDateRange(record, month, year) {
+  if (!month || !year) return true;
+  const { start, end } = monthRange(month, year);
+  return record.date >= start && record.date <= end;
+}
+
+// Newest first, optionally for one month
+async function getExpenses(householdId, { month, year } = {}) {
+  const data = readDB();
+  return data.expenses
+    .filter(e => e.household_id === householdId && inDateRange(e, month, year))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+}
+
+async function addExpense(householdId, { description, amount, paid_by, date, category, split }, actor) {
+  return transaction(data => {
+    const members = data.users
+      .filter(u => u.household_id === householdId && u.active !== false)
+      .map(u => u.username);
+    const payer = String(paid_by || actor).toLowerCase();
+    if (!members.includes(payer)) throw new Error(`${payer} isn't a member of this household`);
+
+    const trimmed = String(description || '').trim();
+    if (!trimmed || trimmed.length > 100) throw new Error('Description must be 1-100 characters');
+    const day = date || householdToday(data, householdId);
+    if (!DATE_PATTERN.test(day)) throw new Error('Date must be YYYY-MM-DD');
+
+    const total = Number(amount);
+    const shares = computeShares(total, split, members);
+    const expense = {
+      id: nextId(data.expenses),
+      household_id: householdId,
+      description: trimmed,
+      category: String(category || '').trim().slice(0, 30) || null,
+      amount: total,
+      currency: householdCurrency(data, householdId),
+      paid_by: payer,
+      date: day,
+      split: split.type === 'equal' ? { type: 'equal', members: Object.keys(shares) } : { type: split.type, shares: split.shares },
+      shares,
+      created_by: actor,
+      created_at: new Date().toISOString()
+    };
+
+    data.expenses.push(expense);
+    recordAudit(data, { householdId, actor, entity: 'expense', action: 'added', after: expense });
+    return expense;
+  });
+}
+
+// Whoever recorded or paid an expense can remove it, as can admins
+async function removeExpense(householdId, expenseId, user) {
+  return transaction(data => {
+    const index = data.expenses.findIndex(e => e.id === parseInt(expenseId) && e.household_id === householdId);
+    if (index === -1) return null;
+
+    const expense = data.expenses[index];
+    if (![expense.created_by, expense.paid_by].includes(user.username) && user.role !== 'admin') {
+      throw new PermissionError('Only whoever recorded or paid this expense, or an admin, can remove it');
+    }
+
+    data.expenses.splice(index, 1);
+    recordAudit(data, { householdId, actor: user.username, entity: 'expense', action: 'removed', before: expense });
+    return expense;
+  });
+}
+
+async function getPayments(householdId, { month, year } = {}) {
+  const data = readDB();
+  return data.payments
+    .filter(p => p.household_id === householdId && inDateRange(p, month, year))
+    .sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
+}
+
+// Records money one member gave another. Only the two of them or an admin can record it;
+// removed members can still be paid or pay back what they owe.
+async function addPayment(householdId, { from_user, to_user, amount, date, note }, user) {
+  return transaction(data => {
+    const members = data.users.filter(u => u.household_id === householdId).map(u => u.username);
+    const from = String(from_user || user.username).toLowerCase();
+    const to = String(to_user || '').toLowerCase();
+    if (!members.includes(from) || !members.includes(to)) throw new Error('Both people must be members of this household');
+    if (from === to) throw new Error('A payment needs two different members');
+    if (![from, to].includes(user.username) && user.role !== 'admin') {
+      throw new PermissionError('Only the payer, the recipient or an admin can record a payment');
+    }
+
+    const total = Number(amount);
+    if (!validAmount(total)) throw new Error('Amount must be a positive whole number of the smallest currency unit');
+    const day = date || householdToday(data, householdId);
+    if (!DATE_PATTERN.test(day)) throw new Error('Date must be YYYY-MM-DD');
+
+    const payment = {
+      id: nextId(data.payments),
+      household_id: householdId,
+      from_user: from,
+      to_user: to,
+      amount: total,
+      currency: householdCurrency(data, householdId),
+      date: day,
+      note: String(note || '').trim().slice(0, 200),
+      created_by: user.username,
+      created_at: new Date().toISOString()
+    };
+
+    data.payments.push(payment);
+    recordAudit(data, { householdId, actor: user.username, entity: 'payment', action: 'added', after: payment });
+    return payment;
+  });
+}
+
+async function removePayment(householdId, paymentId, user) {
+  return transaction(data => {
+    const index = data.payments.findIndex(p => p.id === parseInt(paymentId) && p.household_id === householdId);
+    if (index === -1) return null;
+
+    const payment = data.payments[index];
+    if (![payment.created_by, payment.from_user, payment.to_user].includes(user.username) && user.role !== 'admin') {
+      throw new PermissionError('Only the people in this payment or an admin can remove it');
+    }
+
+    data.payments.splice(index, 1);
+    recordAudit(data, { householdId, actor: user.username, entity: 'payment', action: 'removed', before: payment });
+    return payment;
+  });
+}
+
+// Running balances over everything recorded, and the payments that would settle them
+async function getBalances(householdId) {
+  const data = readDB();
+  const balances = computeBalances(
+    data.expenses.filter(e => e.household_id === householdId),
+    data.payments.filter(p => p.household_id === householdId)
+  );
+  for (const user of data.users.filter(u => u.household_id === householdId && u.active !== false)) {
+    if (balances[user.username] === undefined) balances[user.username] = 0;
+  }
+
+  return {
+    currency: householdCurrency(data, householdId),
+    balances: Object.entries(balances)
+      .map(([username, balance]) => ({ username, balance }))
+      .sort((a, b) => b.balance - a.balance || a.username.localeCompare(b.username)),
+    settle_up: settleUp(balances)
+  };
+}
+
+// ============================================
+// SHOPPING LIST
+// Open items are what the household needs; a member can claim one ("I'll buy it") so
+// nobody doubles up. Bought items stay on record as the purchase history.
+// ============================================
+
+function findShoppingItem(data, householdId, itemId) {
+  return data.shopping_items.find(i => i.id === parseInt(itemId) && i.household_id === householdId);
+}
+
+function findOpenShoppingItem(data, householdId, itemId) {
+  const item = findShoppingItem(data, householdId, itemId);
+  if (item && item.status !== 'open') throw new Error('This item was already bought');
+  return item;
+}
+
+function normalizeQuantity(quantity) {
+  if (quantity === undefined || quantity === null || quantity === '') return 1;
+  const value = Number(quantity);
+  if (!Number.isInteger(value) || value < 1 || value > 999) throw new Error('Quantity must be a whole number from 1 to 999');
+  return value;
+}
+
+// Open items, unclaimed first, oldest first within each group
+async function getShoppingList(householdId) {
+  const data = readDB();
+  return data.shopping_items
+    .filter(i => i.household_id === householdId && i.status === 'open')
+    .sort((a, b) => Boolean(a.claimed_by) - Boolean(b.claimed_by) || a.id - b.id);
+}
+
+async function getPurchaseHistory(householdId, limit = 50) {
+  const data = readDB();
+  return data.shopping_items
+    .filter(i => i.household_id === householdId && i.status === 'purchased')
+    .sort((a, b) => b.purchased_at.localeCompare(a.purchased_at))
+    .slice(0, limit);
+}
+
+/**
+ * Adds an item to the list. An open item with the same name is returned instead of a
+ * duplicate, with `existing: true`. `chore_id` records which chore ran low on it.
+ */
+async function addShoppingItem(householdId, { name, quantity, unit, note, chore_id }, actor) {
+  return transaction(data => {
+    const trimmed = String(name || '').trim();
+    if (!trimmed || trimmed.length > 50) throw new Error('Item name must be 1-50 characters');
+
+    const open = data.shopping_items.filter(i => i.household_id === householdId && i.status === 'open');
+    const duplicate = open.find(i => i.name.toLowerCase() === trimmed.toLowerCase());
+    if (duplicate) return { ...duplicate, existing: true };
+    if (open.length >= MAX_SHOPPING_ITEMS) throw new Error(`The list can hold at most ${MAX_SHOPPING_ITEMS} items`);
+
+    let choreId = null;
+    if (chore_id !== undefined && chore_id !== null) {
+      const chore = data.chores.find(c => c.id === parseInt(chore_id) && c.household_id === householdId);
+      if (!chore) throw new Error('Chore not found');
+      choreId = chore.id;
+    }
+
+    const item = {
+      id: nextId(data.shopping_items),
+      household_id: householdId,
+      name: trimmed,
+      quantity: normalizeQuantity(quantity),
+      unit: String(unit || '').trim().slice(0, 15) || null,
+      note: String(note || '').trim().slice(0, 200),
+      chore_id: choreId,
+      status: 'open',
+      added_by: actor,
+      created_at: new Date().toISOString(),
+      claimed_by: null,
+      claimed_at: null,
+      purchased_by: null,
+      purchased_at: null
+    };
+    data.shopping_items.push(item);
+    recordAudit(data, { householdId, actor, entity: 'shopping_item', action: 'added', after: item });
+    return item;
+  });
+}
+
+async function updateShoppingItem(householdId, itemId, changes, actor) {
+  return transaction(data => {
+    const item = findOpenShoppingItem(data, householdId, itemId);
+    if (!item) return null;
+
+    const before = snapshot(item);
+    if (changes.name !== undefined) {
+      const trimmed = String(changes.name || '').trim();
+      if (!trimmed || trimmed.length > 50) throw new Error('Item name must be 1-50 characters');
+      item.name = trimmed;
+    }
+    if (changes.quantity !== undefined) item.quantity = normalizeQuantity(changes.quantity);
+    if (changes.unit !== undefined) item.unit = String(changes.unit || '').trim().slice(0, 15) || null;
+    if (changes.note !== undefined) item.note = String(changes.note || '').trim().slice(0, 200);
+
+    recordAudit(data, { householdId, actor, entity: 'shopping_item', action: 'updated', before, after: item });
+    return item;
+  });
+}
+
+async function claimShoppingItem(householdId, itemId, username) {
+  return transaction(data => {
+    const item = findOpenShoppingItem(data, householdId, itemId);
+    if (!item) return null;
+    if (item.claimed_by && item.claimed_by !== username) {
+      throw new Error(`${item.claimed_by} is already buying this`);
+    }
+
+    const before = snapshot(item);
+    item.claimed_by = username;
+    item.claimed_at = new Date().toISOString();
+    recordAudit(data, { householdId, actor: username, entity: 'shopping_item', action: 'claimed', before, after: item });
+    return item;
+  });
+}
+
+// Gives up a claim; the claimer or an admin can release it
+async function unclaimShoppingItem(householdId, itemId, user) {
+  return transaction(data => {
+    const item = findOpenShoppingItem(data, householdId, itemId);
+    if (!item) return null;
+    if (!item.claimed_by) return item;
+    if (item.claimed_by !== user.username && user.role !== 'admin') {
+      throw new PermissionError('Only whoever claimed this item, or an admin, can release it');
+    }
+
+    const before = snapshot(item);
+    item.claimed_by = null;
+    item.claimed_at = null;
+    recordAudit(data, { householdId, actor: user.username, entity: 'shopping_item', action: 'unclaimed', before, after: item });
+    return item;
+  });
+}
+
+// Anyone can check an item off; whoever does is recorded as the buyer
+async function purchaseShoppingItem(householdId, itemId, username) {
+  return transaction(data => {
+    const item = findOpenShoppingItem(data, householdId, itemId);
+    if (!item) return null;
+
+    const before = snapshot(item);
+    item.status = 'purchased';
+    item.purchased_by = username;
+    item.purchased_at = new Date().toISOString();
+    recordAudit(data, { householdId, actor: username, entity: 'shopping_item', action: 'purchased', before, after: item });
+    return item;
+  });
+}
+
+// Takes an open item off the list without buying it
+async function removeShoppingItem(householdId, itemId, user) {
+  return transaction(data => {
+    const item = findOpenShoppingItem(data, householdId, itemId);
+    if (!item) return null;
+    if (![item.added_by, item.claimed_by].includes(user.username) && user.role !== 'admin') {
+      throw new PermissionError('Only whoever added or claimed this item, or an admin, can remove it');
+    }
+
+    data.shopping_items.splice(data.shopping_items.indexOf(item), 1);
+    recordAudit(data, { householdId, actor: user.username, entity: 'shopping_item', action: 'removed', before: item });
+    return item;
+  });
+}
+
+// ============================================
+// NOTIFICATIONS
+// Reminders are stored as notifications: the stored record is the in-app inbox entry
+// (when the member has that channel on) and remembers which other channels it went out
+// on. Each member picks their channels and quiet hours in `notification_prefs`.
+// ============================================
+
+function notificationPrefs(user) {
+  const prefs = user.notification_prefs || {};
+  return {
+    channels: prefs.channels || ['in_app'],
+    email: prefs.email || null,
+    webhook_url: prefs.webhook_url || null,
+    quiet_hours: prefs.quiet_hours === undefined ? { ...DEFAULT_QUIET_HOURS } : prefs.quiet_hours
+  };
+}
+
+async function getNotificationPrefs(userId) {
+  const data = readDB();
+  const user = data.users.find(u => u.id === parseInt(userId));
+  if (!user) return null;
+  return { ...notificationPrefs(user), available_channels: availableChannels() };
+}
+
+async function updateNotificationPrefs(userId, changes) {
+  return transaction(data => {
+    const user = data.users.find(u => u.id === parseInt(userId));
+    if (!user) throw new Error('User not found');
+
+    const prefs = notificationPrefs(user);
+    if (changes.channels !== undefined) {
+      if (!Array.isArray(changes.channels)) throw new Error('Channels must be a list');
+      prefs.channels = [...new Set(changes.channels.map(String))];
+    }
+    if (changes.email !== undefined) {
+      prefs.email = changes.email ? String(changes.email).trim().slice(0, 254) : null;
+    }
+    if (changes.webhook_url !== undefined) {
+      prefs.webhook_url = changes.webhook_url ? String(changes.webhook_url).trim().slice(0, 2000) : null;
+    }
+    if (changes.quiet_hours !== undefined) {
+      prefs.quiet_hours = normalizeQuietHours(changes.quiet_hours);
+    }
+    validateChannels(prefs);
+
+    user.notification_prefs = prefs;
+    return { ...prefs, available_channels: availableChannels() };
+  });
+}
+
+// A member's inbox, newest first
+async function getNotifications(householdId, username, limit = 50) {
+  const data = readDB();
+  const inbox = data.notifications.filter(n =>
+    n.household_id === householdId &&
+    n.username === username &&
+    n.channels.includes('in_app')
+  );
+  return {
+    notifications: inbox.slice(-limit).reverse(),
+    unread: inbox.filter(n => !n.read_at).length
+  };
+}
+
+// Marks the given notifications read, or the whole inbox when `ids` is omitted
+async function markNotificationsRead(householdId, username, ids) {
+  return transaction(data => {
+    const wanted = Array.isArray(ids) ? new Set(ids.map(Number)) : null;
+    const now = new Date().toISOString();
+    let marked = 0;
+    for (const notification of data.notifications) {
+      if (notification.household_id !== householdId || notification.username !== username) continue;
+      if (notification.read_at || (wanted && !wanted.has(notification.id))) continue;
+      notification.read_at = now;
+      marked++;
+    }
+    return marked;
+  });
+}
+
+// The reminder in the member's language, naming the task as the chore's translation does
+function reminderMessage(reminder, today, language) {
+  if (!language || language === DEFAULT_LANGUAGE) return reminder.message;
+  const name = (reminder.task.translations || {})[language] || reminder.task.name;
+  return translate(dueMessage({ ...reminder.task, name }, today), language);
+}
+
+/**
+ * Reminders due now under each household's rules, for assignees who aren't in their
+ * quiet hours and haven't had the same reminder already.
+ * @returns {Object[]} { household_id, username, task_id, key, message, prefs }
+ */
+async function planReminders(now = new Date()) {
+  const data = readDB();
+  const planned = [];
+
+  for (const household of data.households) {
+    const timeZone = householdTimeZone(household);
+    const today = localDate(now, timeZone);
+    const rules = household.reminder_rules || DEFAULT_REMINDER_RULES;
+    const tasks = data.tasks.filter(t => t.household_id === household.id);
+
+    for (const reminder of dueReminders(tasks, rules, today)) {
+      const user = data.users.find(u =>
+        u.household_id === household.id &&
+        u.username === reminder.task.assigned_to &&
+        u.active !== false
+      );
+      if (!user) continue;
+
+      const prefs = notificationPrefs(user);
+      if (prefs.channels.length === 0 || inQuietHours(prefs.quiet_hours, now, timeZone)) continue;
+      const sent = data.notifications.some(n => n.key === reminder.key && n.username === user.username);
+      if (sent) continue;
+
+      planned.push({
+        household_id: household.id,
+        username: user.username,
+        task_id: reminder.task.id,
+        key: reminder.key,
+        message: reminderMessage(reminder, today, user.language),
+        prefs
+      });
+    }
+  }
+  return planned;
+}
+
+// Stores planned reminders as notifications, skipping any another run stored first.
+// Returns the planned reminders that were stored, each with its `notification`.
+async function recordReminders(planned) {
+  return transaction(data => {
+    // A reminder's key is what stops it going out twice, so it stays as long as its task is open
+    const cutoff = new Date(Date.now() - NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const openTaskIds = new Set(data.tasks.filter(t => t.status === 'pending').map(t => t.id));
+    data.notifications = data.notifications.filter(n =>
+      n.created_at >= cutoff || (n.key && openTaskIds.has(n.task_id))
+    );
+
+    const stored = [];
+    for (const reminder of planned) {
+      if (data.notifications.some(n => n.key === reminder.key && n.username === reminder.username)) continue;
+      const notification = {
+        id: nextId(data.notifications),
+        household_id: reminder.household_id,
+        username: reminder.username,
+        type: 'reminder',
+        task_id: reminder.task_id,
+        key: reminder.key,
+        message: reminder.message,
+        channels: reminder.prefs.channels,
+        deliveries: [],
+        created_at: new Date().toISOString(),
+        read_at: null
+      };
+      data.notifications.push(notification);
+      stored.push({ ...reminder, notification });
+    }
+    return stored;
+  });
+}
+
+async function recordDeliveries(notificationId, deliveries) {
+  return transaction(data => {
+    const notification = data.notifications.find(n => n.id === notificationId);
+    if (!notification) return null;
+    notification.deliveries = deliveries;
+    return notification;
+  });
+}
+
+// ============================================
+// WEBHOOKS
+// Admin-managed subscriptions to household events and the log of every delivery.
+// A subscription's secret is only returned when it is created or rotated.
+// ============================================
+
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secret_hint: `…${secret.slice(-4)}` };
+}
+
+async function getWebhooks(householdId) {
+  const data = readDB();
+  return data.webhooks.filter(w => w.household_id === householdId).map(toPublicWebhook);
+}
+
+async function addWebhook(householdId, { url, events, description }, actor) {
+  return transaction(data => {
+    if (data.webhooks.filter(w => w.household_id === householdId).length >= MAX_WEBHOOKS) {
+      throw new Error(`A household can have at most ${MAX_WEBHOOKS} webhooks`);
+    }
+
+    const webhook = {
+      id: nextId(data.webhooks),
+      household_id: householdId,
+      url: normalizeWebhookUrl(url),
+      events: normalizeEvents(events),
+      description: String(description || '').trim().slice(0, 100),
+      secret: generateSecret(),
+      active: true,
+      created_by: actor,
+      created_at: new Date().toISOString()
+    };
+    data.webhooks.push(webhook);
+    recordAudit(data, { householdId, actor, entity: 'webhook', action: 'added', after: webhook });
+    return { ...toPublicWebhook(webhook), secret: webhook.secret };
+  });
+}
+
+async function updateWebhook(householdId, webhookId, changes, actor) {
+  return transaction(data => {
+    const webhook = data.webhooks.find(w => w.id === parseInt(webhookId) && w.household_id === householdId);
+    if (!webhook) return null;
+
+    const before = snapshot(webhook);
+    if (changes.url !== undefined) webhook.url = normalizeWebhookUrl(changes.url);
+    if (changes.events !== undefined) webhook.events = normalizeEvents(changes.events);
+    if (changes.description !== undefined) webhook.description = String(changes.description || '').trim().slice(0, 100);
+    if (changes.active !== undefined) webhook.active = Boolean(changes.active);
+
+    recordAudit(data, { householdId, actor, entity: 'webhook', action: 'updated', before, after: webhook });
+    return toPublicWebhook(webhook);
+  });
+}
+
+async function rotateWebhookSecret(householdId, webhookId, actor) {
+  return transaction(data => {
+    const webhook = data.webhooks.find(w => w.id === parseInt(webhookId) && w.household_id === householdId);
+    if (!webhook) return null;
+
+    const before = snapshot(webhook);
+    webhook.secret = generateSecret();
+    recordAudit(data, { householdId, actor, entity: 'webhook', action: 'secret_rotated', before, after: webhook });
+    return { ...toPublicWebhook(webhook), secret: webhook.secret };
+  });
+}
+
+// Deletes the subscription along with its delivery log and anything still queued
+async function removeWebhook(householdId, webhookId, actor) {
+  return transaction(data => {
+    const index = data.webhooks.findIndex(w => w.id === parseInt(webhookId) && w.household_id === householdId);
+    if (index === -1) return null;
+
+    const [webhook] = data.webhooks.splice(index, 1);
+    data.webhook_deliveries = data.webhook_deliveries.filter(d => d.webhook_id !== webhook.id);
+    recordAudit(data, { householdId, actor, entity: 'webhook', action: 'removed', before: webhook });
+    return toPublicWebhook(webhook);
+  });
+}
+
+/**
+ * Queues `event` for every active subscription of the household that wants it, or only
+ * for `webhookId` when given (test events). Returns the queued deliveries.
+ */
+async function queueWebhookDeliveries(householdId, event, eventData, { webhookId = null, occurredAt } = {}) {
+  return transaction(data => {
+    const cutoff = new Date(Date.now() - WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    data.webhook_deliveries = data.webhook_deliveries.filter(d => d.status === 'pending' || d.created_at >= cutoff);
+
+    const targets = data.webhooks.filter(w =>
+      w.household_id === householdId &&
+      (webhookId ? w.id === parseInt(webhookId) : w.active && w.events.includes(event))
+    );
+    const now = new Date().toISOString();
+    const queued = targets.map(webhook => {
+      const delivery = {
+        id: nextId(data.webhook_deliveries),
+        household_id: householdId,
+        webhook_id: webhook.id,
+        event,
+        payload: { event, household_id: householdId, occurred_at: occurredAt || now, data: eventData },
+        status: 'pending',
+        attempts: [],
+        next_attempt_at: now,
+        created_at: now,
+        completed_at: null
+      };
+      data.webhook_deliveries.push(delivery);
+      return delivery;
+    });
+    return queued;
+  });
+}
+
+// Pending deliveries whose next attempt is due, with the subscription they go to.
+// Deliveries to a paused subscription wait until it is switched back on.
+async function getDueWebhookDeliveries(now = new Date()) {
+  const data = readDB();
+  const due = now.toISOString();
+  return data.webhook_deliveries
+    .filter(d => d.status === 'pending' && d.next_attempt_at <= due)
+    .map(delivery => ({ delivery, webhook: data.webhooks.find(w => w.id === delivery.webhook_id) }))
+    .filter(({ delivery, webhook }) => webhook && (webhook.active || delivery.event === 'webhook.test'));
+}
+
+// Logs one attempt: success finishes the delivery, failure schedules the next retry or gives up
+async function recordWebhookAttempt(deliveryId, attempt) {
+  return transaction(data => {
+    const delivery = data.webhook_deliveries.find(d => d.id === deliveryId);
+    if (!delivery) return null;
+
+    delivery.attempts.push(attempt);
+    if (attempt.ok) {
+      delivery.status = 'delivered';
+      delivery.next_attempt_at = null;
+      delivery.completed_at = attempt.at;
+    } else {
+      delivery.next_attempt_at = nextAttemptAt(delivery.attempts.length, new Date(attempt.at));
+      if (!delivery.next_attempt_at) {
+        delivery.status = 'failed';
+        delivery.completed_at = attempt.at;
+      }
+    }
+    return delivery;
+  });
+}
+
+// A subscription's delivery log, newest first
+async function getWebhookDeliveries(householdId, webhookId, limit = 50) {
+  const data = readDB();
+  return data.webhook_deliveries
+    .filter(d => d.household_id === householdId && d.webhook_id === parseInt(webhookId))
+    .slice(-limit)
+    .reverse();
+}
+
+// ============================================
+// EXPORT & RESTORE
+// ============================================
+
+// Everything in the store, as written by the nightly backup
+async function exportStore() {
+  return readDB();
+}
+
+// A household's records, without passwords, reset codes, calendar tokens or members'
+// notification settings (which can hold their email address and webhook URL)
+async function exportHousehold(householdId) {
+  const data = readDB();
+  const own = key => data[key].filter(r => r.household_id === householdId);
+  return {
+    format: SNAPSHOT_FORMAT,
+    schema_version: data.schema_version,
+    exported_at: new Date().toISOString(),
+    household: data.households.find(h => h.id === householdId),
+    users: own('users').map(u => {
+      const user = { ...u, reset_token_hash: null, reset_expires_at: null, calendar_token: null };
+      delete user.password_hash;
+      delete user.notification_prefs;
+      return user;
+    }),
+    chores: own('chores'),
+    tasks: own('tasks'),
+    swaps: own('swaps'),
+    away_periods: own('away_periods'),
+    monthly_reports: own('monthly_reports'),
+    expenses: own('expenses'),
+    payments: own('payments'),
+    shopping_items: own('shopping_items'),
+    audit_log: own('audit_log')
+  };
+}
+
+// In merge mode, the household's existing record that a snapshot record stands for
+function findRestored(data, householdId, key, record, idMaps) {
+  const own = data[key].filter(r => r.household_id === householdId);
+  switch (key) {
+    case 'users':
+      return own.find(u => u.username === record.username);
+    case 'chores':
+      return own.find(c => c.name.toLowerCase() === String(record.name).toLowerCase());
+    case 'tasks':
+      return own.find(t =>
+        t.chore_id === (idMaps.chores.get(record.chore_id) ?? record.chore_id) &&
+        t.period_start === record.period_start &&
+        t.slot === record.slot &&
+        (record.chore_id || t.name === record.name)
+      );
+    case 'monthly_reports':
+      return own.find(r =>
+        r.user_id === (idMaps.users.get(record.user_id) ?? record.user_id) &&
+        r.month === record.month &&
+        r.year === record.year
+      );
+    case 'expenses':
+      return own.find(e => e.created_at === record.created_at && e.paid_by === record.paid_by && e.amount === record.amount);
+    case 'payments':
+      return own.find(p => p.created_at === record.created_at && p.from_user === record.from_user && p.amount === record.amount);
+    case 'shopping_items':
+      return own.find(i => i.created_at === record.created_at && i.name === record.name);
+    default:
+      return own.find(r => r.id === record.id);
+  }
+}
+
+/**
+ * Restores a household snapshot into `householdId`.
+ * `replace` swaps the household's records for the snapshot's (the caller must be an active
+ * admin in it); `merge` only adds records the household doesn't have yet. Ids that clash
+ * with other households' records are renumbered and references follow. The audit log is
+ * never restored: it stays append-only and records the restore itself.
+ */
+async function restoreHousehold(householdId, source, { mode = 'merge', actor = null } = {}) {
+  if (!['replace', 'merge'].includes(mode)) throw new Error('Mode must be replace or merge');
+  validateSnapshot(source);
+  const incoming = withCollections(JSON.parse(JSON.stringify(source)));
+  runMigrations(incoming);
+  // Only settings the snapshot itself carries; ones a migration filled in are left alone
+  const settings = Object.fromEntries(HOUSEHOLD_SETTINGS
+    .filter(key => source.household[key] !== undefined)
+    .map(key => [key, incoming.household[key]]));
+
+  return transaction(data => {
+    const household = data.households.find(h => h.id === householdId);
+    if (!household) throw new Error('Household not found');
+
+    for (const user of incoming.users) {
+      if (data.users.some(u => u.username === user.username && u.household_id !== householdId)) {
+        throw new Error(`Username ${user.username} belongs to another household`);
+      }
+    }
+
+    // Keep user ids stable across a replace so signed-in sessions still point at the same person
+    const previousUsers = new Map();
+    if (mode === 'replace') {
+      if (!incoming.users.some(u => u.username === actor && u.role === 'admin' && u.active !== false)) {
+        throw new Error('The snapshot must include you as an active admin');
+      }
+      const before = snapshot(household);
+      applyHouseholdSettings(household, settings);
+      recordAudit(data, { householdId, actor, entity: 'household', action: 'updated', before, after: household });
+
+      for (const user of data.users.filter(u => u.household_id === householdId)) {
+        previousUsers.set(user.username, user);
+      }
+      for (const key of SNAPSHOT_COLLECTIONS) {
+        data[key] = data[key].filter(r => r.household_id !== householdId);
+      }
+    }
+
+    const idMaps = {};
+    const added = {};
+    const skipped = {};
+    for (const key of SNAPSHOT_COLLECTIONS) {
+      idMaps[key] = new Map();
+      added[key] = [];
+      skipped[key] = 0;
+      const taken = new Set(data[key].map(r => r.id));
+      const retired = key === 'users' ? new Set([...previousUsers.values()].map(u => u.id)) : new Set();
+      let next = nextId(data[key]);
+      const freshId = () => {
+        while (taken.has(next) || retired.has(next)) next++;
+        return next;
+      };
+
+      for (const record of incoming[key]) {
+        const existing = mode === 'merge' && findRestored(data, householdId, key, record, idMaps);
+        if (existing) {
+          idMaps[key].set(record.id, existing.id);
+          skipped[key] += 1;
+          continue;
+        }
+
+        const previous = key === 'users' ? previousUsers.get(record.username) : undefined;
+        let id = previous ? previous.id : undefined;
+        if (id === undefined) id = taken.has(record.id) || retired.has(record.id) ? freshId() : record.id;
+        taken.add(id);
+        idMaps[key].set(record.id, id);
+
+        const restored = { ...record, id, household_id: householdId };
+        if (key === 'users') {
+          // Snapshots carry no passwords or notification settings: members restored over
+          // themselves keep theirs, and new ones set a password with a reset code
+          restored.password_hash = previous ? previous.password_hash : null;
+          restored.password_reset_required = previous ? Boolean(previous.password_reset_required) : true;
+          restored.notification_prefs = previous ? previous.notification_prefs : null;
+        }
+        data[key].push(restored);
+        added[key].push(restored);
+      }
+    }
+
+    // Point restored records at the renumbered ids
+    const remap = (key, id) => (id === null || id === undefined ? id : idMaps[key].get(id) ?? id);
+    // Photo files live in the folder of the household they were taken in, and a snapshot
+    // can name any household, so photos only come back into their own household
+    const ownPhotos = incoming.household.id === householdId;
+    const photos = { kept: 0, dropped: 0 };
+    for (const task of added.tasks) {
+      const count = (task.photos || []).length;
+      photos[ownPhotos ? 'kept' : 'dropped'] += count;
+      if (!ownPhotos && count > 0) task.photos = [];
+      task.chore_id = remap('chores', task.chore_id);
+      if (task.make_up_for) task.make_up_for = remap('tasks', task.make_up_for);
+      if (task.rollover && task.rollover.make_up_task_id) {
+        task.rollover = { ...task.rollover, make_up_task_id: remap('tasks', task.rollover.make_up_task_id) };
+      }
+      task.reassignments = (task.reassignments || []).map(r => (r.swap_id ? { ...r, swap_id: remap('swaps', r.swap_id) } : r));
+    }
+    for (const swap of added.swaps) {
+      swap.task_id = remap('tasks', swap.task_id);
+      swap.counter_task_id = remap('tasks', swap.counter_task_id);
+    }
+    for (const report of added.monthly_reports) {
+      report.user_id = remap('users', report.user_id);
+    }
+    for (const item of added.shopping_items) {
+      item.chore_id = remap('chores', item.chore_id);
+    }
+
+    const summary = {
+      mode,
+      added: Object.fromEntries(SNAPSHOT_COLLECTIONS.map(key => [key, added[key].length])),
+      skipped,
+      photos
+    };
+    recordAudit(data, {
+      householdId,
+      actor,
+      entity: 'household',
+      action: mode === 'replace' ? 'restored' : 'merged',
+      after: household,
+      reason: `Snapshot exported ${incoming.exported_at || 'at an unknown time'}`
+    });
+    return summary;
+  });
 }
 
 module.exports = {
+  PermissionError,
   initializeDatabase,
-  createDefaultUsers,
+  createDefaultChores,
   authenticateUser,
-  getCurrentMonthTasks,
-  createMonthlyTasks,
+  registerUser,
+  changePassword,
+  updateUserLanguage,
+  createPasswordReset,
+  resetPasswordWithToken,
+  getUserById,
+  getCalendarToken,
+  regenerateCalendarToken,
+  getCalendarFeed,
+  getHouseholds,
+  getHousehold,
+  getHouseholdToday,
+  getHouseholdClocks,
+  createHousehold,
+  joinHousehold,
+  updateHousehold,
+  regenerateInviteCode,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  getChores,
+  addChore,
+  updateChore,
+  removeChore,
+  getRotationConfig,
+  getCurrentTasks,
+  createTaskInstances,
   completeTask,
+  confirmTask,
+  disputeTask,
+  reopenTask,
+  syncCompletions,
+  autoConfirmTasks,
+  getTaskPhoto,
   getAllUsersStatus,
-  getTaskHistory,
+  getRecentActivity,
+  getAuditLog,
+  getSwaps,
+  proposeSwap,
+  respondToSwap,
+  cancelSwap,
+  getAwayPeriods,
+  addAwayPeriod,
+  removeAwayPeriod,
+  reassignTasks,
   generateAllMonthlyReports,
   getMonthlyReport,
   getUserMonthlyReports,
-  getAllMonthlyReports
+  getAllMonthlyReports,
+  getMissingReports,
+  rollOverTasks,
+  getJobStates,
+  recordJobRun,
+  getHouseholdAnalytics,
+  getLeaderboard,
+  getExpenses,
+  addExpense,
+  removeExpense,
+  getPayments,
+  addPayment,
+  removePayment,
+  getBalances,
+  getShoppingList,
+  getPurchaseHistory,
+  addShoppingItem,
+  updateShoppingItem,
+  claimShoppingItem,
+  unclaimShoppingItem,
+  purchaseShoppingItem,
+  removeShoppingItem,
+  getNotificationPrefs,
+  updateNotificationPrefs,
+  getNotifications,
+  markNotificationsRead,
+  planReminders,
+  recordReminders,
+  recordDeliveries,
+  getWebhooks,
+  addWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  removeWebhook,
+  queueWebhookDeliveries,
+  getDueWebhookDeliveries,
+  recordWebhookAttempt,
+  getWebhookDeliveries,
+  exportStore,
+  exportHousehold,
+  restoreHousehold
 };
@@ -0,0 +1,65 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+// The browser scripts share one global scope (index.html loads them in order), so each
+// declares what it uses from the others
+const SHARED_BROWSER_GLOBALS = {
+  // i18n.js
+  currentLanguage: 'writable',
+  locale: 'readonly',
+  hasMessage: 'readonly',
+  t: 'readonly',
+  translatedName: 'readonly',
+  applyTranslations: 'readonly',
+  setLanguage: 'readonly',
+  // charts.js
+  lineChart: 'readonly',
+  barChart: 'readonly',
+  columnChart: 'readonly',
+  chartLegend: 'readonly',
+  // offline.js
+  loadSnapshot: 'readonly',
+  saveSnapshot: 'readonly',
+  queuedCompletions: 'readonly',
+  queueCompletion: 'readonly',
+  dropQueuedCompletion: 'readonly',
+  clearOfflineData: 'readonly',
+  // app.js
+  escapeHtml: 'readonly'
+};
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'android/', 'uploads/', 'backups/', 'public/capacitor.js']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['public/**/*.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: { ...globals.browser, ...SHARED_BROWSER_GLOBALS }
+    },
+    rules: {
+      // Top-level functions are called from other scripts and from onclick attributes
+      'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }],
+      'no-redeclare': ['error', { builtinGlobals: false }]
+    }
+  },
+  {
+    files: ['public/sw.js'],
+    languageOptions: {
+      globals: globals.serviceworker
+    }
+  }
+];
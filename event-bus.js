@@ -0,0 +1,53 @@
+// ============================================
+// EVENT BUS
+// In-process fan-out of household events (a task completed, a rotation created, reports
+// generated) to whoever is listening: the dashboard's live stream and outgoing webhooks.
+// Events are not stored: a listener that isn't subscribed when one is published never
+// sees it.
+// ============================================
+
+const listeners = new Set();
+let lastId = 0;
+
+// Events meant for one member (`username`) only reach that member's listeners
+function publish(householdId, type, data = {}, username = null) {
+  const event = {
+    id: ++lastId,
+    household_id: householdId,
+    username,
+    type,
+    data,
+    at: new Date().toISOString()
+  };
+  for (const listener of listeners) {
+    // One broken listener must not stop the others or fail the request that published
+    try {
+      listener(event);
+    } catch (err) {
+      console.error(`Error delivering ${type} event:`, err);
+    }
+  }
+  return event;
+}
+
+// Calls `listener(event)` for each event of one household that is for everyone in it or
+// for `username`; returns the unsubscribe function
+function subscribe(householdId, username, listener) {
+  const filtered = event => {
+    if (event.household_id === householdId && (!event.username || event.username === username)) listener(event);
+  };
+  listeners.add(filtered);
+  return () => listeners.delete(filtered);
+}
+
+// Every household's events
+function subscribeAll(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+  subscribeAll
+};
@@ -0,0 +1,138 @@
+// ============================================
+// EXPENSES & SETTLE-UP
+// Amounts are whole numbers in the currency's smallest unit (paise, cents) so shares
+// always add up exactly. A member's balance is what they paid minus their shares, plus
+// payments they made minus payments they received: positive means the others owe them.
+// ============================================
+
+const SPLIT_TYPES = ['equal', 'percentage', 'exact'];
+const MAX_AMOUNT = 100000000;
+
+function validAmount(amount) {
+  return Number.isInteger(amount) && amount > 0 && amount <= MAX_AMOUNT;
+}
+
+// Hands out `amount` in proportion to `weights`, giving leftover units to the largest
+// remainders (ties to earlier members) so the parts sum exactly to `amount`
+function apportion(amount, weights) {
+  const total = weights.reduce((sum, w) => sum + w.weight, 0);
+  const parts = weights.map((w, index) => {
+    const exact = (amount * w.weight) / total;
+    return { username: w.username, value: Math.floor(exact), remainder: exact - Math.floor(exact), index };
+  });
+  let left = amount - parts.reduce((sum, p) => sum + p.value, 0);
+  for (const part of [...parts].sort((a, b) => b.remainder - a.remainder || a.index - b.index)) {
+    if (left === 0) break;
+    part.value += 1;
+    left -= 1;
+  }
+  return Object.fromEntries(parts.map(p => [p.username, p.value]));
+}
+
+/**
+ * Each member's share of an expense.
+ * - equal: `split.members` share it evenly
+ * - percentage: `split.shares` maps members to percentages adding up to 100
+ * - exact: `split.shares` maps members to amounts adding up to `amount`
+ * @returns {Object} username -> share
+ */
+function computeShares(amount, split, members) {
+  if (!validAmount(amount)) throw new Error('Amount must be a positive whole number of the smallest currency unit');
+  if (!split || !SPLIT_TYPES.includes(split.type)) {
+    throw new Error(`Split type must be one of ${SPLIT_TYPES.join(', ')}`);
+  }
+
+  const names = split.type === 'equal' ? split.members || members : Object.keys(split.shares || {});
+  if (!Array.isArray(names) || names.length === 0) throw new Error('Split between at least one member');
+  if (new Set(names).size !== names.length) throw new Error('Each member can appear in a split only once');
+  const stranger = names.find(name => !members.includes(name));
+  if (stranger) throw new Error(`${stranger} isn't a member of this household`);
+
+  if (split.type === 'equal') {
+    return apportion(amount, names.map(username => ({ username, weight: 1 })));
+  }
+
+  const values = names.map(username => ({ username, weight: Number(split.shares[username]) }));
+  if (values.some(v => !Number.isFinite(v.weight) || v.weight < 0)) throw new Error('Shares must not be negative');
+
+  if (split.type === 'percentage') {
+    const total = values.reduce((sum, v) => sum + v.weight, 0);
+    if (Math.abs(total - 100) > 0.001) throw new Error('Percentages must add up to 100');
+    return apportion(amount, values);
+  }
+
+  if (values.some(v => !Number.isInteger(v.weight))) throw new Error('Exact shares must be whole numbers');
+  if (values.reduce((sum, v) => sum + v.weight, 0) !== amount) throw new Error('Exact shares must add up to the amount');
+  return Object.fromEntries(values.map(v => [v.username, v.weight]));
+}
+
+// Net balance per member over `expenses` and `payments`
+function computeBalances(expenses, payments) {
+  const balances = {};
+  const add = (username, value) => {
+    balances[username] = (balances[username] || 0) + value;
+  };
+  for (const expense of expenses) {
+    add(expense.paid_by, expense.amount);
+    for (const [username, share] of Object.entries(expense.shares)) add(username, -share);
+  }
+  for (const payment of payments) {
+    add(payment.from_user, payment.amount);
+    add(payment.to_user, -payment.amount);
+  }
+  return balances;
+}
+
+/**
+ * Payments that settle every balance: the largest debtor repeatedly pays the largest
+ * creditor. Never more than one payment fewer than the number of members involved.
+ * @returns {Object[]} { from, to, amount }
+ */
+function settleUp(balances) {
+  const creditors = [];
+  const debtors = [];
+  for (const [username, balance] of Object.entries(balances)) {
+    if (balance > 0) creditors.push({ username, amount: balance });
+    if (balance < 0) debtors.push({ username, amount: -balance });
+  }
+
+  const byAmount = (a, b) => b.amount - a.amount || a.username.localeCompare(b.username);
+  const transfers = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.amount, debtor.amount);
+    transfers.push({ from: debtor.username, to: creditor.username, amount });
+    creditor.amount -= amount;
+    debtor.amount -= amount;
+    if (creditor.amount === 0) creditors.shift();
+    if (debtor.amount === 0) debtors.shift();
+  }
+  return transfers;
+}
+
+// One member's money for a month, for their monthly report
+function monthlyMoney(username, expenses, payments) {
+  const paid = expenses.filter(e => e.paid_by === username).reduce((sum, e) => sum + e.amount, 0);
+  const share = expenses.reduce((sum, e) => sum + (e.shares[username] || 0), 0);
+  const sent = payments.filter(p => p.from_user === username).reduce((sum, p) => sum + p.amount, 0);
+  const received = payments.filter(p => p.to_user === username).reduce((sum, p) => sum + p.amount, 0);
+  return {
+    expenses_paid: paid,
+    expenses_share: share,
+    payments_sent: sent,
+    payments_received: received,
+    expense_balance: paid - share + sent - received
+  };
+}
+
+module.exports = {
+  SPLIT_TYPES,
+  validAmount,
+  computeShares,
+  computeBalances,
+  settleUp,
+  monthlyMoney
+};
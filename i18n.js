@@ -0,0 +1,256 @@
+// ============================================
+// LOCALIZATION
+// Server messages are written in English and translated on the way out. A catalog maps
+// each English message to its translation; parts that vary (names, numbers, lists) are
+// written as {placeholders} and carried over into the translation. Messages missing
+// from a catalog go out in English.
+// ============================================
+
+const LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = {
+  hi: {
+    // Accounts & sessions
+    'Authentication required': 'पहले लॉग इन करें',
+    'Admin access required': 'यह सिर्फ़ एडमिन कर सकते हैं',
+    'Operator access required': 'यह सिर्फ़ सर्वर ऑपरेटर कर सकते हैं',
+    'Username and password required': 'यूज़रनेम और पासवर्ड ज़रूरी हैं',
+    'Invalid username or password': 'यूज़रनेम या पासवर्ड गलत है',
+    'Your account is waiting for admin approval': 'आपका खाता एडमिन की मंज़ूरी का इंतज़ार कर रहा है',
+    'This account needs a new password; ask a household admin for a reset code': 'इस खाते को नया पासवर्ड चाहिए; घर के किसी एडमिन से रीसेट कोड लें',
+    'Username must be 3-30 letters, numbers or underscores': 'यूज़रनेम में 3-30 अक्षर, अंक या अंडरस्कोर होने चाहिए',
+    'Username already taken': 'यह यूज़रनेम पहले से लिया जा चुका है',
+    'Password must be at least 6 characters': 'पासवर्ड कम से कम 6 अक्षरों का होना चाहिए',
+    'Current password is incorrect': 'मौजूदा पासवर्ड गलत है',
+    'Reset code and new password required': 'रीसेट कोड और नया पासवर्ड ज़रूरी हैं',
+    'Reset code is invalid or has expired': 'रीसेट कोड गलत है या उसकी अवधि खत्म हो चुकी है',
+    'User not found': 'उपयोगकर्ता नहीं मिला',
+    'Language must be one of {list}': 'भाषा इनमें से एक होनी चाहिए: {list}',
+
+    // Households & members
+    'Enter an invite code or a household name': 'इनवाइट कोड या घर का नाम डालें',
+    'Invalid invite code': 'इनवाइट कोड गलत है',
+    'Already a member of this household': 'आप पहले से इस घर के सदस्य हैं',
+    'Household not found': 'घर नहीं मिला',
+    'Household name must be 1-50 characters': 'घर का नाम 1-50 अक्षरों का होना चाहिए',
+    'Household needs at least one active admin': 'घर में कम से कम एक सक्रिय एडमिन होना चाहिए',
+    'Make another member admin before leaving your household': 'घर छोड़ने से पहले किसी और सदस्य को एडमिन बनाएँ',
+    'Member not found': 'सदस्य नहीं मिला',
+    'Invalid role': 'भूमिका गलत है',
+    'Choose another member of your household': 'अपने घर का कोई दूसरा सदस्य चुनें',
+    '{name} isn\'t a member of this household': '{name} इस घर के सदस्य नहीं हैं',
+    'Username {name} belongs to another household': 'यूज़रनेम {name} किसी दूसरे घर का है',
+    'Verification window must be 1-{hours} hours': 'पुष्टि की अवधि 1-{hours} घंटे होनी चाहिए',
+    'Currency must be a three-letter code such as INR': 'मुद्रा तीन अक्षरों का कोड होनी चाहिए, जैसे INR',
+    'Timezone must be an IANA name such as Asia/Kolkata': 'टाइमज़ोन IANA नाम होना चाहिए, जैसे Asia/Kolkata',
+    'Rollover policy must be one of {list}': 'रोलओवर नीति इनमें से एक होनी चाहिए: {list}',
+    'Penalty amount must be a positive whole number of the smallest currency unit': 'जुर्माने की राशि मुद्रा की सबसे छोटी इकाई में धनात्मक पूर्ण संख्या होनी चाहिए',
+
+    // Chores
+    'Chore not found': 'काम नहीं मिला',
+    'Chore name must be 1-50 characters': 'काम का नाम 1-50 अक्षरों का होना चाहिए',
+    'A chore with that name already exists': 'इस नाम का काम पहले से मौजूद है',
+    'Effort must be a whole number from 1 to {max}': 'मेहनत 1 से {max} तक की पूर्ण संख्या होनी चाहिए',
+    'Recurrence must be one of: {list}': 'दोहराव इनमें से एक होना चाहिए: {list}',
+    'A daily chore happens once per day': 'रोज़ का काम दिन में एक बार होता है',
+    'A chore can repeat 1 to 7 times per period': 'एक काम हर अवधि में 1 से 7 बार दोहराया जा सकता है',
+    'Consumables must be a list of at most {max} items': 'ज़रूरी सामान की सूची में ज़्यादा से ज़्यादा {max} चीज़ें हो सकती हैं',
+    'Consumable names must be 1-50 characters': 'सामान का नाम 1-50 अक्षरों का होना चाहिए',
+    'Translations must map a language to a chore name': 'अनुवाद में हर भाषा के लिए काम का नाम होना चाहिए',
+    'Translated chore names must be 1-50 characters': 'काम का अनूदित नाम 1-50 अक्षरों का होना चाहिए',
+
+    // Tasks & verification
+    'Task not found': 'काम नहीं मिला',
+    'Task and member required': 'काम और सदस्य ज़रूरी हैं',
+    'Only {name} can complete this task': 'यह काम सिर्फ़ {name} पूरा कर सकते हैं',
+    'This is {name}\'s task; confirm the admin override to complete it': 'यह {name} का काम है; इसे पूरा करने के लिए एडमिन ओवरराइड की पुष्टि करें',
+    'Make-up: {name}': 'भरपाई: {name}',
+    'This task was missed at the end of its month': 'यह काम महीने के अंत तक नहीं हुआ था',
+    'This task has already been marked done': 'यह काम पहले ही पूरा हो चुका है',
+    'This task is not awaiting verification': 'यह काम पुष्टि का इंतज़ार नहीं कर रहा है',
+    'Someone else has to verify your own chore': 'आपके अपने काम की पुष्टि किसी और को करनी होगी',
+    'Give a reason for the dispute (up to 500 characters)': 'आपत्ति का कारण बताएँ (500 अक्षरों तक)',
+    'This task is not done yet': 'यह काम अभी पूरा नहीं हुआ है',
+    'A missed task can\'t be reopened': 'छूटा हुआ काम दोबारा नहीं खोला जा सकता',
+    'Only the assignee or an admin can reopen this task': 'यह काम सिर्फ़ ज़िम्मेदार सदस्य या एडमिन दोबारा खोल सकते हैं',
+    'Photo not found': 'फ़ोटो नहीं मिली',
+    'Photos must be JPEG, PNG or WebP': 'फ़ोटो JPEG, PNG या WebP होनी चाहिए',
+    '{file} is not a valid image': '{file} सही तस्वीर नहीं है',
+
+    // Offline sync
+    'Send 1-{max} completions to sync': 'सिंक करने के लिए 1-{max} काम भेजें',
+    'The completion has no id': 'इस काम की कोई आईडी नहीं है',
+    'This task no longer exists': 'यह काम अब मौजूद नहीं है',
+    'It was reassigned to {name} while you were offline': 'आपके ऑफ़लाइन रहते यह काम {name} को दे दिया गया',
+    'It was closed as missed at the end of its month': 'महीने के अंत में इसे छूटा हुआ मानकर बंद कर दिया गया',
+    '{name} already marked it done': '{name} इसे पहले ही पूरा कर चुके हैं',
+    'Someone already marked it done': 'कोई इसे पहले ही पूरा कर चुका है',
+
+    // Swaps
+    'Swap request not found': 'अदला-बदली का अनुरोध नहीं मिला',
+    'You can only swap your own pending tasks': 'आप सिर्फ़ अपने बाकी काम ही बदल सकते हैं',
+    'This task already has a pending swap request': 'इस काम के लिए अदला-बदली का अनुरोध पहले से है',
+    'That task is not one of {name}\'s pending tasks': 'वह काम {name} के बाकी कामों में नहीं है',
+    'This swap was already {status}': 'इस अदला-बदली पर पहले ही फ़ैसला हो चुका है ({status})',
+    'The tasks in this swap have changed since it was proposed': 'प्रस्ताव के बाद से इस अदला-बदली के काम बदल गए हैं',
+
+    // Away periods
+    'Away period not found': 'बाहर रहने की अवधि नहीं मिली',
+    'Start and end dates must be YYYY-MM-DD': 'शुरू और खत्म होने की तारीख YYYY-MM-DD में होनी चाहिए',
+    'End date must not be before start date': 'खत्म होने की तारीख शुरू होने की तारीख से पहले नहीं हो सकती',
+    'Away periods can be at most a year long': 'बाहर रहने की अवधि ज़्यादा से ज़्यादा एक साल हो सकती है',
+    'You can only remove your own away periods': 'आप सिर्फ़ अपनी बाहर रहने की अवधि हटा सकते हैं',
+
+    // Reports, leaderboard & analytics
+    'Months must be 1-24': 'महीने 1-24 होने चाहिए',
+    'Period must be month or all': 'अवधि month या all होनी चाहिए',
+
+    // Expenses
+    'Expense not found': 'खर्च नहीं मिला',
+    'Payment not found': 'भुगतान नहीं मिला',
+    'Description must be 1-100 characters': 'विवरण 1-100 अक्षरों का होना चाहिए',
+    'Date must be YYYY-MM-DD': 'तारीख YYYY-MM-DD में होनी चाहिए',
+    'Amount must be a positive whole number of the smallest currency unit': 'राशि मुद्रा की सबसे छोटी इकाई में धनात्मक पूर्ण संख्या होनी चाहिए',
+    'Split type must be one of {list}': 'बँटवारे का तरीका इनमें से एक होना चाहिए: {list}',
+    'Split between at least one member': 'कम से कम एक सदस्य में बाँटें',
+    'Each member can appear in a split only once': 'हर सदस्य बँटवारे में सिर्फ़ एक बार आ सकता है',
+    'Shares must not be negative': 'हिस्से ऋणात्मक नहीं हो सकते',
+    'Percentages must add up to 100': 'प्रतिशतों का जोड़ 100 होना चाहिए',
+    'Exact shares must be whole numbers': 'तय हिस्से पूर्ण संख्या होने चाहिए',
+    'Exact shares must add up to the amount': 'तय हिस्सों का जोड़ कुल राशि के बराबर होना चाहिए',
+    'Both people must be members of this household': 'दोनों लोग इस घर के सदस्य होने चाहिए',
+    'A payment needs two different members': 'भुगतान के लिए दो अलग सदस्य चाहिए',
+    'Only the payer, the recipient or an admin can record a payment': 'भुगतान सिर्फ़ देने वाला, पाने वाला या एडमिन दर्ज कर सकते हैं',
+    'Only the people in this payment or an admin can remove it': 'यह भुगतान सिर्फ़ इससे जुड़े लोग या एडमिन हटा सकते हैं',
+    'Only whoever recorded or paid this expense, or an admin, can remove it': 'यह खर्च सिर्फ़ दर्ज करने वाला, भुगतान करने वाला या एडमिन हटा सकते हैं',
+
+    // Shopping list
+    'Item not found': 'सामान नहीं मिला',
+    'Item name must be 1-50 characters': 'सामान का नाम 1-50 अक्षरों का होना चाहिए',
+    'Quantity must be a whole number from 1 to 999': 'मात्रा 1 से 999 तक की पूर्ण संख्या होनी चाहिए',
+    'The list can hold at most {max} items': 'सूची में ज़्यादा से ज़्यादा {max} चीज़ें हो सकती हैं',
+    '{name} is already buying this': '{name} इसे पहले से खरीद रहे हैं',
+    'This item was already bought': 'यह सामान पहले ही खरीदा जा चुका है',
+    'Only whoever claimed this item, or an admin, can release it': 'इसे सिर्फ़ ज़िम्मा लेने वाला या एडमिन छोड़ सकते हैं',
+    'Only whoever added or claimed this item, or an admin, can remove it': 'इसे सिर्फ़ जोड़ने वाला, ज़िम्मा लेने वाला या एडमिन हटा सकते हैं',
+
+    // Reminders & notifications
+    'Reminder rules must be a list of at most {max} rules': 'रिमाइंडर नियमों की सूची में ज़्यादा से ज़्यादा {max} नियम हो सकते हैं',
+    'Reminder rule type must be one of {list}': 'रिमाइंडर नियम का प्रकार इनमें से एक होना चाहिए: {list}',
+    'Days before the due date must be 0-{max}': 'आखिरी तारीख से पहले के दिन 0-{max} होने चाहिए',
+    'Reminder rules must not repeat': 'रिमाइंडर नियम दोहराए नहीं जा सकते',
+    'Quiet hours need a start and end time as HH:MM': 'शांत समय के लिए शुरू और खत्म होने का समय HH:MM में चाहिए',
+    'Channels must be a list': 'चैनल एक सूची होनी चाहिए',
+    'Channel not available': 'यह चैनल उपलब्ध नहीं है',
+    'Unknown notification channel {name}': 'अनजान सूचना चैनल {name}',
+    'The {name} channel isn\'t set up on this server': 'इस सर्वर पर {name} चैनल सेट नहीं है',
+    'Email reminders need a valid email address': 'ईमेल रिमाइंडर के लिए सही ईमेल पता चाहिए',
+    'Webhook reminders need a valid URL': 'वेबहुक रिमाइंडर के लिए सही URL चाहिए',
+    'Test notification from Roommate Task Manager': 'रूममेट टास्क मैनेजर से टेस्ट सूचना',
+    '"{task}" is due today': '"{task}" आज करना है',
+    '"{task}" is due in 1 day ({date})': '"{task}" 1 दिन में करना है ({date})',
+    '"{task}" is due in {days} days ({date})': '"{task}" {days} दिन में करना है ({date})',
+    '"{task}" was due {date} and is 1 day overdue': '"{task}" {date} तक करना था और 1 दिन की देर हो चुकी है',
+    '"{task}" was due {date} and is {days} days overdue': '"{task}" {date} तक करना था और {days} दिन की देर हो चुकी है',
+
+    // Recent activity
+    'Admin override': 'एडमिन ओवरराइड',
+    'Completed offline': 'ऑफ़लाइन पूरा किया',
+    'Swap with {name}': '{name} के साथ अदला-बदली',
+    'Unfinished at the end of the month (carry over)': 'महीने के अंत तक अधूरा (आगे बढ़ाया गया)',
+    'Unfinished at the end of the month (make up)': 'महीने के अंत तक अधूरा (भरपाई)',
+    'Unfinished at the end of the month (penalty)': 'महीने के अंत तक अधूरा (जुर्माना)',
+    '{name} is away; {reason}': '{name} बाहर हैं; {reason}',
+    '{name} had the lowest effort load ({load})': '{name} पर सबसे कम काम का बोझ था ({load})',
+    '{name} tied with {other} on effort load ({load})': '{name} और {other} पर काम का बोझ बराबर था ({load})',
+
+    // Calendar, webhooks, jobs & backups
+    'Calendar not found': 'कैलेंडर नहीं मिला',
+    'Webhook not found': 'वेबहुक नहीं मिला',
+    'Webhook needs a valid URL': 'वेबहुक के लिए सही URL चाहिए',
+    'Webhook URL must be http or https': 'वेबहुक URL http या https होना चाहिए',
+    'Webhook URL must point to a public address': 'वेबहुक URL किसी सार्वजनिक पते का होना चाहिए',
+    'Couldn\'t find the host {host}': 'होस्ट {host} नहीं मिला',
+    'A household can have at most {max} webhooks': 'एक घर में ज़्यादा से ज़्यादा {max} वेबहुक हो सकते हैं',
+    'Pick at least one event: {list}': 'कम से कम एक इवेंट चुनें: {list}',
+    'Unknown webhook event {name}': 'अनजान वेबहुक इवेंट {name}',
+    'Job not found': 'जॉब नहीं मिला',
+    'Period must be a month as YYYY-MM': 'अवधि YYYY-MM के रूप में एक महीना होनी चाहिए',
+    'Reports can only be generated for months that have ended': 'रिपोर्ट सिर्फ़ खत्म हो चुके महीनों की बन सकती है',
+    'Mode must be replace or merge': 'मोड replace या merge होना चाहिए',
+    'Not a Roommate Task Manager export': 'यह रूममेट टास्क मैनेजर का एक्सपोर्ट नहीं है',
+    'The snapshot must include you as an active admin': 'स्नैपशॉट में आपका सक्रिय एडमिन होना ज़रूरी है'
+  }
+};
+
+// Catalog entries with placeholders become patterns that capture the varying parts
+function compile(catalog) {
+  const exact = new Map();
+  const patterns = [];
+  for (const [message, translation] of Object.entries(catalog)) {
+    const names = [...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    if (names.length === 0) {
+      exact.set(message, translation);
+      continue;
+    }
+    const source = message
+      .split(/\{\w+\}/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('(.+?)');
+    patterns.push({ regex: new RegExp(`^${source}$`), names, translation });
+  }
+  return { exact, patterns };
+}
+
+const COMPILED = Object.fromEntries(Object.entries(CATALOGS).map(([language, catalog]) => [language, compile(catalog)]));
+
+function translate(message, language) {
+  const compiled = COMPILED[language];
+  if (!compiled || typeof message !== 'string') return message;
+  if (compiled.exact.has(message)) return compiled.exact.get(message);
+
+  for (const { regex, names, translation } of compiled.patterns) {
+    const match = regex.exec(message);
+    // Captured parts can be messages themselves, e.g. the rotation reason inside an away note
+    if (match) return names.reduce((text, name, index) => text.replace(`{${name}}`, translate(match[index + 1], language)), translation);
+  }
+  return message;
+}
+
+function normalizeLanguage(language) {
+  if (!LANGUAGES.includes(language)) throw new Error(`Language must be one of ${LANGUAGES.join(', ')}`);
+  return language;
+}
+
+// The first supported language in an Accept-Language header, by preference
+function negotiateLanguage(header) {
+  const wanted = String(header || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { language: tag.toLowerCase().split('-')[0], q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(entry => entry.language && entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+  const match = wanted.find(entry => LANGUAGES.includes(entry.language));
+  return match ? match.language : DEFAULT_LANGUAGE;
+}
+
+// Names for the chores every new household starts with
+const DEFAULT_CHORE_TRANSLATIONS = {
+  'Kitchen Cleaning': { hi: 'रसोई की सफ़ाई' },
+  'Bathroom Cleaning': { hi: 'बाथरूम की सफ़ाई' },
+  'Hall Sweeping': { hi: 'हॉल में झाड़ू' },
+  'Trash Removal': { hi: 'कूड़ा बाहर ले जाना' }
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  DEFAULT_CHORE_TRANSLATIONS,
+  translate,
+  normalizeLanguage,
+  negotiateLanguage
+};
@@ -0,0 +1,47 @@
+// ============================================
+// ONE-SHOT IMPORTER
+// Copies an existing data.json into the storage selected by STORAGE, applying any
+// pending migrations on the way:
+//
+//   STORAGE=sqlite node import-data.js [path/to/data.json] [--force]
+//
+// Refuses to touch a store that already has users unless --force is given.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { COLLECTIONS, withCollections, createStorage } = require('./storage');
+const { runMigrations } = require('./migrations');
+
+function main() {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const source = path.resolve(args.find(arg => arg !== '--force') || path.join(__dirname, 'data.json'));
+
+  if (!fs.existsSync(source)) throw new Error(`${source} not found`);
+  const data = withCollections(JSON.parse(fs.readFileSync(source, 'utf8')));
+  runMigrations(data);
+
+  const storage = createStorage();
+  try {
+    const existing = storage.load();
+    if (existing.users.length > 0 && !force) {
+      throw new Error(`The ${storage.name} store already has data; pass --force to overwrite it`);
+    }
+
+    storage.save(data);
+    console.log(`✅ Imported ${source} into ${storage.name} storage (schema version ${data.schema_version})`);
+    for (const key of COLLECTIONS) {
+      console.log(`   ${key}: ${data[key].length}`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error('❌ Import failed:', err.message);
+  process.exit(1);
+}
@@ -0,0 +1,120 @@
+// ============================================
+// JOB RUNNER
+// Scheduled work whose runs are recorded in the `jobs` collection, so a process that was
+// asleep when a job fell due (free hosting tiers sleep) catches up when it starts. A job
+// is { name, description, schedule, due(now), period(now), missed(state, now), run(period) }:
+// `due` (sync or async) can skip a cron tick, `period` names what a run covers (null for jobs that don't
+// work in periods), `missed` lists the periods a job still owes at startup, oldest first,
+// and `run` does one of them.
+// ============================================
+
+const cron = require('node-cron');
+const { getJobStates, recordJobRun } = require('./database');
+
+const jobs = new Map();
+const running = new Map();
+
+function defineJob(job) {
+  jobs.set(job.name, { due: () => true, period: () => null, missed: async () => [], ...job });
+}
+
+function getJob(name) {
+  return jobs.get(name) || null;
+}
+
+// Runs of the same job queue behind each other; a failure is recorded, never thrown
+async function runJob(name, period = null, trigger = 'schedule') {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job ${name}`);
+
+  const previous = running.get(name) || Promise.resolve();
+  const run = previous.then(() => execute(job, period, trigger));
+  running.set(name, run);
+  try {
+    return await run;
+  } finally {
+    if (running.get(name) === run) running.delete(name);
+  }
+}
+
+async function execute(job, period, trigger) {
+  const startedAt = new Date().toISOString();
+  let result = null;
+  let error = null;
+  try {
+    result = (await job.run(period)) ?? null;
+  } catch (err) {
+    error = err.message;
+    console.error(`❌ Job ${job.name}${period ? ` (${period})` : ''} failed:`, err);
+  }
+  return recordJobRun(job.name, {
+    period,
+    trigger,
+    ok: error === null,
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+    result,
+    error
+  });
+}
+
+// Runs every period each job missed while the process was down
+async function catchUpJobs(now = new Date()) {
+  const states = await getJobStates();
+  for (const job of jobs.values()) {
+    const state = states.find(s => s.name === job.name) || null;
+    for (const period of await job.missed(state, now)) {
+      console.log(`⏮️ Catching up ${job.name}${period ? ` for ${period}` : ''}`);
+      await runJob(job.name, period, 'catch_up');
+    }
+  }
+}
+
+// Jobs sharing a schedule run one after another in the order they were defined, so a
+// job can rely on the ones before it having finished their tick
+function scheduleJobs() {
+  const bySchedule = new Map();
+  for (const job of jobs.values()) {
+    bySchedule.set(job.schedule, [...(bySchedule.get(job.schedule) || []), job]);
+  }
+  for (const [schedule, group] of bySchedule) {
+    cron.schedule(schedule, async () => {
+      const now = new Date();
+      for (const job of group) {
+        try {
+          if (await job.due(now)) await runJob(job.name, job.period(now));
+        } catch (err) {
+          console.error(`❌ Job ${job.name} failed:`, err);
+        }
+      }
+    });
+  }
+}
+
+// Every job with its recorded state, for the admin status page
+async function jobStatus() {
+  const states = await getJobStates();
+  return [...jobs.values()].map(job => {
+    const state = states.find(s => s.name === job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      running: running.has(job.name),
+      last_run_at: state.last_run_at || null,
+      last_success_at: state.last_success_at || null,
+      last_period: state.last_period || null,
+      last_error: state.last_error || null,
+      runs: state.runs || []
+    };
+  });
+}
+
+module.exports = {
+  defineJob,
+  getJob,
+  runJob,
+  catchUpJobs,
+  scheduleJobs,
+  jobStatus
+};
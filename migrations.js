@@ -0,0 +1,179 @@
+// ============================================
+// MIGRATIONS
+// Versioned, in-order changes to the stored data. Each runs once per data store; the
+// store's `schema_version` records the last one applied. Add new migrations to the end
+// and never edit one that has shipped.
+// ============================================
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { defaultEffort } = require('./rotation');
+const { DEFAULT_RECURRENCE, monthRange } = require('./recurrence');
+const { DEFAULT_TIMEZONE } = require('./timezone');
+const { DEFAULT_CHORE_TRANSLATIONS } = require('./i18n');
+
+const SEEDED_PASSWORDS = {
+  deepanshu: 'deep123',
+  sonu: 'sonu123',
+  sachin: 'sachin123',
+  sintu: 'sintu123'
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Roles and active flags',
+    // Users created before roles existed become members; the first one runs the household
+    up(data) {
+      for (const user of data.users) {
+        if (!user.role) user.role = 'member';
+        if (user.active === undefined) user.active = true;
+      }
+      if (data.users.length > 0 && !data.users.some(u => u.role === 'admin')) {
+        data.users.reduce((a, b) => (a.id < b.id ? a : b)).role = 'admin';
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'Households',
+    // Single-household data files: everything moves into one household
+    up(data) {
+      const keys = ['users', 'chores', 'tasks', 'monthly_reports'];
+      if (!keys.some(key => data[key].some(item => item.household_id === undefined))) return;
+
+      let household = data.households[0];
+      if (!household) {
+        household = {
+          id: 1,
+          name: 'Home',
+          invite_code: crypto.randomBytes(4).toString('hex').toUpperCase(),
+          created_at: new Date().toISOString()
+        };
+        data.households.push(household);
+      }
+      for (const key of keys) {
+        for (const item of data[key]) {
+          if (item.household_id === undefined) item.household_id = household.id;
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'Seeded accounts reset their passwords',
+    // The first release created these accounts with passwords anyone with its source knows.
+    // Those still on theirs lose them and sign in again with a reset code.
+    up(data) {
+      for (const user of data.users) {
+        const seeded = SEEDED_PASSWORDS[user.username];
+        if (seeded && user.password_hash && bcrypt.compareSync(seeded, user.password_hash)) {
+          user.password_hash = null;
+          user.password_reset_required = true;
+        }
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'Chore effort and recurrence',
+    up(data) {
+      for (const chore of data.chores) {
+        if (!chore.effort) chore.effort = defaultEffort(chore.name);
+        if (!chore.recurrence) chore.recurrence = { ...DEFAULT_RECURRENCE };
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'Task instances',
+    // Month-bucketed tasks become instances spanning their month
+    up(data) {
+      for (const task of data.tasks) {
+        if (task.due_date) continue;
+        const { start, end } = monthRange(task.month, task.year);
+        task.period_start = start;
+        task.period_end = end;
+        task.due_date = end;
+        task.slot = 0;
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'Rollover policy for existing households',
+    // Households from before rollover policies never had their unfinished tasks touched;
+    // they keep that until an admin picks a policy. New households start on carry_over.
+    up(data) {
+      for (const household of data.households) {
+        if (!household.rollover) household.rollover = { policy: 'none', penalty_amount: 0 };
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'One monthly report per member and month',
+    // Report runs that happened twice left duplicates; the newest of each is kept
+    up(data) {
+      const newest = new Map();
+      for (const report of data.monthly_reports) {
+        const key = `${report.household_id}:${report.user_id}:${report.year}-${report.month}`;
+        const seen = newest.get(key);
+        if (!seen || report.created_at > seen.created_at) newest.set(key, report);
+      }
+      const keep = new Set(newest.values());
+      data.monthly_reports = data.monthly_reports.filter(report => keep.has(report));
+    }
+  },
+  {
+    version: 8,
+    name: 'Household timezones',
+    // Households so far lived on the server's clock; they keep it until an admin changes it.
+    // Operators can pick another with DEFAULT_TIMEZONE before upgrading, and the app
+    // points admins whose device disagrees at the setting.
+    up(data) {
+      for (const household of data.households) {
+        if (!household.timezone) household.timezone = DEFAULT_TIMEZONE;
+      }
+    }
+  },
+  {
+    version: 9,
+    name: 'Chore translations',
+    // The starter chores get their Hindi names, and so do their tasks that still carry them
+    up(data) {
+      for (const chore of data.chores) {
+        if (!chore.translations) chore.translations = { ...DEFAULT_CHORE_TRANSLATIONS[chore.name] };
+      }
+      for (const task of data.tasks) {
+        if (task.translations) continue;
+        const chore = data.chores.find(c => c.id === task.chore_id);
+        task.translations = chore && chore.name === task.name ? { ...chore.translations } : {};
+      }
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Applies every migration newer than `data.schema_version`; returns the ones applied
+function runMigrations(data) {
+  if ((data.schema_version || 0) > LATEST_VERSION) {
+    throw new Error(`Data is at schema version ${data.schema_version}, newer than this app (${LATEST_VERSION})`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= (data.schema_version || 0)) continue;
+    migration.up(data);
+    data.schema_version = migration.version;
+    applied.push(migration);
+  }
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  runMigrations
+};
@@ -0,0 +1,133 @@
+// ============================================
+// NOTIFICATION CHANNELS
+// Delivers a stored notification through the channels a member picked. A channel is
+// { available(), validate(prefs), send(notification, prefs) }; register new ones with
+// registerChannel(). `in_app` has nothing to send: the stored notification is the
+// inbox entry.
+// ============================================
+
+const nodemailer = require('nodemailer');
+const { checkHostName, postJson } = require('./outbound');
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const channels = new Map();
+
+function registerChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+function channelNames() {
+  return [...channels.keys()];
+}
+
+function availableChannels() {
+  return channelNames().filter(name => channels.get(name).available());
+}
+
+// Checks the settings each enabled channel needs; throws with the first problem
+function validateChannels(prefs) {
+  for (const name of prefs.channels) {
+    const channel = channels.get(name);
+    if (!channel) throw new Error(`Unknown notification channel ${name}`);
+    if (!channel.available()) throw new Error(`The ${name} channel isn't set up on this server`);
+    channel.validate(prefs);
+  }
+}
+
+/**
+ * Sends `notification` through every channel in `prefs.channels`. A failing channel
+ * doesn't stop the others.
+ * @returns {Promise<Object[]>} one { channel, status: 'sent'|'failed', error, at } per channel
+ */
+async function deliver(notification, prefs) {
+  const results = [];
+  for (const name of prefs.channels) {
+    const channel = channels.get(name);
+    try {
+      if (!channel || !channel.available()) throw new Error('Channel not available');
+      await channel.send(notification, prefs);
+      results.push({ channel: name, status: 'sent', error: null, at: new Date().toISOString() });
+    } catch (err) {
+      results.push({ channel: name, status: 'failed', error: err.message, at: new Date().toISOString() });
+    }
+  }
+  return results;
+}
+
+// ============================================
+// BUILT-IN CHANNELS
+// ============================================
+
+registerChannel('in_app', {
+  available: () => true,
+  validate() {},
+  async send() {}
+});
+
+// Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM.
+// A local sink such as MailHog (SMTP_HOST=localhost SMTP_PORT=1025) works for testing.
+let transport = null;
+
+function mailTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+registerChannel('email', {
+  available: () => Boolean(process.env.SMTP_HOST),
+  validate(prefs) {
+    if (!EMAIL_PATTERN.test(prefs.email || '')) throw new Error('Email reminders need a valid email address');
+  },
+  async send(notification, prefs) {
+    await mailTransport().sendMail({
+      from: process.env.SMTP_FROM || 'Roommate Task Manager <no-reply@localhost>',
+      to: prefs.email,
+      subject: `🏠 ${notification.message}`,
+      text: `Hi ${notification.username},\n\n${notification.message}.\n\nRoommate Task Manager`
+    });
+  }
+});
+
+// POSTs the notification as JSON to the member's own URL (a chat bot, an automation tool).
+// The URL must reach a public address, like household webhooks (outbound.js).
+registerChannel('webhook', {
+  available: () => true,
+  validate(prefs) {
+    let url;
+    try {
+      url = new URL(prefs.webhook_url);
+    } catch (err) {
+      throw new Error('Webhook reminders need a valid URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Webhook URL must be http or https');
+    checkHostName(url);
+  },
+  async send(notification, prefs) {
+    const body = JSON.stringify({
+      type: notification.type,
+      username: notification.username,
+      message: notification.message,
+      task_id: notification.task_id,
+      created_at: notification.created_at
+    });
+    const status = await postJson(prefs.webhook_url, body, { timeoutMs: WEBHOOK_TIMEOUT_MS });
+    if (status < 200 || status >= 300) throw new Error(`Webhook answered ${status}`);
+  }
+});
+
+module.exports = {
+  registerChannel,
+  channelNames,
+  availableChannels,
+  validateChannels,
+  deliver
+};
@@ -0,0 +1,132 @@
+// ============================================
+// OUTBOUND REQUESTS
+// Webhooks and webhook reminders POST to URLs that members type in, so those URLs must
+// lead to the public internet. A host that is, or resolves to, a loopback, private,
+// link-local or otherwise reserved address is refused when the URL is saved and again
+// when each request connects, so a DNS answer that changes in between gets caught too.
+// Redirects are never followed. ALLOW_PRIVATE_WEBHOOKS=true lifts the address check for
+// servers whose receivers live on the local network.
+// ============================================
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const PRIVATE_ADDRESS_ERROR = 'Webhook URL must point to a public address';
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+// Unspecified, loopback and IPv4-compatible, NAT64, 6to4, documentation, unique local,
+// link-local and multicast. IPv4-mapped addresses are checked against the IPv4 ranges by
+// BlockList itself; listing ::ffff:0:0/96 would match every IPv4 address.
+[
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2002::', 16],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function privateAllowed() {
+  return process.env.ALLOW_PRIVATE_WEBHOOKS === 'true';
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+// What can be told without a DNS lookup: a literal address, or localhost
+function checkHostName(url) {
+  if (privateAllowed()) return;
+  const host = hostOf(url).toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+    throw new Error(PRIVATE_ADDRESS_ERROR);
+  }
+}
+
+/**
+ * Resolves the URL's host and throws unless every address it resolves to is public.
+ * A malformed URL is left to the caller's own validation.
+ * @param {string} value
+ */
+async function checkPublicUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (err) {
+    return;
+  }
+  checkHostName(url);
+  if (privateAllowed() || net.isIP(hostOf(url))) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostOf(url), { all: true, verbatim: true });
+  } catch (err) {
+    throw new Error(`Couldn't find the host ${url.hostname}`);
+  }
+  if (addresses.some(a => !isPublicAddress(a.address))) throw new Error(PRIVATE_ADDRESS_ERROR);
+}
+
+// dns.lookup for the request's own connection, refusing non-public answers
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!privateAllowed() && addresses.some(a => !isPublicAddress(a.address))) {
+      return callback(new Error(PRIVATE_ADDRESS_ERROR));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * POSTs a JSON body. A redirect comes back as its own status rather than being followed.
+ * @param {string} value - the URL
+ * @param {string} body - JSON text
+ * @param {Object} options { headers, timeoutMs }
+ * @returns {Promise<number>} the response status; rejects on network errors, with
+ *   err.name 'TimeoutError' when the receiver took longer than timeoutMs
+ */
+function postJson(value, body, { headers = {}, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Webhook URL must be http or https');
+    checkHostName(url);
+
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      lookup: publicLookup
+    }, response => {
+      clearTimeout(timer);
+      response.resume();
+      resolve(response.statusCode);
+    });
+    const timer = setTimeout(() => {
+      const error = new Error('Timed out');
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, timeoutMs);
+    request.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  checkHostName,
+  checkPublicUrl,
+  postJson
+};
@@ -0,0 +1,102 @@
+// ============================================
+// PHOTO PROOF UPLOADS
+// Completion photos are stored on local disk under UPLOAD_DIR, one folder per
+// household, and only ever served back through an authenticated route.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTOS = 3;
+
+// Declared type -> file extension and the magic bytes the file must start with (null
+// matches any byte: a WebP file is "RIFF", its size, then "WEBP")
+const PHOTO_TYPES = {
+  'image/jpeg': { ext: '.jpg', signature: [0xFF, 0xD8, 0xFF] },
+  'image/png': { ext: '.png', signature: [0x89, 0x50, 0x4E, 0x47] },
+  'image/webp': { ext: '.webp', signature: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] }
+};
+
+const storage = multer.diskStorage({
+  destination(req, file, cb) {
+    const dir = path.join(UPLOAD_DIR, String(req.session.user.household_id));
+    fs.mkdir(dir, { recursive: true }, err => cb(err, dir));
+  },
+  filename(req, file, cb) {
+    cb(null, crypto.randomBytes(16).toString('hex') + PHOTO_TYPES[file.mimetype].ext);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_PHOTO_BYTES, files: MAX_PHOTOS },
+  fileFilter(req, file, cb) {
+    if (!PHOTO_TYPES[file.mimetype]) return cb(new Error('Photos must be JPEG, PNG or WebP'));
+    cb(null, true);
+  }
+});
+
+// Accepts up to MAX_PHOTOS files in the `photos` field; turns multer errors into 400s
+function photoUpload(req, res, next) {
+  upload.array('photos', MAX_PHOTOS)(req, res, err => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `Each photo must be under ${MAX_PHOTO_BYTES / (1024 * 1024)} MB`
+      : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Attach at most ${MAX_PHOTOS} photos`
+        : err.message;
+    res.status(400).json({ error: message });
+  });
+}
+
+function discardPhotos(files = []) {
+  for (const file of files) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// The declared content type is only a hint; check the bytes actually match it
+function verifyPhotos(files = []) {
+  for (const file of files) {
+    const { signature } = PHOTO_TYPES[file.mimetype];
+    const header = Buffer.alloc(signature.length);
+    const fd = fs.openSync(file.path, 'r');
+    fs.readSync(fd, header, 0, signature.length, 0);
+    fs.closeSync(fd);
+
+    if (!signature.every((byte, i) => byte === null || header[i] === byte)) {
+      discardPhotos(files);
+      throw new Error(`${file.originalname} is not a valid image`);
+    }
+  }
+}
+
+function photoRecords(files = [], username) {
+  return files.map(file => ({
+    id: path.basename(file.filename, path.extname(file.filename)),
+    filename: file.filename,
+    mimetype: file.mimetype,
+    size: file.size,
+    uploaded_by: username,
+    uploaded_at: new Date().toISOString()
+  }));
+}
+
+// Restored snapshots bring their own filenames; never let one leave the household's folder
+function photoPath(householdId, photo) {
+  return path.join(UPLOAD_DIR, String(householdId), path.basename(String(photo.filename)));
+}
+
+module.exports = {
+  MAX_PHOTOS,
+  MAX_PHOTO_BYTES,
+  photoUpload,
+  verifyPhotos,
+  discardPhotos,
+  photoRecords,
+  photoPath
+};
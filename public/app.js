@@ -12,8 +12,22 @@ const state = {
   tasks: [],
   usersStatus: [],
   history: [],
-  currentMonth: '',
-  currentYear: 0
+  swaps: [],
+  awayPeriods: [],
+  notifications: [],
+  expenses: [],
+  balances: null,
+  chores: [],
+  shopping: [],
+  leaderboardPeriod: 'month',
+  today: '',
+  // The household's timezone; times show on its clock wherever the viewer is
+  timeZone: undefined,
+  // Completions made offline and not yet synced, and any the server turned down
+  queue: [],
+  syncConflicts: [],
+  // When the dashboard on screen was saved, while it comes from the offline copy
+  offlineSince: null
 };
 
 // DOM Elements
@@ -22,19 +36,68 @@ const elements = {
   dashboardScreen: document.getElementById('dashboardScreen'),
   loginForm: document.getElementById('loginForm'),
   loginError: document.getElementById('loginError'),
+  registerForm: document.getElementById('registerForm'),
+  registerError: document.getElementById('registerError'),
+  resetForm: document.getElementById('resetForm'),
+  resetError: document.getElementById('resetError'),
+  showLoginLink: document.getElementById('showLoginLink'),
+  showRegisterLink: document.getElementById('showRegisterLink'),
+  showResetLink: document.getElementById('showResetLink'),
   logoutBtn: document.getElementById('logoutBtn'),
   welcomeText: document.getElementById('welcomeText'),
   monthText: document.getElementById('monthText'),
   loadingState: document.getElementById('loadingState'),
   errorState: document.getElementById('errorState'),
+  syncStatus: document.getElementById('syncStatus'),
+  timezoneNotice: document.getElementById('timezoneNotice'),
   errorText: document.getElementById('errorText'),
   retryBtn: document.getElementById('retryBtn'),
   tasksContainer: document.getElementById('tasksContainer'),
   currentTasks: document.getElementById('currentTasks'),
   usersStatus: document.getElementById('usersStatus'),
+  swapsSection: document.getElementById('swapsSection'),
+  swapsContainer: document.getElementById('swapsContainer'),
   historyContainer: document.getElementById('historyContainer'),
   toggleHistory: document.getElementById('toggleHistory'),
+  reportContainer: document.getElementById('reportContainer'),
+  analyticsSection: document.getElementById('analyticsSection'),
+  analyticsMonths: document.getElementById('analyticsMonths'),
+  analyticsContainer: document.getElementById('analyticsContainer'),
+  toggleAway: document.getElementById('toggleAway'),
+  awayContainer: document.getElementById('awayContainer'),
+  awayList: document.getElementById('awayList'),
+  awayForm: document.getElementById('awayForm'),
+  toggleReport: document.getElementById('toggleReport'),
+  toggleLeaderboard: document.getElementById('toggleLeaderboard'),
+  leaderboardContainer: document.getElementById('leaderboardContainer'),
+  leaderboardList: document.getElementById('leaderboardList'),
+  toggleExpenses: document.getElementById('toggleExpenses'),
+  expensesContainer: document.getElementById('expensesContainer'),
+  balanceList: document.getElementById('balanceList'),
+  expenseForm: document.getElementById('expenseForm'),
+  expenseSplit: document.getElementById('expenseSplit'),
+  splitMembers: document.getElementById('splitMembers'),
+  expenseList: document.getElementById('expenseList'),
+  toggleShopping: document.getElementById('toggleShopping'),
+  shoppingContainer: document.getElementById('shoppingContainer'),
+  shoppingForm: document.getElementById('shoppingForm'),
+  shoppingList: document.getElementById('shoppingList'),
+  purchaseHistory: document.getElementById('purchaseHistory'),
+  toggleNotifications: document.getElementById('toggleNotifications'),
+  notificationsContainer: document.getElementById('notificationsContainer'),
+  notificationList: document.getElementById('notificationList'),
+  unreadBadge: document.getElementById('unreadBadge'),
+  markReadBtn: document.getElementById('markReadBtn'),
+  notificationForm: document.getElementById('notificationForm'),
+  testNotifyBtn: document.getElementById('testNotifyBtn'),
+  toggleCalendar: document.getElementById('toggleCalendar'),
+  calendarContainer: document.getElementById('calendarContainer'),
+  calendarUrl: document.getElementById('calendarUrl'),
+  copyCalendarBtn: document.getElementById('copyCalendarBtn'),
+  newCalendarBtn: document.getElementById('newCalendarBtn'),
   refreshBtn: document.getElementById('refreshBtn'),
+  loginLanguage: document.getElementById('loginLanguage'),
+  headerLanguage: document.getElementById('headerLanguage'),
   toast: document.getElementById('toast'),
   toastMessage: document.getElementById('toastMessage')
 };
@@ -63,6 +126,12 @@ function showScreen(screenName) {
   }
 }
 
+function showDashboard() {
+  elements.welcomeText.textContent = t('dashboard.welcomeUser', { name: capitalizeFirst(state.currentUser.username) });
+  showScreen('dashboard');
+  startLiveUpdates();
+}
+
 function showLoading() {
   elements.loadingState.classList.remove('hidden');
   elements.errorState.classList.add('hidden');
@@ -86,13 +155,37 @@ function showContent() {
 // API FUNCTIONS
 // ============================================
 
+// Thrown when the server can't be reached at all, rather than answering with an error
+class OfflineError extends Error {
+  constructor() {
+    super(t('errors.offline'));
+  }
+}
+
+// fetch() only rejects when no answer came back
+async function reach(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    throw new OfflineError();
+  }
+}
+
+// Errors the server answers with keep its HTTP status
+function responseError(response, data, fallback) {
+  const error = new Error(data.error || fallback);
+  error.status = response.status;
+  return error;
+}
+
 async function apiCall(endpoint, options = {}) {
   try {
-    const response = await fetch(`${API_BASE}${endpoint}`, {
+    const response = await reach(`${API_BASE}${endpoint}`, {
       ...options,
       credentials: 'include',
       headers: {
         'Content-Type': 'application/json',
+        'Accept-Language': currentLanguage,
         ...options.headers
       }
     });
@@ -100,7 +193,7 @@ async function apiCall(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Request failed');
+      throw responseError(response, data, t('errors.requestFailed'));
     }
 
     return data;
@@ -110,6 +203,22 @@ async function apiCall(endpoint, options = {}) {
   }
 }
 
+// Multipart variant of apiCall; the browser sets the multipart boundary header itself
+async function apiUpload(endpoint, formData) {
+  const response = await reach(`${API_BASE}${endpoint}`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Accept-Language': currentLanguage },
+    body: formData
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw responseError(response, data, t('errors.uploadFailed'));
+  }
+  return data;
+}
+
 async function login(username, password) {
   return apiCall('/login', {
     method: 'POST',
@@ -117,6 +226,20 @@ async function login(username, password) {
   });
 }
 
+async function register(details) {
+  return apiCall('/register', {
+    method: 'POST',
+    body: JSON.stringify(details)
+  });
+}
+
+async function resetPassword(token, newPassword) {
+  return apiCall('/account/password/reset', {
+    method: 'POST',
+    body: JSON.stringify({ token, newPassword })
+  });
+}
+
 async function logout() {
   return apiCall('/logout', { method: 'POST' });
 }
@@ -129,10 +252,29 @@ async function getUsersStatus() {
   return apiCall('/users/status');
 }
 
-async function completeTask(taskName) {
-  return apiCall('/tasks/complete', {
+async function completeTask(taskId, photos = [], override = false) {
+  if (photos.length === 0) {
+    return apiCall('/tasks/complete', {
+      method: 'POST',
+      body: JSON.stringify({ taskId, override })
+    });
+  }
+
+  const formData = new FormData();
+  formData.append('taskId', taskId);
+  formData.append('override', override);
+  photos.forEach(photo => formData.append('photos', photo));
+  return apiUpload('/tasks/complete', formData);
+}
+
+async function reopenTask(taskId) {
+  return apiCall(`/tasks/${taskId}/reopen`, { method: 'POST' });
+}
+
+async function syncCompletions(completions) {
+  return apiCall('/tasks/sync', {
     method: 'POST',
-    body: JSON.stringify({ taskName })
+    body: JSON.stringify({ completions })
   });
 }
 
@@ -140,6 +282,157 @@ async function getHistory() {
   return apiCall('/history');
 }
 
+async function getCurrentReport() {
+  return apiCall('/reports/current');
+}
+
+async function getAnalytics(months) {
+  return apiCall(`/analytics?months=${months}`);
+}
+
+async function getSwaps() {
+  return apiCall('/swaps');
+}
+
+async function proposeSwap(taskId, toUser, counterTaskId) {
+  return apiCall('/swaps', {
+    method: 'POST',
+    body: JSON.stringify({ taskId, toUser, counterTaskId })
+  });
+}
+
+async function respondToSwap(swapId, action) {
+  return apiCall(`/swaps/${swapId}/${action}`, { method: 'POST' });
+}
+
+async function confirmTask(taskId) {
+  return apiCall(`/tasks/${taskId}/confirm`, { method: 'POST' });
+}
+
+async function disputeTask(taskId, reason) {
+  return apiCall(`/tasks/${taskId}/dispute`, {
+    method: 'POST',
+    body: JSON.stringify({ reason })
+  });
+}
+
+async function getAwayPeriods() {
+  return apiCall('/away');
+}
+
+async function addAwayPeriod(period) {
+  return apiCall('/away', {
+    method: 'POST',
+    body: JSON.stringify(period)
+  });
+}
+
+async function removeAwayPeriod(periodId) {
+  return apiCall(`/away/${periodId}`, { method: 'DELETE' });
+}
+
+async function getLeaderboard(period) {
+  return apiCall(`/leaderboard?period=${period}`);
+}
+
+async function getExpenses() {
+  return apiCall('/expenses');
+}
+
+async function addExpense(expense) {
+  return apiCall('/expenses', {
+    method: 'POST',
+    body: JSON.stringify(expense)
+  });
+}
+
+async function removeExpense(expenseId) {
+  return apiCall(`/expenses/${expenseId}`, { method: 'DELETE' });
+}
+
+async function getBalances() {
+  return apiCall('/balances');
+}
+
+async function addPayment(payment) {
+  return apiCall('/payments', {
+    method: 'POST',
+    body: JSON.stringify(payment)
+  });
+}
+
+async function getChores() {
+  return apiCall('/chores');
+}
+
+async function getShoppingList() {
+  return apiCall('/shopping');
+}
+
+async function getPurchaseHistory() {
+  return apiCall('/shopping/history?limit=10');
+}
+
+async function addShoppingItem(item) {
+  return apiCall('/shopping', {
+    method: 'POST',
+    body: JSON.stringify(item)
+  });
+}
+
+async function shoppingAction(itemId, action) {
+  return apiCall(`/shopping/${itemId}/${action}`, { method: 'POST' });
+}
+
+async function removeShoppingItem(itemId) {
+  return apiCall(`/shopping/${itemId}`, { method: 'DELETE' });
+}
+
+async function getNotifications() {
+  return apiCall('/notifications');
+}
+
+async function markNotificationsRead() {
+  return apiCall('/notifications/read', { method: 'POST', body: JSON.stringify({}) });
+}
+
+async function getNotificationPrefs() {
+  return apiCall('/account/notifications');
+}
+
+async function updateNotificationPrefs(prefs) {
+  return apiCall('/account/notifications', {
+    method: 'PUT',
+    body: JSON.stringify(prefs)
+  });
+}
+
+async function sendTestNotification() {
+  return apiCall('/account/notifications/test', { method: 'POST' });
+}
+
+async function updateHousehold(changes) {
+  return apiCall('/household', {
+    method: 'PUT',
+    body: JSON.stringify(changes)
+  });
+}
+
+async function updateLanguage(language) {
+  return apiCall('/account/language', {
+    method: 'PUT',
+    body: JSON.stringify({ language })
+  });
+}
+
+async function getCalendarLink() {
+  return apiCall('/account/calendar');
+}
+
+async function regenerateCalendarLink() {
+  return apiCall('/account/calendar', { method: 'POST' });
+}
+
 // ============================================
 // AUTHENTICATION HANDLERS
 // ============================================
@@ -151,20 +444,23 @@ elements.loginForm.addEventListener('submit', async (e) => {
   const password = document.getElementById('password').value;
 
   if (!username || !password) {
-    elements.loginError.textContent = 'Please enter username and password';
+    elements.loginError.textContent = t('auth.missingCredentials');
     elements.loginError.classList.remove('hidden');
     return;
   }
 
   elements.loginError.classList.add('hidden');
-  const loginBtn = e.target.querySelector('button[type="submit"]');
-  const originalText = loginBtn.textContent;
-  loginBtn.textContent = 'Logging in...';
-  loginBtn.classList.add('btn-loader');
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  const btnText = submitBtn.querySelector('.btn-text');
+  const btnLoader = submitBtn.querySelector('.btn-loader');
+  btnText.classList.add('hidden');
+  btnLoader.classList.remove('hidden');
+  submitBtn.disabled = true;
 
   try {
     const data = await login(username, password);
     state.currentUser = data.user;
+    adoptUserLanguage();
     showDashboard();
     await loadDashboardData();
 
@@ -178,28 +474,161 @@ elements.loginForm.addEventListener('submit', async (e) => {
   }
 });
 
-// Quick login chips
-document.querySelectorAll('.user-chip').forEach(chip => {
-  chip.addEventListener('click', () => {
-    const username = chip.dataset.username;
-    const password = chip.dataset.password;
-    document.getElementById('username').value = username;
-    document.getElementById('password').value = password;
-    document.getElementById('username').focus();
-  });
+elements.registerForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const details = {
+    username: document.getElementById('registerUsername').value.trim(),
+    password: document.getElementById('registerPassword').value,
+    inviteCode: document.getElementById('inviteCode').value.trim(),
+    householdName: document.getElementById('householdName').value.trim(),
+    // A new household starts on the creator's clock
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    language: currentLanguage
+  };
+
+  if (!details.inviteCode && !details.householdName) {
+    elements.registerError.textContent = t('auth.missingHousehold');
+    elements.registerError.classList.remove('hidden');
+    return;
+  }
+
+  elements.registerError.classList.add('hidden');
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    const data = await register(details);
+    elements.registerForm.reset();
+
+    if (data.pending) {
+      showAuthForm('login');
+      showToast(t('auth.pendingApproval', { household: data.household.name }), 5000);
+      return;
+    }
+
+    state.currentUser = data.user;
+    adoptUserLanguage();
+    showDashboard();
+    await loadDashboardData();
+  } catch (error) {
+    elements.registerError.textContent = error.message;
+    elements.registerError.classList.remove('hidden');
+  } finally {
+    submitBtn.disabled = false;
+  }
+});
+
+elements.resetForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const token = document.getElementById('resetToken').value.trim();
+  const newPassword = document.getElementById('resetPassword').value;
+
+  elements.resetError.classList.add('hidden');
+  const submitBtn = e.target.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+
+  try {
+    await resetPassword(token, newPassword);
+    elements.resetForm.reset();
+    showAuthForm('login');
+    showToast(t('auth.passwordUpdated'));
+  } catch (error) {
+    elements.resetError.textContent = error.message;
+    elements.resetError.classList.remove('hidden');
+  } finally {
+    submitBtn.disabled = false;
+  }
 });
 
+// Switches the login screen between the login, signup and reset forms
+function showAuthForm(name) {
+  elements.loginForm.classList.toggle('hidden', name !== 'login');
+  elements.registerForm.classList.toggle('hidden', name !== 'register');
+  elements.resetForm.classList.toggle('hidden', name !== 'reset');
+  elements.showLoginLink.classList.toggle('hidden', name === 'login');
+  elements.showRegisterLink.classList.toggle('hidden', name === 'register');
+  elements.showResetLink.classList.toggle('hidden', name === 'reset');
+}
+
+elements.showLoginLink.addEventListener('click', () => showAuthForm('login'));
+elements.showRegisterLink.addEventListener('click', () => showAuthForm('register'));
+elements.showResetLink.addEventListener('click', () => showAuthForm('reset'));
+
 elements.logoutBtn.addEventListener('click', async () => {
+  const unsynced = state.queue.length;
+  if (unsynced > 0 && !confirm(t('auth.unsyncedLogout', { count: unsynced }))) {
+    return;
+  }
+
   try {
     await logout();
+    stopLiveUpdates();
+    await clearOfflineData().catch(error => console.warn('Offline data not cleared:', error));
     state.currentUser = null;
     state.tasks = [];
     state.usersStatus = [];
+    state.queue = [];
+    state.syncConflicts = [];
+    renderSyncStatus();
     showScreen('login');
     elements.loginForm.reset();
-    showToast('Logged out successfully');
+    showToast(t('auth.loggedOut'));
+  } catch (error) {
+    showToast(t('auth.logoutFailed', { message: error.message }));
+  }
+});
+
+// ============================================
+// LANGUAGE
+// Signed out, the choice lives on this device; signed in, it's also saved to the
+// account so reminders reach you in the same language.
+// ============================================
+
+function adoptUserLanguage() {
+  if (state.currentUser.language && state.currentUser.language !== currentLanguage) {
+    setLanguage(state.currentUser.language);
+  }
+  elements.loginLanguage.value = currentLanguage;
+  elements.headerLanguage.value = currentLanguage;
+}
+
+// Everything built from templates is rendered again; open sections reload
+async function rerenderLanguage() {
+  elements.welcomeText.textContent = t('dashboard.welcomeUser', { name: capitalizeFirst(state.currentUser.username) });
+  renderDashboard();
+
+  const sections = [
+    [elements.reportContainer, () => Promise.all([loadMonthlyReport(), loadAnalytics()])],
+    [elements.leaderboardContainer, loadLeaderboard],
+    [elements.expensesContainer, loadExpenses],
+    [elements.shoppingContainer, loadShopping],
+    [elements.notificationsContainer, loadNotifications],
+    [elements.awayContainer, loadAwayPeriods],
+    [elements.calendarContainer, loadCalendarLink],
+    [elements.historyContainer, loadHistory]
+  ];
+  await Promise.all(sections
+    .filter(([container]) => !container.classList.contains('hidden'))
+    .map(([, load]) => load()));
+}
+
+elements.loginLanguage.addEventListener('change', () => {
+  setLanguage(elements.loginLanguage.value);
+  elements.headerLanguage.value = currentLanguage;
+});
+
+elements.headerLanguage.addEventListener('change', async () => {
+  setLanguage(elements.headerLanguage.value);
+  elements.loginLanguage.value = currentLanguage;
+  await rerenderLanguage();
+
+  try {
+    const { user } = await updateLanguage(currentLanguage);
+    state.currentUser.language = user.language;
   } catch (error) {
-    showToast('Logout failed: ' + error.message);
+    showToast('❌ ' + error.message);
   }
 });
 
@@ -209,30 +638,234 @@ elements.logoutBtn.addEventListener('click', async () => {
 
 async function loadDashboardData() {
   showLoading();
+  state.queue = await queuedCompletions().catch(() => []);
 
   try {
     // Parallel API calls for better performance
-    const [tasksData, statusData] = await Promise.all([
+    const [tasksData, statusData, swapsData, choresData] = await Promise.all([
       getCurrentTasks(),
-      getUsersStatus()
+      getUsersStatus(),
+      getSwaps(),
+      getChores()
     ]);
 
     state.tasks = tasksData.tasks;
-    state.currentMonth = tasksData.monthName;
-    state.currentYear = tasksData.year;
+    state.today = tasksData.date;
+    state.timeZone = tasksData.timezone;
     state.usersStatus = statusData.status;
+    state.swaps = swapsData.swaps;
+    state.chores = choresData.chores;
+    state.offlineSince = null;
+    saveDashboardSnapshot();
 
     // Update UI
-    elements.monthText.textContent = `${state.currentMonth} ${state.currentYear}`;
-    renderCurrentTasks();
-    renderUsersStatus();
+    renderDashboard();
+    loadNotifications();
 
     showContent();
+    if (state.queue.length > 0) syncQueuedCompletions();
+  } catch (error) {
+    if (error.status === 401) {
+      stopLiveUpdates();
+      state.currentUser = null;
+      showScreen('login');
+      return;
+    }
+    if (error instanceof OfflineError && await showOfflineDashboard()) return;
+    showError(t('dashboard.loadFailed', { message: error.message }));
+  }
+}
+
+function renderDashboard() {
+  elements.monthText.textContent = formatDay(state.today, { weekday: 'long', month: 'long', day: 'numeric' });
+  renderCurrentTasks();
+  renderSwaps();
+  renderUsersStatus();
+  renderSyncStatus();
+  renderTimezoneNotice();
+}
+
+// ============================================
+// HOUSEHOLD TIMEZONE
+// Households from before timezones got the server's clock, often UTC. Admins whose
+// device keeps a different time are offered the device's timezone, once per mismatch.
+// ============================================
+
+function deviceTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+// Zones that show the same time now (or are aliases of each other) don't count as different
+function sameClock(a, b) {
+  const now = new Date();
+  const wallClock = timeZone => now.toLocaleString('en-US', { timeZone });
+  return wallClock(a) === wallClock(b);
+}
+
+function renderTimezoneNotice() {
+  const device = deviceTimeZone();
+  const show = state.currentUser.role === 'admin' && state.timeZone && device &&
+    !sameClock(state.timeZone, device) &&
+    localStorage.getItem('timezoneNoticeDismissed') !== `${state.timeZone}>${device}`;
+
+  elements.timezoneNotice.innerHTML = show ? `
+    ${t('timezone.mismatch', { household: escapeHtml(state.timeZone), device: escapeHtml(device) })}
+    <button class="btn-text-link" onclick="handleAdoptTimezone()">${escapeHtml(t('timezone.use', { device }))}</button>
+    <button class="btn-text-link" onclick="dismissTimezoneNotice()">${t('common.dismiss')}</button>
+  ` : '';
+  elements.timezoneNotice.classList.toggle('hidden', !show);
+}
+
+async function handleAdoptTimezone() {
+  try {
+    const { household } = await updateHousehold({ timezone: deviceTimeZone() });
+    showToast(t('timezone.updated', { timezone: household.timezone }));
+    await loadDashboardData();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+function dismissTimezoneNotice() {
+  localStorage.setItem('timezoneNoticeDismissed', `${state.timeZone}>${deviceTimeZone()}`);
+  renderTimezoneNotice();
+}
+
+// ============================================
+// OFFLINE MODE
+// The last dashboard loaded is kept in IndexedDB (offline.js). Without a connection the
+// app shows that copy, and completions go into a queue that syncs once it's back.
+// ============================================
+
+function saveDashboardSnapshot() {
+  saveSnapshot('dashboard', {
+    user: state.currentUser,
+    tasks: state.tasks,
+    today: state.today,
+    timeZone: state.timeZone,
+    usersStatus: state.usersStatus,
+    swaps: state.swaps,
+    chores: state.chores,
+    saved_at: new Date().toISOString()
+  }).catch(error => console.warn('Dashboard not saved for offline use:', error));
+}
+
+// Shows the saved dashboard; false when there is none for the signed-in member
+async function showOfflineDashboard() {
+  const snapshot = await loadSnapshot('dashboard').catch(() => null);
+  if (!snapshot || !state.currentUser || snapshot.user.username !== state.currentUser.username) return false;
+
+  state.tasks = snapshot.tasks;
+  state.today = snapshot.today;
+  state.timeZone = snapshot.timeZone;
+  state.usersStatus = snapshot.usersStatus;
+  state.swaps = snapshot.swaps;
+  state.chores = snapshot.chores;
+  state.offlineSince = snapshot.saved_at;
+  renderDashboard();
+  showContent();
+  return true;
+}
+
+function isQueued(task) {
+  return state.queue.some(item => item.task_id === task.id);
+}
+
+async function queueOfflineCompletion(task) {
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    username: state.currentUser.username,
+    task_id: task.id,
+    task_name: taskName(task),
+    assigned_to: task.assigned_to,
+    completed_at: new Date().toISOString()
+  };
+
+  try {
+    await queueCompletion(item);
   } catch (error) {
-    showError('Failed to load data: ' + error.message);
+    showToast(t('offline.saveFailed'));
+    return;
   }
+  state.queue.push(item);
+  if (!state.offlineSince) state.offlineSince = new Date().toISOString();
+  renderCurrentTasks();
+  renderSyncStatus();
+  showToast(t('offline.saved'));
+}
+
+// Sends the signed-in member's queued completions. Ones the server applied, had already
+// applied or turned down leave the queue; a lost connection leaves it as it was.
+let syncing = null;
+
+function syncQueuedCompletions() {
+  if (syncing) return syncing;
+  syncing = (async () => {
+    const mine = state.queue.filter(item => item.username === state.currentUser.username);
+    if (mine.length === 0) return;
+
+    try {
+      const { results } = await syncCompletions(mine.map(({ id, task_id, assigned_to, completed_at }) =>
+        ({ id, task_id, assigned_to, completed_at })
+      ));
+      for (const result of results) {
+        await dropQueuedCompletion(result.id);
+        if (result.status === 'conflict') {
+          const item = mine.find(q => q.id === result.id);
+          state.syncConflicts.push({ id: result.id, name: item ? item.task_name : t('offline.aTask'), reason: result.reason });
+        }
+      }
+      state.queue = state.queue.filter(item => !results.some(r => r.id === item.id));
+
+      const applied = results.filter(r => r.status === 'applied').length;
+      if (applied > 0) showToast(t('offline.synced', { count: applied }));
+      patchTasks(results.filter(r => r.task).map(r => r.task));
+      renderSyncStatus();
+    } catch (error) {
+      if (!(error instanceof OfflineError)) showToast(t('offline.syncFailed', { message: error.message }));
+    } finally {
+      syncing = null;
+    }
+  })();
+  return syncing;
+}
+
+// Header line: offline, completions waiting to sync and any the server turned down
+function renderSyncStatus() {
+  const waiting = state.queue.length;
+  const lines = [];
+  if (state.offlineSince) lines.push(t('offline.showingAsOf', { date: formatDate(state.offlineSince) }));
+  if (waiting > 0) lines.push(t('offline.waiting', { count: waiting }));
+
+  elements.syncStatus.innerHTML = [
+    ...lines.map(line => `<div>${line}</div>`),
+    ...state.syncConflicts.map(conflict => `
+      <div class="sync-conflict">
+        ${t('offline.didntSync', { name: escapeHtml(conflict.name), reason: escapeHtml(conflict.reason) })}
+        <button class="btn-text-link" onclick="dismissSyncConflict('${conflict.id}')">${t('common.dismiss')}</button>
+      </div>
+    `)
+  ].join('');
+  elements.syncStatus.classList.toggle('hidden', lines.length === 0 && state.syncConflicts.length === 0);
 }
 
+function dismissSyncConflict(id) {
+  state.syncConflicts = state.syncConflicts.filter(conflict => conflict.id !== id);
+  renderSyncStatus();
+}
+
+window.addEventListener('online', async () => {
+  if (!state.currentUser) return;
+  await syncQueuedCompletions();
+  await loadDashboardData();
+});
+
+window.addEventListener('offline', () => {
+  if (!state.currentUser || state.offlineSince) return;
+  state.offlineSince = new Date().toISOString();
+  renderSyncStatus();
+});
+
 // ============================================
 // RENDERING FUNCTIONS
 // ============================================
@@ -241,159 +874,657 @@ function renderCurrentTasks() {
   if (state.tasks.length === 0) {
     elements.currentTasks.innerHTML = `
       <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
-        <p>No tasks assigned for this month yet.</p>
+        <p>${t('tasks.none')}</p>
       </div>
     `;
     return;
   }
 
   elements.currentTasks.innerHTML = state.tasks.map(task => {
-    const isAssignedToMe = task.assigned_to === state.currentUser;
-    const isCompleted = Boolean(task.completed);
+    const isAssignedToMe = task.assigned_to === state.currentUser.username;
+    const isAdmin = state.currentUser.role === 'admin';
+    const isCompleted = task.status === 'completed';
+    const isAwaiting = task.status === 'awaiting_verification';
+    const canVerify = isAwaiting && !isAssignedToMe && task.completed_by !== state.currentUser.username;
+    const queued = isQueued(task);
+    const isOverdue = task.status === 'pending' && !queued && task.due_date < state.today;
+    const canReopen = task.status !== 'pending' &&
+      (isAssignedToMe || isAdmin || task.completed_by === state.currentUser.username);
+    const badge = isCompleted ? ['completed', t('tasks.badgeDone')]
+      : isAwaiting ? ['awaiting', t('tasks.badgeToVerify')]
+      : queued ? ['awaiting', t('tasks.badgeQueued')]
+      : isOverdue ? ['overdue', t('tasks.badgeOverdue')]
+      : ['pending', t('tasks.badgePending')];
+    const lastSwap = (task.reassignments || []).slice(-1)[0];
+    const swapPending = state.swaps.some(s => s.status === 'pending' && s.task_id === task.id);
 
     return `
-      <div class="task-card ${isCompleted ? 'completed' : ''}" style="animation-delay: ${Math.random() * 0.2}s">
+      <div class="task-card ${isCompleted ? 'completed' : isOverdue ? 'overdue' : ''}" style="animation-delay: ${Math.random() * 0.2}s">
         <div class="task-header">
           <div class="task-info">
-            <h4>${task.name}</h4>
+            <h4>${escapeHtml(taskName(task))}</h4>
             <div class="task-assignee">
-              <span>${isAssignedToMe ? '👤 You' : '👤 ' + capitalizeFirst(task.assigned_to)}</span>
+              <span>👤 ${isAssignedToMe ? t('tasks.you') : capitalizeFirst(task.assigned_to)}</span>
             </div>
+            ${lastSwap ? `<div class="swap-note">${t('tasks.takenOver', { name: capitalizeFirst(lastSwap.from) })}</div>` : ''}
+            ${task.rollover ? `<div class="swap-note">${t('tasks.carriedOver', { month: formatDay(task.due_date, { month: 'long' }) })}</div>` : ''}
+            ${task.make_up_for ? `<div class="swap-note">${task.missed_on
+              ? t('tasks.missedOn', { date: formatDay(task.missed_on) })
+              : `🔂 ${escapeHtml(task.assignment_reason)}`}</div>` : ''}
           </div>
-          <span class="status-badge ${isCompleted ? 'completed' : 'pending'}">
-            ${isCompleted ? '✓ Done' : '⏳ Pending'}
+          <span class="status-badge ${badge[0]}">
+            ${badge[1]}
           </span>
         </div>
         
-        <div style="font-size: 0.85rem; color: var(--text-secondary); margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid rgba(255,255,255,0.05);">
-          📅 Assigned for: <strong>${state.currentMonth} ${state.currentYear}</strong>
+        <div style="font-size: 0.85rem; color: ${isOverdue ? 'var(--danger)' : 'var(--text-secondary)'}; margin-top: 0.75rem; padding-top: 0.75rem; border-top: 1px solid rgba(255,255,255,0.05);">
+          ${t('tasks.due', { date: `<strong>${formatDay(task.due_date)}</strong>` })}
+          ${task.period_start !== task.period_end ? `<span>(${formatDay(task.period_start)} – ${formatDay(task.period_end)})</span>` : ''}
         </div>
         
-        ${isAssignedToMe && !isCompleted ? `
+        ${queued ? `
+          <div class="sync-note">${t('tasks.queuedNote')}</div>
+        ` : ''}
+
+        ${(isAssignedToMe || isAdmin) && task.status === 'pending' && !queued ? `
           <div class="task-actions">
-            <button class="btn btn-success" onclick="handleCompleteTask('${task.name}')">
-              Mark Complete
+            <button class="btn ${isAssignedToMe ? 'btn-success' : 'btn-secondary'}" onclick="handleCompleteTask(${task.id})">
+              ${isAssignedToMe ? t('tasks.markComplete') : t('tasks.completeAsAdmin')}
             </button>
+            ${!isAssignedToMe || swapPending ? '' : `
+              <button class="btn btn-secondary" onclick="toggleSwapForm(${task.id})">${t('tasks.swap')}</button>
+            `}
+          </div>
+          <div id="completeForm-${task.id}" class="swap-form hidden">
+            <label class="hint" for="photos-${task.id}">${t('tasks.photosHint')}</label>
+            <input type="file" id="photos-${task.id}" accept="image/jpeg,image/png,image/webp" capture="environment" multiple>
+            <button class="btn btn-success" onclick="submitCompletion(${task.id})">${t('tasks.done')}</button>
           </div>
+          <div id="swapForm-${task.id}" class="swap-form hidden"></div>
         ` : ''}
         
-        ${isCompleted ? `
-          <div style="font-size: 0.85rem; color: var(--success); margin-top: 0.75rem; padding: 0.75rem; background: rgba(16, 185, 129, 0.1); border-radius: var(--radius-sm);">
-            <div style="font-weight: 600; margin-bottom: 0.25rem;">✓ Completed</div>
+        ${isCompleted || isAwaiting ? `
+          <div style="font-size: 0.85rem; color: ${isCompleted ? 'var(--success)' : 'var(--warning)'}; margin-top: 0.75rem; padding: 0.75rem; background: ${isCompleted ? 'rgba(16, 185, 129, 0.1)' : 'rgba(245, 158, 11, 0.1)'}; border-radius: var(--radius-sm);">
+            <div style="font-weight: 600; margin-bottom: 0.25rem;">${isCompleted ? t('tasks.completed') : t('tasks.awaiting')}</div>
             <div style="color: var(--text-secondary);">${formatDate(task.completed_at)}</div>
+            ${renderPhotoStrip(task)}
+          </div>
+        ` : ''}
+
+        ${canVerify ? `
+          <div class="task-actions">
+            <button class="btn btn-success" onclick="handleConfirmTask(${task.id})">${t('tasks.confirm')}</button>
+            <button class="btn btn-secondary" onclick="toggleDisputeForm(${task.id})">${t('tasks.dispute')}</button>
+          </div>
+          <div id="disputeForm-${task.id}" class="swap-form hidden">
+            <textarea id="disputeReason-${task.id}" rows="2" maxlength="500" placeholder="${t('tasks.disputePlaceholder')}"></textarea>
+            <button class="btn btn-secondary" onclick="handleDisputeTask(${task.id})">${t('tasks.sendDispute')}</button>
+          </div>
+        ` : ''}
+
+        ${canReopen ? `
+          <div class="task-actions">
+            <button class="btn btn-secondary" onclick="handleReopenTask(${task.id})">${t('tasks.reopen')}</button>
           </div>
         ` : ''}
+
+        ${renderConsumables(task)}
+        ${renderThread(task)}
       </div>
     `;
   }).join('');
+
+  hydratePhotos(elements.currentTasks);
 }
 
 function renderUsersStatus() {
   if (state.usersStatus.length === 0) {
-    elements.usersStatus.innerHTML = '<p style="color: var(--text-secondary);">No status data available.</p>';
+    elements.usersStatus.innerHTML = `<p style="color: var(--text-secondary);">${t('status.none')}</p>`;
     return;
   }
 
   elements.usersStatus.innerHTML = state.usersStatus.map((user, index) => {
     const totalTasks = user.tasks.length;
-    const completedTasks = user.tasks.filter(t => t.completed).length;
+    const completedTasks = user.completedTasks;
     const hasIncomplete = completedTasks < totalTasks;
 
     return `
       <div class="user-card ${hasIncomplete ? 'alert' : ''}" style="animation-delay: ${index * 0.1}s">
         <div class="user-header">
-          <div class="user-name">${capitalizeFirst(user.username)}</div>
+          <div class="user-name">
+            ${capitalizeFirst(user.username)}
+            ${user.away_until ? `<span class="swap-note">${t('status.awayUntil', { date: formatDay(user.away_until) })}</span>` : ''}
+          </div>
           <div class="completion-badge">
-            ${completedTasks}/${totalTasks} tasks
+            ${t('status.tasks', { done: completedTasks, total: totalTasks })}
+            ${user.overdueTasks ? `<span style="color: var(--danger);"> · ${t('status.overdue', { count: user.overdueTasks })}</span>` : ''}
           </div>
         </div>
         
         <div class="user-tasks">
           ${user.tasks.length > 0 ? user.tasks.map(task => `
             <div class="user-task-item">
-              <span class="task-icon">${task.completed ? '✅' : '⏳'}</span>
+              <span class="task-icon">${task.status === 'completed' ? '✅' : task.status === 'awaiting_verification' ? '👀' : '⏳'}</span>
               <div style="flex: 1;">
-                <div>${task.name}</div>
-                ${task.completed ? `<div style="font-size: 0.75rem; color: var(--text-tertiary); margin-top: 0.25rem;">${formatDate(task.completedAt)}</div>` : ''}
+                <div>${escapeHtml(taskName(task))}</div>
+                <div style="font-size: 0.75rem; color: var(--text-tertiary); margin-top: 0.25rem;">
+                  ${task.completed_at ? formatDate(task.completed_at) : t('status.due', { date: formatDay(task.due_date) })}
+                </div>
               </div>
             </div>
-          `).join('') : '<div style="color: var(--text-tertiary); font-size: 0.9rem;">No tasks assigned</div>'}
+          `).join('') : `<div style="color: var(--text-tertiary); font-size: 0.9rem;">${t('status.noTasks')}</div>`}
         </div>
       </div>
     `;
   }).join('');
 }
 
-async function loadHistory() {
-  try {
-    const data = await getHistory();
-    state.history = data.history;
-
-    if (state.history.length === 0) {
-      elements.historyContainer.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">No activity yet.</p>';
-      return;
+function renderSwaps() {
+  const me = state.currentUser.username;
+  const pending = state.swaps.filter(s => s.status === 'pending');
+  const recent = state.swaps.filter(s => s.status !== 'pending').slice(0, 3);
+
+  elements.swapsSection.classList.toggle('hidden', pending.length === 0 && recent.length === 0);
+
+  elements.swapsContainer.innerHTML = [...pending, ...recent].map(swap => {
+    const incoming = swap.to_user === me;
+    const other = capitalizeFirst(incoming ? swap.from_user : swap.to_user);
+    const task = escapeHtml(translatedName(swap.task_name, swap.task_translations));
+    const trade = swap.counter_task_name
+      ? t('swaps.trade', { task: escapeHtml(translatedName(swap.counter_task_name, swap.counter_task_translations)) })
+      : '';
+    const summary = t(incoming ? 'swaps.incoming' : 'swaps.outgoing', { name: other, task, trade });
+    const status = hasMessage(`swaps.${swap.status}`) ? t(`swaps.${swap.status}`) : capitalizeFirst(swap.status);
+
+    let actions = `<div class="history-time">${status} · ${formatDate(swap.responded_at || swap.created_at)}</div>`;
+    if (swap.status === 'pending') {
+      actions = incoming ? `
+        <div class="task-actions" style="margin-top: 0.75rem;">
+          <button class="btn btn-success" onclick="handleSwapResponse(${swap.id}, 'accept')">${t('swaps.accept')}</button>
+          <button class="btn btn-secondary" onclick="handleSwapResponse(${swap.id}, 'decline')">${t('swaps.decline')}</button>
+        </div>
+      ` : `
+        <div class="task-actions" style="margin-top: 0.75rem;">
+          <button class="btn btn-secondary" onclick="handleSwapResponse(${swap.id}, 'cancel')">${t('swaps.cancel')}</button>
+        </div>
+      `;
     }
 
-    elements.historyContainer.innerHTML = state.history.map(item => `
+    return `
       <div class="history-item">
-        <div>
-          <strong>${capitalizeFirst(item.username)}</strong> ${item.action} 
-          <strong>${item.task_name}</strong> (${item.month}/${item.year})
-        </div>
-        <div class="history-time">${formatDate(item.timestamp)}</div>
+        <div>${summary}</div>
+        ${actions}
       </div>
-    `).join('');
-  } catch (error) {
-    elements.historyContainer.innerHTML = `<p style="color: var(--danger);">Failed to load history</p>`;
-  }
+    `;
+  }).join('');
 }
 
-async function loadMonthlyReport() {
-  try {
+// ============================================
+// PHOTO PROOF
+// ============================================
+
+// Photos sit behind the session, so they're fetched with credentials and shown as blob URLs
+// rather than plain <img src> links (which the Android app can't authenticate)
+const photoUrls = {};
+
+function renderPhotoStrip(task) {
+  if (!task.photos || task.photos.length === 0) return '';
+  return `
+    <div class="photo-strip">
+      ${task.photos.map(photo => `
+        <img class="photo-thumb" alt="${escapeHtml(t('tasks.photoAlt', { name: taskName(task) }))}" data-photo="/tasks/${task.id}/photos/${photo.id}">
+      `).join('')}
+    </div>
+  `;
+}
+
+async function hydratePhotos(container) {
+  const images = container.querySelectorAll('img[data-photo]');
+  for (const img of images) {
+    const endpoint = img.dataset.photo;
+    try {
+      if (!photoUrls[endpoint]) {
+        const response = await fetch(`${API_BASE}${endpoint}`, { credentials: 'include' });
+        if (!response.ok) throw new Error('Photo unavailable');
+        photoUrls[endpoint] = URL.createObjectURL(await response.blob());
+      }
+      img.src = photoUrls[endpoint];
+      img.onclick = () => window.open(photoUrls[endpoint], '_blank');
+    } catch (error) {
+      img.remove();
+    }
+  }
+}
+
+// ============================================
+// VERIFICATION
+// ============================================
+
+// Only shown once there's more to it than a single completion
+function renderThread(task) {
+  const thread = task.thread || [];
+  if (!thread.some(entry => ['disputed', 'reopened'].includes(entry.action))) return '';
+  return `
+    <div class="task-thread">
+      ${thread.map(entry => `
+        <div class="thread-entry ${entry.action}">
+          <strong>${entry.username ? capitalizeFirst(entry.username) : ''}</strong> ${t(`thread.${entry.action}`)}
+          <span class="history-time">${formatDate(entry.at)}</span>
+          ${entry.action === 'disputed' ? `<div>“${escapeHtml(entry.reason)}”</div>` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function toggleDisputeForm(taskId) {
+  document.getElementById(`disputeForm-${taskId}`).classList.toggle('hidden');
+}
+
+async function handleConfirmTask(taskId) {
+  try {
+    await confirmTask(taskId);
+    showToast(t('verify.confirmed'));
+    await loadDashboardData();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleDisputeTask(taskId) {
+  const reason = document.getElementById(`disputeReason-${taskId}`).value.trim();
+  if (!reason) {
+    showToast(t('verify.reasonNeeded'));
+    return;
+  }
+
+  try {
+    await disputeTask(taskId, reason);
+    showToast(t('verify.disputed'));
+    await loadDashboardData();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+// Inline form on a task card: pick a roommate, then one of their tasks or a plain hand-over
+function toggleSwapForm(taskId) {
+  const form = document.getElementById(`swapForm-${taskId}`);
+  if (!form.classList.contains('hidden')) {
+    form.classList.add('hidden');
+    return;
+  }
+
+  const others = state.usersStatus.filter(u => u.username !== state.currentUser.username);
+  form.innerHTML = `
+    <select id="swapUser-${taskId}" onchange="updateSwapTaskOptions(${taskId})">
+      ${others.map(u => `<option value="${u.username}">${capitalizeFirst(u.username)}</option>`).join('')}
+    </select>
+    <select id="swapTask-${taskId}"></select>
+    <button class="btn btn-primary" onclick="handleProposeSwap(${taskId})">${t('swaps.send')}</button>
+  `;
+  form.classList.remove('hidden');
+  updateSwapTaskOptions(taskId);
+}
+
+function updateSwapTaskOptions(taskId) {
+  const username = document.getElementById(`swapUser-${taskId}`).value;
+  const user = state.usersStatus.find(u => u.username === username);
+  const theirTasks = user ? user.tasks.filter(task => task.status === 'pending') : [];
+
+  document.getElementById(`swapTask-${taskId}`).innerHTML = `
+    <option value="">${t('swaps.handOver')}</option>
+    ${theirTasks.map(task => `<option value="${task.id}">${escapeHtml(t('swaps.tradeFor', { task: taskName(task), date: formatDay(task.due_date) }))}</option>`).join('')}
+  `;
+}
+
+async function loadAwayPeriods() {
+  try {
+    const data = await getAwayPeriods();
+    state.awayPeriods = data.periods.filter(p => p.end_date >= state.today);
+
+    if (state.awayPeriods.length === 0) {
+      elements.awayList.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('away.none')}</p>`;
+      return;
+    }
+
+    elements.awayList.innerHTML = state.awayPeriods.map(period => `
+      <div class="history-item">
+        <div>
+          <strong>${capitalizeFirst(period.username)}</strong>
+          ${formatDay(period.start_date)} – ${formatDay(period.end_date)}
+          ${period.note ? `· ${escapeHtml(period.note)}` : ''}
+        </div>
+        ${period.username === state.currentUser.username || state.currentUser.role === 'admin' ? `
+          <button class="btn-text-link" onclick="handleRemoveAway(${period.id})">${t('common.remove')}</button>
+        ` : ''}
+      </div>
+    `).join('');
+  } catch (error) {
+    elements.awayList.innerHTML = `<p style="color: var(--danger);">${t('away.loadFailed')}</p>`;
+  }
+}
+
+async function loadExpenses() {
+  try {
+    const [expensesData, balances] = await Promise.all([getExpenses(), getBalances()]);
+    state.expenses = expensesData.expenses;
+    state.balances = balances;
+    renderBalances();
+    renderExpenses();
+  } catch (error) {
+    elements.balanceList.innerHTML = `<p style="color: var(--danger);">${t('expenses.loadFailed')}</p>`;
+  }
+}
+
+function renderBalances() {
+  const { balances, settle_up: settleUp, currency } = state.balances;
+  const me = state.currentUser.username;
+
+  elements.balanceList.innerHTML = `
+    ${balances.map(entry => `
+      <div class="history-item">
+        <strong>${capitalizeFirst(entry.username)}</strong>
+        <span class="${entry.balance > 0 ? 'money-owed' : entry.balance < 0 ? 'money-owes' : ''}">
+          ${entry.balance > 0 ? t('expenses.isOwed') : entry.balance < 0 ? t('expenses.owes') : t('expenses.isSettled')}
+          ${entry.balance !== 0 ? formatMoney(Math.abs(entry.balance), currency) : ''}
+        </span>
+      </div>
+    `).join('')}
+    ${settleUp.length > 0 ? `
+      <h5 class="hint">${t('expenses.settleUp')}</h5>
+      ${settleUp.map(transfer => `
+        <div class="history-item">
+          <div>${t('expenses.pays', { from: capitalizeFirst(transfer.from), to: capitalizeFirst(transfer.to), amount: formatMoney(transfer.amount, currency) })}</div>
+          ${transfer.from === me || transfer.to === me ? `
+            <button class="btn-text-link" onclick="handleSettle('${transfer.from}', '${transfer.to}', ${transfer.amount})">${t('expenses.markPaid')}</button>
+          ` : ''}
+        </div>
+      `).join('')}
+    ` : ''}
+  `;
+}
+
+function renderExpenses() {
+  const { currency } = state.balances;
+  const me = state.currentUser.username;
+  const members = state.usersStatus.map(u => u.username);
+
+  document.getElementById('expensePaidBy').innerHTML = members
+    .map(username => `<option value="${username}" ${username === me ? 'selected' : ''}>${capitalizeFirst(username)}</option>`)
+    .join('');
+  renderSplitMembers();
+
+  if (state.expenses.length === 0) {
+    elements.expenseList.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('expenses.none')}</p>`;
+    return;
+  }
+
+  elements.expenseList.innerHTML = state.expenses.slice(0, 20).map(expense => `
+    <div class="history-item">
+      <div>
+        <strong>${escapeHtml(expense.description)}</strong> ${formatMoney(expense.amount, expense.currency || currency)}
+        <div class="swap-note">${t('expenses.summary', {
+          name: capitalizeFirst(expense.paid_by),
+          split: t(`expenses.split${capitalizeFirst(expense.split.type)}`),
+          members: Object.keys(expense.shares).map(capitalizeFirst).join(', ')
+        })}</div>
+      </div>
+      <div class="history-time">${formatDay(expense.date)}</div>
+      ${[expense.created_by, expense.paid_by].includes(me) || state.currentUser.role === 'admin' ? `
+        <button class="btn-text-link" onclick="handleRemoveExpense(${expense.id})">${t('common.remove')}</button>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+// One row per member: a checkbox for equal splits, or a percentage/amount to fill in
+function renderSplitMembers() {
+  const type = elements.expenseSplit.value;
+  elements.splitMembers.innerHTML = state.usersStatus.map(user => `
+    <label class="split-member">
+      ${type === 'equal'
+        ? `<input type="checkbox" name="splitMember" value="${user.username}" checked>`
+        : `<input type="number" name="splitShare" data-username="${user.username}" min="0" step="${type === 'percentage' ? '0.01' : 'any'}" placeholder="${type === 'percentage' ? '%' : t('expenses.amount')}">`}
+      ${capitalizeFirst(user.username)}
+    </label>
+  `).join('');
+}
+
+// ============================================
+// SHOPPING LIST
+// ============================================
+
+// "Low on" chips for the supplies a chore uses; tapping one puts it on the shopping list
+function renderConsumables(task) {
+  const chore = state.chores.find(c => c.id === task.chore_id);
+  if (!chore || !chore.consumables || chore.consumables.length === 0) return '';
+  return `
+    <div class="consumables">
+      <span class="hint">${t('shopping.lowOn')}</span>
+      ${chore.consumables.map((name, index) => `
+        <button class="chip" onclick="handleLowOn(${chore.id}, ${index})">${escapeHtml(name)}</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+async function loadShopping() {
+  try {
+    const [listData, historyData] = await Promise.all([getShoppingList(), getPurchaseHistory()]);
+    state.shopping = listData.items;
+    renderShoppingList();
+    renderPurchaseHistory(historyData.items);
+  } catch (error) {
+    elements.shoppingList.innerHTML = `<p style="color: var(--danger);">${t('shopping.loadFailed')}</p>`;
+  }
+}
+
+function renderShoppingList() {
+  const me = state.currentUser.username;
+  const isAdmin = state.currentUser.role === 'admin';
+
+  if (state.shopping.length === 0) {
+    elements.shoppingList.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('shopping.empty')}</p>`;
+    return;
+  }
+
+  elements.shoppingList.innerHTML = state.shopping.map(item => `
+    <div class="history-item">
+      <div>
+        <strong>${escapeHtml(item.name)}</strong>
+        ${item.quantity > 1 || item.unit ? `× ${item.quantity}${item.unit ? ' ' + escapeHtml(item.unit) : ''}` : ''}
+        <div class="swap-note">
+          ${t('shopping.addedBy', { name: capitalizeFirst(item.added_by) })}
+          ${item.claimed_by ? ` · ${item.claimed_by === me ? t('shopping.youBuying') : t('shopping.buying', { name: capitalizeFirst(item.claimed_by) })}` : ''}
+        </div>
+      </div>
+      <div class="task-actions" style="margin-top: 0.5rem;">
+        ${!item.claimed_by ? `<button class="btn-text-link" onclick="handleShoppingAction(${item.id}, 'claim')">${t('shopping.claim')}</button>` : ''}
+        ${item.claimed_by && (item.claimed_by === me || isAdmin) ? `<button class="btn-text-link" onclick="handleShoppingAction(${item.id}, 'unclaim')">${t('shopping.unclaim')}</button>` : ''}
+        ${!item.claimed_by || item.claimed_by === me ? `<button class="btn-text-link" onclick="handleShoppingAction(${item.id}, 'purchase')">${t('shopping.bought')}</button>` : ''}
+        ${[item.added_by, item.claimed_by].includes(me) || isAdmin ? `<button class="btn-text-link" onclick="handleRemoveShoppingItem(${item.id})">${t('common.remove')}</button>` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+function renderPurchaseHistory(items) {
+  if (items.length === 0) {
+    elements.purchaseHistory.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('shopping.noneBought')}</p>`;
+    return;
+  }
+
+  elements.purchaseHistory.innerHTML = items.map(item => `
+    <div class="history-item">
+      <div>${t('shopping.boughtItem', { name: capitalizeFirst(item.purchased_by), item: escapeHtml(item.name) })}</div>
+      <div class="history-time">${formatDate(item.purchased_at)}</div>
+    </div>
+  `).join('');
+}
+
+async function loadNotifications() {
+  try {
+    const data = await getNotifications();
+    state.notifications = data.notifications;
+    renderNotifications(data.unread);
+  } catch (error) {
+    elements.notificationList.innerHTML = `<p style="color: var(--danger);">${t('reminders.loadFailed')}</p>`;
+  }
+}
+
+function renderNotifications(unread) {
+  elements.unreadBadge.textContent = unread;
+  elements.unreadBadge.classList.toggle('hidden', unread === 0);
+
+  if (state.notifications.length === 0) {
+    elements.notificationList.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('reminders.none')}</p>`;
+    return;
+  }
+
+  elements.notificationList.innerHTML = state.notifications.map(notification => `
+    <div class="history-item ${notification.read_at ? '' : 'unread'}">
+      <div>${escapeHtml(notification.message)}</div>
+      <div class="history-time">${formatDate(notification.created_at)}</div>
+    </div>
+  `).join('');
+}
+
+async function loadNotificationPrefs() {
+  try {
+    const { prefs } = await getNotificationPrefs();
+    const form = elements.notificationForm;
+    form.querySelectorAll('input[name="channel"]').forEach(input => {
+      input.checked = prefs.channels.includes(input.value);
+      input.disabled = !prefs.available_channels.includes(input.value);
+    });
+    document.getElementById('notifyEmail').value = prefs.email || '';
+    document.getElementById('notifyWebhook').value = prefs.webhook_url || '';
+    document.getElementById('quietHoursOn').checked = Boolean(prefs.quiet_hours);
+    if (prefs.quiet_hours) {
+      document.getElementById('quietStart').value = prefs.quiet_hours.start;
+      document.getElementById('quietEnd').value = prefs.quiet_hours.end;
+    }
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function loadCalendarLink() {
+  try {
+    const data = await getCalendarLink();
+    elements.calendarUrl.value = data.url || '';
+    elements.newCalendarBtn.dataset.i18n = data.url ? 'calendar.new' : 'calendar.create';
+    elements.newCalendarBtn.textContent = t(elements.newCalendarBtn.dataset.i18n);
+    elements.copyCalendarBtn.disabled = !data.url;
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function loadHistory() {
+  try {
+    const data = await getHistory();
+    state.history = data.history;
+
+    if (state.history.length === 0) {
+      elements.historyContainer.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('history.none')}</p>`;
+      return;
+    }
+
+    elements.historyContainer.innerHTML = state.history.map(item => `
+      <div class="history-item">
+        <div>
+          ${t('history.entry', {
+            name: item.username === 'system' ? t('history.system') : capitalizeFirst(item.username),
+            action: hasMessage(`history.${item.action}`) ? t(`history.${item.action}`) : item.action,
+            task: escapeHtml(translatedName(item.task_name, item.task_translations)),
+            date: formatDay(item.due_date)
+          })}
+          ${item.reason ? `<div class="swap-note">${escapeHtml(item.reason)}</div>` : ''}
+        </div>
+        <div class="history-time">${formatDate(item.timestamp)}</div>
+        ${renderPhotoStrip({ id: item.task_id, name: item.task_name, translations: item.task_translations, photos: item.photos })}
+      </div>
+    `).join('');
+    hydratePhotos(elements.historyContainer);
+  } catch (error) {
+    elements.historyContainer.innerHTML = `<p style="color: var(--danger);">${t('history.loadFailed')}</p>`;
+  }
+}
+
+async function loadMonthlyReport() {
+  try {
     const data = await getCurrentReport();
     const report = data.report;
 
     if (!report) {
-      elements.reportContainer.innerHTML = '<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">No report available yet.</p>';
+      elements.reportContainer.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('report.none')}</p>`;
       return;
     }
 
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const monthName = monthNames[report.month - 1];
+    const monthName = formatDay(`${report.year}-${String(report.month).padStart(2, '0')}-01`, { month: 'short', year: 'numeric' });
+    const reportData = typeof report.report_data === 'string' ? JSON.parse(report.report_data) : report.report_data;
 
     elements.reportContainer.innerHTML = `
       <div class="report-card">
         <div class="report-header">
-          <h4>\ud83d\udcc5 ${monthName} ${report.year} Performance</h4>
-          <div class="report-date">Generated: ${formatDate(report.created_at)}</div>
+          <h4>${t('report.heading', { month: monthName })}</h4>
+          <div class="report-date">${t('report.generated', { date: formatDate(report.created_at) })}</div>
         </div>
         
         <div class="report-stats">
           <div class="stat-card">
-            <div class="stat-value">${report.tasks_assigned}</div>
-            <div class="stat-label">Tasks Assigned</div>
+            <div class="stat-value">${report.assigned_tasks}</div>
+            <div class="stat-label">${t('report.assigned')}</div>
           </div>
           
           <div class="stat-card">
-            <div class="stat-value">${report.tasks_completed}</div>
-            <div class="stat-label">Tasks Completed</div>
+            <div class="stat-value">${report.completed_tasks}</div>
+            <div class="stat-label">${t('report.completed')}</div>
           </div>
           
           <div class="stat-card ${report.completion_percentage === 100 ? 'stat-success' : ''}">
-            <div class="stat-value">${report.completion_percentage}%</div>
-            <div class="stat-label">Completion Rate</div>
+            <div class="stat-value">${Math.round(report.completion_percentage)}%</div>
+            <div class="stat-label">${t('report.rate')}</div>
           </div>
         </div>
         
-        ${report.report_data && report.report_data.tasks ? `
+        ${report.away_days ? `
+          <div class="swap-note">${report.absent ? t('report.awayAllMonth') : t('report.awayDays', { count: report.away_days })}${report.excused_tasks ? t('report.excused', { count: report.excused_tasks }) : ''}</div>
+        ` : ''}
+        
+        ${report.expense_balance !== undefined && (report.expenses_paid || report.expenses_share || report.payments_sent || report.payments_received) ? `
+          <div class="swap-note">${t('report.money', {
+            paid: formatMoney(report.expenses_paid, report.currency),
+            share: formatMoney(report.expenses_share, report.currency),
+            balance: (report.expense_balance >= 0 ? '+' : '−') + formatMoney(Math.abs(report.expense_balance), report.currency)
+          })}</div>
+        ` : ''}
+
+        ${report.overdue_tasks || report.carried_over_tasks || report.make_up_tasks || report.penalties ? `
+          <div class="swap-note">⚠️ ${[
+            report.overdue_tasks ? t('report.unfinished', { count: report.overdue_tasks }) : '',
+            report.carried_over_tasks ? t('report.carried', { done: report.carried_over_completed, count: report.carried_over_tasks }) : '',
+            report.make_up_tasks ? t('report.makeUps', { count: report.make_up_tasks }) : '',
+            report.penalties ? t('report.penalties', { amount: formatMoney(report.penalties, report.currency) }) : ''
+          ].filter(Boolean).join(' · ')}</div>
+        ` : ''}
+
+        ${report.swapped_in || report.swapped_out ? `
+          <div class="swap-note">${t('report.swaps', { in: report.swapped_in || 0, out: report.swapped_out || 0 })}</div>
+        ` : ''}
+        
+        ${reportData && reportData.tasks ? `
           <div class="report-tasks">
-            <h5>Task Details:</h5>
-            ${report.report_data.tasks.map(task => `
+            <h5>${t('report.details')}</h5>
+            ${reportData.tasks.map(task => `
               <div class="report-task-item">
-                <span class="task-icon">${task.completed ? '\u2705' : '\u23f3'}</span>
+                <span class="task-icon">${task.status === 'completed' ? '\u2705' : task.excused ? '\ud83c\udf34' : '\u23f3'}</span>
                 <div style="flex: 1;">
-                  <div>${task.name}</div>
-                  ${task.completed ? `<div style="font-size: 0.75rem; color: var(--text-tertiary);">${formatDate(task.completedAt)}</div>` : '<div style="font-size: 0.75rem; color: var(--warning);">Pending</div>'}
+                  <div>${escapeHtml(taskName(task))}</div>
+                  ${task.status === 'completed' ? `<div style="font-size: 0.75rem; color: var(--text-tertiary);">${formatDate(task.completed_at)}</div>` : task.excused ? `<div style="font-size: 0.75rem; color: var(--text-tertiary);">${t('report.excusedAway')}</div>` : `<div style="font-size: 0.75rem; color: var(--warning);">${t('report.pending')}</div>`}
+                  ${(task.reassignments || []).length > 0 ? `<div class="swap-note">${t('report.swappedFrom', { name: capitalizeFirst(task.reassignments.slice(-1)[0].from) })}</div>` : ''}
                 </div>
               </div>
             `).join('')}
@@ -402,7 +1533,104 @@ async function loadMonthlyReport() {
       </div>
     `;
   } catch (error) {
-    elements.reportContainer.innerHTML = `<p style="color: var(--danger);">Failed to load report</p>`;
+    elements.reportContainer.innerHTML = `<p style="color: var(--danger);">${t('report.loadFailed')}</p>`;
+  }
+}
+
+// Charts come from charts.js; months without data leave gaps rather than zeros
+async function loadAnalytics() {
+  try {
+    const { months, trends, chores, totals } = await getAnalytics(elements.analyticsMonths.value);
+    const labels = months.map(m => formatDay(`${m.year}-${String(m.month).padStart(2, '0')}-01`, { month: 'short' }));
+    const overall = totals.total;
+
+    elements.analyticsContainer.innerHTML = `
+      <div class="report-stats">
+        <div class="stat-card">
+          <div class="stat-value">${overall.completed}/${overall.assigned}</div>
+          <div class="stat-label">${t('analytics.done')}</div>
+        </div>
+        <div class="stat-card ${overall.completion_percentage === 100 ? 'stat-success' : ''}">
+          <div class="stat-value">${overall.completion_percentage === null ? '–' : Math.round(overall.completion_percentage) + '%'}</div>
+          <div class="stat-label">${t('report.rate')}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${overall.overdue}</div>
+          <div class="stat-label">${t('analytics.unfinished')}</div>
+        </div>
+      </div>
+
+      <h5 class="hint">${t('analytics.byMember')}</h5>
+      ${lineChart(labels, trends.map(t => ({
+        name: capitalizeFirst(t.username),
+        values: t.points.map(p => p.completion_percentage)
+      })), { max: 100, unit: '%' })}
+
+      <h5 class="hint">${t('analytics.byMonth')}</h5>
+      ${columnChart(totals.months.map((m, index) => ({ label: labels[index], done: m.completed, total: m.assigned })))}
+
+      <h5 class="hint">${t('analytics.byChore')}</h5>
+      ${chores.length > 0
+        ? barChart(chores.map(c => ({
+          label: translatedName(c.name, c.translations),
+          value: c.average_days,
+          note: c.on_time_percentage === null ? '' : t('analytics.onTime', { percent: Math.round(c.on_time_percentage) })
+        })), { unit: t('analytics.dayUnit') })
+        : `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('analytics.none')}</p>`}
+    `;
+  } catch (error) {
+    elements.analyticsContainer.innerHTML = `<p style="color: var(--danger);">${t('analytics.loadFailed')}</p>`;
+  }
+}
+
+const BADGE_ICONS = {
+  first_chore: '🌱',
+  ten_chores: '🧹',
+  fifty_chores: '🏅',
+  hundred_chores: '💯',
+  early_bird: '🐦',
+  streak_3: '🔥',
+  streak_6: '⚡',
+  streak_12: '⏰',
+  points_1000: '💎'
+};
+
+// Badges the catalog doesn't know yet show the server's English name
+function badgeText(badge, field) {
+  const key = field === 'name' ? `badge.${badge.id}` : `badge.${badge.id}.description`;
+  return hasMessage(key) ? t(key) : badge[field];
+}
+
+async function loadLeaderboard() {
+  try {
+    const { leaderboard } = await getLeaderboard(state.leaderboardPeriod);
+    const me = state.currentUser.username;
+    const medals = ['🥇', '🥈', '🥉'];
+
+    if (leaderboard.length === 0) {
+      elements.leaderboardList.innerHTML = `<p style="color: var(--text-secondary); text-align: center; padding: 1rem;">${t('leaderboard.none')}</p>`;
+      return;
+    }
+
+    elements.leaderboardList.innerHTML = leaderboard.map(row => `
+      <div class="history-item ${row.username === me ? 'unread' : ''}">
+        <div>
+          <strong>${row.points > 0 && medals[row.rank - 1] ? medals[row.rank - 1] : `#${row.rank}`} ${capitalizeFirst(row.username)}</strong>
+          · ${t('leaderboard.points', { count: row.points })}
+          <div class="swap-note">
+            ${t('leaderboard.summary', { done: row.completed, onTime: row.on_time, early: row.early })}
+            ${row.current_streak > 0 ? ` · ${t('leaderboard.streak', { count: row.current_streak })}` : ''}
+          </div>
+          ${row.badges.length > 0 ? `
+            <div class="consumables">
+              ${row.badges.map(badge => `<span class="chip" title="${escapeHtml(badgeText(badge, 'description'))}">${BADGE_ICONS[badge.id] || '🎖️'} ${escapeHtml(badgeText(badge, 'name'))}</span>`).join('')}
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    elements.leaderboardList.innerHTML = `<p style="color: var(--danger);">${t('leaderboard.loadFailed')}</p>`;
   }
 }
 
@@ -410,18 +1638,113 @@ async function loadMonthlyReport() {
 // EVENT HANDLERS
 // ============================================
 
-async function handleCompleteTask(taskName) {
-  if (!confirm(`Mark "${taskName}" as complete?`)) {
+// Opens the completion form on the card so photos can be attached
+function handleCompleteTask(taskId) {
+  document.getElementById(`completeForm-${taskId}`).classList.toggle('hidden');
+}
+
+async function submitCompletion(taskId) {
+  const task = state.tasks.find(t => t.id === taskId);
+  const photos = Array.from(document.getElementById(`photos-${taskId}`).files);
+  const override = task && task.assigned_to !== state.currentUser.username;
+  const question = override
+    ? t('tasks.confirmOverride', { task: taskName(task), name: capitalizeFirst(task.assigned_to) })
+    : t('tasks.confirmComplete', { task: task && taskName(task) });
+  if (!task || !confirm(question)) {
     return;
   }
+  if (photos.length > 3) {
+    showToast(t('tasks.tooManyPhotos'));
+    return;
+  }
+
+  try {
+    const { task: completed } = await completeTask(taskId, photos, override);
+    showToast(completed.status === 'completed' ? t('tasks.completedToast') : t('tasks.sentToVerify'));
+    await loadDashboardData();
+  } catch (error) {
+    // Only your own chores, without photos, can wait for the connection to come back
+    if (error instanceof OfflineError && !override && photos.length === 0) {
+      await queueOfflineCompletion(task);
+      return;
+    }
+    if (error instanceof OfflineError && photos.length > 0) {
+      showToast(t('tasks.photosOffline'), 5000);
+      return;
+    }
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleReopenTask(taskId) {
+  const task = state.tasks.find(t => t.id === taskId);
+  if (!task || !confirm(t('tasks.confirmReopen', { task: taskName(task) }))) {
+    return;
+  }
+
+  try {
+    await reopenTask(taskId);
+    showToast(t('tasks.reopened'));
+    await loadDashboardData();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleProposeSwap(taskId) {
+  const toUser = document.getElementById(`swapUser-${taskId}`).value;
+  const counterTaskId = parseInt(document.getElementById(`swapTask-${taskId}`).value) || null;
+  if (!toUser) return;
+
+  try {
+    await proposeSwap(taskId, toUser, counterTaskId);
+    showToast(t('swaps.sent'));
+    await loadDashboardData();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleSwapResponse(swapId, action) {
+  try {
+    await respondToSwap(swapId, action);
+    const messages = { accept: 'swaps.acceptedToast', decline: 'swaps.declinedToast', cancel: 'swaps.cancelledToast' };
+    showToast(t(messages[action]));
+    await loadDashboardData();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+    await loadDashboardData();
+  }
+}
+
+elements.awayForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
 
   try {
-    await completeTask(taskName);
-    showToast('✅ Task completed!');
+    const data = await addAwayPeriod({
+      start_date: document.getElementById('awayStart').value,
+      end_date: document.getElementById('awayEnd').value,
+      note: document.getElementById('awayNote').value.trim()
+    });
+    elements.awayForm.reset();
+    const moved = data.reassigned.length;
+    showToast(moved > 0 ? t('away.savedMoved', { count: moved }) : t('away.saved'));
+    await loadAwayPeriods();
     await loadDashboardData();
   } catch (error) {
     showToast('❌ ' + error.message);
   }
+});
+
+async function handleRemoveAway(periodId) {
+  if (!confirm(t('away.confirmRemove'))) return;
+
+  try {
+    await removeAwayPeriod(periodId);
+    await loadAwayPeriods();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
 }
 
 elements.refreshBtn.addEventListener('click', async () => {
@@ -438,71 +1761,567 @@ elements.toggleHistory.addEventListener('click', async () => {
   const isHidden = elements.historyContainer.classList.contains('hidden');
 
   if (isHidden) {
-    elements.toggleHistory.textContent = 'Hide';
+    setToggleLabel(elements.toggleHistory, true);
     elements.historyContainer.classList.remove('hidden');
     if (state.history.length === 0) {
       await loadHistory();
     }
   } else {
-    elements.toggleHistory.textContent = 'Show';
+    setToggleLabel(elements.toggleHistory, false);
     elements.historyContainer.classList.add('hidden');
   }
 });
 
+elements.toggleAway.addEventListener('click', async () => {
+  const isHidden = elements.awayContainer.classList.contains('hidden');
+
+  if (isHidden) {
+    setToggleLabel(elements.toggleAway, true);
+    elements.awayContainer.classList.remove('hidden');
+    await loadAwayPeriods();
+  } else {
+    setToggleLabel(elements.toggleAway, false);
+    elements.awayContainer.classList.add('hidden');
+  }
+});
+
+elements.toggleLeaderboard.addEventListener('click', async () => {
+  const isHidden = elements.leaderboardContainer.classList.contains('hidden');
+
+  if (isHidden) {
+    setToggleLabel(elements.toggleLeaderboard, true);
+    elements.leaderboardContainer.classList.remove('hidden');
+    await loadLeaderboard();
+  } else {
+    setToggleLabel(elements.toggleLeaderboard, false);
+    elements.leaderboardContainer.classList.add('hidden');
+  }
+});
+
+document.querySelectorAll('.leaderboard-period').forEach(button => {
+  button.addEventListener('click', async () => {
+    state.leaderboardPeriod = button.dataset.period;
+    document.querySelectorAll('.leaderboard-period').forEach(b => b.classList.toggle('active', b === button));
+    await loadLeaderboard();
+  });
+});
+
+elements.toggleExpenses.addEventListener('click', async () => {
+  const isHidden = elements.expensesContainer.classList.contains('hidden');
+
+  if (isHidden) {
+    setToggleLabel(elements.toggleExpenses, true);
+    elements.expensesContainer.classList.remove('hidden');
+    await loadExpenses();
+  } else {
+    setToggleLabel(elements.toggleExpenses, false);
+    elements.expensesContainer.classList.add('hidden');
+  }
+});
+
+elements.expenseSplit.addEventListener('change', renderSplitMembers);
+
+elements.expenseForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const { currency } = state.balances;
+  const type = elements.expenseSplit.value;
+  const split = { type };
+
+  if (type === 'equal') {
+    split.members = Array.from(elements.splitMembers.querySelectorAll('input[name="splitMember"]:checked')).map(input => input.value);
+  } else {
+    split.shares = {};
+    elements.splitMembers.querySelectorAll('input[name="splitShare"]').forEach(input => {
+      if (input.value === '') return;
+      split.shares[input.dataset.username] = type === 'exact'
+        ? toMinorUnits(input.value, currency)
+        : Number(input.value);
+    });
+  }
+
+  try {
+    await addExpense({
+      description: document.getElementById('expenseDescription').value.trim(),
+      amount: toMinorUnits(document.getElementById('expenseAmount').value, currency),
+      paid_by: document.getElementById('expensePaidBy').value,
+      split
+    });
+    elements.expenseForm.reset();
+    showToast(t('expenses.added'));
+    await loadExpenses();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+});
+
+async function handleRemoveExpense(expenseId) {
+  if (!confirm(t('expenses.confirmRemove'))) return;
+
+  try {
+    await removeExpense(expenseId);
+    await loadExpenses();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleSettle(from, to, amount) {
+  const { currency } = state.balances;
+  if (!confirm(t('expenses.confirmPayment', { from: capitalizeFirst(from), to: capitalizeFirst(to), amount: formatMoney(amount, currency) }))) return;
+
+  try {
+    await addPayment({ from_user: from, to_user: to, amount });
+    showToast(t('expenses.paymentRecorded'));
+    await loadExpenses();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+elements.toggleShopping.addEventListener('click', async () => {
+  const isHidden = elements.shoppingContainer.classList.contains('hidden');
+
+  if (isHidden) {
+    setToggleLabel(elements.toggleShopping, true);
+    elements.shoppingContainer.classList.remove('hidden');
+    await loadShopping();
+  } else {
+    setToggleLabel(elements.toggleShopping, false);
+    elements.shoppingContainer.classList.add('hidden');
+  }
+});
+
+elements.shoppingForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  try {
+    const { item } = await addShoppingItem({
+      name: document.getElementById('shoppingName').value.trim(),
+      quantity: Number(document.getElementById('shoppingQuantity').value) || 1,
+      unit: document.getElementById('shoppingUnit').value.trim()
+    });
+    elements.shoppingForm.reset();
+    showToast(item.existing ? t('shopping.alreadyListed', { item: item.name }) : t('shopping.added'));
+    await loadShopping();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+});
+
+async function handleLowOn(choreId, index) {
+  const name = state.chores.find(c => c.id === choreId).consumables[index];
+
+  try {
+    const { item } = await addShoppingItem({ name, chore_id: choreId });
+    showToast(t(item.existing ? 'shopping.alreadyListed' : 'shopping.addedItem', { item: item.name }));
+    if (!elements.shoppingContainer.classList.contains('hidden')) await loadShopping();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleShoppingAction(itemId, action) {
+  try {
+    await shoppingAction(itemId, action);
+    if (action === 'purchase') showToast(t('shopping.markedBought'));
+    await loadShopping();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+async function handleRemoveShoppingItem(itemId) {
+  if (!confirm(t('shopping.confirmRemove'))) return;
+
+  try {
+    await removeShoppingItem(itemId);
+    await loadShopping();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+}
+
+elements.toggleNotifications.addEventListener('click', async () => {
+  const isHidden = elements.notificationsContainer.classList.contains('hidden');
+
+  if (isHidden) {
+    setToggleLabel(elements.toggleNotifications, true);
+    elements.notificationsContainer.classList.remove('hidden');
+    await Promise.all([loadNotifications(), loadNotificationPrefs()]);
+  } else {
+    setToggleLabel(elements.toggleNotifications, false);
+    elements.notificationsContainer.classList.add('hidden');
+  }
+});
+
+elements.markReadBtn.addEventListener('click', async () => {
+  try {
+    await markNotificationsRead();
+    await loadNotifications();
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+});
+
+elements.notificationForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const form = elements.notificationForm;
+  const quietOn = document.getElementById('quietHoursOn').checked;
+
+  try {
+    await updateNotificationPrefs({
+      channels: Array.from(form.querySelectorAll('input[name="channel"]:checked')).map(input => input.value),
+      email: document.getElementById('notifyEmail').value.trim(),
+      webhook_url: document.getElementById('notifyWebhook').value.trim(),
+      quiet_hours: quietOn
+        ? { start: document.getElementById('quietStart').value, end: document.getElementById('quietEnd').value }
+        : null
+    });
+    showToast(t('reminders.saved'));
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+});
+
+elements.testNotifyBtn.addEventListener('click', async () => {
+  try {
+    const { deliveries } = await sendTestNotification();
+    if (deliveries.length === 0) {
+      showToast(t('reminders.testNeedsChannel'));
+      return;
+    }
+    const failed = deliveries.filter(d => d.status === 'failed');
+    showToast(failed.length === 0
+      ? t('reminders.testSent')
+      : '❌ ' + failed.map(d => `${d.channel}: ${d.error}`).join(', '), failed.length === 0 ? 3000 : 6000);
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+});
+
+elements.toggleCalendar.addEventListener('click', async () => {
+  const isHidden = elements.calendarContainer.classList.contains('hidden');
+
+  if (isHidden) {
+    setToggleLabel(elements.toggleCalendar, true);
+    elements.calendarContainer.classList.remove('hidden');
+    await loadCalendarLink();
+  } else {
+    setToggleLabel(elements.toggleCalendar, false);
+    elements.calendarContainer.classList.add('hidden');
+  }
+});
+
+elements.copyCalendarBtn.addEventListener('click', async () => {
+  try {
+    await navigator.clipboard.writeText(elements.calendarUrl.value);
+    showToast(t('calendar.copied'));
+  } catch (error) {
+    elements.calendarUrl.select();
+  }
+});
+
+// A new link replaces the old one, so existing subscriptions stop updating
+elements.newCalendarBtn.addEventListener('click', async () => {
+  if (elements.calendarUrl.value && !confirm(t('calendar.confirmReplace'))) {
+    return;
+  }
+
+  try {
+    await regenerateCalendarLink();
+    await loadCalendarLink();
+    showToast(t('calendar.ready'));
+  } catch (error) {
+    showToast('❌ ' + error.message);
+  }
+});
+
 elements.toggleReport.addEventListener('click', async () => {
   const isHidden = elements.reportContainer.classList.contains('hidden');
 
   if (isHidden) {
-    elements.toggleReport.textContent = 'Hide';
+    setToggleLabel(elements.toggleReport, true);
     elements.reportContainer.classList.remove('hidden');
-    await loadMonthlyReport();
+    elements.analyticsSection.classList.remove('hidden');
+    await Promise.all([loadMonthlyReport(), loadAnalytics()]);
   } else {
-    elements.toggleReport.textContent = 'Show';
+    setToggleLabel(elements.toggleReport, false);
     elements.reportContainer.classList.add('hidden');
+    elements.analyticsSection.classList.add('hidden');
   }
 });
 
+elements.analyticsMonths.addEventListener('change', loadAnalytics);
+
 // ============================================
 // UTILITY HELPERS
 // ============================================
 
+// Chore names come with their translations; a name without one stays as typed
+function taskName(task) {
+  return translatedName(task.name, task.translations);
+}
+
+// Section toggles keep their message key so a language change relabels them
+function setToggleLabel(button, open) {
+  button.dataset.i18n = open ? 'common.hide' : 'common.show';
+  button.textContent = t(button.dataset.i18n);
+}
+
 function capitalizeFirst(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// Free text typed by roommates goes through this before landing in innerHTML or an attribute
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function formatDate(dateString) {
   if (!dateString) return '';
   const date = new Date(dateString);
 
-  // Format: "Jan 16, 2026 at 9:30 PM"
-  const options = {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  };
+  // Format: "Jan 16, 2026 at 9:30 PM" in English
+  const day = date.toLocaleDateString(locale(), { year: 'numeric', month: 'short', day: 'numeric', timeZone: state.timeZone });
+  const time = date.toLocaleTimeString(locale(), { hour: 'numeric', minute: '2-digit', timeZone: state.timeZone });
+  return t('dates.at', { date: day, time });
+}
+
+// Formats a 'YYYY-MM-DD' due date without shifting it through UTC
+function formatDay(dateString, options = { month: 'short', day: 'numeric' }) {
+  if (!dateString) return '';
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(locale(), options);
+}
+
+// Amounts are stored in the currency's smallest unit
+function currencyDigits(currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'INR' }).resolvedOptions().maximumFractionDigits;
+}
+
+function formatMoney(amount, currency = 'INR') {
+  return new Intl.NumberFormat(locale(), { style: 'currency', currency }).format(amount / 10 ** currencyDigits(currency));
+}
 
-  return date.toLocaleString('en-US', options).replace(',', ' at');
+function toMinorUnits(value, currency) {
+  return Math.round(Number(value) * 10 ** currencyDigits(currency));
 }
 
 // ============================================
-// AUTO-REFRESH
+// LIVE UPDATES
+// The server pushes household events over SSE and the dashboard patches itself from
+// them. Polling every 30 seconds only runs while the stream is down.
 // ============================================
 
-// Auto-refresh every 30 seconds when dashboard is visible
-setInterval(() => {
-  if (!elements.dashboardScreen.classList.contains('active')) return;
-  if (elements.loadingState.classList.contains('hidden') &&
-    elements.errorState.classList.contains('hidden')) {
-    loadDashboardData();
+let eventSource = null;
+let pollTimer = null;
+
+const liveHandlers = {
+  'task.completed': data => {
+    patchTasks([data.task]);
+    if (data.actor && data.actor !== state.currentUser.username) {
+      showToast(t('live.finished', { name: capitalizeFirst(data.actor), task: taskName(data.task) }));
+    }
+  },
+  'task.confirmed': async data => {
+    patchTasks([data.task]);
+    // Points are only earned once a completion is verified
+    if (!elements.leaderboardContainer.classList.contains('hidden')) await loadLeaderboard();
+  },
+  'task.disputed': data => {
+    patchTasks([data.task]);
+    if (data.task.assigned_to === state.currentUser.username) {
+      showToast(t('live.disputed', { name: capitalizeFirst(data.actor), task: taskName(data.task) }));
+    }
+  },
+  'task.reopened': data => patchTasks([data.task]),
+  'tasks.reassigned': data => patchTasks(data.tasks),
+  'tasks.rolled_over': data => {
+    patchTasks(data.tasks);
+    const mine = data.tasks.filter(t => t.assigned_to === state.currentUser.username && t.rollover);
+    if (mine.length > 0) showToast(t('live.rolledOver', { count: mine.length }));
+  },
+  'tasks.rotated': data => {
+    // Rotations start new periods, so the day may have moved on since the last load
+    if (data.date && data.date !== state.today) {
+      state.today = data.date;
+      elements.monthText.textContent = formatDay(state.today, { weekday: 'long', month: 'long', day: 'numeric' });
+    }
+    patchTasks(data.tasks);
+  },
+  'swaps.changed': async () => {
+    state.swaps = (await getSwaps()).swaps;
+    renderSwaps();
+    renderCurrentTasks();
+  },
+  'away.changed': refreshUsersStatus,
+  'members.changed': refreshUsersStatus,
+  'expenses.changed': async () => {
+    if (!elements.expensesContainer.classList.contains('hidden')) await loadExpenses();
+  },
+  'shopping.changed': async () => {
+    if (!elements.shoppingContainer.classList.contains('hidden')) await loadShopping();
+  },
+  'notifications.created': data => {
+    if (!data.notification.channels.includes('in_app')) return;
+    state.notifications.unshift(data.notification);
+    renderNotifications(state.notifications.filter(n => !n.read_at).length);
+    showToast('🔔 ' + data.notification.message, 5000);
+  },
+  'reports.generated': async () => {
+    showToast(t('live.reports'));
+    if (!elements.reportContainer.classList.contains('hidden')) await Promise.all([loadMonthlyReport(), loadAnalytics()]);
+  }
+};
+
+function startLiveUpdates() {
+  stopLiveUpdates();
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+  connectEventStream();
+}
+
+function stopLiveUpdates() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  stopPolling();
+}
+
+function connectEventStream() {
+  eventSource = new EventSource(`${API_BASE}/events`, { withCredentials: true });
+
+  eventSource.addEventListener('open', () => {
+    // Anything sent while the stream was down is lost, so catch up once
+    if (pollTimer) {
+      stopPolling();
+      loadDashboardData();
+    }
+  });
+
+  // The browser retries on its own unless the server refused the stream outright
+  eventSource.addEventListener('error', () => {
+    startPolling();
+  });
+
+  for (const [type, handler] of Object.entries(liveHandlers)) {
+    eventSource.addEventListener(type, async event => {
+      if (!state.currentUser) return;
+      try {
+        await handler(JSON.parse(event.data));
+      } catch (error) {
+        console.error(`Live update ${type} failed:`, error);
+      }
+    });
   }
-}, 30000);
+}
+
+function startPolling() {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => {
+    if (!elements.dashboardScreen.classList.contains('active')) return;
+    if (eventSource && eventSource.readyState === EventSource.CLOSED) connectEventStream();
+    if (elements.loadingState.classList.contains('hidden') &&
+      elements.errorState.classList.contains('hidden')) {
+      loadDashboardData();
+    }
+  }, 30000);
+}
+
+function stopPolling() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// Carried-over tasks stay current through the month they were carried into
+function isCurrentTask(task) {
+  const [year, month] = state.today.split('-').map(Number);
+  const carried = task.rollover && task.rollover.policy === 'carry_over' &&
+    task.rollover.month === month && task.rollover.year === year;
+  return carried || (task.period_start <= state.today && task.period_end >= state.today);
+}
+
+function byDueDate(a, b) {
+  return a.due_date.localeCompare(b.due_date) || a.id - b.id;
+}
+
+// Replaces changed tasks in state.tasks and moves them between members in state.usersStatus
+function patchTasks(tasks) {
+  let unknownMember = false;
+
+  for (const task of tasks) {
+    state.tasks = state.tasks.filter(t => t.id !== task.id);
+    for (const user of state.usersStatus) {
+      user.tasks = user.tasks.filter(t => t.id !== task.id);
+    }
+    if (!isCurrentTask(task)) continue;
+
+    state.tasks.push(task);
+    const owner = state.usersStatus.find(u => u.username === task.assigned_to);
+    if (!owner) {
+      unknownMember = true;
+      continue;
+    }
+    owner.tasks.push({
+      id: task.id,
+      name: task.name,
+      translations: task.translations,
+      status: task.status,
+      due_date: task.due_date,
+      completed_at: task.completed_at
+    });
+  }
+
+  state.tasks = state.tasks.filter(isCurrentTask).sort(byDueDate);
+  for (const user of state.usersStatus) {
+    user.tasks = user.tasks.filter(t => state.tasks.some(current => current.id === t.id)).sort(byDueDate);
+    user.pendingTasks = user.tasks.filter(t => t.status === 'pending').length;
+    user.awaitingTasks = user.tasks.filter(t => t.status === 'awaiting_verification').length;
+    user.completedTasks = user.tasks.filter(t => t.status === 'completed').length;
+    user.overdueTasks = user.tasks.filter(t => t.status === 'pending' && t.due_date < state.today).length;
+  }
+
+  renderCurrentTasks();
+  renderUsersStatus();
+  if (unknownMember) refreshUsersStatus();
+}
+
+async function refreshUsersStatus() {
+  state.usersStatus = (await getUsersStatus()).status;
+  renderUsersStatus();
+}
 
 // ============================================
 // INITIALIZATION
 // ============================================
 
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(error => console.warn('Service worker not registered:', error));
+}
+
+// Reopens the last session from the offline copy, so the app starts without a connection;
+// an expired session lands back on the login screen
+async function restoreSession() {
+  const snapshot = await loadSnapshot('dashboard').catch(() => null);
+  if (!snapshot || state.currentUser) return;
+  state.currentUser = snapshot.user;
+  adoptUserLanguage();
+  showDashboard();
+  await loadDashboardData();
+}
+
+applyTranslations();
+elements.loginLanguage.value = currentLanguage;
+elements.headerLanguage.value = currentLanguage;
+restoreSession();
+
 console.log('🏠 Roommate Task Manager initialized');
 console.log('📱 Mobile-optimized interface ready');
@@ -0,0 +1,115 @@
+// ============================================
+// CHARTS
+// Small SVG line, bar and column charts for the analytics section, drawn as markup
+// strings so the app needs no chart library. Labels go through app.js's escapeHtml.
+// ============================================
+
+const CHART_COLORS = ['#8B5CF6', '#10B981', '#F59E0B', '#3B82F6', '#EF4444', '#EC4899', '#14B8A6', '#A3E635'];
+
+function chartColor(index) {
+  return CHART_COLORS[index % CHART_COLORS.length];
+}
+
+/**
+ * One line per series over shared x labels. Null values leave a gap.
+ * @param {string[]} labels
+ * @param {Object[]} series { name, values }
+ * @param {Object} options { max, unit }
+ */
+function lineChart(labels, series, { max = 100, unit = '' } = {}) {
+  const width = 320;
+  const height = 160;
+  const pad = { top: 10, right: 10, bottom: 24, left: 34 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const x = index => pad.left + (labels.length > 1 ? (index / (labels.length - 1)) * plotWidth : plotWidth / 2);
+  const y = value => pad.top + plotHeight - (value / max) * plotHeight;
+
+  const grid = [0, 0.5, 1].map(step => `
+    <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(max * step)}" y2="${y(max * step)}" class="chart-grid" />
+    <text x="${pad.left - 4}" y="${y(max * step) + 3}" text-anchor="end" class="chart-label">${Math.round(max * step)}${unit}</text>
+  `).join('');
+
+  const xLabels = labels.map((label, index) => `
+    <text x="${x(index)}" y="${height - 6}" text-anchor="middle" class="chart-label">${escapeHtml(label)}</text>
+  `).join('');
+
+  const lines = series.map((s, seriesIndex) => {
+    // Split at missing months so the line doesn't pretend to know them
+    const segments = [[]];
+    s.values.forEach((value, index) => {
+      if (value === null || value === undefined) segments.push([]);
+      else segments[segments.length - 1].push(`${x(index)},${y(Math.min(value, max))}`);
+    });
+    return segments.filter(points => points.length > 0).map(points => `
+      <polyline points="${points.join(' ')}" fill="none" stroke="${chartColor(seriesIndex)}" stroke-width="2" />
+      ${points.map(point => `<circle cx="${point.split(',')[0]}" cy="${point.split(',')[1]}" r="2.5" fill="${chartColor(seriesIndex)}" />`).join('')}
+    `).join('');
+  }).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="chart" role="img">
+      ${grid}${xLabels}${lines}
+    </svg>
+    ${chartLegend(series.map(s => s.name))}
+  `;
+}
+
+/**
+ * Horizontal bars, one row per item.
+ * @param {Object[]} items { label, value, note }
+ * @param {Object} options { unit }
+ */
+function barChart(items, { unit = '' } = {}) {
+  const max = Math.max(...items.map(item => item.value), 1);
+  return `
+    <div class="bar-chart">
+      ${items.map((item, index) => `
+        <div class="bar-row">
+          <div class="bar-label">${escapeHtml(item.label)}</div>
+          <div class="bar-track">
+            <div class="bar-fill" style="width: ${(item.value / max) * 100}%; background: ${chartColor(index)};"></div>
+          </div>
+          <div class="bar-value">${item.value}${unit}${item.note ? ` <span class="chart-label">${escapeHtml(item.note)}</span>` : ''}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Vertical stacked columns: `done` filled, the rest of `total` outlined.
+ * @param {Object[]} items { label, done, total }
+ */
+function columnChart(items) {
+  const width = 320;
+  const height = 140;
+  const pad = { top: 10, bottom: 24 };
+  const max = Math.max(...items.map(item => item.total), 1);
+  const slot = width / Math.max(items.length, 1);
+  const barWidth = Math.min(slot * 0.6, 36);
+  const scale = value => (value / max) * (height - pad.top - pad.bottom);
+
+  const columns = items.map((item, index) => {
+    const x = index * slot + (slot - barWidth) / 2;
+    const base = height - pad.bottom;
+    return `
+      <rect x="${x}" y="${base - scale(item.total)}" width="${barWidth}" height="${scale(item.total)}" class="chart-outline" />
+      <rect x="${x}" y="${base - scale(item.done)}" width="${barWidth}" height="${scale(item.done)}" fill="${chartColor(1)}" />
+      <text x="${x + barWidth / 2}" y="${base - scale(item.total) - 3}" text-anchor="middle" class="chart-label">${item.done}/${item.total}</text>
+      <text x="${x + barWidth / 2}" y="${height - 6}" text-anchor="middle" class="chart-label">${escapeHtml(item.label)}</text>
+    `;
+  }).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${columns}</svg>`;
+}
+
+function chartLegend(names) {
+  return `
+    <div class="chart-legend">
+      ${names.map((name, index) => `
+        <span><span class="legend-swatch" style="background: ${chartColor(index)};"></span>${escapeHtml(name)}</span>
+      `).join('')}
+    </div>
+  `;
+}
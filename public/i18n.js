@@ -0,0 +1,709 @@
+// ============================================
+// LOCALIZATION
+// Message catalogs for the interface, looked up by key with t(). Keys missing from a
+// catalog fall back to English. Static text in index.html is marked with data-i18n
+// (text), data-i18n-placeholder and data-i18n-title, and filled in by applyTranslations().
+// Messages that depend on a count are { one, other } and picked by `count`.
+// ============================================
+
+const LANGUAGES = { en: 'English', hi: 'हिन्दी' };
+const LOCALES = { en: 'en-US', hi: 'hi-IN' };
+
+const MESSAGES = {
+  en: {
+    'app.title': 'Roommate Tasks',
+    'app.subtitle': 'Monthly task rotation made easy',
+    'language.label': 'Language',
+
+    'common.show': 'Show',
+    'common.hide': 'Hide',
+    'common.retry': 'Retry',
+    'common.remove': 'Remove',
+    'common.save': 'Save',
+    'common.dismiss': 'Dismiss',
+    'common.refresh': 'Refresh',
+    'common.logout': 'Logout',
+
+    'errors.offline': 'You are offline',
+    'errors.requestFailed': 'Request failed',
+    'errors.uploadFailed': 'Upload failed',
+
+    'dates.at': '{date} at {time}',
+
+    'auth.username': 'Username',
+    'auth.usernamePlaceholder': 'Enter your username',
+    'auth.password': 'Password',
+    'auth.passwordPlaceholder': 'Enter your password',
+    'auth.login': 'Login',
+    'auth.loggingIn': 'Logging in...',
+    'auth.chooseUsername': 'Choose a username',
+    'auth.passwordHint': 'At least 6 characters',
+    'auth.inviteCode': 'Invite code',
+    'auth.inviteCodePlaceholder': 'From a roommate (optional)',
+    'auth.newHousehold': 'Or start a new household',
+    'auth.householdPlaceholder': 'e.g. Flat 4B',
+    'auth.createAccount': 'Create Account',
+    'auth.resetCode': 'Reset code',
+    'auth.resetCodePlaceholder': 'Code from your household admin',
+    'auth.newPassword': 'New password',
+    'auth.setPassword': 'Set Password',
+    'auth.backToLogin': 'Back to login',
+    'auth.showRegister': 'Create an account',
+    'auth.showReset': 'Have a reset code?',
+    'auth.missingCredentials': 'Please enter username and password',
+    'auth.missingHousehold': 'Enter an invite code or a household name',
+    'auth.pendingApproval': 'Account created. An admin of {household} needs to approve it.',
+    'auth.passwordUpdated': 'Password updated. You can log in now.',
+    'auth.unsyncedLogout': {
+      one: '{count} completion made offline hasn\'t synced yet and will be lost. Log out anyway?',
+      other: '{count} completions made offline haven\'t synced yet and will be lost. Log out anyway?'
+    },
+    'auth.loggedOut': 'Logged out successfully',
+    'auth.logoutFailed': 'Logout failed: {message}',
+
+    'dashboard.welcomeUser': 'Welcome, {name}',
+    'dashboard.loading': 'Loading tasks...',
+    'dashboard.loadFailed': 'Failed to load data: {message}',
+
+    'offline.saveFailed': '❌ Couldn\'t save the completion on this device',
+    'offline.saved': '📴 Saved on this device; it syncs when you\'re back online',
+    'offline.aTask': 'A task',
+    'offline.synced': {
+      one: '🔄 Synced {count} offline completion',
+      other: '🔄 Synced {count} offline completions'
+    },
+    'offline.syncFailed': '❌ Sync failed: {message}',
+    'offline.showingAsOf': '📴 Offline · showing tasks as of {date}',
+    'offline.waiting': {
+      one: '⏳ {count} completion waiting to sync',
+      other: '⏳ {count} completions waiting to sync'
+    },
+    'offline.didntSync': '⚠️ {name} didn\'t sync: {reason}',
+    'timezone.mismatch': '🕒 The household runs on {household} time, but this device is on {device}. Due dates and month ends follow the household\'s clock.',
+    'timezone.use': 'Use {device}',
+    'timezone.updated': '🕒 Household timezone set to {timezone}',
+
+    'tasks.title': 'Current Tasks',
+    'tasks.none': 'No tasks scheduled right now.',
+    'tasks.you': 'You',
+    'tasks.badgeDone': '✓ Done',
+    'tasks.badgeToVerify': '👀 To verify',
+    'tasks.badgeQueued': '⏳ Waiting to sync',
+    'tasks.badgeOverdue': '⚠️ Overdue',
+    'tasks.badgePending': '⏳ Pending',
+    'tasks.takenOver': '🔁 Taken over from {name}',
+    'tasks.carriedOver': '↪️ Carried over from {month}',
+    'tasks.missedOn': '🔂 Makes up for the chore missed on {date}',
+    'tasks.due': '📅 Due: {date}',
+    'tasks.queuedNote': '⏳ Marked done offline; it goes to your roommates once you\'re back online',
+    'tasks.markComplete': 'Mark Complete',
+    'tasks.completeAsAdmin': 'Complete as admin',
+    'tasks.swap': 'Swap',
+    'tasks.photosHint': 'Add up to 3 photos as proof (optional)',
+    'tasks.done': 'Done',
+    'tasks.completed': '✓ Completed',
+    'tasks.awaiting': '👀 Awaiting verification',
+    'tasks.confirm': 'Confirm',
+    'tasks.dispute': 'Dispute',
+    'tasks.disputePlaceholder': 'What still needs doing?',
+    'tasks.sendDispute': 'Send dispute',
+    'tasks.reopen': 'Reopen',
+    'tasks.photoAlt': 'Photo of {name}',
+    'tasks.confirmOverride': '"{task}" is {name}\'s task. Mark it complete as admin?',
+    'tasks.confirmComplete': 'Mark "{task}" as complete?',
+    'tasks.tooManyPhotos': '❌ Attach at most 3 photos',
+    'tasks.completedToast': '✅ Task completed!',
+    'tasks.sentToVerify': '👀 Sent to your roommates to verify',
+    'tasks.photosOffline': '📴 Photos need a connection. Complete it without photos to save it offline.',
+    'tasks.confirmReopen': 'Reopen "{task}"? It will go back to pending.',
+    'tasks.reopened': '↩️ Task reopened',
+
+    'thread.completed': 'marked it done',
+    'thread.confirmed': 'confirmed it',
+    'thread.disputed': 'disputed it',
+    'thread.reopened': 'reopened it',
+    'thread.auto_confirmed': 'Confirmed automatically',
+    'verify.confirmed': '✅ Completion confirmed',
+    'verify.reasonNeeded': '❌ Say what still needs doing',
+    'verify.disputed': 'Task sent back to pending',
+
+    'status.title': 'Everyone\'s Status',
+    'status.none': 'No status data available.',
+    'status.awayUntil': '🌴 Away until {date}',
+    'status.tasks': '{done}/{total} tasks',
+    'status.overdue': '{count} overdue',
+    'status.due': 'Due {date}',
+    'status.noTasks': 'No tasks assigned',
+
+    'swaps.title': '🔁 Swap Requests',
+    'swaps.trade': ' for <strong>{task}</strong>',
+    'swaps.incoming': '{name} wants to give you <strong>{task}</strong>{trade}',
+    'swaps.outgoing': 'You offered <strong>{task}</strong> to {name}{trade}',
+    'swaps.pending': 'Pending',
+    'swaps.accepted': 'Accepted',
+    'swaps.declined': 'Declined',
+    'swaps.cancelled': 'Cancelled',
+    'swaps.expired': 'Expired',
+    'swaps.accept': 'Accept',
+    'swaps.decline': 'Decline',
+    'swaps.cancel': 'Cancel request',
+    'swaps.send': 'Send request',
+    'swaps.handOver': 'Just hand it over',
+    'swaps.tradeFor': 'Trade for {task} (due {date})',
+    'swaps.sent': '🔁 Swap request sent',
+    'swaps.acceptedToast': '✅ Swap accepted',
+    'swaps.declinedToast': 'Swap declined',
+    'swaps.cancelledToast': 'Swap request cancelled',
+
+    'report.title': '📊 My Monthly Report',
+    'report.none': 'No report available yet.',
+    'report.heading': '📅 {month} Performance',
+    'report.generated': 'Generated: {date}',
+    'report.assigned': 'Tasks Assigned',
+    'report.completed': 'Tasks Completed',
+    'report.rate': 'Completion Rate',
+    'report.awayAllMonth': '🌴 Away all month',
+    'report.awayDays': { one: '🌴 Away {count} day', other: '🌴 Away {count} days' },
+    'report.excused': { one: ' · {count} task excused', other: ' · {count} tasks excused' },
+    'report.money': '💸 Paid {paid} · your share {share} · month balance {balance}',
+    'report.unfinished': '{count} left unfinished',
+    'report.carried': '{done}/{count} carried-over tasks done',
+    'report.makeUps': { one: '{count} make-up chore', other: '{count} make-up chores' },
+    'report.penalties': '{amount} in penalties',
+    'report.swaps': '🔁 Took over {in} · handed off {out} through swaps',
+    'report.details': 'Task Details:',
+    'report.excusedAway': 'Excused (away)',
+    'report.pending': 'Pending',
+    'report.swappedFrom': '🔁 Swapped from {name}',
+    'report.loadFailed': 'Failed to load report',
+
+    'analytics.title': '📈 Household trends',
+    'analytics.months3': '3 months',
+    'analytics.months6': '6 months',
+    'analytics.months12': '12 months',
+    'analytics.done': 'Tasks Done',
+    'analytics.unfinished': 'Left Unfinished',
+    'analytics.byMember': 'Completion rate by member',
+    'analytics.byMonth': 'Household tasks done each month',
+    'analytics.byChore': 'Days to get each chore done',
+    'analytics.onTime': '{percent}% on time',
+    'analytics.dayUnit': 'd',
+    'analytics.none': 'No completed chores yet.',
+    'analytics.loadFailed': 'Failed to load trends',
+
+    'leaderboard.title': '🏆 Leaderboard',
+    'leaderboard.month': 'This month',
+    'leaderboard.all': 'All time',
+    'leaderboard.none': 'No one has scored yet.',
+    'leaderboard.points': '{count} pts',
+    'leaderboard.summary': '{done} done · {onTime} on time · {early} early',
+    'leaderboard.streak': '🔥 {count}-month streak',
+    'leaderboard.loadFailed': 'Failed to load the leaderboard',
+    'badge.first_chore': 'First chore',
+    'badge.first_chore.description': 'Completed a first chore',
+    'badge.ten_chores': 'Ten down',
+    'badge.ten_chores.description': 'Completed 10 chores',
+    'badge.fifty_chores': 'Half century',
+    'badge.fifty_chores.description': 'Completed 50 chores',
+    'badge.hundred_chores': 'Centurion',
+    'badge.hundred_chores.description': 'Completed 100 chores',
+    'badge.early_bird': 'Early bird',
+    'badge.early_bird.description': 'Finished 10 chores ahead of their due date',
+    'badge.streak_3': 'On a roll',
+    'badge.streak_3.description': 'Three months in a row with every chore on time',
+    'badge.streak_6': 'Half a year',
+    'badge.streak_6.description': 'Six months in a row with every chore on time',
+    'badge.streak_12': 'Clockwork',
+    'badge.streak_12.description': 'A whole year with every chore on time',
+    'badge.points_1000': 'Thousand club',
+    'badge.points_1000.description': 'Earned 1000 points',
+
+    'expenses.title': '💸 Expenses',
+    'expenses.whatFor': 'What for',
+    'expenses.descriptionPlaceholder': 'e.g. Electricity bill',
+    'expenses.amount': 'Amount',
+    'expenses.paidBy': 'Paid by',
+    'expenses.split': 'Split',
+    'expenses.equal': 'Equally',
+    'expenses.percentage': 'By percentage',
+    'expenses.exact': 'Exact amounts',
+    'expenses.add': 'Add expense',
+    'expenses.loadFailed': 'Failed to load expenses',
+    'expenses.isOwed': 'is owed',
+    'expenses.owes': 'owes',
+    'expenses.isSettled': 'is settled',
+    'expenses.settleUp': 'To settle up',
+    'expenses.pays': '{from} pays {to} <strong>{amount}</strong>',
+    'expenses.markPaid': 'Mark paid',
+    'expenses.none': 'No expenses yet.',
+    'expenses.summary': 'Paid by {name} · {split} split between {members}',
+    'expenses.splitEqual': 'equal',
+    'expenses.splitPercentage': 'percentage',
+    'expenses.splitExact': 'exact',
+    'expenses.added': '💸 Expense added',
+    'expenses.confirmRemove': 'Remove this expense? Balances will be recalculated.',
+    'expenses.confirmPayment': 'Record that {from} paid {to} {amount}?',
+    'expenses.paymentRecorded': '✅ Payment recorded',
+
+    'shopping.title': '🛒 Shopping',
+    'shopping.item': 'Item',
+    'shopping.itemPlaceholder': 'e.g. Dish soap',
+    'shopping.quantity': 'Quantity',
+    'shopping.unit': 'Unit',
+    'shopping.unitPlaceholder': 'e.g. bottles',
+    'shopping.add': 'Add to list',
+    'shopping.recent': 'Recently bought',
+    'shopping.lowOn': 'Low on:',
+    'shopping.loadFailed': 'Failed to load the shopping list',
+    'shopping.empty': 'Nothing to buy.',
+    'shopping.addedBy': 'Added by {name}',
+    'shopping.youBuying': '🛍️ You are buying this',
+    'shopping.buying': '🛍️ {name} is buying this',
+    'shopping.claim': 'I\'ll buy it',
+    'shopping.unclaim': 'Unclaim',
+    'shopping.bought': 'Bought',
+    'shopping.noneBought': 'Nothing bought yet.',
+    'shopping.boughtItem': '<strong>{name}</strong> bought {item}',
+    'shopping.alreadyListed': '🛒 {item} is already on the list',
+    'shopping.added': '🛒 Added to the list',
+    'shopping.addedItem': '🛒 {item} added to the shopping list',
+    'shopping.markedBought': '✅ Marked as bought',
+    'shopping.confirmRemove': 'Remove this item from the list?',
+
+    'reminders.title': '🔔 Reminders',
+    'reminders.markRead': 'Mark all read',
+    'reminders.where': 'Where should reminders reach you?',
+    'reminders.inApp': 'In the app',
+    'reminders.email': 'Email',
+    'reminders.webhook': 'Webhook',
+    'reminders.quietHours': 'Quiet hours',
+    'reminders.from': 'From',
+    'reminders.until': 'Until',
+    'reminders.sendTest': 'Send test',
+    'reminders.loadFailed': 'Failed to load reminders',
+    'reminders.none': 'No reminders.',
+    'reminders.saved': '🔔 Reminder settings saved',
+    'reminders.testNeedsChannel': 'Turn on email or webhook to send a test',
+    'reminders.testSent': '✅ Test sent',
+
+    'away.title': '🌴 Away',
+    'away.from': 'Away from',
+    'away.backAfter': 'Back after',
+    'away.note': 'Note',
+    'away.notePlaceholder': 'e.g. Home for Diwali',
+    'away.submit': 'I\'ll be away',
+    'away.none': 'Nobody is away.',
+    'away.loadFailed': 'Failed to load away periods',
+    'away.saved': '🌴 Away period saved',
+    'away.savedMoved': {
+      one: '🌴 Saved. {count} of your tasks was handed to others.',
+      other: '🌴 Saved. {count} of your tasks were handed to others.'
+    },
+    'away.confirmRemove': 'Remove this away period?',
+
+    'calendar.title': '📅 Calendar',
+    'calendar.hint': 'Subscribe to this link in your phone\'s calendar to see your chores there. Keep it private: anyone with the link can see your chores.',
+    'calendar.none': 'No calendar link yet',
+    'calendar.copy': 'Copy link',
+    'calendar.new': 'New link',
+    'calendar.create': 'Create link',
+    'calendar.copied': '📋 Calendar link copied',
+    'calendar.confirmReplace': 'Replace your calendar link? Calendars subscribed to the old one will stop updating.',
+    'calendar.ready': '📅 Calendar link ready',
+
+    'history.title': 'Recent Activity',
+    'history.none': 'No activity yet.',
+    'history.entry': '<strong>{name}</strong> {action} <strong>{task}</strong> (due {date})',
+    'history.system': 'System',
+    'history.completed': 'completed',
+    'history.confirmed': 'confirmed',
+    'history.disputed': 'disputed',
+    'history.reopened': 'reopened',
+    'history.reassigned': 'reassigned',
+    'history.auto-confirmed': 'auto-confirmed',
+    'history.rolled-over': 'rolled over',
+    'history.loadFailed': 'Failed to load history',
+
+    'live.finished': '✅ {name} finished {task}',
+    'live.disputed': '⚠️ {name} disputed {task}',
+    'live.rolledOver': {
+      one: '⚠️ {count} unfinished task from last month',
+      other: '⚠️ {count} unfinished tasks from last month'
+    },
+    'live.reports': '📊 Monthly reports are ready'
+  },
+
+  hi: {
+    'app.title': 'रूममेट टास्क',
+    'app.subtitle': 'हर महीने कामों की बारी, आसानी से',
+    'language.label': 'भाषा',
+
+    'common.show': 'दिखाएँ',
+    'common.hide': 'छिपाएँ',
+    'common.retry': 'फिर कोशिश करें',
+    'common.remove': 'हटाएँ',
+    'common.save': 'सेव करें',
+    'common.dismiss': 'बंद करें',
+    'common.refresh': 'रीफ़्रेश करें',
+    'common.logout': 'लॉग आउट',
+
+    'errors.offline': 'आप ऑफ़लाइन हैं',
+    'errors.requestFailed': 'अनुरोध पूरा नहीं हुआ',
+    'errors.uploadFailed': 'अपलोड नहीं हुआ',
+
+    'dates.at': '{date}, {time}',
+
+    'auth.username': 'यूज़रनेम',
+    'auth.usernamePlaceholder': 'अपना यूज़रनेम डालें',
+    'auth.password': 'पासवर्ड',
+    'auth.passwordPlaceholder': 'अपना पासवर्ड डालें',
+    'auth.login': 'लॉग इन',
+    'auth.loggingIn': 'लॉग इन हो रहा है...',
+    'auth.chooseUsername': 'यूज़रनेम चुनें',
+    'auth.passwordHint': 'कम से कम 6 अक्षर',
+    'auth.inviteCode': 'इनवाइट कोड',
+    'auth.inviteCodePlaceholder': 'किसी रूममेट से (ज़रूरी नहीं)',
+    'auth.newHousehold': 'या नया घर शुरू करें',
+    'auth.householdPlaceholder': 'जैसे फ़्लैट 4B',
+    'auth.createAccount': 'खाता बनाएँ',
+    'auth.resetCode': 'रीसेट कोड',
+    'auth.resetCodePlaceholder': 'घर के एडमिन से मिला कोड',
+    'auth.newPassword': 'नया पासवर्ड',
+    'auth.setPassword': 'पासवर्ड सेट करें',
+    'auth.backToLogin': 'लॉग इन पर वापस जाएँ',
+    'auth.showRegister': 'खाता बनाएँ',
+    'auth.showReset': 'रीसेट कोड है?',
+    'auth.missingCredentials': 'यूज़रनेम और पासवर्ड डालें',
+    'auth.missingHousehold': 'इनवाइट कोड या घर का नाम डालें',
+    'auth.pendingApproval': 'खाता बन गया। {household} के एडमिन की मंज़ूरी का इंतज़ार है।',
+    'auth.passwordUpdated': 'पासवर्ड बदल गया। अब आप लॉग इन कर सकते हैं।',
+    'auth.unsyncedLogout': {
+      one: 'ऑफ़लाइन पूरा किया गया {count} काम अभी सिंक नहीं हुआ है और मिट जाएगा। फिर भी लॉग आउट करें?',
+      other: 'ऑफ़लाइन पूरे किए गए {count} काम अभी सिंक नहीं हुए हैं और मिट जाएँगे। फिर भी लॉग आउट करें?'
+    },
+    'auth.loggedOut': 'आप लॉग आउट हो गए',
+    'auth.logoutFailed': 'लॉग आउट नहीं हुआ: {message}',
+
+    'dashboard.welcomeUser': 'नमस्ते, {name}',
+    'dashboard.loading': 'काम लोड हो रहे हैं...',
+    'dashboard.loadFailed': 'डेटा लोड नहीं हुआ: {message}',
+
+    'offline.saveFailed': '❌ इस डिवाइस पर काम सेव नहीं हो सका',
+    'offline.saved': '📴 इस डिवाइस पर सेव हो गया; ऑनलाइन आते ही सिंक हो जाएगा',
+    'offline.aTask': 'एक काम',
+    'offline.synced': {
+      one: '🔄 ऑफ़लाइन पूरा किया गया {count} काम सिंक हुआ',
+      other: '🔄 ऑफ़लाइन पूरे किए गए {count} काम सिंक हुए'
+    },
+    'offline.syncFailed': '❌ सिंक नहीं हुआ: {message}',
+    'offline.showingAsOf': '📴 ऑफ़लाइन · {date} तक के काम दिख रहे हैं',
+    'offline.waiting': {
+      one: '⏳ {count} काम सिंक होने का इंतज़ार कर रहा है',
+      other: '⏳ {count} काम सिंक होने का इंतज़ार कर रहे हैं'
+    },
+    'offline.didntSync': '⚠️ {name} सिंक नहीं हुआ: {reason}',
+    'timezone.mismatch': '🕒 घर {household} के समय पर चलता है, पर यह डिवाइस {device} पर है। तय तारीखें और महीने का अंत घर की घड़ी से चलते हैं।',
+    'timezone.use': '{device} इस्तेमाल करें',
+    'timezone.updated': '🕒 घर का टाइमज़ोन {timezone} कर दिया गया',
+
+    'tasks.title': 'मौजूदा काम',
+    'tasks.none': 'अभी कोई काम तय नहीं है।',
+    'tasks.you': 'आप',
+    'tasks.badgeDone': '✓ हो गया',
+    'tasks.badgeToVerify': '👀 पुष्टि बाकी',
+    'tasks.badgeQueued': '⏳ सिंक बाकी',
+    'tasks.badgeOverdue': '⚠️ देर हो गई',
+    'tasks.badgePending': '⏳ बाकी',
+    'tasks.takenOver': '🔁 {name} से लिया गया',
+    'tasks.carriedOver': '↪️ {month} से आगे बढ़ाया गया',
+    'tasks.missedOn': '🔂 {date} को छूटे काम की भरपाई',
+    'tasks.due': '📅 आखिरी तारीख: {date}',
+    'tasks.queuedNote': '⏳ ऑफ़लाइन पूरा किया; ऑनलाइन आते ही रूममेट्स तक पहुँच जाएगा',
+    'tasks.markComplete': 'पूरा हुआ',
+    'tasks.completeAsAdmin': 'एडमिन के तौर पर पूरा करें',
+    'tasks.swap': 'अदला-बदली',
+    'tasks.photosHint': 'सबूत के तौर पर 3 फ़ोटो तक जोड़ें (ज़रूरी नहीं)',
+    'tasks.done': 'हो गया',
+    'tasks.completed': '✓ पूरा हुआ',
+    'tasks.awaiting': '👀 पुष्टि का इंतज़ार',
+    'tasks.confirm': 'पुष्टि करें',
+    'tasks.dispute': 'आपत्ति करें',
+    'tasks.disputePlaceholder': 'अभी क्या करना बाकी है?',
+    'tasks.sendDispute': 'आपत्ति भेजें',
+    'tasks.reopen': 'दोबारा खोलें',
+    'tasks.photoAlt': '{name} की फ़ोटो',
+    'tasks.confirmOverride': '"{task}" {name} का काम है। एडमिन के तौर पर पूरा करें?',
+    'tasks.confirmComplete': '"{task}" को पूरा मानें?',
+    'tasks.tooManyPhotos': '❌ ज़्यादा से ज़्यादा 3 फ़ोटो जोड़ें',
+    'tasks.completedToast': '✅ काम पूरा हुआ!',
+    'tasks.sentToVerify': '👀 पुष्टि के लिए रूममेट्स को भेजा गया',
+    'tasks.photosOffline': '📴 फ़ोटो के लिए इंटरनेट चाहिए। ऑफ़लाइन सेव करने के लिए बिना फ़ोटो के पूरा करें।',
+    'tasks.confirmReopen': '"{task}" दोबारा खोलें? यह फिर से बाकी कामों में चला जाएगा।',
+    'tasks.reopened': '↩️ काम दोबारा खोला गया',
+
+    'thread.completed': 'ने पूरा किया',
+    'thread.confirmed': 'ने पुष्टि की',
+    'thread.disputed': 'ने आपत्ति की',
+    'thread.reopened': 'ने दोबारा खोला',
+    'thread.auto_confirmed': 'अपने-आप पुष्टि हुई',
+    'verify.confirmed': '✅ पुष्टि हो गई',
+    'verify.reasonNeeded': '❌ बताएँ कि क्या करना बाकी है',
+    'verify.disputed': 'काम फिर से बाकी कामों में भेजा गया',
+
+    'status.title': 'सबकी स्थिति',
+    'status.none': 'स्थिति की जानकारी उपलब्ध नहीं है।',
+    'status.awayUntil': '🌴 {date} तक बाहर',
+    'status.tasks': '{done}/{total} काम',
+    'status.overdue': '{count} में देर',
+    'status.due': 'आखिरी तारीख {date}',
+    'status.noTasks': 'कोई काम नहीं सौंपा गया',
+
+    'swaps.title': '🔁 अदला-बदली के अनुरोध',
+    'swaps.trade': ', बदले में <strong>{task}</strong>',
+    'swaps.incoming': '{name} आपको <strong>{task}</strong> देना चाहते हैं{trade}',
+    'swaps.outgoing': 'आपने {name} को <strong>{task}</strong> देने की पेशकश की{trade}',
+    'swaps.pending': 'बाकी',
+    'swaps.accepted': 'मंज़ूर',
+    'swaps.declined': 'नामंज़ूर',
+    'swaps.cancelled': 'रद्द',
+    'swaps.expired': 'समय खत्म',
+    'swaps.accept': 'मंज़ूर करें',
+    'swaps.decline': 'मना करें',
+    'swaps.cancel': 'अनुरोध रद्द करें',
+    'swaps.send': 'अनुरोध भेजें',
+    'swaps.handOver': 'बस सौंप दें',
+    'swaps.tradeFor': '{task} से बदलें (आखिरी तारीख {date})',
+    'swaps.sent': '🔁 अदला-बदली का अनुरोध भेजा गया',
+    'swaps.acceptedToast': '✅ अदला-बदली मंज़ूर हुई',
+    'swaps.declinedToast': 'अदला-बदली से मना किया गया',
+    'swaps.cancelledToast': 'अदला-बदली का अनुरोध रद्द हुआ',
+
+    'report.title': '📊 मेरी मासिक रिपोर्ट',
+    'report.none': 'अभी कोई रिपोर्ट उपलब्ध नहीं है।',
+    'report.heading': '📅 {month} का प्रदर्शन',
+    'report.generated': 'बनाई गई: {date}',
+    'report.assigned': 'सौंपे गए काम',
+    'report.completed': 'पूरे किए गए काम',
+    'report.rate': 'पूरा करने की दर',
+    'report.awayAllMonth': '🌴 पूरे महीने बाहर',
+    'report.awayDays': { one: '🌴 {count} दिन बाहर', other: '🌴 {count} दिन बाहर' },
+    'report.excused': { one: ' · {count} काम से छूट', other: ' · {count} कामों से छूट' },
+    'report.money': '💸 भुगतान {paid} · आपका हिस्सा {share} · महीने का बैलेंस {balance}',
+    'report.unfinished': '{count} अधूरे रहे',
+    'report.carried': 'आगे बढ़ाए गए {count} में से {done} काम पूरे',
+    'report.makeUps': { one: '{count} भरपाई वाला काम', other: '{count} भरपाई वाले काम' },
+    'report.penalties': '{amount} जुर्माना',
+    'report.swaps': '🔁 अदला-बदली से {in} लिए · {out} दिए',
+    'report.details': 'कामों का ब्योरा:',
+    'report.excusedAway': 'छूट (बाहर थे)',
+    'report.pending': 'बाकी',
+    'report.swappedFrom': '🔁 {name} से बदला गया',
+    'report.loadFailed': 'रिपोर्ट लोड नहीं हुई',
+
+    'analytics.title': '📈 घर के रुझान',
+    'analytics.months3': '3 महीने',
+    'analytics.months6': '6 महीने',
+    'analytics.months12': '12 महीने',
+    'analytics.done': 'पूरे हुए काम',
+    'analytics.unfinished': 'अधूरे रहे',
+    'analytics.byMember': 'सदस्यों के हिसाब से पूरा करने की दर',
+    'analytics.byMonth': 'हर महीने घर में पूरे हुए काम',
+    'analytics.byChore': 'हर काम को पूरा होने में लगे दिन',
+    'analytics.onTime': '{percent}% समय पर',
+    'analytics.dayUnit': ' दिन',
+    'analytics.none': 'अभी तक कोई काम पूरा नहीं हुआ।',
+    'analytics.loadFailed': 'रुझान लोड नहीं हुए',
+
+    'leaderboard.title': '🏆 लीडरबोर्ड',
+    'leaderboard.month': 'इस महीने',
+    'leaderboard.all': 'अब तक',
+    'leaderboard.none': 'अभी तक किसी ने अंक नहीं कमाए।',
+    'leaderboard.points': '{count} अंक',
+    'leaderboard.summary': '{done} पूरे · {onTime} समय पर · {early} पहले',
+    'leaderboard.streak': '🔥 लगातार {count} महीने',
+    'leaderboard.loadFailed': 'लीडरबोर्ड लोड नहीं हुआ',
+    'badge.first_chore': 'पहला काम',
+    'badge.first_chore.description': 'पहला काम पूरा किया',
+    'badge.ten_chores': 'दस पूरे',
+    'badge.ten_chores.description': '10 काम पूरे किए',
+    'badge.fifty_chores': 'अर्धशतक',
+    'badge.fifty_chores.description': '50 काम पूरे किए',
+    'badge.hundred_chores': 'शतक',
+    'badge.hundred_chores.description': '100 काम पूरे किए',
+    'badge.early_bird': 'जल्दी वाले',
+    'badge.early_bird.description': '10 काम आखिरी तारीख से पहले पूरे किए',
+    'badge.streak_3': 'लगातार जीत',
+    'badge.streak_3.description': 'लगातार तीन महीने हर काम समय पर',
+    'badge.streak_6': 'छह महीने',
+    'badge.streak_6.description': 'लगातार छह महीने हर काम समय पर',
+    'badge.streak_12': 'घड़ी की तरह',
+    'badge.streak_12.description': 'पूरा साल हर काम समय पर',
+    'badge.points_1000': 'हज़ारी',
+    'badge.points_1000.description': '1000 अंक कमाए',
+
+    'expenses.title': '💸 खर्चे',
+    'expenses.whatFor': 'किसके लिए',
+    'expenses.descriptionPlaceholder': 'जैसे बिजली का बिल',
+    'expenses.amount': 'राशि',
+    'expenses.paidBy': 'किसने दिया',
+    'expenses.split': 'बँटवारा',
+    'expenses.equal': 'बराबर',
+    'expenses.percentage': 'प्रतिशत से',
+    'expenses.exact': 'तय राशि से',
+    'expenses.add': 'खर्च जोड़ें',
+    'expenses.loadFailed': 'खर्चे लोड नहीं हुए',
+    'expenses.isOwed': 'को मिलने हैं',
+    'expenses.owes': 'को देने हैं',
+    'expenses.isSettled': 'का हिसाब बराबर है',
+    'expenses.settleUp': 'हिसाब बराबर करने के लिए',
+    'expenses.pays': '{from} {to} को <strong>{amount}</strong> दें',
+    'expenses.markPaid': 'भुगतान हो गया',
+    'expenses.none': 'अभी कोई खर्च नहीं।',
+    'expenses.summary': 'भुगतान {name} ने किया · {members} में {split} बँटवारा',
+    'expenses.splitEqual': 'बराबर',
+    'expenses.splitPercentage': 'प्रतिशत से',
+    'expenses.splitExact': 'तय राशि से',
+    'expenses.added': '💸 खर्च जोड़ा गया',
+    'expenses.confirmRemove': 'यह खर्च हटाएँ? बैलेंस दोबारा गिने जाएँगे।',
+    'expenses.confirmPayment': 'दर्ज करें कि {from} ने {to} को {amount} दिए?',
+    'expenses.paymentRecorded': '✅ भुगतान दर्ज हुआ',
+
+    'shopping.title': '🛒 खरीदारी',
+    'shopping.item': 'सामान',
+    'shopping.itemPlaceholder': 'जैसे बर्तन धोने का साबुन',
+    'shopping.quantity': 'मात्रा',
+    'shopping.unit': 'इकाई',
+    'shopping.unitPlaceholder': 'जैसे बोतल',
+    'shopping.add': 'सूची में जोड़ें',
+    'shopping.recent': 'हाल में खरीदा',
+    'shopping.lowOn': 'कम है:',
+    'shopping.loadFailed': 'खरीदारी की सूची लोड नहीं हुई',
+    'shopping.empty': 'कुछ नहीं खरीदना।',
+    'shopping.addedBy': '{name} ने जोड़ा',
+    'shopping.youBuying': '🛍️ आप इसे खरीद रहे हैं',
+    'shopping.buying': '🛍️ {name} इसे खरीद रहे हैं',
+    'shopping.claim': 'मैं खरीदूँगा',
+    'shopping.unclaim': 'ज़िम्मा छोड़ें',
+    'shopping.bought': 'खरीद लिया',
+    'shopping.noneBought': 'अभी तक कुछ नहीं खरीदा।',
+    'shopping.boughtItem': '<strong>{name}</strong> ने {item} खरीदा',
+    'shopping.alreadyListed': '🛒 {item} पहले से सूची में है',
+    'shopping.added': '🛒 सूची में जोड़ा गया',
+    'shopping.addedItem': '🛒 {item} खरीदारी की सूची में जोड़ा गया',
+    'shopping.markedBought': '✅ खरीदा हुआ मार्क किया',
+    'shopping.confirmRemove': 'यह सामान सूची से हटाएँ?',
+
+    'reminders.title': '🔔 रिमाइंडर',
+    'reminders.markRead': 'सब पढ़ा हुआ मार्क करें',
+    'reminders.where': 'रिमाइंडर आप तक कहाँ पहुँचें?',
+    'reminders.inApp': 'ऐप में',
+    'reminders.email': 'ईमेल',
+    'reminders.webhook': 'वेबहुक',
+    'reminders.quietHours': 'शांत समय',
+    'reminders.from': 'से',
+    'reminders.until': 'तक',
+    'reminders.sendTest': 'टेस्ट भेजें',
+    'reminders.loadFailed': 'रिमाइंडर लोड नहीं हुए',
+    'reminders.none': 'कोई रिमाइंडर नहीं।',
+    'reminders.saved': '🔔 रिमाइंडर की सेटिंग सेव हुई',
+    'reminders.testNeedsChannel': 'टेस्ट भेजने के लिए ईमेल या वेबहुक चालू करें',
+    'reminders.testSent': '✅ टेस्ट भेजा गया',
+
+    'away.title': '🌴 बाहर',
+    'away.from': 'कब से बाहर',
+    'away.backAfter': 'कब तक बाहर',
+    'away.note': 'नोट',
+    'away.notePlaceholder': 'जैसे दिवाली पर घर',
+    'away.submit': 'मैं बाहर रहूँगा',
+    'away.none': 'कोई बाहर नहीं है।',
+    'away.loadFailed': 'बाहर रहने की अवधियाँ लोड नहीं हुईं',
+    'away.saved': '🌴 बाहर रहने की अवधि सेव हुई',
+    'away.savedMoved': {
+      one: '🌴 सेव हुआ। आपका {count} काम दूसरों को सौंपा गया।',
+      other: '🌴 सेव हुआ। आपके {count} काम दूसरों को सौंपे गए।'
+    },
+    'away.confirmRemove': 'बाहर रहने की यह अवधि हटाएँ?',
+
+    'calendar.title': '📅 कैलेंडर',
+    'calendar.hint': 'अपने काम फ़ोन के कैलेंडर में देखने के लिए इस लिंक को सब्सक्राइब करें। इसे निजी रखें: लिंक वाला कोई भी आपके काम देख सकता है।',
+    'calendar.none': 'अभी कोई कैलेंडर लिंक नहीं',
+    'calendar.copy': 'लिंक कॉपी करें',
+    'calendar.new': 'नया लिंक',
+    'calendar.create': 'लिंक बनाएँ',
+    'calendar.copied': '📋 कैलेंडर लिंक कॉपी हुआ',
+    'calendar.confirmReplace': 'कैलेंडर लिंक बदलें? पुराने लिंक से जुड़े कैलेंडर अपडेट होना बंद हो जाएँगे।',
+    'calendar.ready': '📅 कैलेंडर लिंक तैयार है',
+
+    'history.title': 'हाल की गतिविधि',
+    'history.none': 'अभी कोई गतिविधि नहीं।',
+    'history.entry': '<strong>{name}</strong>: <strong>{task}</strong> {action} (आखिरी तारीख {date})',
+    'history.system': 'सिस्टम',
+    'history.completed': 'पूरा किया',
+    'history.confirmed': 'की पुष्टि की',
+    'history.disputed': 'पर आपत्ति की',
+    'history.reopened': 'दोबारा खोला',
+    'history.reassigned': 'दोबारा सौंपा',
+    'history.auto-confirmed': 'की अपने-आप पुष्टि हुई',
+    'history.rolled-over': 'आगे बढ़ाया',
+    'history.loadFailed': 'गतिविधि लोड नहीं हुई',
+
+    'live.finished': '✅ {name} ने {task} पूरा किया',
+    'live.disputed': '⚠️ {name} ने {task} पर आपत्ति की',
+    'live.rolledOver': {
+      one: '⚠️ पिछले महीने का {count} काम अधूरा है',
+      other: '⚠️ पिछले महीने के {count} काम अधूरे हैं'
+    },
+    'live.reports': '📊 मासिक रिपोर्ट तैयार हैं'
+  }
+};
+
+// The member's saved choice, else the browser's language when it has a catalog
+function initialLanguage() {
+  const saved = localStorage.getItem('language');
+  if (LANGUAGES[saved]) return saved;
+  const browser = String(navigator.language || '').toLowerCase().split('-')[0];
+  return LANGUAGES[browser] ? browser : 'en';
+}
+
+let currentLanguage = initialLanguage();
+
+function locale() {
+  return LOCALES[currentLanguage];
+}
+
+function hasMessage(key) {
+  return key in MESSAGES.en;
+}
+
+function t(key, params = {}) {
+  let message = MESSAGES[currentLanguage][key] ?? MESSAGES.en[key] ?? key;
+  if (typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale()).select(params.count)] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : params[name]));
+}
+
+// A chore or task name in the current language; names nobody translated stay as entered
+function translatedName(name, translations) {
+  return (translations && translations[currentLanguage]) || name;
+}
+
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach(el => {
+    el.title = t(el.dataset.i18nTitle);
+  });
+  document.documentElement.lang = currentLanguage;
+  document.title = t('app.title');
+}
+
+function setLanguage(language) {
+  currentLanguage = LANGUAGES[language] ? language : 'en';
+  localStorage.setItem('language', currentLanguage);
+  applyTranslations();
+}
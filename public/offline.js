@@ -0,0 +1,62 @@
+// ============================================
+// OFFLINE STORE
+// IndexedDB keeps a copy of the last dashboard the app loaded, so it can open without a
+// connection, and the completions made offline until they sync.
+// ============================================
+
+const OFFLINE_DB_NAME = 'roommate-tasks';
+const OFFLINE_DB_VERSION = 1;
+
+let offlineDb = null;
+
+function openOfflineDb() {
+  if (!offlineDb) {
+    offlineDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('snapshots');
+        request.result.createObjectStore('queue', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDb;
+}
+
+// Runs `action` on `storeName` and resolves with its result once the transaction commits
+async function offlineRequest(storeName, mode, action) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function loadSnapshot(key) {
+  return offlineRequest('snapshots', 'readonly', store => store.get(key));
+}
+
+function saveSnapshot(key, value) {
+  return offlineRequest('snapshots', 'readwrite', store => store.put(value, key));
+}
+
+function queuedCompletions() {
+  return offlineRequest('queue', 'readonly', store => store.getAll());
+}
+
+function queueCompletion(item) {
+  return offlineRequest('queue', 'readwrite', store => store.put(item));
+}
+
+function dropQueuedCompletion(id) {
+  return offlineRequest('queue', 'readwrite', store => store.delete(id));
+}
+
+// Forgets everything stored for the signed-in member, queued completions included
+async function clearOfflineData() {
+  await offlineRequest('snapshots', 'readwrite', store => store.clear());
+  await offlineRequest('queue', 'readwrite', store => store.clear());
+}
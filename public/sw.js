@@ -0,0 +1,45 @@
+// ============================================
+// SERVICE WORKER
+// Caches the app shell so the app opens without a connection. Shell files come from the
+// network when it answers and from the cache when it doesn't. API calls are left alone:
+// the app keeps its own offline copy of the data in IndexedDB.
+// ============================================
+
+// Bump when the shell's file list changes
+const SHELL_CACHE = 'shell-v2';
+const SHELL_FILES = ['./', 'index.html', 'styles.css', 'config.js', 'i18n.js', 'charts.js', 'offline.js', 'app.js'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(event.request, { ignoreSearch: true }))
+  );
+});
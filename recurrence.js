@@ -0,0 +1,133 @@
+// ============================================
+// RECURRENCE
+// Period maths for chore schedules. Dates are plain 'YYYY-MM-DD' strings so they
+// compare and sort as text and never drift across timezones.
+// ============================================
+
+const FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly'];
+const DEFAULT_RECURRENCE = { frequency: 'monthly', times: 1 };
+
+// Bi-weekly periods count from a fixed Monday so every server agrees on the blocks
+const BIWEEKLY_ANCHOR = '2024-01-01';
+
+function toDateString(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function parseDate(dateString) {
+  const [y, m, d] = dateString.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function addDays(dateString, days) {
+  const date = parseDate(dateString);
+  date.setDate(date.getDate() + days);
+  return toDateString(date);
+}
+
+function addMonths(dateString, months) {
+  const date = parseDate(dateString);
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return toDateString(date);
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+// Number of days two inclusive date ranges share
+function overlapDays(startA, endA, startB, endB) {
+  const start = startA > startB ? startA : startB;
+  const end = endA < endB ? endA : endB;
+  return start > end ? 0 : daysBetween(start, end) + 1;
+}
+
+function monthRange(month, year) {
+  const start = toDateString(new Date(year, month - 1, 1));
+  const end = toDateString(new Date(year, month, 0));
+  return { start, end };
+}
+
+function normalizeRecurrence(recurrence) {
+  const rule = { ...DEFAULT_RECURRENCE, ...(recurrence || {}) };
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    throw new Error(`Recurrence must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  const times = Number(rule.times);
+  if (rule.frequency === 'daily' && times !== 1) {
+    throw new Error('A daily chore happens once per day');
+  }
+  if (!Number.isInteger(times) || times < 1 || times > 7) {
+    throw new Error('A chore can repeat 1 to 7 times per period');
+  }
+  return { frequency: rule.frequency, times };
+}
+
+// The period of `recurrence` that contains `dateString`: { start, end } inclusive
+function periodFor(recurrence, dateString) {
+  const { frequency } = normalizeRecurrence(recurrence);
+  if (frequency === 'daily') {
+    return { start: dateString, end: dateString };
+  }
+  if (frequency === 'weekly') {
+    const weekday = (parseDate(dateString).getDay() + 6) % 7; // Monday = 0
+    const start = addDays(dateString, -weekday);
+    return { start, end: addDays(start, 6) };
+  }
+  if (frequency === 'biweekly') {
+    const offset = ((daysBetween(BIWEEKLY_ANCHOR, dateString) % 14) + 14) % 14;
+    const start = addDays(dateString, -offset);
+    return { start, end: addDays(start, 13) };
+  }
+  const date = parseDate(dateString);
+  return monthRange(date.getMonth() + 1, date.getFullYear());
+}
+
+/**
+ * Task instances a chore needs for the period containing `dateString`.
+ * Chores that repeat several times per period get their due dates spread evenly,
+ * e.g. trash twice a week is due Thursday and Sunday.
+ */
+function instancesFor(chore, dateString) {
+  const recurrence = normalizeRecurrence(chore.recurrence);
+  const { start, end } = periodFor(recurrence, dateString);
+  const length = daysBetween(start, end) + 1;
+
+  const instances = [];
+  for (let slot = 0; slot < recurrence.times; slot++) {
+    const dueOffset = Math.ceil((length * (slot + 1)) / recurrence.times) - 1;
+    instances.push({
+      chore_id: chore.id,
+      name: chore.name,
+      translations: chore.translations || {},
+      effort: chore.effort,
+      period_start: start,
+      period_end: end,
+      due_date: addDays(start, dueOffset),
+      slot
+    });
+  }
+  return instances;
+}
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_RECURRENCE,
+  toDateString,
+  parseDate,
+  addDays,
+  addMonths,
+  daysBetween,
+  overlapDays,
+  monthRange,
+  normalizeRecurrence,
+  periodFor,
+  instancesFor
+};
@@ -0,0 +1,134 @@
+// ============================================
+// REMINDER RULES
+// Decides which pending tasks deserve a reminder today. A household's rules are a list
+// such as [{ type: 'before_due', days: 3 }, { type: 'overdue' }]: `before_due` fires once,
+// `days` before the due date, and `overdue` fires once a day until the task is done.
+// ============================================
+
+const { addDays, daysBetween } = require('./recurrence');
+const { localTime } = require('./timezone');
+
+const RULE_TYPES = ['before_due', 'overdue'];
+const MAX_RULES = 5;
+const MAX_DAYS_BEFORE = 30;
+
+const DEFAULT_REMINDER_RULES = [
+  { type: 'before_due', days: 3 },
+  { type: 'overdue' }
+];
+
+// Reminders wait until quiet hours are over, in the household's timezone
+const DEFAULT_QUIET_HOURS = { start: '22:00', end: '08:00' };
+
+function normalizeReminderRules(rules) {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    throw new Error(`Reminder rules must be a list of at most ${MAX_RULES} rules`);
+  }
+
+  const seen = new Set();
+  return rules.map(rule => {
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Reminder rule type must be one of ${RULE_TYPES.join(', ')}`);
+    }
+
+    const normalized = { type: rule.type };
+    if (rule.type === 'before_due') {
+      const days = Number(rule.days);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_DAYS_BEFORE) {
+        throw new Error(`Days before the due date must be 0-${MAX_DAYS_BEFORE}`);
+      }
+      normalized.days = days;
+    }
+
+    const key = ruleKey(normalized);
+    if (seen.has(key)) throw new Error('Reminder rules must not repeat');
+    seen.add(key);
+    return normalized;
+  });
+}
+
+function ruleKey(rule) {
+  return rule.type === 'before_due' ? `before_due:${rule.days}` : rule.type;
+}
+
+function parseTime(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(value || ''));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// null turns quiet hours off
+function normalizeQuietHours(quietHours) {
+  if (quietHours === null) return null;
+  if (!quietHours || parseTime(quietHours.start) === null || parseTime(quietHours.end) === null) {
+    throw new Error('Quiet hours need a start and end time as HH:MM');
+  }
+  return { start: quietHours.start, end: quietHours.end };
+}
+
+// Quiet hours may run past midnight, e.g. 22:00-08:00
+function inQuietHours(quietHours, now = new Date(), timeZone) {
+  if (!quietHours) return false;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  const { hour, minute } = localTime(now, timeZone);
+  const minutes = hour * 60 + minute;
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function dueMessage(task, today) {
+  const daysLeft = daysBetween(today, task.due_date);
+  if (daysLeft < 0) {
+    const late = -daysLeft;
+    return `"${task.name}" was due ${task.due_date} and is ${late} day${late === 1 ? '' : 's'} overdue`;
+  }
+  if (daysLeft === 0) return `"${task.name}" is due today`;
+  return `"${task.name}" is due in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${task.due_date})`;
+}
+
+/**
+ * Reminders the household's pending tasks call for on `today`, one per task at most.
+ * `key` identifies the reminder so it is only ever sent once: before-due reminders once
+ * per task and assignee, overdue ones once per day.
+ * @returns {Object[]} { task, rule, key, message }
+ */
+function dueReminders(tasks, rules, today) {
+  const beforeDue = rules.filter(r => r.type === 'before_due').sort((a, b) => a.days - b.days);
+  const overdue = rules.find(r => r.type === 'overdue');
+  const reminders = [];
+
+  for (const task of tasks) {
+    if (task.status !== 'pending') continue;
+
+    if (task.due_date < today) {
+      if (overdue) {
+        reminders.push({ task, rule: overdue, key: `task-${task.id}:overdue:${today}`, message: dueMessage(task, today) });
+      }
+      continue;
+    }
+
+    // Only the nearest rule already reached counts, so a server that was down doesn't
+    // send the 7-day and 1-day reminders together. Rules reaching back before the
+    // period started (a 3-day reminder on a daily chore) don't apply.
+    const rule = beforeDue.find(r => {
+      const sendOn = addDays(task.due_date, -r.days);
+      return sendOn <= today && sendOn >= task.period_start;
+    });
+    if (rule) {
+      reminders.push({ task, rule, key: `task-${task.id}:${ruleKey(rule)}`, message: dueMessage(task, today) });
+    }
+  }
+  return reminders;
+}
+
+module.exports = {
+  DEFAULT_REMINDER_RULES,
+  DEFAULT_QUIET_HOURS,
+  normalizeReminderRules,
+  normalizeQuietHours,
+  inQuietHours,
+  dueReminders,
+  dueMessage
+};
@@ -0,0 +1,172 @@
+// ============================================
+// ROTATION ENGINE
+// Assigns each chore to the member with the lowest effort load, looking back over
+// recent months so heavy chores even out over time. Pure and deterministic: the same
+// inputs always give the same plan, and every assignment carries a reason.
+// ============================================
+
+const { addMonths, daysBetween, overlapDays } = require('./recurrence');
+
+const LOOKBACK_MONTHS = 6;
+
+const DEFAULT_EFFORT = {
+  'kitchen cleaning': 3,
+  'bathroom cleaning': 4,
+  'hall sweeping': 2,
+  'trash removal': 1
+};
+
+function defaultEffort(choreName) {
+  return DEFAULT_EFFORT[String(choreName).toLowerCase()] || 2;
+}
+
+// Effort recorded on the task wins; older tasks fall back to their chore definition
+function taskEffort(task, chores) {
+  if (task.effort) return task.effort;
+  const chore = chores.find(c => c.id === task.chore_id) || chores.find(c => c.name === task.name);
+  return chore && chore.effort ? chore.effort : defaultEffort(task.name);
+}
+
+// A member can't take an instance if they're away on its due date or for more than
+// half of its period
+function isAway(awayPeriods, username, instance) {
+  const periodDays = daysBetween(instance.period_start, instance.period_end) + 1;
+  return awayPeriods.some(p => {
+    if (p.username !== username) return false;
+    if (p.start_date <= instance.due_date && p.end_date >= instance.due_date) return true;
+    return overlapDays(p.start_date, p.end_date, instance.period_start, instance.period_end) * 2 > periodDays;
+  });
+}
+
+/**
+ * Plans assignments for task instances starting on `date`.
+ *
+ * @param {Object} options
+ * @param {string} options.date - 'YYYY-MM-DD' the rotation runs for
+ * @param {string[]} options.members - usernames eligible for these instances, in a stable order
+ * @param {Object[]} options.instances - instances to assign ({ chore_id, name, effort, due_date, ... })
+ * @param {Object[]} options.tasks - the household's existing tasks (history and still-open ones)
+ * @param {Object[]} [options.allChores] - every chore definition, for looking up old tasks' effort
+ * @param {Object[]} [options.away] - away periods ({ username, start_date, end_date }); away
+ *   members are skipped and, having done less, pick up more once they're back
+ * @returns {{ assignments: Object[], loads: Object }} the instances with `assigned_to` and
+ *   `reason` added, and each member's recent load before this run
+ */
+function planRotation({ date, members, instances, tasks, allChores = [], away = [] }) {
+  const windowStart = addMonths(date, -LOOKBACK_MONTHS);
+
+  const history = {};
+  const upcoming = {};
+  const lastDone = {};
+  for (const member of members) {
+    history[member] = 0;
+    upcoming[member] = { effort: 0, count: 0 };
+    lastDone[member] = {};
+  }
+
+  // Tasks due before `date` are history; anything due later is already on someone's plate
+  for (const task of tasks) {
+    if (!(task.assigned_to in history)) continue;
+    const effort = taskEffort(task, allChores);
+
+    if (task.due_date >= date) {
+      upcoming[task.assigned_to].effort += effort;
+      upcoming[task.assigned_to].count += 1;
+    } else if (task.due_date >= windowStart) {
+      history[task.assigned_to] += effort;
+    }
+    if (task.due_date < date) {
+      const previous = lastDone[task.assigned_to][task.name];
+      if (!previous || task.due_date > previous) lastDone[task.assigned_to][task.name] = task.due_date;
+    }
+  }
+
+  // Members with no recent history start level with the least-loaded member instead of
+  // owing nothing, so a newcomer doesn't inherit every heavy chore at once. Time spent away
+  // counts as history: what they missed is carried forward, not forgiven.
+  const withHistory = members.filter(m =>
+    tasks.some(t => t.assigned_to === m && t.due_date >= windowStart && t.due_date < date) ||
+    away.some(p => p.username === m && p.end_date >= windowStart && p.start_date < date)
+  );
+  const floor = withHistory.length > 0 ? Math.min(...withHistory.map(m => history[m])) : 0;
+  const loads = {};
+  for (const member of members) {
+    loads[member] = withHistory.includes(member) ? history[member] : floor;
+  }
+
+  // Heaviest chores first so they land on whoever has done least
+  const ordered = instances
+    .map(instance => ({ ...instance, effort: instance.effort || defaultEffort(instance.name) }))
+    .sort((a, b) =>
+      b.effort - a.effort ||
+      a.due_date.localeCompare(b.due_date) ||
+      a.chore_id - b.chore_id ||
+      (a.slot || 0) - (b.slot || 0)
+    );
+
+  const projected = {};
+  for (const member of members) {
+    projected[member] = {
+      load: loads[member] + upcoming[member].effort,
+      count: upcoming[member].count
+    };
+  }
+
+  const lastDoneOf = (member, name) => lastDone[member][name] || '';
+  const dayNumber = daysBetween('1970-01-01', date);
+
+  const assignments = [];
+  ordered.forEach((instance, index) => {
+    if (members.length === 0) return;
+
+    // Rotating the tie-break order by date keeps equal members taking turns
+    const offset = (dayNumber + index) % members.length;
+    const absent = members.filter(m => isAway(away, m, instance));
+    const everyoneAway = absent.length === members.length;
+    const ranked = members
+      .map((member, i) => ({ member, turn: (i - offset + members.length) % members.length }))
+      .filter(({ member }) => everyoneAway || !absent.includes(member))
+      .sort((a, b) =>
+        projected[a.member].load - projected[b.member].load ||
+        projected[a.member].count - projected[b.member].count ||
+        lastDoneOf(a.member, instance.name).localeCompare(lastDoneOf(b.member, instance.name)) ||
+        a.turn - b.turn
+      );
+
+    const winner = ranked[0].member;
+    const runnerUp = ranked[1] && ranked[1].member;
+    const winnerLoad = projected[winner].load;
+
+    let reason = `${winner} had the lowest effort load (${winnerLoad})`;
+    if (runnerUp && projected[runnerUp].load === winnerLoad) {
+      reason = `${winner} tied with ${runnerUp} on effort load (${winnerLoad})`;
+      if (projected[winner].count !== projected[runnerUp].count) {
+        reason += ' and had fewer open chores';
+      } else if (lastDoneOf(winner, instance.name) !== lastDoneOf(runnerUp, instance.name)) {
+        reason += ` and did ${instance.name} less recently`;
+      } else {
+        reason += ' and it was their turn';
+      }
+    }
+    reason += `; load is now ${winnerLoad + instance.effort}`;
+    if (everyoneAway) {
+      reason += '; everyone is away, so nobody was skipped';
+    } else if (absent.length > 0) {
+      reason += `; skipped ${absent.join(', ')} (away)`;
+    }
+
+    assignments.push({ ...instance, assigned_to: winner, reason });
+    projected[winner].load += instance.effort;
+    projected[winner].count += 1;
+  });
+
+  return { assignments, loads };
+}
+
+module.exports = {
+  LOOKBACK_MONTHS,
+  defaultEffort,
+  taskEffort,
+  isAway,
+  planRotation
+};
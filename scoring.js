@@ -0,0 +1,111 @@
+// ============================================
+// POINTS, STREAKS & BADGES
+// Verified completions earn effort × 10 points, plus 10% a day for finishing early (up
+// to 5 days); late ones earn half. A month is on time for a member when every chore in
+// their monthly report was done by its due date: consecutive on-time months make a
+// streak. Months with nothing assigned, or spent away, don't break one. Completions count
+// for the day they happened on in the household's timezone.
+// ============================================
+
+const { taskEffort } = require('./rotation');
+const { daysBetween } = require('./recurrence');
+const { localDate } = require('./timezone');
+
+const POINTS_PER_EFFORT = 10;
+const EARLY_BONUS_PER_DAY = 0.1;
+const MAX_EARLY_DAYS = 5;
+const LATE_FACTOR = 0.5;
+
+const BADGES = [
+  { id: 'first_chore', name: 'First chore', description: 'Completed a first chore', earned: s => s.completed >= 1 },
+  { id: 'ten_chores', name: 'Ten down', description: 'Completed 10 chores', earned: s => s.completed >= 10 },
+  { id: 'fifty_chores', name: 'Half century', description: 'Completed 50 chores', earned: s => s.completed >= 50 },
+  { id: 'hundred_chores', name: 'Centurion', description: 'Completed 100 chores', earned: s => s.completed >= 100 },
+  { id: 'early_bird', name: 'Early bird', description: 'Finished 10 chores ahead of their due date', earned: s => s.early >= 10 },
+  { id: 'streak_3', name: 'On a roll', description: 'Three months in a row with every chore on time', earned: s => s.best_streak >= 3 },
+  { id: 'streak_6', name: 'Half a year', description: 'Six months in a row with every chore on time', earned: s => s.best_streak >= 6 },
+  { id: 'streak_12', name: 'Clockwork', description: 'A whole year with every chore on time', earned: s => s.best_streak >= 12 },
+  { id: 'points_1000', name: 'Thousand club', description: 'Earned 1000 points', earned: s => s.points >= 1000 }
+];
+
+// Days between finishing and the due date: positive when early, negative when late
+function daysEarly(task, timeZone) {
+  return daysBetween(localDate(task.completed_at, timeZone), task.due_date);
+}
+
+function taskPoints(task, chores = [], timeZone) {
+  if (task.status !== 'completed' || !task.completed_at) return 0;
+  const base = taskEffort(task, chores) * POINTS_PER_EFFORT;
+  const early = daysEarly(task, timeZone);
+  if (early < 0) return Math.round(base * LATE_FACTOR);
+  return base + Math.round(base * EARLY_BONUS_PER_DAY * Math.min(early, MAX_EARLY_DAYS));
+}
+
+// true/false for a month that counts towards streaks, null for one that doesn't count
+function onTimeMonth(report, timeZone) {
+  if (report.absent || report.assigned_tasks === 0) return null;
+  if (report.completed_tasks < report.assigned_tasks) return false;
+  const { tasks = [] } = JSON.parse(report.report_data || '{}');
+  return tasks.every(t => t.excused || t.status !== 'completed' || daysEarly(t, timeZone) >= 0);
+}
+
+/**
+ * A member's streaks from their monthly reports.
+ * @returns {Object} { current_streak, best_streak }
+ */
+function streaks(reports, timeZone) {
+  const months = [...reports]
+    .sort((a, b) => a.year - b.year || a.month - b.month)
+    .map(report => onTimeMonth(report, timeZone))
+    .filter(onTime => onTime !== null);
+
+  let current = 0;
+  let best = 0;
+  for (const onTime of months) {
+    current = onTime ? current + 1 : 0;
+    best = Math.max(best, current);
+  }
+  return { current_streak: current, best_streak: best };
+}
+
+function memberStats(username, tasks, chores, timeZone) {
+  const done = tasks.filter(t => t.assigned_to === username && t.status === 'completed' && t.completed_at);
+  return {
+    username,
+    points: done.reduce((sum, t) => sum + taskPoints(t, chores, timeZone), 0),
+    completed: done.length,
+    on_time: done.filter(t => daysEarly(t, timeZone) >= 0).length,
+    early: done.filter(t => daysEarly(t, timeZone) > 0).length
+  };
+}
+
+/**
+ * Ranks `members` by points on `tasks` (all of the household's, or one month's). Streaks
+ * and badges always cover everything: `allTasks` and every monthly report.
+ * @returns {Object[]} { rank, username, points, completed, on_time, early, current_streak, best_streak, badges }
+ */
+function leaderboard(members, { tasks, allTasks = tasks, reports, chores, timeZone }) {
+  const rows = members.map(username => {
+    const streak = streaks(reports.filter(r => r.username === username), timeZone);
+    const lifetime = { ...memberStats(username, allTasks, chores, timeZone), ...streak };
+    const row = tasks === allTasks ? lifetime : { ...memberStats(username, tasks, chores, timeZone), ...streak };
+    const badges = BADGES
+      .filter(badge => badge.earned(lifetime))
+      .map(({ id, name, description }) => ({ id, name, description }));
+    return { ...row, badges };
+  });
+
+  rows.sort((a, b) => b.points - a.points || b.completed - a.completed || a.username.localeCompare(b.username));
+  // Equal points share a rank
+  rows.forEach((row, index) => {
+    row.rank = index > 0 && rows[index - 1].points === row.points ? rows[index - 1].rank : index + 1;
+  });
+  return rows.map(({ rank, ...row }) => ({ rank, ...row }));
+}
+
+module.exports = {
+  BADGES,
+  taskPoints,
+  streaks,
+  leaderboard
+};
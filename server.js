@@ -3,23 +3,120 @@ const session = require('express-session');
 const cors = require('cors');
 const cron = require('node-cron');
 const path = require('path');
+const crypto = require('crypto');
+const { planRotation, isAway } = require('./rotation');
+const { addDays, instancesFor } = require('./recurrence');
+const { photoUpload, verifyPhotos, discardPhotos, photoRecords, photoPath } = require('./photos');
+const { TASK_COLUMNS, REPORT_COLUMNS, toCsv, writeBackup } = require('./backup');
+const { buildCalendar } = require('./calendar');
+const { publish, subscribe, subscribeAll } = require('./event-bus');
+const { deliver } = require('./notifier');
+const { WEBHOOK_EVENTS, sendDelivery } = require('./webhooks');
+const { checkPublicUrl } = require('./outbound');
+const { defineJob, getJob, runJob, catchUpJobs, scheduleJobs, jobStatus } = require('./jobs');
+const { translate, negotiateLanguage } = require('./i18n');
 const {
+    PermissionError,
     initializeDatabase,
-    createDefaultUsers,
+    createDefaultChores,
     authenticateUser,
-    getCurrentMonthTasks,
-    createMonthlyTasks,
+    registerUser,
+    changePassword,
+    updateUserLanguage,
+    createPasswordReset,
+    resetPasswordWithToken,
+    getUserById,
+    getCalendarToken,
+    regenerateCalendarToken,
+    getCalendarFeed,
+    getHouseholds,
+    getHousehold,
+    createHousehold,
+    joinHousehold,
+    updateHousehold,
+    regenerateInviteCode,
+    getMembers,
+    addMember,
+    updateMember,
+    removeMember,
+    getChores,
+    addChore,
+    updateChore,
+    removeChore,
+    getRotationConfig,
+    getCurrentTasks,
+    createTaskInstances,
     completeTask,
+    confirmTask,
+    disputeTask,
+    reopenTask,
+    syncCompletions,
+    autoConfirmTasks,
+    getTaskPhoto,
     getAllUsersStatus,
-    getTaskHistory,
+    getRecentActivity,
+    getAuditLog,
+    getSwaps,
+    proposeSwap,
+    respondToSwap,
+    cancelSwap,
+    getAwayPeriods,
+    addAwayPeriod,
+    removeAwayPeriod,
+    reassignTasks,
     generateAllMonthlyReports,
     getMonthlyReport,
     getUserMonthlyReports,
-    getAllMonthlyReports
+    getAllMonthlyReports,
+    getMissingReports,
+    getHouseholdToday,
+    getHouseholdClocks,
+    rollOverTasks,
+    getHouseholdAnalytics,
+    getLeaderboard,
+    getExpenses,
+    addExpense,
+    removeExpense,
+    getPayments,
+    addPayment,
+    removePayment,
+    getBalances,
+    getShoppingList,
+    getPurchaseHistory,
+    addShoppingItem,
+    updateShoppingItem,
+    claimShoppingItem,
+    unclaimShoppingItem,
+    purchaseShoppingItem,
+    removeShoppingItem,
+    getNotificationPrefs,
+    updateNotificationPrefs,
+    getNotifications,
+    markNotificationsRead,
+    planReminders,
+    recordReminders,
+    recordDeliveries,
+    getWebhooks,
+    addWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    removeWebhook,
+    queueWebhookDeliveries,
+    getDueWebhookDeliveries,
+    recordWebhookAttempt,
+    getWebhookDeliveries,
+    exportStore,
+    exportHousehold,
+    restoreHousehold
 } = require('./database');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const isProduction = process.env.NODE_ENV === 'production';
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Render and Vercel terminate TLS at a proxy; needed for secure cookies
+app.set('trust proxy', 1);
 
 // Middleware
 app.use(cors({
@@ -27,6 +124,8 @@ app.use(cors({
     credentials: true
 }));
 
+// Snapshots being restored can be far larger than ordinary requests
+app.use('/api/import', express.json({ limit: '25mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -35,73 +134,327 @@ app.use(session({
     resave: false,
     saveUninitialized: false,
     cookie: {
-        secure: process.env.NODE_ENV === 'production',
+        secure: isProduction,
+        // The Android app loads from its own origin, so the cookie must be sent cross-site
+        sameSite: isProduction ? 'none' : 'lax',
         httpOnly: true,
         maxAge: 24 * 60 * 60 * 1000
     }
 }));
 
-const ROOMMATES = ['deepanshu', 'sonu', 'sachin', 'sintu'];
-const TASKS = ['Kitchen Cleaning', 'Bathroom Cleaning', 'Hall Sweeping', 'Trash Removal'];
+// The member's chosen language, or the browser's when signed out or when they haven't chosen
+function requestLanguage(req) {
+    return (req.session && req.session.user && req.session.user.language) || negotiateLanguage(req.get('Accept-Language'));
+}
 
-function calculateMonthlyAssignments(month, year) {
-    const seed = (year * 12) + month;
-    const assignments = {};
-    TASKS.forEach((task, taskIndex) => {
-        const roommateIndex = (seed + taskIndex) % ROOMMATES.length;
-        assignments[task] = ROOMMATES[roommateIndex];
-    });
-    return assignments;
+// Error messages are written in English and translated as the response goes out
+app.use('/api', (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (body && typeof body.error === 'string') {
+            body = { ...body, error: translate(body.error, requestLanguage(req)) };
+        }
+        return json(body);
+    };
+    next();
+});
+
+// Ensures every active chore has its task instances for the current period, for one
+// household or every household when omitted. Chores added mid-period get their instances
+// straight away; existing tasks are left alone.
+async function ensureScheduledTasks(householdId) {
+    try {
+        const households = householdId ? [await getHousehold(householdId)] : await getHouseholds();
+        for (const household of households.filter(Boolean)) {
+            await ensureHouseholdTasks(household.id);
+        }
+    } catch (err) {
+        console.error('Error ensuring scheduled tasks:', err);
+    }
 }
 
-// Function to ensure monthly tasks exist
-async function ensureMonthlyTasks() {
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const year = now.getFullYear();
+// Instances `chores` need for the periods containing `date` that `tasks` don't already cover
+function missingInstances(chores, tasks, date) {
+    return chores
+        .flatMap(chore => instancesFor(chore, date))
+        .filter(instance => !tasks.some(t =>
+            (t.chore_id === instance.chore_id || (!t.chore_id && t.name === instance.name)) &&
+            t.period_start === instance.period_start &&
+            (t.slot || 0) === instance.slot
+        ));
+}
 
+async function ensureHouseholdTasks(householdId) {
     try {
-        const existingTasks = await getCurrentMonthTasks();
-        if (existingTasks.length === 0) {
-            console.log(`📅 Creating tasks for ${month}/${year}`);
-            const assignments = calculateMonthlyAssignments(month, year);
-            await createMonthlyTasks(month, year, assignments);
-            console.log('✅ Monthly tasks created:', assignments);
+        const today = await getHouseholdToday(householdId);
+
+        // Last month's leftovers first, so make-up chores count towards this month's rotation
+        const rolled = await rollOverTasks(householdId, today);
+        if (rolled.length > 0) {
+            console.log(`↪️ Rolled over ${rolled.length} unfinished tasks for household ${householdId}`);
+            publish(householdId, 'tasks.rolled_over', { tasks: rolled, date: today });
+        }
+
+        const { members, chores, allChores, tasks, away } = await getRotationConfig(householdId);
+        const instances = missingInstances(chores, tasks, today);
+        if (instances.length === 0) return;
+
+        const { assignments } = planRotation({ date: today, members, instances, allChores, tasks, away });
+        if (assignments.length > 0) {
+            console.log(`📅 Creating tasks for household ${householdId} on ${today}`);
+            const created = await createTaskInstances(householdId, assignments);
+            if (created.length > 0) publish(householdId, 'tasks.rotated', { tasks: created, date: today });
+            console.log('✅ Tasks created:', assignments.map(a => `${a.name} (due ${a.due_date}) → ${a.assigned_to}`));
         }
     } catch (err) {
-        console.error('Error ensuring monthly tasks:', err);
+        console.error(`Error ensuring tasks for household ${householdId}:`, err);
     }
 }
 
+// Hands a member's pending tasks that fall in their away periods to someone else
+async function reassignAroundAbsences(householdId, username, actor) {
+    const today = await getHouseholdToday(householdId);
+    const { members, allChores, tasks, away } = await getRotationConfig(householdId);
+    const affected = tasks.filter(t =>
+        t.assigned_to === username &&
+        t.status === 'pending' &&
+        t.due_date >= today &&
+        isAway(away, username, t)
+    );
+    if (affected.length === 0) return [];
+
+    const others = tasks.filter(t => !affected.includes(t));
+    const { assignments } = planRotation({ date: today, members, instances: affected, allChores, tasks: others, away });
+    const moved = await reassignTasks(householdId, assignments.map(assignment => ({
+        task_id: assignment.id,
+        assigned_to: assignment.assigned_to,
+        reason: `${username} is away; ${assignment.reason}`
+    })), actor);
+    if (moved.length > 0) publish(householdId, 'tasks.reassigned', { tasks: moved });
+    return moved;
+}
+
+// Confirms completions whose verification window has passed and tells their households
+async function confirmExpiredTasks() {
+    const confirmed = await autoConfirmTasks();
+    for (const task of confirmed) {
+        publish(task.household_id, 'task.confirmed', { task, actor: null });
+    }
+    return confirmed;
+}
+
+// Stores the reminders due now and sends each through its member's channels
+async function sendReminders() {
+    const stored = await recordReminders(await planReminders());
+    for (const { notification, prefs } of stored) {
+        const deliveries = await deliver(notification, prefs);
+        await recordDeliveries(notification.id, deliveries);
+        for (const failed of deliveries.filter(d => d.status === 'failed')) {
+            console.error(`❌ ${failed.channel} reminder to ${notification.username} failed: ${failed.error}`);
+        }
+        publish(notification.household_id, 'notifications.created', { notification }, notification.username);
+    }
+    return stored;
+}
+
+// Sends every webhook delivery that is due. Runs after events are queued and every
+// minute for retries; a run already in progress picks up anything queued meanwhile.
+let dispatching = null;
+let dispatchAgain = false;
+
+function dispatchWebhooks() {
+    if (dispatching) {
+        dispatchAgain = true;
+        return dispatching;
+    }
+    dispatching = (async () => {
+        try {
+            do {
+                dispatchAgain = false;
+                for (const { delivery, webhook } of await getDueWebhookDeliveries()) {
+                    const attempt = await sendDelivery(webhook, delivery);
+                    const updated = await recordWebhookAttempt(delivery.id, attempt);
+                    if (updated && updated.status === 'failed') {
+                        console.error(`❌ Webhook ${webhook.id} gave up on ${delivery.event} delivery ${delivery.id}: ${attempt.error}`);
+                    }
+                }
+            } while (dispatchAgain);
+        } catch (err) {
+            console.error('❌ Error dispatching webhooks:', err);
+        } finally {
+            dispatching = null;
+        }
+    })();
+    return dispatching;
+}
+
+subscribeAll(async event => {
+    if (!WEBHOOK_EVENTS.includes(event.type)) return;
+    try {
+        const queued = await queueWebhookDeliveries(event.household_id, event.type, event.data, { occurredAt: event.at });
+        if (queued.length > 0) dispatchWebhooks();
+    } catch (err) {
+        console.error(`❌ Error queueing ${event.type} webhooks:`, err);
+    }
+});
+
 // ============================================
 // CRON JOBS
+// Registered with the job runner, which records every run and, on startup, catches up on
+// whatever was missed while the process was down. Re-running a job is always safe.
 // ============================================
 
-// Check and create tasks at midnight on 1st
-cron.schedule('1 0 1 * *', async () => {
-    console.log('🔄 Monthly rotation triggered');
-    await ensureMonthlyTasks();
-});
+const HOUR_MS = 60 * 60 * 1000;
+
+// Periods of the monthly report job are 'YYYY-MM'
+function monthPeriod(month, year) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
 
-// Generate monthly reports on last day of month
-cron.schedule('55 23 28-31 * *', async () => {
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+function checkMonthPeriod(period) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) throw new Error('Period must be a month as YYYY-MM');
+}
 
-    if (tomorrow.getDate() === 1) {
-        console.log('📊 Generating monthly reports...');
-        const month = now.getMonth() + 1;
-        const year = now.getFullYear();
-        try {
-            const reports = await generateAllMonthlyReports(month, year);
-            console.log(`✅ Generated ${reports.length} reports`);
-        } catch (err) {
-            console.error('❌ Error generating reports:', err);
+function staleSince(state, now, ms) {
+    return !state || !state.last_success_at || now - new Date(state.last_success_at) >= ms;
+}
+
+// Jobs that follow household clocks tick every quarter hour (every timezone is a whole
+// number of quarter hours off UTC) and act for the households whose day has just begun
+const QUARTER_HOURLY = '*/15 * * * *';
+
+function startingDay(clock) {
+    return clock.hour === 0 && clock.minute < 15;
+}
+
+function startingMonth(clock) {
+    return clock.day === 1 && startingDay(clock);
+}
+
+// Generates and announces one month's reports for `householdIds` (default: every household)
+async function generateReports(month, year, householdIds = null) {
+    console.log(`📊 Generating monthly reports for ${monthPeriod(month, year)}...`);
+    const reports = await generateAllMonthlyReports(month, year, householdIds);
+    for (const householdId of new Set(reports.map(r => r.household_id))) {
+        publish(householdId, 'reports.generated', {
+            month,
+            year,
+            usernames: reports.filter(r => r.household_id === householdId).map(r => r.username)
+        });
+    }
+    console.log(`✅ Generated ${reports.length} reports`);
+    return reports;
+}
+
+// Reports households are owed at `now`: months they missed, and the month that just
+// ended for those whose new month begins this quarter hour
+async function owedReports(now) {
+    const owed = await getMissingReports(now);
+    for (const clock of (await getHouseholdClocks(now)).filter(startingMonth)) {
+        const month = clock.month === 1 ? 12 : clock.month - 1;
+        const year = clock.month === 1 ? clock.year - 1 : clock.year;
+        if (!owed.some(o => o.household_id === clock.household_id && o.month === month && o.year === year)) {
+            owed.push({ household_id: clock.household_id, month, year });
+        }
+    }
+    return owed;
+}
+
+// Monthly reports as each household's month ends on its own clock. Without a period a
+// run covers whatever households are owed; a period (YYYY-MM) regenerates that month for
+// every household. Months missed while the server was down are generated at startup,
+// before the rotation job rolls their unfinished tasks over.
+defineJob({
+    name: 'monthly_reports',
+    description: 'Generate every member\'s monthly report',
+    schedule: QUARTER_HOURLY,
+    due: async now => (await getHouseholdClocks(now)).some(startingMonth),
+    checkPeriod: async period => {
+        if (period === null) return;
+        checkMonthPeriod(period);
+        // A month's reports are final only once it has ended for every household
+        if ((await getHouseholdClocks(new Date())).some(clock => monthPeriod(clock.month, clock.year) <= period)) {
+            throw new Error('Reports can only be generated for months that have ended');
+        }
+    },
+    missed: async (state, now) => ((await getMissingReports(now)).length > 0 ? [null] : []),
+    async run(period) {
+        await confirmExpiredTasks();
+        if (period) {
+            const [year, month] = period.split('-').map(Number);
+            return { reports: (await generateReports(month, year)).length };
         }
+
+        const owed = await owedReports(new Date());
+        const months = [...new Set(owed.map(o => monthPeriod(o.month, o.year)))].sort();
+        let generated = 0;
+        for (const owedPeriod of months) {
+            const [year, month] = owedPeriod.split('-').map(Number);
+            const householdIds = owed.filter(o => o.month === month && o.year === year).map(o => o.household_id);
+            generated += (await generateReports(month, year, householdIds)).length;
+        }
+        return { reports: generated, months };
+    }
+});
+
+// Start any periods beginning today (daily, weekly, bi-weekly and monthly chores) as
+// each household's day begins
+defineJob({
+    name: 'rotation',
+    description: 'Create task instances for periods starting today and roll over last month',
+    schedule: QUARTER_HOURLY,
+    due: async now => (await getHouseholdClocks(now)).some(startingDay),
+    missed: async () => [null],
+    async run() {
+        await ensureScheduledTasks();
+    }
+});
+
+// Completions nobody verified within their household's window count as confirmed
+defineJob({
+    name: 'auto_confirm',
+    description: 'Confirm completions nobody verified in time',
+    schedule: '0 * * * *',
+    missed: async () => [null],
+    async run() {
+        const confirmed = await confirmExpiredTasks();
+        if (confirmed.length > 0) console.log(`✅ Auto-confirmed ${confirmed.length} tasks`);
+        return { confirmed: confirmed.length };
+    }
+});
+
+// Chore reminders under each household's rules; held back during members' quiet hours
+defineJob({
+    name: 'reminders',
+    description: 'Send chore reminders',
+    schedule: '15 * * * *',
+    missed: async (state, now) => (staleSince(state, now, HOUR_MS) ? [null] : []),
+    async run() {
+        const sent = await sendReminders();
+        if (sent.length > 0) console.log(`🔔 Sent ${sent.length} reminders`);
+        return { sent: sent.length };
+    }
+});
+
+// Nightly full backup to BACKUP_DIR, keeping the newest BACKUP_KEEP files
+defineJob({
+    name: 'backup',
+    description: 'Write a full backup to BACKUP_DIR',
+    schedule: '30 3 * * *',
+    missed: async (state, now) => (staleSince(state, now, 24 * HOUR_MS) ? [null] : []),
+    async run() {
+        const file = writeBackup(await exportStore());
+        console.log(`💾 Backup written to ${file}`);
+        return { file: path.basename(file) };
     }
 });
 
+scheduleJobs();
+
+// Retries failed webhook deliveries once their backoff has passed. Not a recorded job:
+// each delivery keeps its own attempts and next retry time.
+cron.schedule('* * * * *', () => dispatchWebhooks());
+
 // ============================================
 // API ENDPOINTS
 // ============================================
@@ -113,7 +466,7 @@ app.get('/api/health', (req, res) => {
 app.post('/api/login', async (req, res) => {
     try {
         const { username, password } = req.body;
-        if (!username || !password) {
+        if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
             return res.status(400).json({ error: 'Username and password required' });
         }
         const user = await authenticateUser(username, password);
@@ -129,25 +482,341 @@ app.post('/api/logout', (req, res) => {
     res.json({ success: true });
 });
 
-function requireAuth(req, res, next) {
+app.post('/api/register', async (req, res) => {
+    try {
+        const { username, password, inviteCode, householdName, timezone, language } = req.body;
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+        const { user, household } = await registerUser({ username, password, inviteCode, householdName, timezone, language });
+        if (user.pending_approval) {
+            return res.status(201).json({ success: true, pending: true, household: { name: household.name } });
+        }
+
+        req.session.user = {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            household_id: user.household_id,
+            language: user.language
+        };
+        await ensureScheduledTasks(user.household_id);
+        res.status(201).json({ success: true, user: req.session.user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Redeems a one-time reset code issued by a household admin
+app.post('/api/account/password/reset', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+        if (!token || !newPassword) {
+            return res.status(400).json({ error: 'Reset code and new password required' });
+        }
+        await resetPasswordWithToken(token, newPassword);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Reloads the session user so role, household and removal changes apply immediately
+async function requireAuth(req, res, next) {
     if (!req.session.user) return res.status(401).json({ error: 'Authentication required' });
+    try {
+        const user = await getUserById(req.session.user.id);
+        if (!user || user.active === false) {
+            req.session.destroy();
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        req.session.user = {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            household_id: user.household_id,
+            language: user.language || null
+        };
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+function requireAdmin(req, res, next) {
+    requireAuth(req, res, () => {
+        if (req.session.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
+        next();
+    });
+}
+
+// Server-wide controls are for whoever runs the server, not household admins: the request
+// must carry `Authorization: Bearer <OPERATOR_TOKEN>`. Without OPERATOR_TOKEN they're off.
+function requireOperator(req, res, next) {
+    const token = Buffer.from(process.env.OPERATOR_TOKEN || '');
+    const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer /, ''));
+    const matches = token.length > 0 && given.length === token.length && crypto.timingSafeEqual(given, token);
+    if (!matches) return res.status(403).json({ error: 'Operator access required' });
     next();
 }
 
+app.post('/api/account/password', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        await changePassword(req.session.user.id, currentPassword, newPassword);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// { language: 'en' | 'hi' | null }; null goes back to following the browser
+app.put('/api/account/language', requireAuth, async (req, res) => {
+    try {
+        const user = await updateUserLanguage(req.session.user.id, req.body.language === undefined ? null : req.body.language);
+        req.session.user.language = user.language;
+        res.json({ user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// ============================================
+// LIVE UPDATES
+// ============================================
+
+// Server-Sent Events for the dashboard. Each household event arrives as an SSE event of
+// the same type with its data as JSON; a comment line every 25s keeps proxies from
+// closing the idle connection and ends the stream once the member is removed.
+app.get('/api/events', requireAuth, (req, res) => {
+    const { id: userId, username, household_id: householdId } = req.session.user;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(householdId, username, event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    });
+
+    const heartbeat = setInterval(async () => {
+        try {
+            const user = await getUserById(userId);
+            if (!user || user.active === false || user.household_id !== householdId) return res.end();
+            res.write(': ping\n\n');
+        } catch (err) {
+            res.end();
+        }
+    }, STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+
+app.get('/api/notifications', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const inbox = await getNotifications(req.session.user.household_id, req.session.user.username, limit);
+        res.json(inbox);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Marks `ids` read, or everything when no ids are given
+app.post('/api/notifications/read', requireAuth, async (req, res) => {
+    try {
+        const marked = await markNotificationsRead(req.session.user.household_id, req.session.user.username, req.body.ids);
+        res.json({ marked });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.get('/api/account/notifications', requireAuth, async (req, res) => {
+    try {
+        const prefs = await getNotificationPrefs(req.session.user.id);
+        res.json({ prefs });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/account/notifications', requireAuth, async (req, res) => {
+    try {
+        const { channels, email, webhook_url, quiet_hours } = req.body;
+        if (webhook_url) await checkPublicUrl(webhook_url);
+        const prefs = await updateNotificationPrefs(req.session.user.id, { channels, email, webhook_url, quiet_hours });
+        res.json({ prefs });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Sends a test message through the caller's channels right away, ignoring quiet hours
+app.post('/api/account/notifications/test', requireAuth, async (req, res) => {
+    try {
+        const prefs = await getNotificationPrefs(req.session.user.id);
+        const deliveries = await deliver({
+            type: 'test',
+            username: req.session.user.username,
+            task_id: null,
+            message: translate('Test notification from Roommate Task Manager', requestLanguage(req)),
+            created_at: new Date().toISOString()
+        }, { ...prefs, channels: prefs.channels.filter(channel => channel !== 'in_app') });
+        res.json({ deliveries });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// CALENDAR FEED
+// ============================================
+
+function calendarUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics`;
+}
+
+app.get('/api/account/calendar', requireAuth, async (req, res) => {
+    try {
+        const token = await getCalendarToken(req.session.user.id);
+        res.json({ url: token ? calendarUrl(req, token) : null });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Issues a new feed URL; the previous one stops working
+app.post('/api/account/calendar', requireAuth, async (req, res) => {
+    try {
+        const token = await regenerateCalendarToken(req.session.user.id);
+        res.json({ url: calendarUrl(req, token) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// No session here: calendar apps fetch this on their own, so the token is the credential
+app.get('/api/calendar/:token.ics', async (req, res) => {
+    try {
+        const feed = await getCalendarFeed(req.params.token);
+        if (!feed) return res.status(404).json({ error: 'Calendar not found' });
+        res.set('Cache-Control', 'private, max-age=300');
+        res.type('text/calendar; charset=utf-8').send(buildCalendar(feed));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 app.get('/api/tasks/current', requireAuth, async (req, res) => {
     try {
-        const tasks = await getCurrentMonthTasks();
-        res.json({ tasks });
+        const household = await getHousehold(req.session.user.household_id);
+        const date = await getHouseholdToday(household.id);
+        const tasks = await getCurrentTasks(household.id, date);
+        res.json({ tasks, date, timezone: household.timezone });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-app.post('/api/tasks/complete', requireAuth, async (req, res) => {
+// Accepts JSON, or multipart form data with up to three `photos` as proof.
+// Admins completing someone else's task must send `override: true`.
+app.post('/api/tasks/complete', requireAuth, photoUpload, async (req, res) => {
+    try {
+        verifyPhotos(req.files);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
     try {
         const { taskId } = req.body;
-        const success = await completeTask(taskId);
-        res.json({ success });
+        // Multipart fields arrive as strings
+        const override = req.body.override === true || req.body.override === 'true';
+        const photos = photoRecords(req.files, req.session.user.username);
+        const task = await completeTask(req.session.user.household_id, taskId, req.session.user, photos, { override });
+        if (!task) {
+            discardPhotos(req.files);
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        publish(task.household_id, 'task.completed', { task, actor: req.session.user.username });
+        res.json({ success: true, task });
+    } catch (err) {
+        discardPhotos(req.files);
+        res.status(err instanceof PermissionError ? 403 : 409).json({ error: err.message });
+    }
+});
+
+// Completions the app queued while offline: { completions: [{ id, task_id, assigned_to, completed_at }] }.
+// Each comes back applied, duplicate or conflict, with the task as it now stands.
+app.post('/api/tasks/sync', requireAuth, async (req, res) => {
+    try {
+        const results = await syncCompletions(req.session.user.household_id, req.session.user, req.body.completions);
+        for (const result of results.filter(r => r.status === 'applied')) {
+            publish(result.task.household_id, 'task.completed', { task: result.task, actor: req.session.user.username });
+        }
+        const language = requestLanguage(req);
+        res.json({ results: results.map(r => (r.reason ? { ...r, reason: translate(r.reason, language) } : r)) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Undoes a completion: the task goes back to pending
+app.post('/api/tasks/:taskId/reopen', requireAuth, async (req, res) => {
+    try {
+        const task = await reopenTask(req.session.user.household_id, req.params.taskId, req.session.user);
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        publish(task.household_id, 'task.reopened', { task, actor: req.session.user.username });
+        res.json({ task });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 409).json({ error: err.message });
+    }
+});
+
+app.post('/api/tasks/:taskId/confirm', requireAuth, async (req, res) => {
+    try {
+        const task = await confirmTask(req.session.user.household_id, req.params.taskId, req.session.user.username);
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        publish(task.household_id, 'task.confirmed', { task, actor: req.session.user.username });
+        res.json({ task });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 409).json({ error: err.message });
+    }
+});
+
+app.post('/api/tasks/:taskId/dispute', requireAuth, async (req, res) => {
+    try {
+        const { household_id, username } = req.session.user;
+        const task = await disputeTask(household_id, req.params.taskId, username, req.body.reason);
+        if (!task) return res.status(404).json({ error: 'Task not found' });
+        publish(household_id, 'task.disputed', { task, actor: username });
+        res.json({ task });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 409).json({ error: err.message });
+    }
+});
+
+app.get('/api/tasks/:taskId/photos/:photoId', requireAuth, async (req, res) => {
+    try {
+        const householdId = req.session.user.household_id;
+        const photo = await getTaskPhoto(householdId, req.params.taskId, req.params.photoId);
+        if (!photo) return res.status(404).json({ error: 'Photo not found' });
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.type(photo.mimetype).sendFile(photoPath(householdId, photo), err => {
+            if (err && !res.headersSent) res.status(404).json({ error: 'Photo not found' });
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -155,7 +824,7 @@ app.post('/api/tasks/complete', requireAuth, async (req, res) => {
 
 app.get('/api/users/status', requireAuth, async (req, res) => {
     try {
-        const status = await getAllUsersStatus();
+        const status = await getAllUsersStatus(req.session.user.household_id);
         res.json({ status });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -164,35 +833,804 @@ app.get('/api/users/status', requireAuth, async (req, res) => {
 
 app.get('/api/history', requireAuth, async (req, res) => {
     try {
-        const history = await getTaskHistory();
-        res.json({ history });
+        const history = await getRecentActivity(req.session.user.household_id);
+        const language = requestLanguage(req);
+        res.json({ history: history.map(item => ({ ...item, reason: translate(item.reason, language) })) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Full audit trail, optionally narrowed to one `entity` type or record (`entity_id`)
+app.get('/api/audit', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const entries = await getAuditLog(req.session.user.household_id, {
+            entity: req.query.entity,
+            entityId: req.query.entity_id,
+            limit
+        });
+        res.json({ entries });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// The month named by the query, else the current month on the household's clock
+async function requestedMonth(req) {
+    const [year, month] = (await getHouseholdToday(req.session.user.household_id)).split('-').map(Number);
+    return { month: parseInt(req.query.month) || month, year: parseInt(req.query.year) || year };
+}
+
 app.get('/api/reports/current', requireAuth, async (req, res) => {
     try {
-        const month = parseInt(req.query.month) || new Date().getMonth() + 1;
-        const year = parseInt(req.query.year) || new Date().getFullYear();
-        const report = await getMonthlyReport(req.session.user.id, month, year);
+        const { month, year } = await requestedMonth(req);
+        const report = await getMonthlyReport(
+            req.session.user.household_id,
+            req.session.user.id,
+            month,
+            year
+        );
         res.json({ report });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// The caller's own reports, newest first
+app.get('/api/reports/history', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 12, 60);
+        const reports = (await getUserMonthlyReports(req.session.user.id, limit))
+            .filter(r => r.household_id === req.session.user.household_id);
+        res.json({ reports });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Every member's report for one month (default: the current one)
+app.get('/api/reports/household', requireAuth, async (req, res) => {
+    try {
+        const { month, year } = await requestedMonth(req);
+        const reports = await getAllMonthlyReports(req.session.user.household_id, month, year);
+        res.json({ month, year, reports });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Completion trends per member, chore latency and household totals over `months` (default 6)
+app.get('/api/analytics', requireAuth, async (req, res) => {
+    try {
+        const months = parseInt(req.query.months) || 6;
+        if (months < 1 || months > 24) return res.status(400).json({ error: 'Months must be 1-24' });
+        const analytics = await getHouseholdAnalytics(req.session.user.household_id, { months });
+        res.json(analytics);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// `period` is `month` (default: the current one, or `month` and `year`) or `all`
+app.get('/api/leaderboard', requireAuth, async (req, res) => {
+    try {
+        const period = req.query.period || 'month';
+        if (!['month', 'all'].includes(period)) {
+            return res.status(400).json({ error: 'Period must be month or all' });
+        }
+        const { month, year } = await requestedMonth(req);
+        const leaderboard = await getLeaderboard(
+            req.session.user.household_id,
+            period === 'month' ? { month, year } : {}
+        );
+        res.json(period === 'month' ? { period, month, year, leaderboard } : { period, leaderboard });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// CHORE SWAPS
+// ============================================
+
+app.get('/api/swaps', requireAuth, async (req, res) => {
+    try {
+        const swaps = await getSwaps(req.session.user.household_id, req.session.user.username);
+        res.json({ swaps });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Offers one of the caller's tasks to another member, optionally in exchange for one of theirs
+app.post('/api/swaps', requireAuth, async (req, res) => {
+    try {
+        const { taskId, toUser, counterTaskId, note } = req.body;
+        if (!taskId || !toUser) return res.status(400).json({ error: 'Task and member required' });
+        const swap = await proposeSwap(
+            req.session.user.household_id,
+            req.session.user.username,
+            { taskId, toUser, counterTaskId, note }
+        );
+        publish(req.session.user.household_id, 'swaps.changed', { swap });
+        res.status(201).json({ swap });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/swaps/:id/accept', requireAuth, async (req, res) => {
+    try {
+        const householdId = req.session.user.household_id;
+        const swap = await respondToSwap(householdId, req.params.id, req.session.user.username, true);
+        if (!swap) return res.status(404).json({ error: 'Swap request not found' });
+        publish(householdId, 'swaps.changed', { swap });
+        if (swap.status === 'accepted') {
+            const tasks = (await getCurrentTasks(householdId))
+                .filter(t => t.id === swap.task_id || t.id === swap.counter_task_id);
+            if (tasks.length > 0) publish(householdId, 'tasks.reassigned', { tasks });
+        }
+        res.json({ swap });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+app.post('/api/swaps/:id/decline', requireAuth, async (req, res) => {
+    try {
+        const swap = await respondToSwap(req.session.user.household_id, req.params.id, req.session.user.username, false);
+        if (!swap) return res.status(404).json({ error: 'Swap request not found' });
+        publish(req.session.user.household_id, 'swaps.changed', { swap });
+        res.json({ swap });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+app.post('/api/swaps/:id/cancel', requireAuth, async (req, res) => {
+    try {
+        const swap = await cancelSwap(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!swap) return res.status(404).json({ error: 'Swap request not found' });
+        publish(req.session.user.household_id, 'swaps.changed', { swap });
+        res.json({ swap });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+// ============================================
+// EXPENSES
+// ============================================
+
+// Optional `month` and `year` narrow the list to one month
+app.get('/api/expenses', requireAuth, async (req, res) => {
+    try {
+        const month = parseInt(req.query.month) || undefined;
+        const year = parseInt(req.query.year) || undefined;
+        const expenses = await getExpenses(req.session.user.household_id, { month, year });
+        res.json({ expenses });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/expenses', requireAuth, async (req, res) => {
+    try {
+        const { description, amount, paid_by, date, category, split } = req.body;
+        const expense = await addExpense(
+            req.session.user.household_id,
+            { description, amount, paid_by, date, category, split },
+            req.session.user.username
+        );
+        publish(req.session.user.household_id, 'expenses.changed', { expense });
+        res.status(201).json({ expense });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/expenses/:id', requireAuth, async (req, res) => {
+    try {
+        const expense = await removeExpense(req.session.user.household_id, req.params.id, req.session.user);
+        if (!expense) return res.status(404).json({ error: 'Expense not found' });
+        publish(req.session.user.household_id, 'expenses.changed', { expense });
+        res.json({ expense });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 400).json({ error: err.message });
+    }
+});
+
+app.get('/api/payments', requireAuth, async (req, res) => {
+    try {
+        const month = parseInt(req.query.month) || undefined;
+        const year = parseInt(req.query.year) || undefined;
+        const payments = await getPayments(req.session.user.household_id, { month, year });
+        res.json({ payments });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/payments', requireAuth, async (req, res) => {
+    try {
+        const { from_user, to_user, amount, date, note } = req.body;
+        const payment = await addPayment(
+            req.session.user.household_id,
+            { from_user, to_user, amount, date, note },
+            req.session.user
+        );
+        publish(req.session.user.household_id, 'expenses.changed', { payment });
+        res.status(201).json({ payment });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/payments/:id', requireAuth, async (req, res) => {
+    try {
+        const payment = await removePayment(req.session.user.household_id, req.params.id, req.session.user);
+        if (!payment) return res.status(404).json({ error: 'Payment not found' });
+        publish(req.session.user.household_id, 'expenses.changed', { payment });
+        res.json({ payment });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 400).json({ error: err.message });
+    }
+});
+
+// Who owes what overall, and the fewest payments that would square everyone up
+app.get('/api/balances', requireAuth, async (req, res) => {
+    try {
+        const balances = await getBalances(req.session.user.household_id);
+        res.json(balances);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// SHOPPING LIST
+// ============================================
+
+app.get('/api/shopping', requireAuth, async (req, res) => {
+    try {
+        const items = await getShoppingList(req.session.user.household_id);
+        res.json({ items });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/shopping/history', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const items = await getPurchaseHistory(req.session.user.household_id, limit);
+        res.json({ items });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Adding something already on the list returns the existing item with `existing: true`
+app.post('/api/shopping', requireAuth, async (req, res) => {
+    try {
+        const { name, quantity, unit, note, chore_id } = req.body;
+        const item = await addShoppingItem(
+            req.session.user.household_id,
+            { name, quantity, unit, note, chore_id },
+            req.session.user.username
+        );
+        if (!item.existing) publish(req.session.user.household_id, 'shopping.changed', { item });
+        res.status(item.existing ? 200 : 201).json({ item });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/shopping/:id', requireAuth, async (req, res) => {
+    try {
+        const { name, quantity, unit, note } = req.body;
+        const item = await updateShoppingItem(
+            req.session.user.household_id,
+            req.params.id,
+            { name, quantity, unit, note },
+            req.session.user.username
+        );
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        publish(req.session.user.household_id, 'shopping.changed', { item });
+        res.json({ item });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/shopping/:id/claim', requireAuth, async (req, res) => {
+    try {
+        const item = await claimShoppingItem(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        publish(req.session.user.household_id, 'shopping.changed', { item });
+        res.json({ item });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+app.post('/api/shopping/:id/unclaim', requireAuth, async (req, res) => {
+    try {
+        const item = await unclaimShoppingItem(req.session.user.household_id, req.params.id, req.session.user);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        publish(req.session.user.household_id, 'shopping.changed', { item });
+        res.json({ item });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 409).json({ error: err.message });
+    }
+});
+
+app.post('/api/shopping/:id/purchase', requireAuth, async (req, res) => {
+    try {
+        const item = await purchaseShoppingItem(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        publish(req.session.user.household_id, 'shopping.changed', { item });
+        res.json({ item });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+app.delete('/api/shopping/:id', requireAuth, async (req, res) => {
+    try {
+        const item = await removeShoppingItem(req.session.user.household_id, req.params.id, req.session.user);
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        publish(req.session.user.household_id, 'shopping.changed', { item });
+        res.json({ item });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 409).json({ error: err.message });
+    }
+});
+
+// ============================================
+// AWAY PERIODS
+// ============================================
+
+app.get('/api/away', requireAuth, async (req, res) => {
+    try {
+        const periods = await getAwayPeriods(req.session.user.household_id);
+        res.json({ periods });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Members record their own absences; admins may pass `username` to record one for someone else
+app.post('/api/away', requireAuth, async (req, res) => {
+    try {
+        const { start_date, end_date, note } = req.body;
+        const username = req.session.user.role === 'admin' && req.body.username
+            ? req.body.username
+            : req.session.user.username;
+        const period = await addAwayPeriod(
+            req.session.user.household_id,
+            username,
+            { start_date, end_date, note },
+            req.session.user.username
+        );
+        publish(req.session.user.household_id, 'away.changed', { period });
+        const reassigned = await reassignAroundAbsences(req.session.user.household_id, period.username, req.session.user.username);
+        res.status(201).json({ period, reassigned });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/away/:id', requireAuth, async (req, res) => {
+    try {
+        const period = await removeAwayPeriod(req.session.user.household_id, req.params.id, req.session.user);
+        if (!period) return res.status(404).json({ error: 'Away period not found' });
+        publish(req.session.user.household_id, 'away.changed', { period });
+        res.json({ period });
+    } catch (err) {
+        res.status(err instanceof PermissionError ? 403 : 500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// HOUSEHOLDS
+// ============================================
+
+app.get('/api/household', requireAuth, async (req, res) => {
+    try {
+        const household = await getHousehold(req.session.user.household_id);
+        res.json({ household });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Creates a new household with the caller as its admin
+app.post('/api/households', requireAuth, async (req, res) => {
+    try {
+        const household = await createHousehold(req.session.user.id, req.body.name, req.body.timezone);
+        req.session.user.household_id = household.id;
+        req.session.user.role = 'admin';
+        await ensureScheduledTasks(household.id);
+        res.status(201).json({ household, user: req.session.user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/households/join', requireAuth, async (req, res) => {
+    try {
+        const household = await joinHousehold(req.session.user.id, req.body.inviteCode);
+        // Until an admin approves the move, the account can't sign in
+        if (household.requires_approval) {
+            req.session.destroy();
+            return res.json({ pending: true, household: { name: household.name } });
+        }
+        req.session.user.household_id = household.id;
+        req.session.user.role = 'member';
+        res.json({ household, user: req.session.user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/household', requireAdmin, async (req, res) => {
+    try {
+        const { name, requires_approval, verification_window_hours, reminder_rules, currency, rollover, timezone } = req.body;
+        const household = await updateHousehold(req.session.user.household_id, {
+            name,
+            requires_approval,
+            verification_window_hours,
+            reminder_rules,
+            currency,
+            rollover,
+            timezone
+        }, req.session.user.username);
+        res.json({ household });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.post('/api/household/invite-code', requireAdmin, async (req, res) => {
+    try {
+        const household = await regenerateInviteCode(req.session.user.household_id, req.session.user.username);
+        res.json({ household });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// HOUSEHOLD ADMIN
+// ============================================
+
+app.get('/api/members', requireAuth, async (req, res) => {
+    try {
+        const members = await getMembers(req.session.user.household_id, req.query.all === 'true');
+        res.json({ members });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/members', requireAdmin, async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+        const member = await addMember(req.session.user.household_id, username, password, role, req.session.user.username);
+        publish(req.session.user.household_id, 'members.changed', { username: member.username });
+        res.status(201).json({ member });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/members/:id', requireAdmin, async (req, res) => {
+    try {
+        const { role, active } = req.body;
+        const member = await updateMember(
+            req.session.user.household_id,
+            req.params.id,
+            { role, active },
+            req.session.user.username
+        );
+        if (!member) return res.status(404).json({ error: 'Member not found' });
+        publish(req.session.user.household_id, 'members.changed', { username: member.username });
+        res.json({ member });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/members/:id', requireAdmin, async (req, res) => {
+    try {
+        const member = await removeMember(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!member) return res.status(404).json({ error: 'Member not found' });
+        publish(req.session.user.household_id, 'members.changed', { username: member.username });
+        res.json({ member });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Returns a one-time code the member can use to set a new password
+app.post('/api/members/:id/password-reset', requireAdmin, async (req, res) => {
+    try {
+        const reset = await createPasswordReset(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!reset) return res.status(404).json({ error: 'Member not found' });
+        res.json(reset);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/chores', requireAuth, async (req, res) => {
+    try {
+        const chores = await getChores(req.session.user.household_id, req.query.all === 'true');
+        res.json({ chores });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/chores', requireAdmin, async (req, res) => {
+    try {
+        const { name, effort, recurrence, consumables, translations } = req.body;
+        const chore = await addChore(
+            req.session.user.household_id,
+            name,
+            effort,
+            recurrence,
+            consumables,
+            translations,
+            req.session.user.username
+        );
+        await ensureScheduledTasks(req.session.user.household_id);
+        res.status(201).json({ chore });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/chores/:id', requireAdmin, async (req, res) => {
+    try {
+        const { name, effort, recurrence, consumables, translations, active } = req.body;
+        const chore = await updateChore(
+            req.session.user.household_id,
+            req.params.id,
+            { name, effort, recurrence, consumables, translations, active },
+            req.session.user.username
+        );
+        if (!chore) return res.status(404).json({ error: 'Chore not found' });
+        if (chore.active) await ensureScheduledTasks(req.session.user.household_id);
+        res.json({ chore });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/chores/:id', requireAdmin, async (req, res) => {
+    try {
+        const chore = await removeChore(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!chore) return res.status(404).json({ error: 'Chore not found' });
+        res.json({ chore });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const webhooks = await getWebhooks(req.session.user.household_id);
+        res.json({ webhooks, events: WEBHOOK_EVENTS });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The response is the only time the signing secret is shown
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+        await checkPublicUrl(url);
+        const webhook = await addWebhook(req.session.user.household_id, { url, events, description }, req.session.user.username);
+        res.status(201).json({ webhook });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+        const { url, events, description, active } = req.body;
+        if (url !== undefined) await checkPublicUrl(url);
+        const webhook = await updateWebhook(
+            req.session.user.household_id,
+            req.params.id,
+            { url, events, description, active },
+            req.session.user.username
+        );
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        res.json({ webhook });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+        const webhook = await removeWebhook(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        res.json({ webhook });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/webhooks/:id/secret', requireAdmin, async (req, res) => {
+    try {
+        const webhook = await rotateWebhookSecret(req.session.user.household_id, req.params.id, req.session.user.username);
+        if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+        res.json({ webhook });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const deliveries = await getWebhookDeliveries(req.session.user.household_id, req.params.id, limit);
+        res.json({ deliveries });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Sends a `webhook.test` event to this subscription straight away and returns its delivery,
+// whether or not the subscription is active. Failures are retried like any other delivery.
+app.post('/api/webhooks/:id/test', requireAdmin, async (req, res) => {
+    try {
+        const { household_id, username } = req.session.user;
+        const [queued] = await queueWebhookDeliveries(household_id, 'webhook.test', {
+            message: 'Test event from Roommate Task Manager',
+            sent_by: username
+        }, { webhookId: req.params.id });
+        if (!queued) return res.status(404).json({ error: 'Webhook not found' });
+        await dispatchWebhooks();
+        const [delivery] = (await getWebhookDeliveries(household_id, queued.webhook_id)).filter(d => d.id === queued.id);
+        res.json({ delivery });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// JOBS
+// Scheduled jobs are server-wide: their status and re-runs cover every household, so
+// only the operator can see or run them.
+// ============================================
+
+app.get('/api/jobs', requireOperator, async (req, res) => {
+    try {
+        res.json({ jobs: await jobStatus() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Runs a job now. `period` picks what it covers (a month as YYYY-MM for monthly_reports);
+// by default what a scheduled run would cover now.
+app.post('/api/jobs/:name/run', requireOperator, async (req, res) => {
+    try {
+        const job = getJob(req.params.name);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        const period = req.body.period || job.period(new Date());
+        if (job.checkPeriod) {
+            try {
+                await job.checkPeriod(period);
+            } catch (err) {
+                return res.status(400).json({ error: err.message });
+            }
+        }
+        const state = await runJob(job.name, period, 'manual');
+        const run = state.runs[0];
+        res.status(run.ok ? 200 : 500).json({ run, job: state });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// EXPORT & RESTORE
+// ============================================
+
+app.get('/api/export', requireAdmin, async (req, res) => {
+    try {
+        const snapshot = await exportHousehold(req.session.user.household_id);
+        const date = await getHouseholdToday(req.session.user.household_id);
+        res.attachment(`household-${snapshot.household.id}-${date}.json`);
+        res.json(snapshot);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/export/tasks.csv', requireAdmin, async (req, res) => {
+    try {
+        const { tasks } = await exportHousehold(req.session.user.household_id);
+        const rows = [...tasks].sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id);
+        res.attachment('tasks.csv');
+        res.type('text/csv').send(toCsv(rows, TASK_COLUMNS));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/export/reports.csv', requireAdmin, async (req, res) => {
+    try {
+        const { monthly_reports } = await exportHousehold(req.session.user.household_id);
+        const rows = [...monthly_reports].sort((a, b) =>
+            a.year - b.year || a.month - b.month || a.username.localeCompare(b.username)
+        );
+        res.attachment('monthly_reports.csv');
+        res.type('text/csv').send(toCsv(rows, REPORT_COLUMNS));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { snapshot, mode: 'replace' | 'merge' }, where snapshot is what GET /api/export returned
+app.post('/api/import', requireAdmin, async (req, res) => {
+    try {
+        const { snapshot, mode } = req.body;
+        const summary = await restoreHousehold(req.session.user.household_id, snapshot, {
+            mode,
+            actor: req.session.user.username
+        });
+        await ensureScheduledTasks(req.session.user.household_id);
+        res.json({ summary });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Shows who would get each chore's instances for the periods containing `date`
+// (default: tomorrow) and why. Existing tasks for those periods are ignored, so this is
+// a dry run of a fresh rotation.
+app.get('/api/rotation/preview', requireAuth, async (req, res) => {
+    try {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '')
+            ? req.query.date
+            : addDays(await getHouseholdToday(req.session.user.household_id), 1);
+
+        const { members, chores, allChores, tasks, away } = await getRotationConfig(req.session.user.household_id);
+        const instances = chores.flatMap(chore => instancesFor(chore, date));
+        const history = tasks.filter(t => !instances.some(i =>
+            t.chore_id === i.chore_id && t.period_start === i.period_start
+        ));
+        const plan = planRotation({ date, members, instances, allChores, tasks: history, away });
+        res.json({ date, ...plan });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Server Initialization
 async function startServer() {
     try {
         console.log('🚀 Initializing server...');
         await initializeDatabase();
-        await createDefaultUsers();
-        await ensureMonthlyTasks();
+        await createDefaultChores();
+        await catchUpJobs();
 
         app.listen(PORT, () => {
-            console.log(`\n🎉 Server running on port ${PORT}`);
-            console.log('Default users: deepanshu, sonu, sachin, sintu (Password: [name]123)\n');
+            console.log(`\n🎉 Server running on port ${PORT}\n`);
         });
     } catch (err) {
         console.error('❌ Server failed:', err);
@@ -0,0 +1,243 @@
+// ============================================
+// STORAGE
+// database.js works on one plain object holding every collection. An adapter loads and
+// saves that object; `STORAGE=json` (default) keeps it in data.json and `STORAGE=sqlite`
+// keeps each collection in its own SQLite table. Writes go through transaction(), which
+// runs one read-modify-write at a time so concurrent requests can't overwrite each other.
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTIONS = [
+  'households',
+  'users',
+  'chores',
+  'tasks',
+  'swaps',
+  'away_periods',
+  'monthly_reports',
+  'expenses',
+  'payments',
+  'shopping_items',
+  'audit_log',
+  'notifications',
+  'webhooks',
+  'webhook_deliveries',
+  'jobs'
+];
+
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+// The holder touches the lock this often, so a long transaction never looks stale
+const LOCK_REFRESH_MS = 2 * 1000;
+
+function emptyData() {
+  const data = { schema_version: 0 };
+  for (const key of COLLECTIONS) data[key] = [];
+  return data;
+}
+
+// Older files predate some collections
+function withCollections(data) {
+  for (const key of COLLECTIONS) {
+    if (!Array.isArray(data[key])) data[key] = [];
+  }
+  if (!data.schema_version) data.schema_version = 0;
+  return data;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// JSON FILE ADAPTER
+// Saves write a temp file, fsync it and rename it over data.json, so a crash leaves
+// either the old file or the new one. A lock file keeps a second process from
+// interleaving its own read-modify-write.
+// ============================================
+
+function createJsonStorage(file) {
+  const lockFile = `${file}.lock`;
+  let lastSaved = null;
+
+  function load() {
+    if (!fs.existsSync(file)) return emptyData();
+    const text = fs.readFileSync(file, 'utf8');
+    lastSaved = text;
+    return withCollections(JSON.parse(text));
+  }
+
+  function save(data) {
+    const text = JSON.stringify(data, null, 2);
+    if (text === lastSaved) return;
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpFile, file);
+    lastSaved = text;
+  }
+
+  async function lock() {
+    const started = Date.now();
+    for (;;) {
+      try {
+        fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+        const refresh = setInterval(() => {
+          const now = new Date();
+          fs.utimes(lockFile, now, now, () => {});
+        }, LOCK_REFRESH_MS);
+        refresh.unref();
+        return () => {
+          clearInterval(refresh);
+          fs.rmSync(lockFile, { force: true });
+        };
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      // A process that died holding the lock leaves it behind
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        continue;
+      }
+
+      if (Date.now() - started > LOCK_TIMEOUT_MS) throw new Error('Timed out waiting for the data file lock');
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  return { name: 'json', load, save, lock, close() {} };
+}
+
+// ============================================
+// SQLITE ADAPTER
+// One table per collection holding each record as a JSON document, in insertion order.
+// Saves only touch rows that changed since the last load.
+// ============================================
+
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+  for (const key of COLLECTIONS) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${key} (id PRIMARY KEY, household_id INTEGER, doc TEXT NOT NULL)`);
+  }
+
+  const statements = {};
+  for (const key of COLLECTIONS) {
+    statements[key] = {
+      all: db.prepare(`SELECT id, doc FROM ${key} ORDER BY rowid`),
+      upsert: db.prepare(`INSERT INTO ${key} (id, household_id, doc) VALUES (?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET household_id = excluded.household_id, doc = excluded.doc`),
+      remove: db.prepare(`DELETE FROM ${key} WHERE id = ?`)
+    };
+  }
+  const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const setMeta = db.prepare(`INSERT INTO meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value`);
+
+  // Serialized rows as of the last load or save, per collection and id
+  let lastSaved = {};
+
+  function load() {
+    const data = emptyData();
+    lastSaved = {};
+    for (const key of COLLECTIONS) {
+      lastSaved[key] = new Map();
+      for (const row of statements[key].all.all()) {
+        data[key].push(JSON.parse(row.doc));
+        lastSaved[key].set(row.id, row.doc);
+      }
+    }
+    const version = getMeta.get('schema_version');
+    data.schema_version = version ? Number(version.value) : 0;
+    return data;
+  }
+
+  const save = db.transaction(data => {
+    for (const key of COLLECTIONS) {
+      const previous = lastSaved[key] || new Map();
+      const current = new Map();
+      for (const record of data[key]) {
+        const doc = JSON.stringify(record);
+        current.set(record.id, doc);
+        if (previous.get(record.id) !== doc) {
+          statements[key].upsert.run(record.id, record.household_id ?? null, doc);
+        }
+      }
+      for (const id of previous.keys()) {
+        if (!current.has(id)) statements[key].remove.run(id);
+      }
+      lastSaved[key] = current;
+    }
+    setMeta.run('schema_version', String(data.schema_version || 0));
+  });
+
+  // Only this process writes; transaction() already serializes it
+  async function lock() {
+    return () => {};
+  }
+
+  return { name: 'sqlite', load, save, lock, close: () => db.close() };
+}
+
+function createStorage(kind = process.env.STORAGE || 'json') {
+  if (kind === 'json') {
+    return createJsonStorage(process.env.DB_FILE || path.join(__dirname, 'data.json'));
+  }
+  if (kind === 'sqlite') {
+    return createSqliteStorage(process.env.SQLITE_FILE || path.join(__dirname, 'roommates.db'));
+  }
+  throw new Error(`Unknown STORAGE "${kind}"; use json or sqlite`);
+}
+
+// Runs `fn(data)` with exclusive access and saves what it leaves behind. If `fn` throws,
+// nothing is saved.
+function createTransactor(storage) {
+  let queue = Promise.resolve();
+
+  return function transaction(fn) {
+    const run = queue.then(async () => {
+      const release = await storage.lock();
+      try {
+        const data = storage.load();
+        const result = await fn(data);
+        storage.save(data);
+        return result;
+      } finally {
+        release();
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = {
+  COLLECTIONS,
+  emptyData,
+  withCollections,
+  createStorage,
+  createTransactor
+};
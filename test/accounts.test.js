@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { useTempData } = require('./helpers');
+
+const temp = useTempData();
+const db = require('../database');
+const { MIGRATIONS } = require('../migrations');
+
+test.beforeEach(() => temp.seed({
+  households: [
+    { id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' },
+    { id: 2, name: 'Flat 5', invite_code: 'FLAT05', timezone: 'UTC', requires_approval: true }
+  ],
+  users: [{ id: 1, username: 'alice', password_hash: bcrypt.hashSync('alice-password', 4), role: 'admin', household_id: 2, active: true }]
+}));
+
+test('signing up without an invite code starts a household run by the new member', async () => {
+  const { user, household } = await db.registerUser({ username: 'Bob', password: 'bob-password', householdName: 'Bob\'s flat' });
+
+  assert.deepEqual([user.username, user.role, user.household_id], ['bob', 'admin', household.id]);
+  assert.equal((await db.authenticateUser('BOB', 'bob-password')).id, user.id);
+  await assert.rejects(db.authenticateUser('bob', 'wrong-password'), /Invalid username or password/);
+  await assert.rejects(db.registerUser({ username: 'bob', password: 'other-password', inviteCode: 'FLAT04' }), /already taken/);
+});
+
+test('signups and moves into a household that requires approval wait for an admin', async () => {
+  const { user } = await db.registerUser({ username: 'bob', password: 'bob-password', inviteCode: 'flat05' });
+  assert.equal(user.pending_approval, true);
+  await assert.rejects(db.authenticateUser('bob', 'bob-password'), /waiting for admin approval/);
+
+  await db.updateMember(2, user.id, { active: true }, 'alice');
+  assert.equal((await db.authenticateUser('bob', 'bob-password')).household_id, 2);
+
+  const { user: carol } = await db.registerUser({ username: 'carol', password: 'carol-password', inviteCode: 'FLAT04' });
+  await db.joinHousehold(carol.id, 'FLAT05');
+  const moved = await db.getUserById(carol.id);
+  assert.deepEqual([moved.household_id, moved.active, moved.pending_approval], [2, false, true]);
+  await assert.rejects(db.authenticateUser('carol', 'carol-password'), /waiting for admin approval/);
+});
+
+test('a password change needs the current password', async () => {
+  await assert.rejects(db.changePassword(1, 'wrong-password', 'new-password'), /Current password is incorrect/);
+  await assert.rejects(db.changePassword(1, 'alice-password', 'short'), /at least 6 characters/);
+
+  await db.changePassword(1, 'alice-password', 'new-password');
+  assert.equal((await db.authenticateUser('alice', 'new-password')).username, 'alice');
+});
+
+test('reset codes work once and only for the admin\'s own household', async () => {
+  assert.equal(await db.createPasswordReset(1, 1, 'dave'), null);
+  const { token } = await db.createPasswordReset(2, 1, 'alice');
+
+  await db.resetPasswordWithToken(token, 'reset-password');
+  assert.equal((await db.authenticateUser('alice', 'reset-password')).username, 'alice');
+  await assert.rejects(db.resetPasswordWithToken(token, 'again-password'), /invalid or has expired/);
+});
+
+test('a household always keeps an active admin', async () => {
+  const { user } = await db.registerUser({ username: 'bob', password: 'bob-password', inviteCode: 'FLAT05' });
+
+  await assert.rejects(db.updateMember(2, 1, { role: 'member' }, 'alice'), /at least one active admin/);
+  await assert.rejects(db.updateMember(2, user.id, { role: 'owner' }, 'alice'), /Invalid role/);
+  await db.updateMember(2, user.id, { active: true, role: 'admin' }, 'alice');
+  assert.equal((await db.updateMember(2, 1, { role: 'member' }, 'bob')).role, 'member');
+});
+
+test('usernames that aren\'t text never match an account', async () => {
+  await assert.rejects(db.authenticateUser({ toLowerCase: () => 'alice' }, 'alice-password'), /Invalid username or password/);
+  await assert.rejects(db.authenticateUser(['alice'], 'alice-password'), /Invalid username or password/);
+});
+
+test('seeded accounts still on their original password are locked until reset', async t => {
+  const seeded = MIGRATIONS.find(m => m.name === 'Seeded accounts reset their passwords');
+  const data = {
+    users: [
+      { id: 1, username: 'deepanshu', password_hash: bcrypt.hashSync('deep123', 4), household_id: 1 },
+      { id: 2, username: 'sonu', password_hash: bcrypt.hashSync('changed-password', 4), household_id: 1 }
+    ]
+  };
+  seeded.up(data);
+  assert.deepEqual(data.users.map(u => [u.password_hash, Boolean(u.password_reset_required)]), [
+    [null, true],
+    [data.users[1].password_hash, false]
+  ]);
+
+  temp.seed({ households: [{ id: 1, name: 'Home', invite_code: 'HOME01', timezone: 'UTC' }], users: data.users });
+  await assert.rejects(db.authenticateUser('deepanshu', 'deep123'), /needs a new password/);
+
+  const logged = [];
+  t.mock.method(console, 'log', message => logged.push(message));
+  await db.initializeDatabase();
+  const [, token] = logged.join('\n').match(/deepanshu needs a new password; reset code ([0-9a-f]+)/);
+  await db.initializeDatabase();
+  assert.equal(logged.filter(line => line.includes('reset code')).length, 1);
+
+  await db.resetPasswordWithToken(token, 'fresh-password');
+  assert.equal((await db.authenticateUser('deepanshu', 'fresh-password')).username, 'deepanshu');
+});
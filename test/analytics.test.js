@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+const { trendMonths, completionTrends, choreLatency, householdTotals } = require('../analytics');
+
+function report(username, month, year, assigned, completed, extra = {}) {
+  const completion_percentage = assigned > 0 ? (completed / assigned) * 100 : 100;
+  return { household_id: 1, username, month, year, assigned_tasks: assigned, completed_tasks: completed, completion_percentage, ...extra };
+}
+
+function task(id, name, periodStart, dueDate, completedAt, extra = {}) {
+  return { id, household_id: 1, chore_id: id, name, assigned_to: 'alice', period_start: periodStart, period_end: dueDate, due_date: dueDate, status: completedAt ? 'completed' : 'pending', completed_at: completedAt, ...extra };
+}
+
+test('trend months run back across the year boundary, oldest first', () => {
+  assert.deepEqual(trendMonths('2025-02-14', 3), [{ month: 12, year: 2024 }, { month: 1, year: 2025 }, { month: 2, year: 2025 }]);
+  assert.deepEqual(trendMonths('2025-02-14', 1), [{ month: 2, year: 2025 }]);
+});
+
+test('a member\'s trend has gaps for months without a report or without chores', () => {
+  const months = trendMonths('2025-03-01', 3);
+  const [alice] = completionTrends(['alice'], months, [report('alice', 2, 2025, 3, 2), report('alice', 3, 2025, 0, 0)]);
+
+  assert.deepEqual(alice.points.map(p => p.completion_percentage), [null, 66.7, null]);
+  assert.deepEqual([alice.points[0].assigned, alice.points[2].assigned], [null, 0]);
+});
+
+test('chore latency counts days from the start of the period, slowest chores first', () => {
+  const tasks = [
+    task(1, 'Kitchen Cleaning', '2025-03-01', '2025-03-31', '2025-03-05T10:00:00Z'),
+    task(1, 'Kitchen Cleaning', '2025-04-01', '2025-04-30', '2025-04-08T10:00:00Z'),
+    task(1, 'Kitchen Cleaning', '2025-05-01', '2025-05-31', '2025-06-02T10:00:00Z'),
+    task(2, 'Trash', '2025-03-03', '2025-03-09', '2025-03-04T10:00:00Z'),
+    task(2, 'Trash', '2025-03-10', '2025-03-16', null)
+  ];
+
+  const [kitchen, trash] = choreLatency(tasks, 'UTC');
+  assert.deepEqual([kitchen.name, kitchen.completed, kitchen.average_days, kitchen.median_days, kitchen.on_time_percentage], ['Kitchen Cleaning', 3, 14.3, 7, 66.7]);
+  assert.deepEqual([trash.name, trash.completed, trash.average_days], ['Trash', 1, 1]);
+});
+
+test('household totals add up each month and the whole span', () => {
+  const months = trendMonths('2025-03-01', 2);
+  const { months: byMonth, total } = householdTotals(months, [
+    report('alice', 2, 2025, 2, 1, { overdue_tasks: 1 }),
+    report('bob', 2, 2025, 2, 2, { swapped_in: 1 }),
+    report('alice', 3, 2025, 1, 1, { excused_tasks: 1 }),
+    report('alice', 1, 2025, 5, 0)
+  ]);
+
+  assert.deepEqual(byMonth.map(m => [m.month, m.assigned, m.completed, m.completion_percentage]), [[2, 4, 3, 75], [3, 1, 1, 100]]);
+  assert.deepEqual(total, { assigned: 5, completed: 4, overdue: 1, excused: 1, swapped: 1, completion_percentage: 80 });
+});
+
+test('household analytics use stored reports and work out months that have none', async () => {
+  seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' }],
+    users: members(1, ['alice', 'bob']),
+    tasks: [
+      task(1, 'Kitchen Cleaning', '2025-03-01', '2025-03-31', '2025-03-05T10:00:00Z'),
+      task(1, 'Kitchen Cleaning', '2025-03-01', '2025-03-31', null, { id: 2, assigned_to: 'bob' })
+    ],
+    monthly_reports: [report('alice', 2, 2025, 4, 3), report('carol', 2, 2025, 1, 1)]
+  });
+
+  const analytics = await db.getHouseholdAnalytics(1, { months: 2, date: '2025-03-20' });
+  assert.deepEqual(analytics.months, [{ month: 2, year: 2025 }, { month: 3, year: 2025 }]);
+  assert.deepEqual(analytics.trends.map(t => [t.username, t.points.map(p => p.completion_percentage)]), [
+    ['alice', [75, 100]],
+    ['bob', [null, 0]],
+    ['carol', [100, null]]
+  ]);
+  assert.deepEqual(analytics.chores.map(c => [c.name, c.completed]), [['Kitchen Cleaning', 1]]);
+  assert.equal(analytics.totals.total.completion_percentage, 71.4);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCalendar } = require('../calendar');
+
+function todoFor(task) {
+  const feed = buildCalendar({ username: 'alice', householdName: 'Flat 4', tasks: [task], now: new Date('2026-03-01T00:00:00Z') });
+  const start = feed.indexOf('BEGIN:VTODO');
+  return feed.slice(start, feed.indexOf('END:VTODO', start)).split('\r\n');
+}
+
+function task(status, extra = {}) {
+  return {
+    id: 1, name: 'Kitchen Cleaning', status, completed_at: null,
+    period_start: '2026-02-01', period_end: '2026-02-28', due_date: '2026-02-28', ...extra
+  };
+}
+
+test('missed tasks are cancelled, not completed', () => {
+  const todo = todoFor(task('missed', { rollover: { policy: 'penalty', at: '2026-03-01T00:05:00.000Z' } }));
+
+  assert.ok(todo.includes('STATUS:CANCELLED'));
+  assert.ok(!todo.some(line => line.startsWith('COMPLETED:') || line.startsWith('PERCENT-COMPLETE')));
+  assert.ok(todo.includes('LAST-MODIFIED:20260301T000500Z'));
+});
+
+test('done tasks are completed at the time they were done', () => {
+  const todo = todoFor(task('awaiting_verification', { completed_at: '2026-02-27T18:30:00.000Z' }));
+
+  assert.ok(todo.includes('STATUS:COMPLETED'));
+  assert.ok(todo.includes('COMPLETED:20260227T183000Z'));
+  assert.ok(todo.includes('PERCENT-COMPLETE:100'));
+});
+
+test('a completed task without a completion time leaves COMPLETED out', () => {
+  const todo = todoFor(task('completed'));
+
+  assert.ok(todo.includes('STATUS:COMPLETED'));
+  assert.ok(!todo.some(line => line.startsWith('COMPLETED:')));
+});
+
+test('pending tasks still need doing', () => {
+  assert.ok(todoFor(task('pending')).includes('STATUS:NEEDS-ACTION'));
+});
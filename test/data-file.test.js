@@ -0,0 +1,15 @@
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+const { dbFile } = useTempData();
+const db = require('../database');
+
+test('the data file is created where DB_FILE points', async () => {
+  await db.initializeDatabase();
+
+  const data = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+  assert.ok(Array.isArray(data.users));
+  assert.ok(Array.isArray(data.tasks));
+});
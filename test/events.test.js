@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { publish, subscribe, subscribeAll } = require('../event-bus');
+
+test('a stream only gets its own household\'s events, in order', t => {
+  const seen = [];
+  const unsubscribe = subscribe(1, 'alice', event => seen.push([event.type, event.data.n]));
+  t.after(unsubscribe);
+
+  publish(1, 'task.completed', { n: 1 });
+  publish(2, 'task.completed', { n: 2 });
+  publish(1, 'tasks.rotated', { n: 3 });
+  assert.deepEqual(seen, [['task.completed', 1], ['tasks.rotated', 3]]);
+});
+
+test('events for one member only reach that member\'s streams', t => {
+  const alice = [];
+  const bob = [];
+  t.after(subscribe(1, 'alice', event => alice.push(event.type)));
+  t.after(subscribe(1, 'bob', event => bob.push(event.type)));
+
+  publish(1, 'notifications.created', { message: 'Kitchen Cleaning is due' }, 'alice');
+  publish(1, 'members.changed', {});
+  assert.deepEqual(alice, ['notifications.created', 'members.changed']);
+  assert.deepEqual(bob, ['members.changed']);
+});
+
+test('a closed stream stops getting events', () => {
+  const seen = [];
+  const unsubscribe = subscribe(1, 'alice', event => seen.push(event.id));
+
+  const { id } = publish(1, 'swaps.changed');
+  unsubscribe();
+  publish(1, 'swaps.changed');
+  assert.deepEqual(seen, [id]);
+});
+
+test('a listener that throws doesn\'t stop the others', t => {
+  t.mock.method(console, 'error', () => {});
+  const seen = [];
+  t.after(subscribe(1, 'alice', () => { throw new Error('socket closed'); }));
+  t.after(subscribeAll(event => seen.push(event.household_id)));
+
+  publish(1, 'away.changed');
+  publish(2, 'away.changed');
+  assert.deepEqual(seen, [1, 2]);
+  assert.equal(console.error.mock.callCount(), 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeShares, computeBalances, settleUp, monthlyMoney } = require('../expenses');
+
+const MEMBERS = ['alice', 'bob', 'carol'];
+
+test('equal splits hand leftover units to the earliest members', () => {
+  assert.deepEqual(computeShares(100, { type: 'equal' }, MEMBERS), { alice: 34, bob: 33, carol: 33 });
+  assert.deepEqual(computeShares(101, { type: 'equal', members: ['bob', 'carol'] }, MEMBERS), { bob: 51, carol: 50 });
+});
+
+test('percentage splits always add up to the amount', () => {
+  const shares = computeShares(999, { type: 'percentage', shares: { alice: 50, bob: 25, carol: 25 } }, MEMBERS);
+
+  // 499.5, 249.75 and 249.75: the two largest remainders get the leftover units
+  assert.deepEqual(shares, { alice: 499, bob: 250, carol: 250 });
+  assert.throws(() => computeShares(100, { type: 'percentage', shares: { alice: 50, bob: 40 } }, MEMBERS), /add up to 100/);
+});
+
+test('exact splits must match the amount', () => {
+  assert.deepEqual(computeShares(300, { type: 'exact', shares: { alice: 100, bob: 200 } }, MEMBERS), { alice: 100, bob: 200 });
+  assert.throws(() => computeShares(300, { type: 'exact', shares: { alice: 100, bob: 100 } }, MEMBERS), /add up to the amount/);
+  assert.throws(() => computeShares(300, { type: 'exact', shares: { alice: 150.5, bob: 149.5 } }, MEMBERS), /whole numbers/);
+});
+
+test('splits are refused for bad amounts and people outside the household', () => {
+  assert.throws(() => computeShares(10.5, { type: 'equal' }, MEMBERS), /positive whole number/);
+  assert.throws(() => computeShares(0, { type: 'equal' }, MEMBERS), /positive whole number/);
+  assert.throws(() => computeShares(100, { type: 'halves' }, MEMBERS), /Split type must be one of/);
+  assert.throws(() => computeShares(100, { type: 'equal', members: ['alice', 'dave'] }, MEMBERS), /dave isn't a member/);
+  assert.throws(() => computeShares(100, { type: 'equal', members: ['alice', 'alice'] }, MEMBERS), /only once/);
+  assert.throws(() => computeShares(100, { type: 'percentage', shares: { alice: 150, bob: -50 } }, MEMBERS), /must not be negative/);
+});
+
+test('balances net expenses against payments', () => {
+  const expenses = [
+    { paid_by: 'alice', amount: 900, shares: { alice: 300, bob: 300, carol: 300 } },
+    { paid_by: 'bob', amount: 300, shares: { alice: 100, bob: 100, carol: 100 } }
+  ];
+  const payments = [{ from_user: 'carol', to_user: 'alice', amount: 200 }];
+
+  const balances = computeBalances(expenses, payments);
+  assert.deepEqual(balances, { alice: 300, bob: -100, carol: -200 });
+  assert.equal(Object.values(balances).reduce((sum, b) => sum + b, 0), 0);
+  assert.deepEqual(monthlyMoney('carol', expenses, payments), {
+    expenses_paid: 0,
+    expenses_share: 400,
+    payments_sent: 200,
+    payments_received: 0,
+    expense_balance: -200
+  });
+});
+
+test('settle-up clears every balance in fewer payments than members', () => {
+  const balances = { alice: 500, bob: -300, carol: -150, dave: -50, erin: 0 };
+  const transfers = settleUp(balances);
+
+  assert.deepEqual(transfers, [
+    { from: 'bob', to: 'alice', amount: 300 },
+    { from: 'carol', to: 'alice', amount: 150 },
+    { from: 'dave', to: 'alice', amount: 50 }
+  ]);
+
+  const after = { ...balances };
+  for (const { from, to, amount } of transfers) {
+    after[from] += amount;
+    after[to] -= amount;
+  }
+  assert.ok(Object.values(after).every(b => b === 0));
+});
+
+test('settle-up pays the largest creditor first and has nothing to do when everyone is even', () => {
+  assert.deepEqual(settleUp({ alice: 100, bob: 300, carol: -400 }), [
+    { from: 'carol', to: 'bob', amount: 300 },
+    { from: 'carol', to: 'alice', amount: 100 }
+  ]);
+  assert.deepEqual(settleUp({ alice: 0, bob: 0 }), []);
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const { LATEST_VERSION } = require('../migrations');
+
+/**
+ * Points DB_FILE at a data file in a temp folder of its own, removed once the test file
+ * is done. Call it before requiring database.js, which reads DB_FILE when it loads.
+ * @returns {Object} { dir, dbFile, seed(collections), read() }
+ */
+function useTempData() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roommates-test-'));
+  const dbFile = path.join(dir, 'data.json');
+  process.env.DB_FILE = dbFile;
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return {
+    dir,
+    dbFile,
+    // Replaces the data file with these collections, already at the latest schema version
+    seed(collections) {
+      fs.writeFileSync(dbFile, JSON.stringify({ schema_version: LATEST_VERSION, ...collections }));
+    },
+    read() {
+      return JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+    }
+  };
+}
+
+// Household members in id order; the first one is the admin
+function members(householdId, usernames) {
+  return usernames.map((username, index) => ({
+    id: index + 1,
+    username,
+    role: index === 0 ? 'admin' : 'member',
+    household_id: householdId,
+    active: true
+  }));
+}
+
+module.exports = {
+  useTempData,
+  members
+};
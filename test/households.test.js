@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+
+function task(id, household_id, assigned_to) {
+  return {
+    id, household_id, chore_id: household_id, name: 'Kitchen Cleaning', assigned_to, status: 'pending', completed_at: null,
+    period_start: '2026-03-01', period_end: '2026-03-31', due_date: '2026-03-31', slot: 0, month: 3, year: 2026
+  };
+}
+
+test.beforeEach(() => seed({
+  households: [
+    { id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' },
+    { id: 2, name: 'Flat 5', invite_code: 'FLAT05', timezone: 'UTC' }
+  ],
+  users: [
+    { id: 1, username: 'alice', role: 'admin', household_id: 1, active: true },
+    { id: 2, username: 'bob', role: 'member', household_id: 1, active: true },
+    { id: 3, username: 'dave', role: 'admin', household_id: 2, active: true }
+  ],
+  chores: [
+    { id: 1, household_id: 1, name: 'Kitchen Cleaning', effort: 3, active: true },
+    { id: 2, household_id: 2, name: 'Kitchen Cleaning', effort: 3, active: true }
+  ],
+  tasks: [task(1, 1, 'bob'), task(2, 2, 'dave')]
+}));
+
+test('each household only sees its own members, chores and tasks', async () => {
+  assert.deepEqual((await db.getMembers(1)).map(u => u.username), ['alice', 'bob']);
+  assert.deepEqual((await db.getMembers(2)).map(u => u.username), ['dave']);
+  assert.deepEqual((await db.getChores(2)).map(c => c.id), [2]);
+  assert.deepEqual((await db.getCurrentTasks(2, '2026-03-15')).map(t => t.id), [2]);
+});
+
+test('another household\'s records can\'t be changed by id', async () => {
+  const dave = { username: 'dave', role: 'admin' };
+
+  assert.equal(await db.updateMember(2, 2, { role: 'admin' }, 'dave'), null);
+  assert.equal(await db.removeMember(2, 1, 'dave'), null);
+  assert.equal(await db.updateChore(2, 1, { name: 'Renamed' }, 'dave'), null);
+  assert.equal(await db.completeTask(2, 1, dave, [], { override: true }), null);
+
+  assert.equal((await db.getUserById(2)).role, 'member');
+  assert.equal((await db.getChores(1))[0].name, 'Kitchen Cleaning');
+});
+
+test('joining with an invite code moves a member into that household', async () => {
+  await assert.rejects(db.joinHousehold(2, 'NOPE00'), /Invalid invite code/);
+  await assert.rejects(db.joinHousehold(2, 'FLAT04'), /Already a member/);
+
+  const household = await db.joinHousehold(2, ' flat05 ');
+  assert.equal(household.id, 2);
+  const bob = await db.getUserById(2);
+  assert.deepEqual([bob.household_id, bob.role], [2, 'member']);
+});
+
+test('the last admin can\'t leave members behind without one', async () => {
+  await assert.rejects(db.joinHousehold(1, 'FLAT05'), /Make another member admin/);
+  await assert.rejects(db.createHousehold(1, 'Flat 6'), /Make another member admin/);
+
+  const { id } = await db.createHousehold(2, 'Flat 6', 'UTC');
+  const bob = await db.getUserById(2);
+  assert.deepEqual([bob.household_id, bob.role], [id, 'admin']);
+});
+
+test('a new invite code replaces the old one', async () => {
+  const { invite_code } = await db.regenerateInviteCode(1, 'alice');
+
+  assert.notEqual(invite_code, 'FLAT04');
+  await assert.rejects(db.joinHousehold(3, 'FLAT04'), /Invalid invite code/);
+});
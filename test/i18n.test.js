@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+const { translate, normalizeLanguage, negotiateLanguage } = require('../i18n');
+
+test('messages are translated with their varying parts carried over', () => {
+  assert.equal(translate('Invalid invite code', 'hi'), 'इनवाइट कोड गलत है');
+  assert.equal(translate('Only bob can complete this task', 'hi'), 'यह काम सिर्फ़ bob पूरा कर सकते हैं');
+  assert.equal(translate('Effort must be a whole number from 1 to 5', 'hi'), 'मेहनत 1 से 5 तक की पूर्ण संख्या होनी चाहिए');
+  assert.equal(translate('bob is away; You can only remove your own away periods', 'hi'),
+    'bob बाहर हैं; आप सिर्फ़ अपनी बाहर रहने की अवधि हटा सकते हैं');
+});
+
+test('messages missing from a catalog, or in English, go out unchanged', () => {
+  assert.equal(translate('Something nobody translated', 'hi'), 'Something nobody translated');
+  assert.equal(translate('Invalid invite code', 'en'), 'Invalid invite code');
+  assert.equal(translate(undefined, 'hi'), undefined);
+});
+
+test('only supported languages are accepted, and the browser\'s preference picks one', () => {
+  assert.equal(normalizeLanguage('hi'), 'hi');
+  assert.throws(() => normalizeLanguage('fr'), /Language must be one of en, hi/);
+
+  assert.equal(negotiateLanguage('fr-FR, hi-IN;q=0.8, en;q=0.5'), 'hi');
+  assert.equal(negotiateLanguage('hi;q=0, en-GB'), 'en');
+  assert.equal(negotiateLanguage(undefined), 'en');
+});
+
+test('chores keep a name for each language, and a blank name drops it', async () => {
+  seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' }],
+    users: members(1, ['alice']),
+    chores: []
+  });
+
+  const chore = await db.addChore(1, 'Dishes', 2, undefined, undefined, { hi: ' बर्तन धोना ' }, 'alice');
+  assert.deepEqual(chore.translations, { hi: 'बर्तन धोना' });
+  assert.deepEqual((await db.updateChore(1, chore.id, { translations: { hi: '' } }, 'alice')).translations, {});
+  await assert.rejects(db.updateChore(1, chore.id, { translations: { fr: 'Vaisselle' } }, 'alice'), /Translations must map a language/);
+  await assert.rejects(db.updateChore(1, chore.id, { translations: ['बर्तन'] }, 'alice'), /Translations must map a language/);
+});
+
+test('a member\'s language must be one the app speaks', async () => {
+  seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' }],
+    users: members(1, ['alice'])
+  });
+
+  assert.equal((await db.updateUserLanguage(1, 'hi')).language, 'hi');
+  assert.equal((await db.updateUserLanguage(1, null)).language, null);
+  await assert.rejects(db.updateUserLanguage(1, 'de'), /Language must be one of/);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+useTempData();
+const { defineJob, runJob, catchUpJobs, jobStatus } = require('../jobs');
+
+function stateOf(name) {
+  return jobStatus().then(states => states.find(s => s.name === name));
+}
+
+test('a run is recorded with its period and result', async () => {
+  defineJob({ name: 'tally', schedule: '0 * * * *', run: async period => ({ counted: period }) });
+
+  const state = await runJob('tally', '2026-02', 'manual');
+  assert.equal(state.last_period, '2026-02');
+  assert.equal(state.last_error, null);
+  assert.deepEqual(state.runs[0].result, { counted: '2026-02' });
+  assert.equal(state.runs[0].trigger, 'manual');
+
+  await runJob('tally', '2026-01');
+  assert.equal((await stateOf('tally')).last_period, '2026-02');
+});
+
+test('a failing run is recorded instead of thrown and doesn\'t advance the period', async t => {
+  t.mock.method(console, 'error', () => {});
+  defineJob({ name: 'flaky', schedule: '0 * * * *', run: async () => { throw new Error('mail server down'); } });
+
+  const state = await runJob('flaky', '2026-02');
+  assert.equal(state.last_error, 'mail server down');
+  assert.equal(state.last_period, null);
+  assert.equal(state.last_success_at, null);
+  assert.equal(state.runs[0].ok, false);
+});
+
+test('runs of the same job never overlap', async () => {
+  const events = [];
+  defineJob({
+    name: 'slow',
+    schedule: '0 * * * *',
+    run: async period => {
+      events.push(`start ${period}`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      events.push(`end ${period}`);
+    }
+  });
+
+  await Promise.all([runJob('slow', 'a'), runJob('slow', 'b')]);
+  assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b']);
+});
+
+test('catch-up runs every missed period, oldest first', async () => {
+  const ran = [];
+  const seen = [];
+  defineJob({
+    name: 'monthly',
+    schedule: '0 0 1 * *',
+    missed: async (state, now) => {
+      seen.push(state && state.last_period);
+      const all = ['2026-01', '2026-02', '2026-03'].filter(p => p < now.toISOString().slice(0, 7));
+      return all.filter(p => !state || p > state.last_period);
+    },
+    run: async period => ran.push(period)
+  });
+  await runJob('monthly', '2026-01');
+
+  await catchUpJobs(new Date('2026-04-02T00:00:00Z'));
+  assert.deepEqual(ran, ['2026-01', '2026-02', '2026-03']);
+  assert.equal(seen.at(-1), '2026-01');
+  const state = await stateOf('monthly');
+  assert.equal(state.last_period, '2026-03');
+  assert.equal(state.runs[0].trigger, 'catch_up');
+
+  await catchUpJobs(new Date('2026-04-03T00:00:00Z'));
+  assert.equal(ran.length, 3);
+});
+
+test('unknown jobs are refused', async () => {
+  await assert.rejects(runJob('nope'), /Unknown job nope/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+
+const alice = { username: 'alice', role: 'admin' };
+const bob = { username: 'bob', role: 'member' };
+
+function task(id, assigned_to, status = 'pending') {
+  return {
+    id, household_id: 1, chore_id: id, name: 'Kitchen Cleaning', assigned_to, status, completed_at: null,
+    period_start: '2026-03-01', period_end: '2026-03-31', due_date: '2026-03-31', slot: 0, month: 3, year: 2026
+  };
+}
+
+test.beforeEach(() => seed({
+  households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC', verification_window_hours: 48 }],
+  users: members(1, ['alice', 'bob', 'carol']),
+  tasks: [task(1, 'bob'), task(2, 'bob'), task(3, 'bob', 'missed'), task(4, 'alice')]
+}));
+
+test('a queued completion keeps the time it was done and waits for verification', async () => {
+  const [result] = await db.syncCompletions(1, bob, [
+    { id: 'c-1', task_id: 1, assigned_to: 'bob', completed_at: '2026-03-10T09:00:00.000Z' }
+  ]);
+
+  assert.equal(result.status, 'applied');
+  assert.equal(result.task.status, 'awaiting_verification');
+  assert.equal(result.task.completed_at, '2026-03-10T09:00:00.000Z');
+  assert.ok(result.task.synced_at > result.task.completed_at);
+  assert.equal(result.task.thread.at(-1).sync_id, 'c-1');
+});
+
+test('a completion time in the future is replaced by the time it arrived', async () => {
+  const [result] = await db.syncCompletions(1, bob, [{ id: 'c-1', task_id: 1, completed_at: '2999-01-01T00:00:00.000Z' }]);
+
+  assert.equal(result.task.completed_at, result.task.synced_at);
+});
+
+test('a batch sent twice applies once', async () => {
+  const batch = [{ id: 'c-1', task_id: 1, completed_at: '2026-03-10T09:00:00.000Z' }];
+  await db.syncCompletions(1, bob, batch);
+  const [again] = await db.syncCompletions(1, bob, batch);
+
+  assert.equal(again.status, 'duplicate');
+  assert.equal(again.task.thread.filter(entry => entry.action === 'completed').length, 1);
+});
+
+test('changes made while the device was offline come back as conflicts', async () => {
+  await db.completeTask(1, 2, alice, [], { override: true });
+  const results = await db.syncCompletions(1, bob, [
+    { id: 'c-1', task_id: 1, assigned_to: 'carol', completed_at: '2026-03-10T09:00:00.000Z' },
+    { id: 'c-2', task_id: 2, assigned_to: 'bob', completed_at: '2026-03-10T09:00:00.000Z' },
+    { id: 'c-3', task_id: 3, assigned_to: 'bob', completed_at: '2026-03-10T09:00:00.000Z' },
+    { id: 'c-4', task_id: 4, completed_at: '2026-03-10T09:00:00.000Z' },
+    { id: 'c-5', task_id: 99, completed_at: '2026-03-10T09:00:00.000Z' },
+    { task_id: 1, completed_at: '2026-03-10T09:00:00.000Z' }
+  ]);
+
+  assert.deepEqual(results.map(r => [r.status, r.reason]), [
+    ['conflict', 'It was reassigned to bob while you were offline'],
+    ['conflict', 'alice already marked it done'],
+    ['conflict', 'It was closed as missed at the end of its month'],
+    ['conflict', 'Only alice can complete this task'],
+    ['conflict', 'This task no longer exists'],
+    ['conflict', 'The completion has no id']
+  ]);
+  const tasks = await db.getCurrentTasks(1, '2026-03-15');
+  assert.equal(tasks.find(t => t.id === 1).status, 'pending');
+});
+
+test('a conflict doesn\'t stop the rest of the batch', async () => {
+  const results = await db.syncCompletions(1, bob, [
+    { id: 'c-1', task_id: 4, completed_at: '2026-03-10T09:00:00.000Z' },
+    { id: 'c-2', task_id: 1, completed_at: '2026-03-10T09:00:00.000Z' }
+  ]);
+
+  assert.deepEqual(results.map(r => r.status), ['conflict', 'applied']);
+});
+
+test('batches must hold 1-50 completions', async () => {
+  await assert.rejects(db.syncCompletions(1, bob, []), /Send 1-50 completions/);
+  const tooMany = Array.from({ length: 51 }, (_, i) => ({ id: `c-${i}`, task_id: 1 }));
+  await assert.rejects(db.syncCompletions(1, bob, tooMany), /Send 1-50 completions/);
+});
+
+test('the verification window starts when an offline completion reaches the server', async () => {
+  const [{ task: synced }] = await db.syncCompletions(1, bob, [
+    { id: 'c-1', task_id: 1, completed_at: '2026-03-01T09:00:00.000Z' }
+  ]);
+  const arrived = new Date(synced.synced_at).getTime();
+
+  assert.deepEqual(await db.autoConfirmTasks(new Date(arrived + 47 * 60 * 60 * 1000)), []);
+  assert.equal((await db.autoConfirmTasks(new Date(arrived + 48 * 60 * 60 * 1000))).length, 1);
+});
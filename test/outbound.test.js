@@ -0,0 +1,128 @@
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, checkHostName, checkPublicUrl, postJson } = require('../outbound');
+const { signPayload, normalizeWebhookUrl, nextAttemptAt, sendDelivery } = require('../webhooks');
+
+test.afterEach(() => {
+  delete process.env.ALLOW_PRIVATE_WEBHOOKS;
+});
+
+// Answers every request with `respond`, on a random local port
+async function receiver(respond) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    respond(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+test('loopback, private, link-local and mapped addresses aren\'t public', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+  for (const address of ['93.184.216.34', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('example.com'), false);
+});
+
+test('webhook URLs naming a private host are refused when saved', () => {
+  for (const url of ['http://localhost/hook', 'http://api.localhost/hook', 'http://127.0.0.1:8080/', 'http://[::1]/', 'http://169.254.169.254/latest', 'http://2130706433/', 'http://[::ffff:127.0.0.1]/']) {
+    assert.throws(() => normalizeWebhookUrl(url), /must point to a public address/, url);
+  }
+  assert.throws(() => normalizeWebhookUrl('ftp://example.com/'), /http or https/);
+  assert.equal(normalizeWebhookUrl('https://93.184.216.34/hook'), 'https://93.184.216.34/hook');
+});
+
+test('checkPublicUrl refuses literal private addresses without a lookup', async () => {
+  await assert.rejects(checkPublicUrl('http://10.0.0.5/hook'), /must point to a public address/);
+  await checkPublicUrl('https://1.1.1.1/hook');
+  await checkPublicUrl('not a url');
+});
+
+test('ALLOW_PRIVATE_WEBHOOKS lifts the address check', async () => {
+  process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+
+  assert.equal(normalizeWebhookUrl('http://localhost:9000/hook'), 'http://localhost:9000/hook');
+  checkHostName(new URL('http://192.168.1.10/'));
+  await checkPublicUrl('http://127.0.0.1/hook');
+});
+
+test('deliveries to a private address are refused before connecting', async () => {
+  let hits = 0;
+  const { server, url } = await receiver((req, res) => {
+    hits += 1;
+    res.end();
+  });
+
+  try {
+    await assert.rejects(postJson(url, '{}', { timeoutMs: 1000 }), /must point to a public address/);
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
+
+test('redirects come back as their status instead of being followed', async () => {
+  process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+  const paths = [];
+  const { server, url } = await receiver((req, res) => {
+    paths.push(req.url);
+    res.writeHead(302, { Location: '/elsewhere' }).end();
+  });
+
+  try {
+    assert.equal(await postJson(url, '{"event":"ping"}', { timeoutMs: 1000 }), 302);
+    assert.deepEqual(paths, ['/hook']);
+  } finally {
+    server.close();
+  }
+});
+
+test('a receiver that doesn\'t answer in time fails with a TimeoutError', async () => {
+  process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+  const { server, url } = await receiver(() => {});
+
+  try {
+    await assert.rejects(postJson(url, '{}', { timeoutMs: 50 }), { name: 'TimeoutError' });
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test('deliveries are signed, and a redirect counts as a failed attempt', async () => {
+  process.env.ALLOW_PRIVATE_WEBHOOKS = 'true';
+  const received = [];
+  const { server, url } = await receiver((req, res) => {
+    received.push(req.headers);
+    res.writeHead(received.length === 1 ? 204 : 301, { Location: 'http://169.254.169.254/' }).end();
+  });
+  const webhook = { url, secret: 'shh' };
+  const delivery = { id: 7, event: 'task.completed', payload: { event: 'task.completed', task_id: 1 } };
+
+  try {
+    const first = await sendDelivery(webhook, delivery);
+    assert.equal(first.ok, true);
+    const headers = received[0];
+    const body = JSON.stringify(delivery.payload);
+    assert.equal(headers['x-webhook-signature'], signPayload('shh', headers['x-webhook-timestamp'], body));
+    assert.equal(headers['x-webhook-delivery'], '7');
+
+    const second = await sendDelivery(webhook, delivery);
+    assert.deepEqual([second.ok, second.status_code, second.error], [false, 301, 'Receiver answered 301']);
+    assert.equal(received.length, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('failed deliveries back off and eventually give up', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+
+  assert.equal(nextAttemptAt(1, now), '2026-03-01T00:01:00.000Z');
+  assert.equal(nextAttemptAt(5, now), '2026-03-01T12:00:00.000Z');
+  assert.equal(nextAttemptAt(6, now), null);
+});
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+const { dir } = useTempData();
+process.env.UPLOAD_DIR = path.join(dir, 'uploads');
+const { verifyPhotos, photoRecords, photoPath } = require('../photos');
+
+const JPEG = [0xFF, 0xD8, 0xFF, 0xE0];
+const PNG = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const WEBP = [...Buffer.from('RIFF'), 0x24, 0x00, 0x00, 0x00, ...Buffer.from('WEBPVP8 ')];
+const WAVE = [...Buffer.from('RIFF'), 0x24, 0x00, 0x00, 0x00, ...Buffer.from('WAVEfmt ')];
+
+function upload(name, mimetype, bytes) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, Buffer.from(bytes));
+  return { path: file, filename: name, originalname: name, mimetype, size: bytes.length };
+}
+
+test('photos whose bytes match their declared type are accepted', () => {
+  const files = [upload('a.jpg', 'image/jpeg', JPEG), upload('b.png', 'image/png', PNG), upload('c.webp', 'image/webp', WEBP)];
+
+  verifyPhotos(files);
+  assert.ok(files.every(file => fs.existsSync(file.path)));
+});
+
+test('a file that isn\'t the image it claims to be is refused and the whole upload discarded', async () => {
+  const files = [upload('d.jpg', 'image/jpeg', JPEG), upload('e.png', 'image/png', JPEG)];
+
+  assert.throws(() => verifyPhotos(files), /e\.png is not a valid image/);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(files.every(file => !fs.existsSync(file.path)));
+});
+
+test('a RIFF file is only a WebP photo if it says WEBP', () => {
+  assert.throws(() => verifyPhotos([upload('f.webp', 'image/webp', WAVE)]), /not a valid image/);
+  assert.throws(() => verifyPhotos([upload('g.webp', 'image/webp', WEBP.slice(0, 6))]), /not a valid image/);
+});
+
+test('stored photos are recorded by id and served from their household\'s folder', () => {
+  const [record] = photoRecords([{ filename: '0a1b2c.jpg', mimetype: 'image/jpeg', size: 4 }], 'alice');
+
+  assert.deepEqual([record.id, record.uploaded_by], ['0a1b2c', 'alice']);
+  assert.equal(photoPath(3, record), path.join(dir, 'uploads', '3', '0a1b2c.jpg'));
+  assert.equal(photoPath(3, { filename: '../../1/secret.jpg' }), path.join(dir, 'uploads', '3', 'secret.jpg'));
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  addDays,
+  addMonths,
+  daysBetween,
+  monthRange,
+  normalizeRecurrence,
+  periodFor,
+  instancesFor
+} = require('../recurrence');
+
+test('date maths crosses month and year ends', () => {
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+  assert.equal(addMonths('2026-01-31', 1), '2026-02-28');
+  assert.equal(addMonths('2024-03-31', -1), '2024-02-29');
+  assert.equal(daysBetween('2026-03-01', '2026-04-01'), 31);
+});
+
+test('monthRange covers the whole month, leap years included', () => {
+  assert.deepEqual(monthRange(2, 2024), { start: '2024-02-01', end: '2024-02-29' });
+  assert.deepEqual(monthRange(12, 2026), { start: '2026-12-01', end: '2026-12-31' });
+});
+
+test('chores without a recurrence happen once a month', () => {
+  assert.deepEqual(normalizeRecurrence(undefined), { frequency: 'monthly', times: 1 });
+});
+
+test('invalid recurrences are refused', () => {
+  assert.throws(() => normalizeRecurrence({ frequency: 'yearly' }), /Recurrence must be one of/);
+  assert.throws(() => normalizeRecurrence({ frequency: 'daily', times: 2 }), /once per day/);
+  assert.throws(() => normalizeRecurrence({ frequency: 'weekly', times: 8 }), /1 to 7 times/);
+  assert.throws(() => normalizeRecurrence({ frequency: 'weekly', times: 1.5 }), /1 to 7 times/);
+});
+
+test('weekly periods run Monday to Sunday', () => {
+  // 2026-03-05 is a Thursday
+  assert.deepEqual(periodFor({ frequency: 'weekly' }, '2026-03-05'), { start: '2026-03-02', end: '2026-03-08' });
+  assert.deepEqual(periodFor({ frequency: 'weekly' }, '2026-03-08'), { start: '2026-03-02', end: '2026-03-08' });
+});
+
+test('bi-weekly periods are the same fortnights everywhere, before the anchor too', () => {
+  assert.deepEqual(periodFor({ frequency: 'biweekly' }, '2024-01-14'), { start: '2024-01-01', end: '2024-01-14' });
+  assert.deepEqual(periodFor({ frequency: 'biweekly' }, '2024-01-15'), { start: '2024-01-15', end: '2024-01-28' });
+  assert.deepEqual(periodFor({ frequency: 'biweekly' }, '2023-12-31'), { start: '2023-12-18', end: '2023-12-31' });
+});
+
+test('repeats within a period are spread evenly and due by its end', () => {
+  const instances = instancesFor({ id: 4, name: 'Trash Removal', recurrence: { frequency: 'weekly', times: 2 } }, '2026-03-03');
+
+  assert.deepEqual(instances.map(i => i.due_date), ['2026-03-05', '2026-03-08']);
+  assert.deepEqual(instances.map(i => i.slot), [0, 1]);
+  for (const instance of instances) {
+    assert.equal(instance.chore_id, 4);
+    assert.equal(instance.period_start, '2026-03-02');
+    assert.equal(instance.period_end, '2026-03-08');
+  }
+});
+
+test('a monthly chore is due on the last day of its month', () => {
+  const [instance] = instancesFor({ id: 1, name: 'Kitchen Cleaning' }, '2026-02-10');
+
+  assert.equal(instance.due_date, '2026-02-28');
+  assert.equal(instance.period_start, '2026-02-01');
+});
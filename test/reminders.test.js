@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+const { normalizeReminderRules, inQuietHours, dueReminders } = require('../reminders');
+
+const RULES = [{ type: 'before_due', days: 7 }, { type: 'before_due', days: 1 }, { type: 'overdue' }];
+
+function task(id, due_date, status = 'pending') {
+  return {
+    id, household_id: 1, chore_id: id, name: 'Kitchen Cleaning', assigned_to: 'alice', status, completed_at: null,
+    period_start: '2026-03-01', period_end: '2026-03-31', due_date, slot: 0, month: 3, year: 2026
+  };
+}
+
+test('reminder rules are validated and can\'t repeat', () => {
+  assert.deepEqual(normalizeReminderRules([{ type: 'before_due', days: '2' }]), [{ type: 'before_due', days: 2 }]);
+  assert.throws(() => normalizeReminderRules([{ type: 'hourly' }]), /type must be one of/);
+  assert.throws(() => normalizeReminderRules([{ type: 'before_due', days: 31 }]), /0-30/);
+  assert.throws(() => normalizeReminderRules([{ type: 'overdue' }, { type: 'overdue' }]), /must not repeat/);
+});
+
+test('only the nearest before-due rule reached fires', () => {
+  const [reminder] = dueReminders([task(1, '2026-03-31')], RULES, '2026-03-30');
+
+  assert.equal(reminder.key, 'task-1:before_due:1');
+  assert.equal(reminder.message, '"Kitchen Cleaning" is due in 1 day (2026-03-31)');
+  assert.deepEqual(dueReminders([task(1, '2026-03-31')], RULES, '2026-03-20'), []);
+});
+
+test('overdue reminders get a new key every day and stop once the task is done', () => {
+  const [first] = dueReminders([task(1, '2026-03-20')], RULES, '2026-03-22');
+  const [second] = dueReminders([task(1, '2026-03-20')], RULES, '2026-03-23');
+
+  assert.equal(first.key, 'task-1:overdue:2026-03-22');
+  assert.equal(second.key, 'task-1:overdue:2026-03-23');
+  assert.match(first.message, /is 2 days overdue$/);
+  assert.deepEqual(dueReminders([task(1, '2026-03-20', 'completed')], RULES, '2026-03-23'), []);
+});
+
+test('before-due rules reaching back before the period started don\'t apply', () => {
+  const daily = { ...task(1, '2026-03-10'), period_start: '2026-03-10', period_end: '2026-03-10' };
+
+  assert.deepEqual(dueReminders([daily], [{ type: 'before_due', days: 3 }], '2026-03-09'), []);
+});
+
+test('quiet hours can run past midnight in the household\'s timezone', () => {
+  const quiet = { start: '22:00', end: '08:00' };
+
+  assert.equal(inQuietHours(quiet, new Date('2026-03-10T23:30:00Z'), 'UTC'), true);
+  assert.equal(inQuietHours(quiet, new Date('2026-03-10T07:59:00Z'), 'UTC'), true);
+  assert.equal(inQuietHours(quiet, new Date('2026-03-10T08:00:00Z'), 'UTC'), false);
+  // 03:00 UTC is 08:30 in Kolkata
+  assert.equal(inQuietHours(quiet, new Date('2026-03-10T03:00:00Z'), 'Asia/Kolkata'), false);
+});
+
+test('old reminders are pruned unless their task is still open, so they aren\'t sent again', async () => {
+  const longAgo = new Date(Date.now() - 200 * 24 * 60 * 60 * 1000).toISOString();
+  const notification = (id, task_id, key) => ({
+    id, household_id: 1, username: 'alice', type: 'reminder', task_id, key, message: '', channels: ['in_app'],
+    deliveries: [], created_at: longAgo, read_at: null
+  });
+  seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC', reminder_rules: RULES }],
+    users: members(1, ['alice']),
+    tasks: [task(1, '2026-03-31'), task(2, '2026-03-31', 'completed')],
+    notifications: [notification(1, 1, 'task-1:before_due:1'), notification(2, 2, 'task-2:before_due:1')]
+  });
+
+  await db.recordReminders([]);
+  const { notifications } = await db.getNotifications(1, 'alice');
+  assert.deepEqual(notifications.map(n => n.key), ['task-1:before_due:1']);
+  assert.deepEqual(await db.planReminders(new Date('2026-03-30T12:00:00Z')), []);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+const temp = useTempData();
+const db = require('../database');
+
+const SETTINGS = {
+  name: 'Flat 4',
+  requires_approval: true,
+  verification_window_hours: 12,
+  reminder_rules: [{ type: 'overdue' }],
+  currency: 'EUR',
+  rollover: { policy: 'penalty', penalty_amount: 50 },
+  timezone: 'Asia/Kolkata'
+};
+
+const PHOTOS = [{ id: 'sink', filename: 'sink.jpg' }, { id: 'floor', filename: 'floor.jpg' }];
+
+function seed(household, { users = ['alice'], tasks = [] } = {}) {
+  temp.seed({
+    households: [{ invite_code: 'FLAT04', ...household }],
+    users: users.map((username, index) => ({
+      id: index + 1,
+      username,
+      password_hash: `hash-of-${username}`,
+      notification_prefs: { channels: ['email'], email: `${username}@example.com` },
+      role: index === 0 ? 'admin' : 'member',
+      household_id: household.id,
+      active: true
+    })),
+    chores: [{ id: 1, household_id: household.id, name: 'Kitchen Cleaning', effort: 3, active: true }],
+    tasks
+  });
+}
+
+function completedTask(householdId) {
+  return {
+    id: 1, household_id: householdId, chore_id: 1, name: 'Kitchen Cleaning', assigned_to: 'alice', status: 'completed',
+    period_start: '2026-03-01', period_end: '2026-03-31', due_date: '2026-03-31', slot: 0, month: 3, year: 2026,
+    photos: PHOTOS
+  };
+}
+
+test('exports leave out passwords and notification settings', async () => {
+  seed({ id: 1, name: 'Flat 4', timezone: 'UTC' });
+  const { users: [alice] } = await db.exportHousehold(1);
+
+  assert.equal(alice.username, 'alice');
+  assert.equal('password_hash' in alice, false);
+  assert.equal('notification_prefs' in alice, false);
+});
+
+test('a snapshot restored over its own household keeps photos, passwords and notification settings', async () => {
+  seed({ id: 1, name: 'Flat 4', timezone: 'UTC' }, { tasks: [completedTask(1)] });
+  const exported = await db.exportHousehold(1);
+
+  const summary = await db.restoreHousehold(1, exported, { mode: 'replace', actor: 'alice' });
+  assert.deepEqual(summary.photos, { kept: 2, dropped: 0 });
+  const { users: [alice], tasks: [task] } = temp.read();
+  assert.equal(alice.password_hash, 'hash-of-alice');
+  assert.equal(alice.password_reset_required, false);
+  assert.deepEqual(alice.notification_prefs, { channels: ['email'], email: 'alice@example.com' });
+  assert.deepEqual(task.photos, PHOTOS);
+});
+
+test('a snapshot restored into another household brings its settings but not its photos', async () => {
+  seed({ id: 1, ...SETTINGS }, { users: ['alice', 'bob'], tasks: [completedTask(1)] });
+  const exported = await db.exportHousehold(1);
+
+  // A fresh server where alice runs a household with default settings
+  seed({ id: 2, name: 'New flat', timezone: 'UTC' });
+  const summary = await db.restoreHousehold(2, exported, { mode: 'replace', actor: 'alice' });
+
+  const household = await db.getHousehold(2);
+  for (const [key, value] of Object.entries(SETTINGS)) {
+    assert.deepEqual(household[key], value, key);
+  }
+  assert.deepEqual(summary.photos, { kept: 0, dropped: 2 });
+  assert.deepEqual(temp.read().tasks[0].photos, []);
+});
+
+test('members a snapshot adds need a reset code before they can sign in', async () => {
+  seed({ id: 1, name: 'Flat 4', timezone: 'UTC' }, { users: ['alice', 'bob'] });
+  const exported = await db.exportHousehold(1);
+  seed({ id: 1, name: 'Flat 4', timezone: 'UTC' });
+
+  await db.restoreHousehold(1, exported, { mode: 'merge', actor: 'alice' });
+  const bob = temp.read().users.find(u => u.username === 'bob');
+  assert.equal(bob.password_hash, null);
+  await assert.rejects(db.authenticateUser('bob', 'anything'), /needs a new password/);
+
+  const { token } = await db.createPasswordReset(1, bob.id, 'alice');
+  await db.resetPasswordWithToken(token, 'bobs-new-password');
+  assert.equal((await db.authenticateUser('bob', 'bobs-new-password')).username, 'bob');
+});
+
+test('settings a snapshot doesn\'t carry are left as they are', async () => {
+  seed({ id: 1, name: 'Flat 4', timezone: 'UTC' });
+  const exported = await db.exportHousehold(1);
+
+  seed({ id: 1, ...SETTINGS });
+  await db.restoreHousehold(1, exported, { mode: 'replace', actor: 'alice' });
+
+  const household = await db.getHousehold(1);
+  assert.equal(household.timezone, 'UTC');
+  assert.equal(household.currency, 'EUR');
+  assert.deepEqual(household.reminder_rules, [{ type: 'overdue' }]);
+});
+
+test('invalid settings in a snapshot stop the whole restore', async () => {
+  seed({ id: 1, name: 'Flat 4', timezone: 'UTC' });
+  const exported = await db.exportHousehold(1);
+  exported.household.timezone = 'Mars/Olympus';
+
+  await assert.rejects(db.restoreHousehold(1, exported, { mode: 'replace', actor: 'alice' }), /Timezone must be/);
+  assert.equal((await db.getHousehold(1)).timezone, 'UTC');
+});
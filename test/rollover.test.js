@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const temp = useTempData();
+const db = require('../database');
+const { runMigrations } = require('../migrations');
+const { monthRange } = require('../recurrence');
+const { withCollections } = require('../storage');
+
+function task(id, due_date, status = 'pending', assigned_to = 'alice') {
+  const [year, month] = due_date.split('-').map(Number);
+  const { start, end } = monthRange(month, year);
+  return {
+    id, household_id: 1, chore_id: 1, name: 'Kitchen Cleaning', effort: 3, assigned_to, status, completed_at: null,
+    period_start: start, period_end: end, due_date, slot: 0, month, year
+  };
+}
+
+function seed({ rollover, rolled_over_through, tasks, away_periods = [] }) {
+  temp.seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC', currency: 'EUR', rollover, rolled_over_through }],
+    users: members(1, ['alice', 'bob']),
+    chores: [{ id: 1, household_id: 1, name: 'Kitchen Cleaning', effort: 3, active: true }],
+    tasks,
+    away_periods
+  });
+}
+
+function savedTasks() {
+  return Object.fromEntries(temp.read().tasks.map(t => [t.id, t]));
+}
+
+test('carry-over moves last month\'s unfinished tasks into this month, once', async () => {
+  seed({ rollover: { policy: 'carry_over', penalty_amount: 0 }, tasks: [task(1, '2026-02-28'), task(2, '2026-02-28', 'completed')] });
+
+  const changed = await db.rollOverTasks(1, '2026-03-05');
+  assert.deepEqual(changed.map(t => t.id), [1]);
+  assert.equal(changed[0].status, 'pending');
+  const { policy, month, year, times } = changed[0].rollover;
+  assert.deepEqual({ policy, month, year, times }, { policy: 'carry_over', month: 3, year: 2026, times: 1 });
+  assert.deepEqual((await db.getCurrentTasks(1, '2026-03-20')).map(t => t.id), [1]);
+
+  assert.deepEqual(await db.rollOverTasks(1, '2026-03-06'), []);
+  assert.equal((await db.getHousehold(1)).rolled_over_through, '2026-02');
+});
+
+test('a task carried over and left again is carried on with its count going up', async () => {
+  seed({ rollover: { policy: 'carry_over', penalty_amount: 0 }, tasks: [task(1, '2026-02-28')] });
+
+  await db.rollOverTasks(1, '2026-03-05');
+  const [again] = await db.rollOverTasks(1, '2026-04-01');
+  assert.equal(again.id, 1);
+  assert.deepEqual([again.rollover.month, again.rollover.times], [4, 2]);
+});
+
+test('the penalty policy closes the task as missed and records the penalty', async () => {
+  seed({ rollover: { policy: 'penalty', penalty_amount: 500 }, tasks: [task(1, '2026-02-28')] });
+
+  await db.rollOverTasks(1, '2026-03-05');
+  const { 1: missed } = savedTasks();
+  assert.equal(missed.status, 'missed');
+  assert.equal(missed.rollover.penalty_amount, 500);
+  assert.equal(missed.rollover.currency, 'EUR');
+});
+
+test('the make-up policy closes the task and sets a make-up task due within the week', async () => {
+  seed({ rollover: { policy: 'make_up', penalty_amount: 0 }, tasks: [task(1, '2026-02-28')] });
+
+  await db.rollOverTasks(1, '2026-03-05');
+  const { 1: missed, 2: makeUp } = savedTasks();
+  assert.equal(missed.status, 'missed');
+  assert.equal(missed.rollover.make_up_task_id, 2);
+  assert.equal(makeUp.name, 'Make-up: Kitchen Cleaning');
+  assert.equal(makeUp.make_up_for, 1);
+  assert.equal(makeUp.due_date, '2026-03-12');
+  assert.equal(makeUp.assigned_to, 'alice');
+  assert.equal(makeUp.status, 'pending');
+});
+
+test('months pass under the none policy, so switching later doesn\'t reach back', async () => {
+  seed({ rollover: { policy: 'none', penalty_amount: 0 }, tasks: [task(1, '2026-02-28')] });
+
+  assert.deepEqual(await db.rollOverTasks(1, '2026-03-05'), []);
+  await db.updateHousehold(1, { rollover: { policy: 'penalty', penalty_amount: 100 } }, 'alice');
+  assert.deepEqual(await db.rollOverTasks(1, '2026-03-20'), []);
+  assert.equal(savedTasks()[1].status, 'pending');
+});
+
+test('every month missed while the server was down is rolled over in one go', async () => {
+  seed({
+    rollover: { policy: 'carry_over', penalty_amount: 0 },
+    rolled_over_through: '2026-01',
+    tasks: [task(1, '2026-01-31'), task(2, '2026-02-28'), task(3, '2026-03-31'), task(4, '2026-04-30')]
+  });
+
+  const changed = await db.rollOverTasks(1, '2026-04-02');
+  assert.deepEqual(changed.map(t => t.id).sort(), [2, 3]);
+  assert.ok(changed.every(t => t.rollover.month === 4 && t.rollover.times === 1));
+  assert.equal((await db.getHousehold(1)).rolled_over_through, '2026-03');
+});
+
+test('tasks excused by an away period are left alone', async () => {
+  seed({
+    rollover: { policy: 'penalty', penalty_amount: 100 },
+    tasks: [task(1, '2026-02-28'), task(2, '2026-02-28', 'pending', 'bob')],
+    away_periods: [{ id: 1, household_id: 1, username: 'bob', start_date: '2026-02-20', end_date: '2026-03-02' }]
+  });
+
+  const changed = await db.rollOverTasks(1, '2026-03-05');
+  assert.deepEqual(changed.map(t => t.id), [1]);
+  assert.equal(savedTasks()[2].status, 'pending');
+});
+
+test('new households carry over, households from before rollovers keep none', async () => {
+  seed({ tasks: [] });
+  const { id } = await db.createHousehold(2, 'Flat 5', 'UTC');
+  assert.deepEqual((await db.getHousehold(id)).rollover, { policy: 'carry_over', penalty_amount: 0 });
+
+  const data = withCollections({ schema_version: 5, households: [{ id: 1, name: 'Old flat' }] });
+  runMigrations(data);
+  assert.deepEqual(data.households[0].rollover, { policy: 'none', penalty_amount: 0 });
+});
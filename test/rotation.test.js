@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planRotation } = require('../rotation');
+
+function instance(chore_id, name, effort, due_date = '2026-03-31') {
+  return { chore_id, name, effort, period_start: '2026-03-01', period_end: '2026-03-31', due_date, slot: 0 };
+}
+
+function done(assigned_to, name, effort, due_date) {
+  return { assigned_to, name, effort, due_date, status: 'completed' };
+}
+
+test('the heaviest chore goes to whoever did least recently', () => {
+  const { assignments, loads } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob'],
+    instances: [instance(1, 'Trash Removal', 1), instance(2, 'Bathroom Cleaning', 4)],
+    tasks: [done('alice', 'Bathroom Cleaning', 4, '2026-02-28'), done('bob', 'Trash Removal', 1, '2026-02-28')]
+  });
+
+  assert.deepEqual(loads, { alice: 4, bob: 1 });
+  const byChore = Object.fromEntries(assignments.map(a => [a.name, a.assigned_to]));
+  assert.equal(byChore['Bathroom Cleaning'], 'bob');
+  assert.equal(byChore['Trash Removal'], 'alice');
+  assert.match(assignments[0].reason, /^bob had the lowest effort load \(1\); load is now 5$/);
+});
+
+test('history older than the lookback window is forgotten', () => {
+  const { loads } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob'],
+    instances: [],
+    tasks: [done('alice', 'Bathroom Cleaning', 4, '2025-08-31'), done('bob', 'Trash Removal', 1, '2026-02-28')]
+  });
+
+  // alice's only task is outside the window, so alice starts level with bob
+  assert.deepEqual(loads, { alice: 1, bob: 1 });
+});
+
+test('a newcomer starts level with the least-loaded member instead of at zero', () => {
+  const { loads, assignments } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob', 'carol'],
+    instances: [instance(1, 'Kitchen Cleaning', 3)],
+    tasks: [done('alice', 'Kitchen Cleaning', 3, '2026-02-28'), done('bob', 'Bathroom Cleaning', 4, '2026-02-28')]
+  });
+
+  assert.equal(loads.carol, 3);
+  assert.match(assignments[0].reason, /tied with/);
+});
+
+test('tasks already assigned for later count towards the member\'s load', () => {
+  const { assignments } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob'],
+    instances: [instance(1, 'Kitchen Cleaning', 3)],
+    tasks: [{ assigned_to: 'alice', name: 'Bathroom Cleaning', effort: 4, due_date: '2026-03-15', status: 'pending' }]
+  });
+
+  assert.equal(assignments[0].assigned_to, 'bob');
+});
+
+test('equal members take turns from one day to the next', () => {
+  const plan = date => planRotation({
+    date,
+    members: ['alice', 'bob'],
+    instances: [instance(1, 'Hall Sweeping', 2, date)],
+    tasks: []
+  }).assignments[0];
+
+  const first = plan('2026-03-01');
+  const second = plan('2026-03-02');
+  assert.notEqual(first.assigned_to, second.assigned_to);
+  assert.match(first.reason, /and it was their turn/);
+});
+
+test('the same inputs always give the same plan', () => {
+  const options = {
+    date: '2026-03-01',
+    members: ['alice', 'bob', 'carol'],
+    instances: [instance(1, 'Kitchen Cleaning', 3), instance(2, 'Bathroom Cleaning', 4), instance(3, 'Trash Removal', 1)],
+    tasks: [done('carol', 'Trash Removal', 1, '2026-02-10')]
+  };
+
+  assert.deepEqual(planRotation(options), planRotation(options));
+});
+
+test('members away for the due date are skipped', () => {
+  const { assignments } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob'],
+    instances: [instance(1, 'Kitchen Cleaning', 3)],
+    tasks: [done('alice', 'Kitchen Cleaning', 3, '2026-02-28')],
+    away: [{ username: 'bob', start_date: '2026-03-25', end_date: '2026-04-05' }]
+  });
+
+  assert.equal(assignments[0].assigned_to, 'alice');
+  assert.match(assignments[0].reason, /skipped bob \(away\)$/);
+});
+
+test('nobody is skipped when everyone is away', () => {
+  const { assignments } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob'],
+    instances: [instance(1, 'Kitchen Cleaning', 3)],
+    tasks: [],
+    away: [
+      { username: 'alice', start_date: '2026-03-01', end_date: '2026-03-31' },
+      { username: 'bob', start_date: '2026-03-01', end_date: '2026-03-31' }
+    ]
+  });
+
+  assert.equal(assignments.length, 1);
+  assert.match(assignments[0].reason, /everyone is away/);
+});
+
+test('time away is carried forward, so a returning member picks up the heavy chore', () => {
+  const { loads, assignments } = planRotation({
+    date: '2026-03-01',
+    members: ['alice', 'bob'],
+    instances: [instance(1, 'Bathroom Cleaning', 4)],
+    tasks: [done('alice', 'Kitchen Cleaning', 3, '2026-02-28')],
+    away: [{ username: 'bob', start_date: '2026-02-01', end_date: '2026-02-28' }]
+  });
+
+  assert.deepEqual(loads, { alice: 3, bob: 0 });
+  assert.equal(assignments[0].assigned_to, 'bob');
+});
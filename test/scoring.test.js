@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+const { taskPoints, streaks, leaderboard } = require('../scoring');
+
+const chores = [{ id: 1, name: 'Kitchen Cleaning', effort: 3 }];
+
+function done(assignedTo, dueDate, completedAt, extra = {}) {
+  return { chore_id: 1, name: 'Kitchen Cleaning', assigned_to: assignedTo, status: 'completed', due_date: dueDate, completed_at: completedAt, ...extra };
+}
+
+function report(username, month, year, { assigned = 1, completed = assigned, tasks = [], absent = false } = {}) {
+  return { username, month, year, assigned_tasks: assigned, completed_tasks: completed, absent, report_data: JSON.stringify({ tasks }) };
+}
+
+test('completions earn effort points, more when early and half when late', () => {
+  assert.equal(taskPoints(done('alice', '2025-03-10', '2025-03-10T12:00:00Z'), chores, 'UTC'), 30);
+  assert.equal(taskPoints(done('alice', '2025-03-10', '2025-03-08T12:00:00Z'), chores, 'UTC'), 36);
+  assert.equal(taskPoints(done('alice', '2025-03-30', '2025-03-01T12:00:00Z'), chores, 'UTC'), 45);
+  assert.equal(taskPoints(done('alice', '2025-03-10', '2025-03-12T12:00:00Z'), chores, 'UTC'), 15);
+  assert.equal(taskPoints({ ...done('alice', '2025-03-10', null), status: 'pending' }, chores, 'UTC'), 0);
+});
+
+test('a completion counts for the day it happened on in the household\'s timezone', () => {
+  const lateEvening = done('alice', '2025-03-10', '2025-03-11T02:00:00Z');
+
+  assert.equal(taskPoints(lateEvening, chores, 'UTC'), 15);
+  assert.equal(taskPoints(lateEvening, chores, 'America/New_York'), 30);
+});
+
+test('streaks count on-time months in order and skip months that don\'t count', () => {
+  const late = done('alice', '2025-04-10', '2025-04-12T12:00:00Z');
+  const reports = [
+    report('alice', 3, 2025),
+    report('alice', 1, 2025),
+    report('alice', 2, 2025, { absent: true }),
+    report('alice', 12, 2024),
+    report('alice', 4, 2025, { tasks: [late] }),
+    report('alice', 5, 2025, { assigned: 0 }),
+    report('alice', 6, 2025),
+    report('alice', 7, 2025, { completed: 0 })
+  ];
+
+  assert.deepEqual(streaks(reports, 'UTC'), { current_streak: 0, best_streak: 3 });
+  assert.deepEqual(streaks(reports.slice(0, 4), 'UTC'), { current_streak: 3, best_streak: 3 });
+});
+
+test('equal points share a rank and badges cover every completion', () => {
+  const tasks = [
+    done('alice', '2025-03-10', '2025-03-10T12:00:00Z'),
+    done('bob', '2025-03-17', '2025-03-17T12:00:00Z'),
+    done('bob', '2025-02-10', '2025-02-10T12:00:00Z')
+  ];
+  const march = tasks.slice(0, 2);
+  const reports = [1, 2, 3].map(month => report('bob', month, 2025));
+
+  const rows = leaderboard(['carol', 'bob', 'alice'], { tasks: march, allTasks: tasks, reports, chores, timeZone: 'UTC' });
+  assert.deepEqual(rows.map(r => [r.rank, r.username, r.points, r.completed]), [[1, 'alice', 30, 1], [1, 'bob', 30, 1], [3, 'carol', 0, 0]]);
+  assert.deepEqual(rows[1].badges.map(b => b.id), ['first_chore', 'streak_3']);
+  assert.equal(rows[1].best_streak, 3);
+  assert.deepEqual(rows[2].badges, []);
+});
+
+test('the household leaderboard can be narrowed to one month', async () => {
+  seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' }],
+    users: members(1, ['alice', 'bob']),
+    chores: [{ id: 1, household_id: 1, ...chores[0], active: true }],
+    tasks: [
+      { id: 1, household_id: 1, ...done('alice', '2025-03-10', '2025-03-10T12:00:00Z') },
+      { id: 2, household_id: 1, ...done('bob', '2025-02-10', '2025-02-10T12:00:00Z') },
+      { id: 3, household_id: 2, ...done('dave', '2025-03-10', '2025-03-10T12:00:00Z') }
+    ],
+    monthly_reports: []
+  });
+
+  const all = await db.getLeaderboard(1);
+  assert.deepEqual(all.map(r => [r.rank, r.username, r.points]), [[1, 'alice', 30], [1, 'bob', 30]]);
+  const march = await db.getLeaderboard(1, { month: 3, year: 2025 });
+  assert.deepEqual(march.map(r => [r.username, r.points, r.badges.length]), [['alice', 30, 1], ['bob', 0, 1]]);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+
+const alice = { username: 'alice', role: 'admin' };
+const bob = { username: 'bob', role: 'member' };
+const carol = { username: 'carol', role: 'member' };
+
+test.beforeEach(() => seed({
+  households: [
+    { id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' },
+    { id: 2, name: 'Flat 5', invite_code: 'FLAT05', timezone: 'UTC' }
+  ],
+  users: members(1, ['alice', 'bob', 'carol']),
+  chores: [
+    { id: 1, household_id: 1, name: 'Kitchen Cleaning', effort: 3, active: true },
+    { id: 2, household_id: 2, name: 'Kitchen Cleaning', effort: 3, active: true }
+  ]
+}));
+
+test('adding an item already on the list returns the open one', async () => {
+  const soap = await db.addShoppingItem(1, { name: 'Dish soap', quantity: '2', unit: 'bottles', chore_id: 1 }, 'bob');
+  assert.deepEqual([soap.quantity, soap.unit, soap.chore_id, soap.added_by], [2, 'bottles', 1, 'bob']);
+
+  const again = await db.addShoppingItem(1, { name: ' dish SOAP ' }, 'carol');
+  assert.deepEqual([again.id, again.existing], [soap.id, true]);
+  await assert.rejects(db.addShoppingItem(1, { name: 'Sponges', quantity: 0 }, 'bob'), /Quantity must be/);
+  await assert.rejects(db.addShoppingItem(1, { name: 'Sponges', chore_id: 2 }, 'bob'), /Chore not found/);
+});
+
+test('a claim belongs to whoever made it until they or an admin release it', async () => {
+  const { id } = await db.addShoppingItem(1, { name: 'Dish soap' }, 'bob');
+  await db.claimShoppingItem(1, id, 'bob');
+
+  await assert.rejects(db.claimShoppingItem(1, id, 'carol'), /bob is already buying this/);
+  await assert.rejects(db.unclaimShoppingItem(1, id, carol), /Only whoever claimed this item/);
+  assert.equal((await db.unclaimShoppingItem(1, id, alice)).claimed_by, null);
+
+  const [item] = await db.getShoppingList(1);
+  assert.equal(item.claimed_by, null);
+});
+
+test('unclaimed items come first on the list', async () => {
+  const soap = await db.addShoppingItem(1, { name: 'Dish soap' }, 'bob');
+  const bags = await db.addShoppingItem(1, { name: 'Bin bags' }, 'bob');
+  await db.claimShoppingItem(1, soap.id, 'carol');
+
+  assert.deepEqual((await db.getShoppingList(1)).map(i => i.name), ['Bin bags', 'Dish soap']);
+  assert.deepEqual(await db.getShoppingList(2), []);
+  assert.equal(bags.status, 'open');
+});
+
+test('bought items move to the history and can\'t be changed again', async () => {
+  const { id } = await db.addShoppingItem(1, { name: 'Dish soap' }, 'bob');
+  const bought = await db.purchaseShoppingItem(1, id, 'carol');
+
+  assert.deepEqual([bought.status, bought.purchased_by], ['purchased', 'carol']);
+  assert.deepEqual(await db.getShoppingList(1), []);
+  assert.deepEqual((await db.getPurchaseHistory(1)).map(i => i.name), ['Dish soap']);
+  await assert.rejects(db.claimShoppingItem(1, id, 'bob'), /already bought/);
+  assert.equal(await db.purchaseShoppingItem(2, id, 'dave'), null);
+});
+
+test('only whoever added or claimed an item, or an admin, can take it off the list', async () => {
+  const { id } = await db.addShoppingItem(1, { name: 'Dish soap' }, 'bob');
+
+  await assert.rejects(db.removeShoppingItem(1, id, carol), /Only whoever added or claimed this item/);
+  await db.removeShoppingItem(1, id, bob);
+  assert.deepEqual(await db.getShoppingList(1), []);
+  assert.deepEqual(await db.getPurchaseHistory(1), []);
+});
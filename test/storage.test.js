@@ -0,0 +1,127 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+const { dir, dbFile } = useTempData();
+process.env.SQLITE_FILE = path.join(dir, 'roommates.db');
+const { createStorage, createTransactor } = require('../storage');
+const { LATEST_VERSION } = require('../migrations');
+
+const lockFile = `${dbFile}.lock`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test.beforeEach(() => {
+  fs.rmSync(dbFile, { force: true });
+  fs.rmSync(lockFile, { force: true });
+});
+
+test('a JSON save replaces the file whole and loads back the same data', () => {
+  const storage = createStorage('json');
+  const data = storage.load();
+  assert.deepEqual(data.users, []);
+
+  data.users.push({ id: 1, username: 'alice', household_id: 1 });
+  data.schema_version = 3;
+  storage.save(data);
+  assert.deepEqual(createStorage('json').load().users, data.users);
+  assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('the JSON lock waits for its holder and takes over a stale one', async () => {
+  const storage = createStorage('json');
+  fs.writeFileSync(lockFile, '12345');
+  setTimeout(() => fs.rmSync(lockFile), 100);
+  const started = Date.now();
+  const release = await storage.lock();
+  assert.ok(Date.now() - started >= 90);
+  release();
+  assert.equal(fs.existsSync(lockFile), false);
+
+  fs.writeFileSync(lockFile, '12345');
+  const longAgo = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockFile, longAgo, longAgo);
+  (await storage.lock())();
+});
+
+test('a long transaction keeps its lock fresh', async () => {
+  const transaction = createTransactor(createStorage('json'));
+  const started = Date.now();
+  let touched;
+  await transaction(async () => {
+    await sleep(2500);
+    touched = fs.statSync(lockFile).mtimeMs;
+  });
+  assert.ok(touched - started >= 1500);
+});
+
+test('transactions run one at a time and a failed one saves nothing', async () => {
+  const transaction = createTransactor(createStorage('json'));
+  const add = username => transaction(async data => {
+    const id = data.users.length + 1;
+    await sleep(10);
+    data.users.push({ id, username });
+  });
+
+  await Promise.all([add('alice'), add('bob'), add('carol')]);
+  await assert.rejects(transaction(data => {
+    data.users = [];
+    throw new Error('changed my mind');
+  }), /changed my mind/);
+  assert.deepEqual(createStorage('json').load().users.map(u => [u.id, u.username]), [[1, 'alice'], [2, 'bob'], [3, 'carol']]);
+});
+
+test('SQLite keeps records in insertion order and only rewrites what changed', () => {
+  const storage = createStorage('sqlite');
+  try {
+    const data = storage.load();
+    data.schema_version = 2;
+    data.users.push({ id: 2, username: 'bob', household_id: 1 }, { id: 1, username: 'alice', household_id: 1 });
+    data.chores.push({ id: 1, household_id: 1, name: 'Kitchen Cleaning' });
+    storage.save(data);
+
+    const loaded = storage.load();
+    assert.equal(loaded.schema_version, 2);
+    assert.deepEqual(loaded.users.map(u => u.username), ['bob', 'alice']);
+    loaded.users[0].role = 'admin';
+    loaded.chores = [];
+    storage.save(loaded);
+
+    const again = storage.load();
+    assert.deepEqual(again.users[0], { id: 2, username: 'bob', household_id: 1, role: 'admin' });
+    assert.deepEqual(again.chores, []);
+  } finally {
+    storage.close();
+  }
+});
+
+test('the importer migrates a data file into SQLite and won\'t overwrite one with users', () => {
+  const source = path.join(dir, 'old-data.json');
+  const sqliteFile = path.join(dir, 'imported.db');
+  fs.writeFileSync(source, JSON.stringify({ users: [{ id: 1, username: 'alice', password_hash: 'x' }], tasks: [], monthly_reports: [] }));
+  const run = (...args) => spawnSync(process.execPath, ['import-data.js', source, ...args], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, STORAGE: 'sqlite', SQLITE_FILE: sqliteFile },
+    encoding: 'utf8'
+  });
+
+  const first = run();
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, new RegExp(`schema version ${LATEST_VERSION}`));
+  assert.match(run().stderr, /already has data; pass --force/);
+  assert.equal(run('--force').status, 0);
+
+  process.env.SQLITE_FILE = sqliteFile;
+  const storage = createStorage('sqlite');
+  try {
+    const [alice] = storage.load().users;
+    assert.deepEqual([alice.username, alice.role, alice.household_id], ['alice', 'admin', 1]);
+  } finally {
+    storage.close();
+  }
+});
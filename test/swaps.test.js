@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+
+const alice = { username: 'alice', role: 'admin' };
+
+function task(id, name, assigned_to) {
+  return {
+    id, household_id: 1, chore_id: id, name, assigned_to, status: 'pending', completed_at: null,
+    period_start: '2026-03-01', period_end: '2026-03-31', due_date: '2026-03-31', slot: 0, month: 3, year: 2026
+  };
+}
+
+test.beforeEach(() => seed({
+  households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC' }],
+  users: members(1, ['alice', 'bob', 'carol']),
+  tasks: [task(1, 'Kitchen Cleaning', 'alice'), task(2, 'Trash Removal', 'bob')]
+}));
+
+async function assignee(taskId) {
+  const tasks = await db.getCurrentTasks(1, '2026-03-15');
+  return tasks.find(t => t.id === taskId).assigned_to;
+}
+
+test('accepting a hand-over reassigns the task to the recipient', async () => {
+  const swap = await db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'Bob', note: '  away that weekend ' });
+  assert.equal(swap.to_user, 'bob');
+  assert.equal(swap.note, 'away that weekend');
+
+  const accepted = await db.respondToSwap(1, swap.id, 'bob', true);
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(await assignee(1), 'bob');
+  assert.equal(await assignee(2), 'bob');
+});
+
+test('accepting a trade swaps both tasks', async () => {
+  const swap = await db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'bob', counterTaskId: 2 });
+  await db.respondToSwap(1, swap.id, 'bob', true);
+
+  assert.equal(await assignee(1), 'bob');
+  assert.equal(await assignee(2), 'alice');
+});
+
+test('declining leaves the tasks where they were', async () => {
+  const swap = await db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'bob', counterTaskId: 2 });
+  const declined = await db.respondToSwap(1, swap.id, 'bob', false);
+
+  assert.equal(declined.status, 'declined');
+  assert.equal(await assignee(1), 'alice');
+  await assert.rejects(db.respondToSwap(1, swap.id, 'bob', true), /already declined/);
+});
+
+test('only the recipient can answer a swap', async () => {
+  const swap = await db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'bob' });
+
+  assert.equal(await db.respondToSwap(1, swap.id, 'carol', true), null);
+  assert.equal(await assignee(1), 'alice');
+});
+
+test('members can only offer their own pending tasks to someone else', async () => {
+  await assert.rejects(db.proposeSwap(1, 'alice', { taskId: 2, toUser: 'carol' }), /your own pending tasks/);
+  await assert.rejects(db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'alice' }), /another member/);
+  await assert.rejects(db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'carol', counterTaskId: 2 }), /not one of carol's/);
+
+  await db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'bob' });
+  await assert.rejects(db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'carol' }), /already has a pending swap/);
+});
+
+test('a swap whose task was done in the meantime expires instead of applying', async () => {
+  const swap = await db.proposeSwap(1, 'alice', { taskId: 1, toUser: 'bob', counterTaskId: 2 });
+  await db.completeTask(1, 1, alice);
+
+  await assert.rejects(db.respondToSwap(1, swap.id, 'bob', true), /have changed since it was proposed/);
+  const [saved] = await db.getSwaps(1, 'bob');
+  assert.equal(saved.status, 'expired');
+  assert.equal(await assignee(2), 'bob');
+});
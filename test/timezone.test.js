@@ -0,0 +1,59 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData } = require('./helpers');
+
+const { seed } = useTempData();
+const db = require('../database');
+const { normalizeTimeZone, localTime, localDate } = require('../timezone');
+
+// 01:30 on 1 March in Kolkata, still February in UTC and Los Angeles
+const MONTH_END = '2026-02-28T20:00:00Z';
+
+test('the same instant falls in different months across timezones', () => {
+  assert.equal(localDate(MONTH_END, 'Asia/Kolkata'), '2026-03-01');
+  assert.equal(localDate(MONTH_END, 'UTC'), '2026-02-28');
+  assert.deepEqual(localTime(MONTH_END, 'America/Los_Angeles'), {
+    date: '2026-02-28', year: 2026, month: 2, day: 28, hour: 12, minute: 0
+  });
+  assert.equal(localDate('2026-12-31T23:30:00Z', 'Asia/Tokyo'), '2027-01-01');
+});
+
+test('midnight is hour 0 and daylight saving time is followed', () => {
+  assert.equal(localTime('2026-03-01T05:00:00Z', 'America/New_York').hour, 0);
+  // Clocks in New York go forward at 02:00 on 8 March 2026
+  assert.equal(localTime('2026-03-08T06:30:00Z', 'America/New_York').hour, 1);
+  assert.equal(localTime('2026-03-08T07:30:00Z', 'America/New_York').hour, 3);
+});
+
+test('only IANA timezone names are accepted', () => {
+  assert.equal(normalizeTimeZone(' Asia/Kolkata '), 'Asia/Kolkata');
+  assert.throws(() => normalizeTimeZone('Mars/Olympus'), /IANA name/);
+  assert.throws(() => normalizeTimeZone(''), /IANA name/);
+});
+
+test('each household\'s month turns over on its own clock', async () => {
+  seed({
+    households: [
+      { id: 1, name: 'Kolkata flat', invite_code: 'FLAT01', timezone: 'Asia/Kolkata' },
+      { id: 2, name: 'London flat', invite_code: 'FLAT02', timezone: 'UTC' }
+    ]
+  });
+
+  assert.equal(await db.getHouseholdToday(1, new Date(MONTH_END)), '2026-03-01');
+  assert.equal(await db.getHouseholdToday(2, new Date(MONTH_END)), '2026-02-28');
+  const clocks = await db.getHouseholdClocks(new Date(MONTH_END));
+  assert.deepEqual(clocks.map(c => [c.household_id, c.month, c.hour]), [[1, 3, 1], [2, 2, 20]]);
+});
+
+test('a bad DEFAULT_TIMEZONE falls back to UTC with a warning instead of stopping the server', () => {
+  const { stdout, stderr, status } = spawnSync(process.execPath, ['-e', 'console.log(require("./timezone").DEFAULT_TIMEZONE)'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, DEFAULT_TIMEZONE: 'Mars/Olympus' },
+    encoding: 'utf8'
+  });
+  assert.equal(status, 0);
+  assert.equal(stdout.trim(), 'UTC');
+  assert.match(stderr, /DEFAULT_TIMEZONE "Mars\/Olympus" is not an IANA timezone; using UTC/);
+});
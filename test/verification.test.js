@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, members } = require('./helpers');
+
+const temp = useTempData();
+const db = require('../database');
+
+const alice = { username: 'alice', role: 'admin' };
+const HOUR = 60 * 60 * 1000;
+
+function seed({ usernames = ['alice', 'bob'], windowHours = 48, assignee = 'alice' } = {}) {
+  temp.seed({
+    households: [{ id: 1, name: 'Flat 4', invite_code: 'FLAT04', timezone: 'UTC', verification_window_hours: windowHours }],
+    users: members(1, usernames),
+    tasks: [{
+      id: 1, household_id: 1, chore_id: 1, name: 'Kitchen Cleaning', assigned_to: assignee, status: 'pending', completed_at: null,
+      period_start: '2026-03-01', period_end: '2026-03-31', due_date: '2026-03-31', slot: 0, month: 3, year: 2026
+    }]
+  });
+}
+
+test('a completion waits for another member to verify it', async () => {
+  seed();
+  const task = await db.completeTask(1, 1, alice);
+
+  assert.equal(task.status, 'awaiting_verification');
+  assert.equal(task.completed_by, 'alice');
+  assert.ok(task.completed_at);
+  await assert.rejects(db.confirmTask(1, 1, 'alice'), /Someone else has to verify/);
+
+  const confirmed = await db.confirmTask(1, 1, 'bob');
+  assert.equal(confirmed.status, 'completed');
+  assert.equal(confirmed.verified_by, 'bob');
+  assert.deepEqual(confirmed.thread.map(entry => entry.action), ['completed', 'confirmed']);
+});
+
+test('a disputed completion goes back to the assignee with the reason kept', async () => {
+  seed();
+  await db.completeTask(1, 1, alice);
+
+  await assert.rejects(db.disputeTask(1, 1, 'bob', '  '), /Give a reason/);
+  const disputed = await db.disputeTask(1, 1, 'bob', 'The sink is still full');
+  assert.equal(disputed.status, 'pending');
+  assert.equal(disputed.completed_at, null);
+  const { username, action, reason } = disputed.thread[1];
+  assert.deepEqual({ username, action, reason }, { username: 'bob', action: 'disputed', reason: 'The sink is still full' });
+
+  await assert.rejects(db.confirmTask(1, 1, 'bob'), /not awaiting verification/);
+});
+
+test('with nobody else in the household a completion verifies itself', async () => {
+  seed({ usernames: ['alice'] });
+  const task = await db.completeTask(1, 1, alice);
+
+  assert.equal(task.status, 'completed');
+  assert.equal(task.verified_by, null);
+  assert.equal(task.thread[1].action, 'auto_confirmed');
+});
+
+test('completions nobody answers are confirmed once the household\'s window runs out', async () => {
+  seed({ windowHours: 24 });
+  const { completed_at } = await db.completeTask(1, 1, alice);
+  const doneAt = new Date(completed_at).getTime();
+
+  assert.deepEqual(await db.autoConfirmTasks(new Date(doneAt + 23 * HOUR)), []);
+  const confirmed = await db.autoConfirmTasks(new Date(doneAt + 24 * HOUR));
+  assert.deepEqual(confirmed.map(t => t.id), [1]);
+  assert.equal(confirmed[0].status, 'completed');
+  assert.equal(confirmed[0].thread.at(-1).reason, 'Nobody disputed it in time');
+  assert.deepEqual(await db.autoConfirmTasks(new Date(doneAt + 48 * HOUR)), []);
+});
+
+test('only the assignee completes a task unless an admin overrides', async () => {
+  seed({ usernames: ['alice', 'bob', 'carol'], assignee: 'bob' });
+  const bob = { username: 'bob', role: 'member' };
+  const carol = { username: 'carol', role: 'member' };
+
+  await assert.rejects(db.completeTask(1, 1, carol), /Only bob can complete this task/);
+  await assert.rejects(db.completeTask(1, 1, alice), /confirm the admin override/);
+  const task = await db.completeTask(1, 1, alice, [], { override: true });
+  assert.equal(task.completed_by, 'alice');
+  const [entry] = await db.getAuditLog(1, { entity: 'task', entityId: 1 });
+  assert.equal(entry.reason, 'Admin override');
+
+  await assert.rejects(db.reopenTask(1, 1, carol), /Only the assignee or an admin/);
+  const reopened = await db.reopenTask(1, 1, bob);
+  assert.equal(reopened.status, 'pending');
+  assert.equal(reopened.completed_by, null);
+});
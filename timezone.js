@@ -0,0 +1,84 @@
+// ============================================
+// TIMEZONES
+// Every household keeps an IANA timezone such as 'Asia/Kolkata'. "Today", month
+// boundaries and the day a completion counts for are read on the household's clock, not
+// the server's; timestamps themselves stay ISO strings in UTC.
+// ============================================
+
+const formatters = new Map();
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function normalizeTimeZone(timeZone) {
+  const name = String(timeZone || '').trim();
+  if (!name || !isTimeZone(name)) throw new Error('Timezone must be an IANA name such as Asia/Kolkata');
+  return name;
+}
+
+// DEFAULT_TIMEZONE covers households that never set one; without it, the server's own.
+// A value that isn't a timezone is reported and UTC used, rather than stopping the server.
+function defaultTimeZone() {
+  const configured = (process.env.DEFAULT_TIMEZONE || '').trim();
+  if (configured && isTimeZone(configured)) return configured;
+  if (configured) {
+    console.warn(`⚠️ DEFAULT_TIMEZONE "${configured}" is not an IANA timezone; using UTC`);
+    return 'UTC';
+  }
+  const server = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return server && isTimeZone(server) ? server : 'UTC';
+}
+
+const DEFAULT_TIMEZONE = defaultTimeZone();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * The wall clock in `timeZone` at `instant` (a Date or ISO string).
+ * @returns {Object} { date: 'YYYY-MM-DD', year, month, day, hour, minute }
+ */
+function localTime(instant, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(instant))) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+// The 'YYYY-MM-DD' `instant` falls on in `timeZone`
+function localDate(instant, timeZone = DEFAULT_TIMEZONE) {
+  return localTime(instant, timeZone).date;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  normalizeTimeZone,
+  localTime,
+  localDate
+};
@@ -0,0 +1,104 @@
+// ============================================
+// OUTGOING WEBHOOKS
+// Household events POSTed as JSON to URLs an admin subscribed. Each request carries
+// X-Webhook-Timestamp and X-Webhook-Signature: "sha256=" + the hex HMAC-SHA256 of
+// `${timestamp}.${body}` keyed with the subscription's secret. Receivers should check
+// the signature and reject old timestamps. Failed deliveries are retried with backoff.
+// URLs must reach public addresses (outbound.js); a host name's DNS answer is checked by
+// the caller before saving, since this runs inside a storage transaction.
+// ============================================
+
+const crypto = require('crypto');
+const { checkHostName, postJson } = require('./outbound');
+
+// Events a subscription can ask for; `webhook.test` only comes from the test endpoint
+const WEBHOOK_EVENTS = [
+  'task.completed',
+  'task.confirmed',
+  'task.disputed',
+  'task.reopened',
+  'tasks.rotated',
+  'tasks.reassigned',
+  'tasks.rolled_over',
+  'reports.generated'
+];
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Wait before each retry; a delivery that fails them all is given up
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(s => s * 1000);
+
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function normalizeWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (err) {
+    throw new Error('Webhook needs a valid URL');
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('Webhook URL must be http or https');
+  checkHostName(url);
+  return url.toString();
+}
+
+function normalizeEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`Pick at least one event: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown) throw new Error(`Unknown webhook event ${unknown}`);
+  return [...new Set(events)];
+}
+
+// When to try again after `attempts` failed tries, or null once retries are used up
+function nextAttemptAt(attempts, now = new Date()) {
+  const delay = RETRY_DELAYS_MS[attempts - 1];
+  return delay === undefined ? null : new Date(now.getTime() + delay).toISOString();
+}
+
+/**
+ * POSTs one delivery. Never throws: the outcome is returned for the delivery log.
+ * @returns {Promise<Object>} { at, ok, status_code, error, duration_ms }
+ */
+async function sendDelivery(webhook, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date().toISOString(), ok: false, status_code: null, error: null, duration_ms: 0 };
+
+  try {
+    const status = await postJson(webhook.url, body, {
+      headers: {
+        'User-Agent': 'RoommateTaskManager-Webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      timeoutMs: DELIVERY_TIMEOUT_MS
+    });
+    attempt.status_code = status;
+    attempt.ok = status >= 200 && status < 300;
+    if (!attempt.ok) attempt.error = `Receiver answered ${status}`;
+  } catch (err) {
+    attempt.error = err.name === 'TimeoutError' ? 'Timed out' : err.message;
+  }
+  attempt.duration_ms = Date.now() - started;
+  return attempt;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  normalizeWebhookUrl,
+  normalizeEvents,
+  nextAttemptAt,
+  sendDelivery
+};